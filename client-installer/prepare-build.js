@@ -45,7 +45,9 @@ async function prepareBuild() {
       clientId: require('os').hostname(),
       monitoringInterval: 60000,
       dataRetentionDays: 30,
-      allowNetworkAccess: true
+      allowNetworkAccess: true,
+      enrollmentToken: '',
+      commandPublicKey: ''
     };
     
     await fs.writeFile(
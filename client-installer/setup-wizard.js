@@ -4,6 +4,7 @@ const path = require('path');
 const fs = require('fs').promises;
 const { spawn } = require('child_process');
 const sudo = require('sudo-prompt');
+const SelfSignedCertificate = require('./shared/self-signed-certificate');
 
 class ClientSetupWizard {
   constructor() {
@@ -12,6 +13,10 @@ class ClientSetupWizard {
       department: '',
       clientId: require('os').hostname(),
       serverUrl: '',
+      serverCertificate: '',
+      enrollmentToken: '',
+      commandPublicKey: '',
+      pushMode: false,
       autoStart: true,
       monitoringInterval: 60000,
       allowNetworkAccess: true
@@ -52,6 +57,24 @@ class ClientSetupWizard {
         errors.push('Invalid server URL format');
       }
       
+      if (config.pushMode && !config.serverUrl) {
+        errors.push('Push mode needs an Enterprise Server URL');
+      } else if (config.pushMode && !config.serverUrl.startsWith('https://')) {
+        errors.push('Push mode needs an https:// Enterprise Server URL');
+      }
+      
+      if (!config.enrollmentToken || config.enrollmentToken.trim().length < 16) {
+        errors.push('Enrollment token must be at least 16 characters');
+      }
+      
+      if (config.serverCertificate && !config.serverCertificate.includes('BEGIN CERTIFICATE')) {
+        errors.push('Server certificate must be a PEM certificate');
+      }
+      
+      if (config.commandPublicKey && !config.commandPublicKey.includes('BEGIN PUBLIC KEY')) {
+        errors.push('Command public key must be a PEM public key');
+      }
+      
       return { valid: errors.length === 0, errors };
     });
 
@@ -159,8 +182,15 @@ class ClientSetupWizard {
   }
 
   async saveConfiguration(installPath) {
-    const configPath = path.join(installPath, 'config', 'client-config.json');
-    await fs.mkdir(path.dirname(configPath), { recursive: true });
+    const configDir = path.join(installPath, 'config');
+    const configPath = path.join(configDir, 'client-config.json');
+    await fs.mkdir(configDir, { recursive: true });
+    
+    // The client's TLS certificate is created once, at install time; scanners pin it
+    const certificate = await SelfSignedCertificate.loadOrCreate(configDir, { commonName: this.config.clientId });
+    console.log(`Client certificate fingerprint: ${certificate.fingerprint}`);
+    
+    this.config.certificateDir = configDir;
     await fs.writeFile(configPath, JSON.stringify(this.config, null, 2));
   }
 
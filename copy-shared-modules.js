@@ -0,0 +1,50 @@
+// copy-shared-modules.js - Copies the src/main modules an app shares into its shared/ directory
+// The enterprise client and the client installer are packaged from their own
+// directories, so modules they share with the main app must be inside them. Run from
+// the app's directory (before start and build): every require('./shared/<module>') in
+// the app's scripts is copied, with the modules those require in turn and the data
+// files they read. shared/ is generated, and git-ignored.
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_DIR = path.join(__dirname, 'src', 'main');
+// Read by a module at runtime, next to it
+const ASSETS = {
+  'signature-catalog': ['signature-catalog.json']
+};
+
+const requiredModules = (source, prefix) => (
+  [...source.matchAll(new RegExp(`require\\('${prefix}([\\w-]+)'\\)`, 'g'))].map(match => match[1])
+);
+
+function copyModule(name, targetDir, copied) {
+  if (copied.has(name)) return;
+  copied.add(name);
+
+  const source = fs.readFileSync(path.join(SOURCE_DIR, `${name}.js`), 'utf8');
+  fs.writeFileSync(path.join(targetDir, `${name}.js`), source);
+  (ASSETS[name] || []).forEach(asset => {
+    fs.copyFileSync(path.join(SOURCE_DIR, asset), path.join(targetDir, asset));
+  });
+  requiredModules(source, '\\./').forEach(dependency => copyModule(dependency, targetDir, copied));
+}
+
+function copySharedModules(appDir) {
+  const targetDir = path.join(appDir, 'shared');
+  fs.rmSync(targetDir, { recursive: true, force: true });
+  fs.mkdirSync(targetDir, { recursive: true });
+
+  const copied = new Set();
+  fs.readdirSync(appDir)
+    .filter(file => file.endsWith('.js'))
+    .flatMap(file => requiredModules(fs.readFileSync(path.join(appDir, file), 'utf8'), '\\./shared/'))
+    .forEach(name => copyModule(name, targetDir, copied));
+  return [...copied];
+}
+
+if (require.main === module) {
+  const copied = copySharedModules(process.cwd());
+  console.log(`Copied shared modules: ${copied.join(', ')}`);
+}
+
+module.exports = copySharedModules;
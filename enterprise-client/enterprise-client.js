@@ -3,11 +3,21 @@ const { app, BrowserWindow } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
 const os = require('os');
+const crypto = require('crypto');
+const https = require('https');
 const sqlite3 = require('sqlite3').verbose();
 const { exec } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
 const express = require('express');
+const SignatureCatalog = require('./shared/signature-catalog');
+const SecureChannel = require('./shared/secure-channel');
+const SelfSignedCertificate = require('./shared/self-signed-certificate');
+const UsagePushAgent = require('./shared/usage-push-agent');
+const DnsSd = require('./shared/dns-sd');
+const UsageDelta = require('./shared/usage-delta');
+const AgentCommands = require('./shared/agent-commands');
+const CommandSigner = require('./shared/command-signer');
 
 class EnterpriseClientMonitor {
   constructor() {
@@ -15,28 +25,72 @@ class EnterpriseClientMonitor {
     this.monitoringInterval = null;
     this.isMonitoring = false;
     this.localServer = null;
+    this.pushAgent = null;
+    this.advertiser = null;
+    this.signatureCatalog = null;
+    this.syncEpoch = null; // Names this database in sync cursors
+    this.syncSequence = 0; // Last snapshot whose applications and plugins are fully stored
     this.port = 9876; // Local port for data access
+    this.version = app.getVersion(); // Reported to scanners, which score outdated agents
     this.dbPath = path.join(app.getPath('userData'), 'monitoring.db');
     this.configPath = path.join(app.getPath('userData'), 'client-config.json');
+    this.defaultCertificateDir = app.getPath('userData');
     this.config = {
       department: '',
       clientId: os.hostname(),
       monitoringInterval: 60000, // 1 minute
       dataRetentionDays: 30,
-      allowNetworkAccess: true
+      allowNetworkAccess: true,
+      advertise: true, // Announce the client API over mDNS/DNS-SD so scanners need not sweep for it
+      remoteCommands: true, // Accept monitoring, upload, signature and diagnostics commands from the dashboard
+      commandPublicKey: '', // PEM of the dashboard's command signing key; commands are refused without it
+      signatureCatalogPath: null, // null uses the bundled catalog
+      enrollmentToken: '', // Per-deployment secret shared with the scanners
+      certificateDir: null, // Written by the installer; null keeps the certificate in userData
+      pushMode: false, // Post usage to serverUrl instead of waiting to be scanned
+      serverUrl: '', // https://, the server's push ingest port
+      serverCertificate: '', // PEM of the server's certificate to pin; empty trusts the system CAs
+      allowInsecureServer: false, // Allow an http:// serverUrl, sending usage unencrypted
+      pushInterval: 60000,
+      pushBatchSize: 100,
+      agentId: null // Generated on first push; identifies this install's record sequence
     };
+    this.commands = new AgentCommands({
+      'start-monitoring': async () => {
+        await this.startMonitoring();
+        return this.getMonitoringState();
+      },
+      'stop-monitoring': async () => {
+        this.stopMonitoring();
+        return this.getMonitoringState();
+      },
+      'set-interval': ({ monitoringInterval }) => this.setMonitoringInterval(monitoringInterval),
+      'force-upload': () => this.forceUpload(),
+      'update-signatures': ({ catalog }) => this.updateSignatureCatalog(catalog),
+      'collect-diagnostics': () => this.collectDiagnostics()
+    });
   }
 
   async init() {
     // Load configuration
     await this.loadConfig();
     
+    // Load application signatures
+    this.loadSignatureCatalog();
+    
     // Initialize database
     await this.initDatabase();
+    await this.loadSyncState();
     
     // Set up local server for data access
     await this.setupLocalServer();
     
+    // Let scanners find the local server without sweeping the network
+    await this.setupAdvertiser();
+    
+    // Push usage to the enterprise server when scanning cannot reach us
+    await this.setupPushAgent();
+    
     // Start monitoring
     await this.startMonitoring();
     
@@ -57,6 +111,22 @@ class EnterpriseClientMonitor {
     }
   }
 
+  loadSignatureCatalog() {
+    const catalogPath = this.config.signatureCatalogPath || undefined;
+    
+    try {
+      this.signatureCatalog = new SignatureCatalog({ catalogPath }).load();
+    } catch (error) {
+      console.error('Failed to load signature catalog, using bundled catalog:', error.message);
+      this.signatureCatalog = new SignatureCatalog().load();
+    }
+    
+    this.signatureCatalog.on('reloaded', (info) => {
+      console.log(`Signature catalog reloaded (version ${info.version})`);
+    });
+    this.signatureCatalog.watch();
+  }
+
   async saveConfig() {
     await fs.writeFile(this.configPath, JSON.stringify(this.config, null, 2));
   }
@@ -118,8 +188,23 @@ class EnterpriseClientMonitor {
             )
           `);
           
+          // Push mode queue flag; fails harmlessly once the column exists
+          this.db.run('ALTER TABLE usage_data ADD COLUMN synced INTEGER DEFAULT 0', () => {});
+          
+          // Delta sync: the snapshot that last touched each row, and this database's epoch
+          this.db.run('ALTER TABLE applications ADD COLUMN sequence INTEGER DEFAULT 0', () => {});
+          this.db.run('ALTER TABLE plugins ADD COLUMN sequence INTEGER DEFAULT 0', () => {});
+          this.db.run(`
+            CREATE TABLE IF NOT EXISTS sync_state (
+              id INTEGER PRIMARY KEY CHECK (id = 1),
+              epoch TEXT NOT NULL
+            )
+          `);
+          this.db.run('INSERT OR IGNORE INTO sync_state (id, epoch) VALUES (1, ?)', [crypto.randomUUID()]);
+          
           // Create indexes
           this.db.run('CREATE INDEX IF NOT EXISTS idx_usage_timestamp ON usage_data(timestamp)');
+          this.db.run('CREATE INDEX IF NOT EXISTS idx_usage_synced ON usage_data(synced, id)');
           this.db.run('CREATE INDEX IF NOT EXISTS idx_apps_name ON applications(name)');
           this.db.run('CREATE INDEX IF NOT EXISTS idx_plugins_vendor ON plugins(vendor)');
           
@@ -130,6 +215,18 @@ class EnterpriseClientMonitor {
   }
 
   async setupLocalServer() {
+    if (!this.config.enrollmentToken) {
+      console.error('No enrollment token configured; the client API stays closed');
+      return;
+    }
+    
+    // Normally generated by the installer; created here for older installs
+    const certificate = await SelfSignedCertificate.loadOrCreate(
+      this.config.certificateDir || this.defaultCertificateDir,
+      { commonName: this.config.clientId }
+    );
+    const channel = new SecureChannel({ token: this.config.enrollmentToken });
+    const commandSigner = this.loadCommandSigner();
     const app = express();
     
     // Enable CORS for local network access
@@ -139,14 +236,27 @@ class EnterpriseClientMonitor {
       // Only allow local network access
       if (this.isLocalNetwork(clientIp) && this.config.allowNetworkAccess) {
         res.header('Access-Control-Allow-Origin', '*');
-        res.header('Access-Control-Allow-Headers', 'X-API-Key, Content-Type');
+        res.header('Access-Control-Allow-Headers', 'X-ESM-Timestamp, X-ESM-Nonce, X-ESM-Signature, Content-Type');
         next();
       } else {
         res.status(403).json({ error: 'Access denied' });
       }
     });
     
-    app.use(express.json());
+    // Keep the raw body, which request signatures cover
+    app.use(express.json({
+      verify: (req, res, buffer) => {
+        req.rawBody = buffer.toString('utf8');
+      }
+    }));
+    
+    // Every request must be signed with the enrollment token; responses are
+    // signed over the certificate fingerprint so scanners can pin it
+    app.use(channel.middleware(certificate.fingerprint));
+    
+    // ETags are set by the routes that support them; Express's own would turn
+    // signed 200 responses into unsigned 304s
+    app.set('etag', false);
     
     // Endpoints
     app.get('/api/status', (req, res) => {
@@ -154,6 +264,7 @@ class EnterpriseClientMonitor {
         clientId: this.config.clientId,
         department: this.config.department,
         isMonitoring: this.isMonitoring,
+        version: this.version,
         lastUpdate: new Date()
       });
     });
@@ -167,6 +278,22 @@ class EnterpriseClientMonitor {
       }
     });
     
+    // Usage changed since the scanner's cursor (?since=); the ETag lets an
+    // unchanged client answer 304 without reading its tables
+    app.get(UsageDelta.SYNC_PATH, async (req, res) => {
+      try {
+        const etag = UsageDelta.etag(this.getSyncState());
+        res.set('ETag', etag);
+        if (UsageDelta.matchesEtag(req.get('If-None-Match'), etag)) {
+          res.notModified();
+          return;
+        }
+        res.json(await this.getSyncDelta(req.query.since));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
     app.get('/api/usage/:days', async (req, res) => {
       try {
         const days = parseInt(req.params.days) || 7;
@@ -204,10 +331,130 @@ class EnterpriseClientMonitor {
       }
     });
     
+    // Commands from the enterprise dashboard: { id, command, params }. The outcome,
+    // failed or not, comes back with a 200; a command re-sent with its id is not run again.
+    app.post(AgentCommands.PATH, async (req, res) => {
+      if (!this.config.remoteCommands) {
+        res.status(403).json({ error: 'Remote commands are turned off on this client' });
+        return;
+      }
+      // Every client holds the enrollment token, so only the dashboard's signature counts
+      try {
+        if (!commandSigner) {
+          throw new Error('This client has no commandPublicKey to verify commands with');
+        }
+        commandSigner.verify(req.body, this.config.clientId);
+      } catch (error) {
+        res.status(403).json({ error: error.message });
+        return;
+      }
+      try {
+        res.json(await this.commands.run(req.body));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+    
     // Start server
-    this.localServer = app.listen(this.port, '0.0.0.0', () => {
-      console.log(`Client monitor API listening on port ${this.port}`);
+    this.localServer = https.createServer({ key: certificate.key, cert: certificate.cert }, app);
+    this.localServer.listen(this.port, '0.0.0.0', () => {
+      console.log(`Client monitor API listening on port ${this.port} (certificate ${certificate.fingerprint})`);
+    });
+  }
+
+  loadCommandSigner() {
+    if (!this.config.remoteCommands || !this.config.commandPublicKey) return null;
+    
+    try {
+      return new CommandSigner({ publicKey: this.config.commandPublicKey });
+    } catch (error) {
+      console.error('Invalid commandPublicKey; remote commands are refused:', error.message);
+      return null;
+    }
+  }
+
+  async setupAdvertiser() {
+    if (!this.localServer || !this.config.advertise || !this.config.allowNetworkAccess) return;
+    
+    try {
+      this.advertiser = new DnsSd();
+      await this.advertiser.start();
+      await this.advertiser.advertise({
+        name: this.config.clientId,
+        type: DnsSd.CLIENT_SERVICE_TYPE,
+        port: this.port,
+        txt: { clientId: this.config.clientId, department: this.config.department, version: this.version }
+      });
+    } catch (error) {
+      // Scanners configured to sweep will still find us
+      console.error('Failed to advertise the client API over DNS-SD:', error.message);
+      await this.advertiser.stop().catch(() => {});
+      this.advertiser = null;
+    }
+  }
+
+  async setupPushAgent() {
+    if (!this.config.pushMode) return;
+    
+    if (!this.config.serverUrl || !this.config.enrollmentToken) {
+      console.error('Push mode needs serverUrl and enrollmentToken; usage stays queued locally');
+      return;
+    }
+    
+    if (!this.config.agentId) {
+      this.config.agentId = crypto.randomUUID();
+      await this.saveConfig();
+    }
+    
+    try {
+      this.pushAgent = new UsagePushAgent({
+        serverUrl: this.config.serverUrl,
+        serverCertificate: this.config.serverCertificate,
+        allowInsecureServer: this.config.allowInsecureServer,
+        enrollmentToken: this.config.enrollmentToken,
+        clientId: this.config.clientId,
+        agentId: this.config.agentId,
+        department: this.config.department,
+        batchSize: this.config.pushBatchSize,
+        interval: this.config.pushInterval,
+        queue: {
+          pending: limit => this.getPendingRecords(limit),
+          acknowledge: lastSequence => this.acknowledgeRecords(lastSequence)
+        },
+        getLatest: () => this.getLatestData()
+      });
+    } catch (error) {
+      console.error(`${error.message}; usage stays queued locally`);
+      return;
+    }
+    
+    this.pushAgent.on('offline', (error) => {
+      console.log(`Enterprise server unreachable, queueing usage locally: ${error.message}`);
+    });
+    this.pushAgent.on('online', () => {
+      console.log('Enterprise server reachable again, replaying queued usage');
     });
+    
+    this.pushAgent.start();
+  }
+
+  // Unsynced usage_data rows, oldest first; the row id is the push sequence number
+  async getPendingRecords(limit) {
+    const rows = await this.allQuery(
+      'SELECT id, timestamp, data_type, data FROM usage_data WHERE synced = 0 ORDER BY id LIMIT ?',
+      [limit]
+    );
+    
+    return rows.map(row => ({
+      sequence: row.id,
+      timestamp: row.timestamp,
+      type: row.data_type,
+      data: JSON.parse(row.data)
+    }));
+  }
+
+  async acknowledgeRecords(lastSequence) {
+    await this.runQuery('UPDATE usage_data SET synced = 1 WHERE synced = 0 AND id <= ?', [lastSequence]);
   }
 
   isLocalNetwork(ip) {
@@ -238,6 +485,112 @@ class EnterpriseClientMonitor {
     }, this.config.monitoringInterval);
   }
 
+  stopMonitoring() {
+    if (this.monitoringInterval) {
+      clearInterval(this.monitoringInterval);
+      this.monitoringInterval = null;
+    }
+    this.isMonitoring = false;
+  }
+
+  getMonitoringState() {
+    return { isMonitoring: this.isMonitoring, monitoringInterval: this.config.monitoringInterval };
+  }
+
+  // Kept in the config, so the new interval survives a restart
+  async setMonitoringInterval(monitoringInterval) {
+    this.config.monitoringInterval = monitoringInterval;
+    await this.saveConfig();
+    
+    if (this.isMonitoring) {
+      clearInterval(this.monitoringInterval);
+      this.monitoringInterval = setInterval(() => {
+        this.performMonitoringCheck();
+      }, monitoringInterval);
+    }
+    return this.getMonitoringState();
+  }
+
+  // Records a snapshot now and, in push mode, sends everything queued. Scanners
+  // collect it themselves once the command has succeeded.
+  async forceUpload() {
+    await this.performMonitoringCheck();
+    
+    let pushed = null;
+    if (this.pushAgent) {
+      const { sent, error } = await this.pushAgent.flush();
+      if (error) {
+        throw new Error(`Snapshot recorded, but the enterprise server is unreachable: ${error}`);
+      }
+      pushed = sent;
+    }
+    return { sequence: this.syncSequence, pushed };
+  }
+
+  // A catalog from the dashboard replaces the local catalog file (a copy in userData
+  // while the bundled one is in use); without one, the catalog file is read again
+  async updateSignatureCatalog(catalog) {
+    if (catalog === undefined) {
+      if (!this.signatureCatalog.reload()) {
+        throw new Error('The signature catalog file is invalid; the previous signatures are kept');
+      }
+      return this.signatureCatalog.getInfo();
+    }
+    
+    const catalogPath = this.config.signatureCatalogPath
+      || path.join(app.getPath('userData'), 'signature-catalog.json');
+    this.signatureCatalog.unwatch();
+    await fs.writeFile(catalogPath, JSON.stringify(catalog, null, 2));
+    if (this.config.signatureCatalogPath !== catalogPath) {
+      this.config.signatureCatalogPath = catalogPath;
+      await this.saveConfig();
+    }
+    this.loadSignatureCatalog();
+    return this.signatureCatalog.getInfo();
+  }
+
+  // What support needs to look into a misbehaving client; the enrollment token stays here
+  async collectDiagnostics() {
+    const { enrollmentToken, ...config } = this.config;
+    const count = async table => (await this.getQuery(`SELECT COUNT(*) AS count FROM ${table}`)).count;
+    
+    return {
+      collectedAt: new Date().toISOString(),
+      agent: {
+        version: this.version,
+        electron: process.versions.electron || null,
+        node: process.versions.node,
+        pid: process.pid,
+        uptime: Math.round(process.uptime()),
+        memory: process.memoryUsage()
+      },
+      system: {
+        hostname: os.hostname(),
+        platform: os.platform(),
+        release: os.release(),
+        arch: os.arch(),
+        uptime: Math.round(os.uptime()),
+        totalMemory: os.totalmem(),
+        freeMemory: os.freemem(),
+        loadAverage: os.loadavg()
+      },
+      config: { ...config, enrollmentToken: enrollmentToken ? '(set)' : '' },
+      monitoring: this.getMonitoringState(),
+      sync: this.getSyncState(),
+      database: {
+        path: this.dbPath,
+        usageRecords: await count('usage_data'),
+        unsyncedRecords: (await this.getQuery('SELECT COUNT(*) AS count FROM usage_data WHERE synced = 0')).count,
+        applications: await count('applications'),
+        plugins: await count('plugins'),
+        systemSnapshots: await count('system_info')
+      },
+      signatureCatalog: this.signatureCatalog.getInfo(),
+      push: this.pushAgent ? { serverUrl: this.config.serverUrl, online: this.pushAgent.online } : null,
+      advertising: this.advertiser !== null
+    };
+  }
+
   async performMonitoringCheck() {
     try {
       const timestamp = new Date();
@@ -312,36 +665,24 @@ class EnterpriseClientMonitor {
     const applications = new Map();
     const plugins = new Map();
     
-    // Target applications to monitor
-    const targetApps = {
-      'AfterFX.exe': 'Adobe After Effects',
-      'Premiere Pro.exe': 'Adobe Premiere Pro',
-      'Photoshop.exe': 'Adobe Photoshop',
-      'Illustrator.exe': 'Adobe Illustrator',
-      'Cinema 4D.exe': 'Cinema 4D',
-      'Rhino.exe': 'Rhinoceros',
-      '3dsmax.exe': '3ds Max',
-      'Maya.exe': 'Autodesk Maya',
-      'Blender.exe': 'Blender',
-      'Resolve.exe': 'DaVinci Resolve',
-      'Unity.exe': 'Unity Editor',
-      'Code.exe': 'Visual Studio Code'
-    };
-    
     // Check processes
     processes.forEach(process => {
       const processName = process.name.toLowerCase();
       
-      // Check applications
-      Object.entries(targetApps).forEach(([exe, appName]) => {
-        if (processName.includes(exe.toLowerCase())) {
-          applications.set(appName, {
-            processName: process.name,
-            pid: process.pid,
-            detected: true
-          });
-        }
+      // Check applications against the signature catalog
+      const signature = this.signatureCatalog.match({
+        name: process.name,
+        path: process.path || process.name
       });
+      if (signature) {
+        applications.set(signature.name, {
+          processName: process.name,
+          pid: process.pid,
+          vendor: signature.vendor,
+          version: signature.version,
+          detected: true
+        });
+      }
       
       // Check for plugin processes
       const pluginIndicators = ['trapcode', 'sapphire', 'redgiant', 'borisfx', 'redshift'];
@@ -403,20 +744,26 @@ class EnterpriseClientMonitor {
   async storeMonitoringData(data) {
     const { timestamp, applications, plugins, systemInfo } = data;
     
-    // Store usage data
-    await this.runQuery(
+    // Store usage data (Maps would serialize as empty objects)
+    const snapshot = {
+      ...data,
+      applications: Object.fromEntries(applications),
+      plugins: Object.fromEntries(plugins)
+    };
+    // The snapshot's row id is the sequence delta sync cursors count in
+    const { lastID: sequence } = await this.runQuery(
       'INSERT INTO usage_data (timestamp, data_type, data, client_id, department) VALUES (?, ?, ?, ?, ?)',
-      [timestamp, 'monitoring_snapshot', JSON.stringify(data), this.config.clientId, this.config.department]
+      [timestamp, 'monitoring_snapshot', JSON.stringify(snapshot), this.config.clientId, this.config.department]
     );
     
     // Update applications
     for (const [appName, appData] of applications) {
-      await this.updateApplication(appName, timestamp);
+      await this.updateApplication(appName, timestamp, sequence);
     }
     
     // Update plugins
     for (const [pluginName, pluginData] of plugins) {
-      await this.updatePlugin(pluginName, timestamp);
+      await this.updatePlugin(pluginName, timestamp, sequence);
     }
     
     // Store system info
@@ -424,9 +771,12 @@ class EnterpriseClientMonitor {
       'INSERT INTO system_info (timestamp, info) VALUES (?, ?)',
       [timestamp, JSON.stringify(systemInfo)]
     );
+    
+    // Only now may a sync cursor move past this snapshot
+    this.syncSequence = sequence;
   }
 
-  async updateApplication(name, timestamp) {
+  async updateApplication(name, timestamp, sequence) {
     // Check if exists
     const existing = await this.getQuery(
       'SELECT * FROM applications WHERE name = ?',
@@ -442,34 +792,38 @@ class EnterpriseClientMonitor {
       if (lastSession && this.isWithinSession(lastSession.endTime)) {
         lastSession.endTime = timestamp;
         lastSession.duration = this.getTimeDifference(lastSession.startTime, timestamp);
+        lastSession.sequence = sequence;
       } else {
         sessions.push({
           startTime: timestamp,
           endTime: timestamp,
-          duration: 1
+          duration: 1,
+          sequence
         });
       }
       
       await this.runQuery(
-        'UPDATE applications SET total_usage = total_usage + 1, last_used = ?, sessions = ? WHERE name = ?',
-        [timestamp, JSON.stringify(sessions), name]
+        'UPDATE applications SET total_usage = total_usage + 1, last_used = ?, sessions = ?, sequence = ? '
+          + 'WHERE name = ?',
+        [timestamp, JSON.stringify(sessions), sequence, name]
       );
     } else {
       // Insert new
       const sessions = [{
         startTime: timestamp,
         endTime: timestamp,
-        duration: 1
+        duration: 1,
+        sequence
       }];
       
       await this.runQuery(
-        'INSERT INTO applications (name, total_usage, last_used, sessions) VALUES (?, ?, ?, ?)',
-        [name, 1, timestamp, JSON.stringify(sessions)]
+        'INSERT INTO applications (name, total_usage, last_used, sessions, sequence) VALUES (?, ?, ?, ?, ?)',
+        [name, 1, timestamp, JSON.stringify(sessions), sequence]
       );
     }
   }
 
-  async updatePlugin(name, timestamp) {
+  async updatePlugin(name, timestamp, sequence) {
     // Simplified - in production, would detect vendor properly
     const vendor = 'Unknown';
     
@@ -485,28 +839,32 @@ class EnterpriseClientMonitor {
       if (lastSession && this.isWithinSession(lastSession.endTime)) {
         lastSession.endTime = timestamp;
         lastSession.duration = this.getTimeDifference(lastSession.startTime, timestamp);
+        lastSession.sequence = sequence;
       } else {
         sessions.push({
           startTime: timestamp,
           endTime: timestamp,
-          duration: 1
+          duration: 1,
+          sequence
         });
       }
       
       await this.runQuery(
-        'UPDATE plugins SET total_usage = total_usage + 1, last_used = ?, sessions = ? WHERE vendor = ? AND name = ?',
-        [timestamp, JSON.stringify(sessions), vendor, name]
+        'UPDATE plugins SET total_usage = total_usage + 1, last_used = ?, sessions = ?, sequence = ? '
+          + 'WHERE vendor = ? AND name = ?',
+        [timestamp, JSON.stringify(sessions), sequence, vendor, name]
       );
     } else {
       const sessions = [{
         startTime: timestamp,
         endTime: timestamp,
-        duration: 1
+        duration: 1,
+        sequence
       }];
       
       await this.runQuery(
-        'INSERT INTO plugins (vendor, name, total_usage, last_used, sessions) VALUES (?, ?, ?, ?, ?)',
-        [vendor, name, 1, timestamp, JSON.stringify(sessions)]
+        'INSERT INTO plugins (vendor, name, total_usage, last_used, sessions, sequence) VALUES (?, ?, ?, ?, ?, ?)',
+        [vendor, name, 1, timestamp, JSON.stringify(sessions), sequence]
       );
     }
   }
@@ -584,6 +942,59 @@ class EnterpriseClientMonitor {
     };
   }
 
+  async loadSyncState() {
+    const state = await this.getQuery('SELECT epoch FROM sync_state WHERE id = 1');
+    // AUTOINCREMENT keeps the highest id ever used, even after old rows are cleaned
+    const last = await this.getQuery("SELECT seq FROM sqlite_sequence WHERE name = 'usage_data'");
+    this.syncEpoch = state.epoch;
+    this.syncSequence = last ? last.seq : 0;
+  }
+
+  getSyncState() {
+    return {
+      epoch: this.syncEpoch,
+      sequence: this.syncSequence,
+      clientId: this.config.clientId,
+      department: this.config.department
+    };
+  }
+
+  // /api/latest, cut down to the applications, plugins and sessions changed after the
+  // cursor. A missing cursor, one from another database or one ahead of ours gets everything.
+  async getSyncDelta(cursor) {
+    const state = this.getSyncState();
+    const since = UsageDelta.parseCursor(cursor);
+    const full = !since || since.epoch !== state.epoch || since.sequence > state.sequence;
+    const from = full ? 0 : since.sequence;
+    
+    const changed = async (table) => {
+      const rows = await this.allQuery(
+        full
+          ? `SELECT * FROM ${table} ORDER BY total_usage DESC`
+          : `SELECT * FROM ${table} WHERE sequence > ? ORDER BY total_usage DESC`,
+        full ? [] : [from]
+      );
+      return rows.map(row => {
+        const sessions = JSON.parse(row.sessions || '[]');
+        return { ...row, sessions: full ? sessions : UsageDelta.changedSessions(sessions, from) };
+      });
+    };
+    const latestUsage = await this.getQuery('SELECT timestamp FROM usage_data ORDER BY timestamp DESC LIMIT 1');
+    
+    return {
+      version: UsageDelta.VERSION,
+      cursor: UsageDelta.formatCursor(state.epoch, state.sequence),
+      since: full ? null : cursor,
+      full,
+      clientId: state.clientId,
+      department: state.department,
+      timestamp: latestUsage?.timestamp,
+      applications: await changed('applications'),
+      plugins: await changed('plugins'),
+      systemInfo: await this.getLatestSystemInfo()
+    };
+  }
+
   async getUsageData(days) {
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - days);
@@ -633,8 +1044,11 @@ class EnterpriseClientMonitor {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - this.config.dataRetentionDays);
     
+    // In push mode, rows the server has not acknowledged are kept past retention
     await this.runQuery(
-      'DELETE FROM usage_data WHERE timestamp < ?',
+      this.config.pushMode
+        ? 'DELETE FROM usage_data WHERE timestamp < ? AND synced = 1'
+        : 'DELETE FROM usage_data WHERE timestamp < ?',
       [cutoffDate.toISOString()]
     );
     
@@ -660,6 +1074,18 @@ class EnterpriseClientMonitor {
       this.localServer.close();
     }
     
+    if (this.pushAgent) {
+      this.pushAgent.stop();
+    }
+    
+    if (this.advertiser) {
+      await this.advertiser.stop();
+    }
+    
+    if (this.signatureCatalog) {
+      this.signatureCatalog.unwatch();
+    }
+    
     if (this.db) {
       this.db.close();
     }
@@ -0,0 +1,118 @@
+// src/main/agent-commands.js - Commands an enterprise client runs for the dashboard
+// The enterprise server queues a command and posts it to the client's signed API as
+// { id, command, params }. The client answers with the outcome, and remembers recent
+// outcomes by id, so a command re-sent after a lost response is not run twice.
+const SignatureCatalog = require('./signature-catalog');
+
+const PATH = '/api/commands';
+// monitoringInterval bounds for set-interval, in milliseconds
+const MIN_INTERVAL = 10 * 1000;
+const MAX_INTERVAL = 60 * 60 * 1000;
+// Outcomes remembered for re-sent commands
+const OUTCOME_LIMIT = 100;
+
+// Checks each command's params; returns the ones the command uses or throws
+const PARAMS = {
+  'start-monitoring': () => ({}),
+  'stop-monitoring': () => ({}),
+  'set-interval': ({ monitoringInterval }) => {
+    const inRange = monitoringInterval >= MIN_INTERVAL && monitoringInterval <= MAX_INTERVAL;
+    if (!Number.isInteger(monitoringInterval) || !inRange) {
+      throw new Error(
+        `monitoringInterval must be a whole number of milliseconds from ${MIN_INTERVAL} to ${MAX_INTERVAL}`
+      );
+    }
+    return { monitoringInterval };
+  },
+  'force-upload': () => ({}),
+  // Without a catalog the client re-reads its catalog file
+  'update-signatures': ({ catalog }) => {
+    if (catalog === undefined) return {};
+    const result = SignatureCatalog.validate(catalog);
+    if (!result.valid) {
+      throw new Error(`Invalid signature catalog: ${result.errors.join('; ')}`);
+    }
+    return { catalog };
+  },
+  'collect-diagnostics': () => ({})
+};
+const COMMANDS = Object.keys(PARAMS);
+
+class AgentCommands {
+  // handlers: { [command]: async params => result }; commands without one fail
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    // id -> outcome, oldest first
+    this.outcomes = new Map();
+    // id -> promise of the outcome, for a command re-sent while it still runs
+    this.running = new Map();
+  }
+
+  // input: { command, params }. Returns them with params checked; throws on anything else
+  static validate(input = {}) {
+    const { command } = input;
+    if (!COMMANDS.includes(command)) {
+      throw new Error(`Unknown command "${command}"; expected ${COMMANDS.join(', ')}`);
+    }
+
+    const params = input.params ?? {};
+    if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+      throw new Error('Command params must be an object');
+    }
+    return { command, params: PARAMS[command](params) };
+  }
+
+  // input: { id, command, params }. Resolves with the outcome
+  // { id, command, status: 'succeeded' | 'failed', result, error, finishedAt };
+  // throws, without running anything, when the command is invalid
+  run(input = {}) {
+    const id = String(input.id || '').trim();
+    if (!id) {
+      return Promise.reject(new Error('Commands need an id'));
+    }
+    if (this.outcomes.has(id)) return Promise.resolve(this.outcomes.get(id));
+
+    if (!this.running.has(id)) {
+      let command;
+      try {
+        command = AgentCommands.validate(input);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+      this.running.set(id, this.execute(id, command).finally(() => this.running.delete(id)));
+    }
+    return this.running.get(id);
+  }
+
+  async execute(id, { command, params }) {
+    let outcome;
+    try {
+      const handler = this.handlers[command];
+      if (!handler) {
+        throw new Error(`This client does not support ${command}`);
+      }
+      const result = await handler(params);
+      outcome = {
+        id, command, status: 'succeeded', result: result ?? null, error: null
+      };
+    } catch (error) {
+      outcome = {
+        id, command, status: 'failed', result: null, error: error.message
+      };
+    }
+
+    outcome.finishedAt = new Date().toISOString();
+    this.outcomes.set(id, outcome);
+    if (this.outcomes.size > OUTCOME_LIMIT) {
+      this.outcomes.delete(this.outcomes.keys().next().value);
+    }
+    return outcome;
+  }
+}
+
+AgentCommands.PATH = PATH;
+AgentCommands.COMMANDS = COMMANDS;
+AgentCommands.MIN_INTERVAL = MIN_INTERVAL;
+AgentCommands.MAX_INTERVAL = MAX_INTERVAL;
+
+module.exports = AgentCommands;
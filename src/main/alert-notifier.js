@@ -0,0 +1,138 @@
+// src/main/alert-notifier.js - Sends alerts to webhook, email and desktop channels
+// Channels are configured once (enterprise config alertNotifiers); each rule names the
+// channels it notifies. A failing channel is reported back, never thrown, so one bad
+// SMTP server does not stop the webhook or the desktop notification.
+const fetch = require('node-fetch');
+const SmtpTransport = require('./smtp-transport');
+
+const CHANNELS = ['webhook', 'email', 'desktop'];
+// Shown instead of the SMTP password when the configuration is read back
+const MASKED = '********';
+
+class AlertNotifier {
+  constructor(options = {}) {
+    this.fetch = options.fetch || fetch;
+    this.createTransport = options.createTransport || (config => new SmtpTransport(config));
+    // (title, body) => void; the Electron main process shows a native notification
+    this.showDesktop = options.showDesktop || null;
+    this.webhookTimeout = options.webhookTimeout || 10000;
+    this.channels = {};
+  }
+
+  // { webhook: { url, headers }, email: { from, to, smtp }, desktop: { enabled } }; null turns a channel off
+  static validateChannels(channels = {}) {
+    const unknown = Object.keys(channels).filter(channel => !CHANNELS.includes(channel));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown notifier ${unknown.join(', ')}; expected ${CHANNELS.join(', ')}`);
+    }
+
+    const { webhook, email, desktop } = channels;
+    if (webhook && !/^https?:\/\//.test(webhook.url || '')) {
+      throw new Error('Webhook notifier url must be http(s)');
+    }
+    if (email && (!email.from || !email.to || !email.smtp?.host)) {
+      throw new Error('Email notifier needs from, to and smtp.host');
+    }
+
+    return {
+      webhook: webhook ? { url: webhook.url, headers: webhook.headers || {} } : null,
+      email: email
+        ? { from: email.from, to: email.to, subjectPrefix: email.subjectPrefix || null, smtp: email.smtp }
+        : null,
+      desktop: desktop ? { enabled: desktop.enabled !== false } : null
+    };
+  }
+
+  // The configuration without the SMTP password, for reading back over the API
+  static maskChannels(channels = {}) {
+    if (!channels.email?.smtp?.pass) return channels;
+    return { ...channels, email: { ...channels.email, smtp: { ...channels.email.smtp, pass: MASKED } } };
+  }
+
+  // Keeps the stored SMTP password when a masked configuration is sent back unchanged
+  static unmaskChannels(channels, previous = {}) {
+    if (channels.email?.smtp?.pass !== MASKED) return channels;
+    const pass = previous.email?.smtp?.pass;
+    return { ...channels, email: { ...channels.email, smtp: { ...channels.email.smtp, pass } } };
+  }
+
+  configure(channels) {
+    this.channels = AlertNotifier.validateChannels(channels || {});
+  }
+
+  isConfigured(channel) {
+    if (channel === 'desktop') return Boolean(this.channels.desktop?.enabled && this.showDesktop);
+    return Boolean(this.channels[channel]);
+  }
+
+  // Sends to each named channel that is configured; resolves to [{ channel, ok, error }]
+  async notify(alert, channels = []) {
+    const results = [];
+
+    for (const channel of channels.filter(name => this.isConfigured(name))) {
+      try {
+        await this.send(channel, alert);
+        results.push({ channel, ok: true, error: null });
+      } catch (error) {
+        console.error(`Alert notification via ${channel} failed:`, error.message);
+        results.push({ channel, ok: false, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  send(channel, alert) {
+    switch (channel) {
+      case 'webhook':
+        return this.sendWebhook(this.channels.webhook, alert);
+      case 'email':
+        return this.sendEmail(this.channels.email, alert);
+      case 'desktop':
+        return this.sendDesktop(alert);
+      default:
+        throw new Error(`Unknown notifier ${channel}`);
+    }
+  }
+
+  async sendWebhook(config, alert) {
+    const response = await this.fetch(config.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...config.headers },
+      body: JSON.stringify({ event: 'alert.raised', sentAt: new Date().toISOString(), alert }),
+      timeout: this.webhookTimeout
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+  }
+
+  async sendEmail(config, alert) {
+    const transport = this.createTransport(config.smtp);
+    const prefix = config.subjectPrefix || `[${(alert.severity || 'warning').toUpperCase()}]`;
+
+    await transport.sendMail({
+      from: config.from,
+      to: config.to,
+      subject: `${prefix} ${alert.message}`,
+      text: [
+        alert.message,
+        '',
+        `Client: ${alert.client_id || 'n/a'}`,
+        `Type: ${alert.alert_type}`,
+        `Severity: ${alert.severity || 'warning'}`,
+        `Raised: ${new Date(alert.timestamp).toLocaleString()}`,
+        `Alert id: ${alert._id}`
+      ].join('\n')
+    });
+  }
+
+  async sendDesktop(alert) {
+    await this.showDesktop(`Software monitor alert (${alert.severity || 'warning'})`, alert.message);
+  }
+}
+
+AlertNotifier.CHANNELS = CHANNELS;
+AlertNotifier.MASKED = MASKED;
+
+module.exports = AlertNotifier;
@@ -0,0 +1,274 @@
+// src/main/alert-rules.js - Declarative alert rules for the enterprise server
+// A rule compares one metric of each client against a threshold and fires once the
+// condition has held for `duration` minutes. Rules can be limited to departments
+// and tags. The three checks the server always ran are seeded as the default rules.
+const crypto = require('crypto');
+const ApiKeyStore = require('./api-key-store');
+const ClientRegistry = require('./client-registry');
+const AlertNotifier = require('./alert-notifier');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const COMPARATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '==': (value, threshold) => value === threshold,
+  '!=': (value, threshold) => value !== threshold
+};
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const { CHANNELS } = AlertNotifier;
+
+function daysInactive(lastUsed, now) {
+  if (!lastUsed) return Infinity;
+  return Math.floor((now - new Date(lastUsed).getTime()) / DAY);
+}
+
+// Each metric reads a client into zero or more readings. Per-application metrics
+// return one reading per application, keyed by subject, so each raises its own alert.
+const METRICS = {
+  minutes_offline: {
+    read: (client, rule, { now }) => (client.last_seen
+      ? [{ value: Math.round((now - new Date(client.last_seen).getTime()) / MINUTE) }]
+      : []),
+    message: (client, reading) => `Client ${client.hostname} has been offline for ${reading.value} minutes`
+  },
+  memory_percent: {
+    read: client => {
+      const percent = client.latest_usage?.system_info?.memory?.usagePercent;
+      return typeof percent === 'number' ? [{ value: percent }] : [];
+    },
+    message: (client, reading) => `Client ${client.hostname} is using ${reading.value}% memory`
+  },
+  // Monthly cost of each application unused for more than rule.inactiveDays
+  unused_app_cost: {
+    read: (client, rule, { now, appCost }) => Object.entries(client.latest_usage?.applications || {})
+      .map(([app, data]) => ({
+        subject: app, value: data.cost ?? appCost(app), days: daysInactive(data.lastUsed, now)
+      }))
+      .filter(reading => reading.days > rule.inactiveDays),
+    message: (client, reading) => {
+      const unused = reading.days === Infinity ? 'never used' : `unused for ${reading.days} days`;
+      return `${reading.subject} ($${reading.value}/mo) ${unused} on ${client.hostname}`;
+    }
+  },
+  application_count: {
+    read: client => (client.latest_usage
+      ? [{ value: Object.keys(client.latest_usage.applications || {}).length }]
+      : []),
+    message: (client, reading) => `Client ${client.hostname} has ${reading.value} applications installed`
+  }
+};
+
+const DEFAULT_RULES = [
+  {
+    _id: 'offline', name: 'Client offline', metric: 'minutes_offline', comparator: '>', threshold: 30
+  },
+  {
+    _id: 'high_memory', name: 'High memory usage', metric: 'memory_percent', comparator: '>', threshold: 90
+  },
+  {
+    _id: 'unused_software',
+    name: 'Expensive software left unused',
+    metric: 'unused_app_cost',
+    comparator: '>',
+    threshold: 100,
+    inactiveDays: 30
+  }
+];
+
+class AlertRules {
+  constructor(datastore) {
+    this.datastore = datastore;
+    // When each rule/client/subject condition started to hold, for rule durations
+    this.breaches = new Map();
+  }
+
+  // input: { name, metric, comparator, threshold, duration (minutes), inactiveDays,
+  // scope: { departments, tags }, severity, notify: ['webhook' | 'email' | 'desktop'], enabled }
+  static validateRule(input = {}) {
+    const name = String(input.name || '').trim();
+    if (!name) {
+      throw new Error('Alert rules need a name');
+    }
+    if (!METRICS[input.metric]) {
+      throw new Error(`Unknown metric ${input.metric}; expected ${Object.keys(METRICS).join(', ')}`);
+    }
+    if (!COMPARATORS[input.comparator]) {
+      throw new Error(`Unknown comparator ${input.comparator}; expected ${Object.keys(COMPARATORS).join(' ')}`);
+    }
+
+    const number = (value, field, fallback) => {
+      const parsed = value === undefined || value === null || value === '' ? fallback : Number(value);
+      if (!Number.isFinite(parsed) || (field !== 'threshold' && parsed < 0)) {
+        throw new Error(`${field} must be a ${field === 'threshold' ? '' : 'non-negative '}number`);
+      }
+      return parsed;
+    };
+
+    const severity = input.severity || 'warning';
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Unknown severity ${severity}; expected ${SEVERITIES.join(', ')}`);
+    }
+    const notify = input.notify || [];
+    if (!Array.isArray(notify) || notify.some(channel => !CHANNELS.includes(channel))) {
+      throw new Error(`notify must be a list of: ${CHANNELS.join(', ')}`);
+    }
+
+    const scope = input.scope || {};
+    const tags = scope.tags ? ClientRegistry.normalizeTags(scope.tags) : [];
+
+    return {
+      name,
+      metric: input.metric,
+      comparator: input.comparator,
+      threshold: number(input.threshold, 'threshold'),
+      duration: number(input.duration, 'duration', 0),
+      inactiveDays: input.metric === 'unused_app_cost' ? number(input.inactiveDays, 'inactiveDays', 30) : null,
+      scope: {
+        departments: ApiKeyStore.validateDepartments(scope.departments),
+        tags: tags.length > 0 ? tags : null
+      },
+      severity,
+      notify: [...new Set(notify)],
+      enabled: input.enabled !== false
+    };
+  }
+
+  static inScope(rule, client) {
+    const { departments, tags } = rule.scope || {};
+    return (!departments || departments.includes(client.department || 'Unknown'))
+      && (!tags || tags.some(tag => (client.tags || []).includes(tag)));
+  }
+
+  call(method, ...args) {
+    return new Promise((resolve, reject) => {
+      this.datastore[method](...args, (err, result) => {
+        if (err) reject(err);
+        else resolve(result);
+      });
+    });
+  }
+
+  // First start only: the checks the server used to hard-code. Delete a default rule
+  // and it stays deleted, as long as at least one rule is left; disable it instead.
+  async bootstrap(now = new Date()) {
+    const count = await this.call('count', {});
+    if (count > 0) return [];
+
+    const rules = DEFAULT_RULES.map(({ _id, ...rule }) => ({
+      _id,
+      ...AlertRules.validateRule(rule),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    }));
+    for (const rule of rules) {
+      await this.call('insert', rule);
+    }
+    return rules;
+  }
+
+  async list() {
+    const rules = await this.call('find', {});
+    return rules.sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a._id.localeCompare(b._id));
+  }
+
+  get(id) {
+    return this.call('findOne', { _id: id });
+  }
+
+  async create(input, now = new Date()) {
+    const rule = {
+      _id: crypto.randomUUID(),
+      ...AlertRules.validateRule(input),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+    await this.call('insert', rule);
+    return rule;
+  }
+
+  // Partial changes; scope is replaced as a whole
+  async update(id, changes = {}, now = new Date()) {
+    const rule = await this.get(id);
+    if (!rule) return null;
+
+    const fields = AlertRules.validateRule({ ...rule, ...changes });
+    return this.set(id, { ...fields, updatedAt: now.toISOString() });
+  }
+
+  async remove(id) {
+    const removed = await new Promise((resolve, reject) => {
+      this.datastore.remove({ _id: id }, {}, (err, count) => {
+        if (err) reject(err);
+        else resolve(count);
+      });
+    });
+    return removed > 0;
+  }
+
+  // One check per enabled rule and client in its scope:
+  // { rule, client, breaching: [key], firing: [{ key, subject, value, message }] }
+  // breaching holds every subject over the threshold; firing only those that have
+  // been over it for the rule's duration. context.appCost prices unknown applications.
+  async evaluate(clients, now = new Date(), context = {}) {
+    const rules = (await this.list()).filter(rule => rule.enabled && METRICS[rule.metric]);
+    const readContext = { now: now.getTime(), appCost: context.appCost || (() => 0) };
+    const seen = new Set();
+    const checked = new Set();
+    const checks = [];
+
+    for (const rule of rules) {
+      const metric = METRICS[rule.metric];
+
+      for (const client of clients.filter(item => AlertRules.inScope(rule, item))) {
+        const check = { rule, client, breaching: [], firing: [] };
+        checked.add(`${rule._id}|${client.client_id}`);
+
+        const over = metric.read(client, rule, readContext)
+          .filter(reading => COMPARATORS[rule.comparator](reading.value, rule.threshold));
+        for (const reading of over) {
+          const key = reading.subject ?? null;
+          const breachKey = `${rule._id}|${client.client_id}|${key ?? ''}`;
+          const since = this.breaches.get(breachKey) ?? readContext.now;
+          this.breaches.set(breachKey, since);
+          seen.add(breachKey);
+          check.breaching.push(key);
+
+          if (readContext.now - since >= rule.duration * MINUTE) {
+            check.firing.push({
+              key, subject: reading.subject ?? null, value: reading.value, message: metric.message(client, reading)
+            });
+          }
+        }
+        checks.push(check);
+      }
+    }
+
+    // A condition that stops holding starts its duration over next time; clients
+    // left out of this evaluation keep theirs
+    [...this.breaches.keys()]
+      .filter(key => !seen.has(key) && checked.has(key.split('|', 2).join('|')))
+      .forEach(key => this.breaches.delete(key));
+    return checks;
+  }
+
+  set(id, fields) {
+    return new Promise((resolve, reject) => {
+      this.datastore.update({ _id: id }, { $set: fields }, { returnUpdatedDocs: true }, (err, count, doc) => {
+        if (err) reject(err);
+        else resolve(count > 0 ? doc : null);
+      });
+    });
+  }
+}
+
+AlertRules.METRICS = Object.keys(METRICS);
+AlertRules.COMPARATORS = Object.keys(COMPARATORS);
+AlertRules.SEVERITIES = SEVERITIES;
+AlertRules.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = AlertRules;
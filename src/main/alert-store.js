@@ -0,0 +1,176 @@
+// src/main/alert-store.js - Alerts raised by the enterprise server, and their lifecycle
+// An alert is open until someone acknowledges, snoozes or resolves it, or until the
+// rule that raised it stops firing. Only one unresolved alert exists per client,
+// type and details.key, so a condition that keeps holding does not pile up alerts.
+const crypto = require('crypto');
+
+const STATUSES = ['open', 'acknowledged', 'snoozed', 'resolved', 'active', 'all'];
+
+class AlertStore {
+  constructor(datastore) {
+    this.datastore = datastore;
+  }
+
+  // open, acknowledged, snoozed or resolved; a lapsed snooze counts as not snoozed
+  static statusOf(alert, now = new Date()) {
+    if (alert.resolved) return 'resolved';
+    if (alert.snoozed_until && alert.snoozed_until > now.toISOString()) return 'snoozed';
+    if (alert.acknowledged_at) return 'acknowledged';
+    return 'open';
+  }
+
+  static view(alert, now = new Date()) {
+    return { ...alert, status: AlertStore.statusOf(alert, now) };
+  }
+
+  call(method, ...args) {
+    return new Promise((resolve, reject) => {
+      this.datastore[method](...args, (err, result) => {
+        if (err) reject(err);
+        else resolve(result);
+      });
+    });
+  }
+
+  // Newest first; filters: { status (default 'active': anything unresolved), clientId, type, severity, limit }
+  async list(filters = {}, now = new Date()) {
+    const status = filters.status || 'active';
+    if (!STATUSES.includes(status)) {
+      throw new Error(`Invalid status "${status}"; expected ${STATUSES.join(', ')}`);
+    }
+
+    const query = {};
+    if (filters.clientId) query.client_id = filters.clientId;
+    if (filters.type) query.alert_type = filters.type;
+    if (filters.severity) query.severity = filters.severity;
+    if (status === 'resolved') query.resolved = true;
+    else if (status !== 'all') query.resolved = false;
+
+    const alerts = (await this.call('find', query))
+      .map(alert => AlertStore.view(alert, now))
+      .filter(alert => ['active', 'all'].includes(status) || alert.status === status)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    return alerts.slice(0, filters.limit || alerts.length);
+  }
+
+  async get(id, now = new Date()) {
+    const alert = await this.call('findOne', { _id: id });
+    return alert ? AlertStore.view(alert, now) : null;
+  }
+
+  // input: { clientId, type, message, details, severity, ruleId }
+  // Returns { alert, notify }: notify is set for new alerts and for ones whose snooze
+  // ran out while the condition still held. Acknowledged alerts stay quiet.
+  async raise(input, now = new Date()) {
+    const key = input.details?.key ?? null;
+    const open = await this.call('find', { client_id: input.clientId, alert_type: input.type, resolved: false });
+    const existing = open.find(alert => (alert.details?.key ?? null) === key);
+
+    if (existing) {
+      if (existing.snoozed_until && existing.snoozed_until <= now.toISOString()) {
+        const woken = await this.set(existing._id, { snoozed_until: null, message: input.message });
+        return { alert: AlertStore.view(woken, now), notify: true };
+      }
+      return { alert: AlertStore.view(existing, now), notify: false };
+    }
+
+    const alert = {
+      _id: crypto.randomUUID(),
+      client_id: input.clientId,
+      alert_type: input.type,
+      rule_id: input.ruleId || null,
+      severity: input.severity || 'warning',
+      message: input.message,
+      details: input.details || null,
+      resolved: false,
+      timestamp: now.toISOString(),
+      acknowledged_at: null,
+      acknowledged_by: null,
+      snoozed_until: null,
+      resolved_at: null,
+      resolved_by: null,
+      note: null,
+      notifications: []
+    };
+    await this.call('insert', alert);
+    return { alert: AlertStore.view(alert, now), notify: true };
+  }
+
+  async acknowledge(id, { actor, note } = {}, now = new Date()) {
+    return this.transition(id, 'acknowledged', {
+      acknowledged_at: now.toISOString(),
+      acknowledged_by: actor || null,
+      ...(note !== undefined && { note })
+    }, now);
+  }
+
+  // { minutes } from now, or { until } as a date; the alert wakes up by itself
+  async snooze(id, { minutes, until, actor } = {}, now = new Date()) {
+    const wakeAt = minutes !== undefined ? new Date(now.getTime() + Number(minutes) * 60 * 1000) : new Date(until);
+    if (Number.isNaN(wakeAt.getTime()) || wakeAt <= now) {
+      throw new Error('Snooze needs a positive number of minutes or a future until time');
+    }
+    return this.transition(id, 'snoozed', { snoozed_until: wakeAt.toISOString(), snoozed_by: actor || null }, now);
+  }
+
+  async resolve(id, { actor, note } = {}, now = new Date()) {
+    return this.transition(id, 'resolved', {
+      resolved: true,
+      resolved_at: now.toISOString(),
+      resolved_by: actor || null,
+      ...(note !== undefined && { note })
+    }, now);
+  }
+
+  async transition(id, status, fields, now) {
+    const alert = await this.call('findOne', { _id: id });
+    if (!alert) return null;
+    if (alert.resolved) {
+      throw new Error(`Resolved alerts cannot be ${status}`);
+    }
+    return AlertStore.view(await this.set(id, fields), now);
+  }
+
+  // Resolves a rule's open alerts on a client whose key is no longer breaching
+  async resolveCleared(type, clientId, breachingKeys, now = new Date()) {
+    const open = await this.call('find', { client_id: clientId, alert_type: type, resolved: false });
+    const cleared = open.filter(alert => !breachingKeys.includes(alert.details?.key ?? null));
+
+    const resolved = [];
+    for (const alert of cleared) {
+      resolved.push(await this.resolve(alert._id, { actor: 'rule' }, now));
+    }
+    return resolved;
+  }
+
+  // Delivery results for each notifier channel: [{ channel, ok, error }]
+  async recordNotifications(id, results, now = new Date()) {
+    const alert = await this.call('findOne', { _id: id });
+    if (!alert) return null;
+    const sent = results.map(result => ({ ...result, at: now.toISOString() }));
+    return this.set(id, { notifications: [...(alert.notifications || []), ...sent] });
+  }
+
+  async remove(id) {
+    const removed = await new Promise((resolve, reject) => {
+      this.datastore.remove({ _id: id }, {}, (err, count) => {
+        if (err) reject(err);
+        else resolve(count);
+      });
+    });
+    return removed > 0;
+  }
+
+  set(id, fields) {
+    return new Promise((resolve, reject) => {
+      this.datastore.update({ _id: id }, { $set: fields }, { returnUpdatedDocs: true }, (err, count, doc) => {
+        if (err) reject(err);
+        else resolve(count > 0 ? doc : null);
+      });
+    });
+  }
+}
+
+AlertStore.STATUSES = STATUSES;
+
+module.exports = AlertStore;
@@ -0,0 +1,169 @@
+// src/main/api-key-store.js - Named, scoped API keys for the enterprise API
+// Only a SHA-256 hash of each key is stored; the key itself is shown once, when it
+// is created or rotated. Keys may be limited to departments, so a department
+// head's key only ever sees that department's clients.
+const crypto = require('crypto');
+
+// admin implies every other scope
+const SCOPES = ['read-reports', 'manage-clients', 'admin'];
+const KEY_PREFIX = 'esm_';
+// Only write lastUsedAt this often, not on every request
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+class ApiKeyStore {
+  constructor(datastore) {
+    this.datastore = datastore;
+  }
+
+  static generateKey() {
+    return `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  static hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  static validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error(`Scopes must be a non-empty list of: ${SCOPES.join(', ')}`);
+    }
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scope ${unknown.join(', ')}; expected ${SCOPES.join(', ')}`);
+    }
+    return [...new Set(scopes)];
+  }
+
+  // null means every department
+  static validateDepartments(departments) {
+    if (departments === undefined || departments === null) return null;
+    if (!Array.isArray(departments) || departments.some(department => !String(department).trim())) {
+      throw new Error('Departments must be a list of department names');
+    }
+    return [...new Set(departments.map(department => String(department).trim()))];
+  }
+
+  static grants(apiKey, scope) {
+    return apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+  }
+
+  static canSeeDepartment(apiKey, department) {
+    return !apiKey.departments || apiKey.departments.includes(department || 'Unknown');
+  }
+
+  // Never hand out the hash
+  static publicView(record) {
+    const { hash, ...view } = record;
+    return view;
+  }
+
+  call(method, ...args) {
+    return new Promise((resolve, reject) => {
+      this.datastore[method](...args, (err, result) => {
+        if (err) reject(err);
+        else resolve(result);
+      });
+    });
+  }
+
+  // Returns { key, record }; pass key to import an existing key instead of generating one
+  async create(input = {}, now = new Date(), key = ApiKeyStore.generateKey()) {
+    const name = String(input.name || '').trim();
+    if (!name) {
+      throw new Error('API keys need a name');
+    }
+
+    const scopes = ApiKeyStore.validateScopes(input.scopes);
+    const departments = ApiKeyStore.validateDepartments(input.departments);
+    // An admin can mint itself any key, so a department limit would mean nothing
+    if (scopes.includes('admin') && departments) {
+      throw new Error('Admin keys cannot be limited to departments');
+    }
+
+    const record = {
+      _id: crypto.randomUUID(),
+      name,
+      hash: ApiKeyStore.hashKey(key),
+      hint: key.slice(-4),
+      scopes,
+      departments,
+      createdAt: now.toISOString(),
+      rotatedAt: null,
+      revokedAt: null,
+      lastUsedAt: null
+    };
+    await this.call('insert', record);
+    return { key, record: ApiKeyStore.publicView(record) };
+  }
+
+  // First start only: an admin key so the dashboard is never locked out
+  async bootstrap(key, now = new Date()) {
+    const count = await this.call('count', {});
+    if (count > 0) return null;
+    return this.create({ name: 'Administrator', scopes: ['admin'] }, now, key || undefined);
+  }
+
+  // Returns the active key record for a presented key, or null
+  async authenticate(key, now = new Date()) {
+    if (!key) return null;
+    const record = await this.call('findOne', { hash: ApiKeyStore.hashKey(key) });
+    if (!record || record.revokedAt) return null;
+
+    if (!record.lastUsedAt || now - new Date(record.lastUsedAt) > LAST_USED_RESOLUTION) {
+      record.lastUsedAt = now.toISOString();
+      await this.set(record._id, { lastUsedAt: record.lastUsedAt });
+    }
+    return ApiKeyStore.publicView(record);
+  }
+
+  async list() {
+    const records = await this.call('find', {});
+    return records
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(ApiKeyStore.publicView);
+  }
+
+  // Issues a new secret for the same key id, name and scopes; the old secret stops working
+  async rotate(id, now = new Date()) {
+    const record = await this.call('findOne', { _id: id });
+    if (!record) return null;
+    if (record.revokedAt) {
+      throw new Error('Revoked keys cannot be rotated');
+    }
+
+    const key = ApiKeyStore.generateKey();
+    const updated = await this.set(id, {
+      hash: ApiKeyStore.hashKey(key),
+      hint: key.slice(-4),
+      rotatedAt: now.toISOString()
+    });
+    return { key, record: ApiKeyStore.publicView(updated) };
+  }
+
+  async revoke(id, now = new Date()) {
+    const record = await this.call('findOne', { _id: id });
+    if (!record) return null;
+    if (record.revokedAt) return ApiKeyStore.publicView(record);
+
+    if (record.scopes.includes('admin')) {
+      const admins = await this.call('find', { scopes: 'admin', revokedAt: null });
+      if (admins.length <= 1) {
+        throw new Error('Cannot revoke the last admin key');
+      }
+    }
+    return ApiKeyStore.publicView(await this.set(id, { revokedAt: now.toISOString() }));
+  }
+
+  set(id, fields) {
+    return new Promise((resolve, reject) => {
+      this.datastore.update({ _id: id }, { $set: fields }, { returnUpdatedDocs: true }, (err, count, doc) => {
+        if (err) reject(err);
+        else resolve(count > 0 ? doc : null);
+      });
+    });
+  }
+}
+
+ApiKeyStore.SCOPES = SCOPES;
+
+module.exports = ApiKeyStore;
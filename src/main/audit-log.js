@@ -0,0 +1,194 @@
+// src/main/audit-log.js - Append-only, hash-chained audit log
+// One JSON line per action. Each entry's hash covers its content and the previous
+// entry's hash, so editing, removing or reordering lines breaks the chain from
+// that point on; verify() reports the first entry that no longer matches.
+// The chain alone can be cut short or rebuilt with fresh hashes, so the owner keeps
+// the head (count and last hash) outside the file as an anchor, and verify()
+// checks the file still ends there.
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+
+const GENESIS_HASH = '0'.repeat(64);
+const CSV_COLUMNS = [
+  'sequence', 'timestamp', 'actor', 'action', 'target', 'before', 'after', 'details', 'previousHash', 'hash'
+];
+
+class AuditLog {
+  constructor(options = {}) {
+    if (!options.filePath) {
+      throw new Error('Audit log needs a file path');
+    }
+    this.filePath = options.filePath;
+    this.actor = options.actor || AuditLog.defaultActor();
+    // { read: async () => ({ count, hash }) or null, write: async head => {} }
+    this.anchor = options.anchor || null;
+    this.entries = null;
+    this.writing = Promise.resolve();
+  }
+
+  // The signed-in OS user of the admin machine
+  static defaultActor() {
+    try {
+      return `${os.userInfo().username}@${os.hostname()}`;
+    } catch (error) {
+      return os.hostname();
+    }
+  }
+
+  // Stable key order, so an entry hashes the same after a round trip through JSON
+  static canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(AuditLog.canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const fields = Object.keys(value).sort()
+        .map(key => `${JSON.stringify(key)}:${AuditLog.canonicalize(value[key])}`);
+      return `{${fields.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  static hashEntry(entry) {
+    const { hash, ...content } = entry;
+    return crypto.createHash('sha256').update(AuditLog.canonicalize(content)).digest('hex');
+  }
+
+  static parse(text) {
+    return String(text || '').split('\n').filter(line => line.trim()).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return { line: index + 1, unreadable: line };
+      }
+    });
+  }
+
+  async readFile() {
+    try {
+      return await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return '';
+      throw error;
+    }
+  }
+
+  async load() {
+    if (!this.entries) {
+      this.entries = AuditLog.parse(await this.readFile());
+    }
+    return this.entries;
+  }
+
+  // entry: { action, target, before, after, actor, details }; appends are written one at a time
+  append(entry, now = new Date()) {
+    if (!entry || !entry.action) {
+      return Promise.reject(new Error('Audit entries need an action'));
+    }
+
+    const write = this.writing.then(async () => {
+      const entries = await this.load();
+      const last = entries[entries.length - 1];
+      // Through JSON first, so undefined values hash the way they are stored
+      const record = JSON.parse(JSON.stringify({
+        sequence: (last?.sequence || entries.length) + 1,
+        timestamp: now.toISOString(),
+        actor: entry.actor || this.actor,
+        action: entry.action,
+        target: entry.target ?? null,
+        before: entry.before ?? null,
+        after: entry.after ?? null,
+        details: entry.details ?? null,
+        previousHash: last?.hash || GENESIS_HASH
+      }));
+      record.hash = AuditLog.hashEntry(record);
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`);
+      entries.push(record);
+      if (this.anchor) {
+        await this.anchor.write({ count: record.sequence, hash: record.hash });
+      }
+      return record;
+    });
+
+    this.writing = write.catch(() => {});
+    return write;
+  }
+
+  // Re-reads the file, so edits made behind the app's back are caught
+  async verify() {
+    const entries = AuditLog.parse(await this.readFile());
+    let previousHash = GENESIS_HASH;
+
+    for (let index = 0; index < entries.length; index += 1) {
+      const entry = entries[index];
+      const broken = reason => ({ valid: false, count: entries.length, brokenAt: index + 1, reason });
+
+      if (entry.unreadable !== undefined) return broken('Entry is not valid JSON');
+      if (entry.sequence !== index + 1) return broken(`Expected sequence ${index + 1}, found ${entry.sequence}`);
+      if (entry.previousHash !== previousHash) return broken('Entry does not follow the previous entry');
+      if (entry.hash !== AuditLog.hashEntry(entry)) return broken('Entry content does not match its hash');
+      previousHash = entry.hash;
+    }
+
+    const mismatch = await this.checkAnchor(entries);
+    if (mismatch) {
+      return { valid: false, count: entries.length, ...mismatch };
+    }
+    return { valid: true, count: entries.length, lastHash: previousHash };
+  }
+
+  // Whether an intact chain still ends at the recorded head; null when it does
+  async checkAnchor(entries) {
+    if (!this.anchor) return null;
+
+    const head = (await this.anchor.read()) || { count: 0, hash: GENESIS_HASH };
+    if (entries.length < head.count) {
+      return { brokenAt: entries.length + 1, reason: `Log ends early: ${head.count} entries were written` };
+    }
+    if (head.count > 0 && entries[head.count - 1].hash !== head.hash) {
+      return { brokenAt: head.count, reason: 'Entry does not match the recorded head of the log' };
+    }
+    if (entries.length > head.count) {
+      return { brokenAt: head.count + 1, reason: 'Entry was not written by this app' };
+    }
+    return null;
+  }
+
+  // Newest first; filters: { action, actor, target, since, until, limit }
+  async list(filters = {}) {
+    const entries = await this.load();
+    const matching = entries.filter(entry => (
+      (!filters.action || entry.action === filters.action)
+      && (!filters.actor || entry.actor === filters.actor)
+      && (!filters.target || entry.target === filters.target)
+      && (!filters.since || entry.timestamp >= filters.since)
+      && (!filters.until || entry.timestamp <= filters.until)
+    ));
+    return matching.reverse().slice(0, filters.limit || matching.length);
+  }
+
+  // Whole log, oldest first, as 'json' or 'csv'
+  async export(format = 'json') {
+    const entries = await this.load();
+    if (format === 'json') {
+      return JSON.stringify(entries, null, 2);
+    }
+    if (format !== 'csv') {
+      throw new Error(`Unsupported audit export format: ${format}`);
+    }
+
+    const cell = value => {
+      const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '');
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => cell(entry[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+  }
+}
+
+AuditLog.GENESIS_HASH = GENESIS_HASH;
+
+module.exports = AuditLog;
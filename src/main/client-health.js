@@ -0,0 +1,212 @@
+// src/main/client-health.js - Client states, health scores and state history
+// Every client is in one state: discovered (answering, but no usage received yet),
+// online, degraded (answering, but scoring below degradedBelow), stale (no heartbeat
+// for staleAfter minutes), offline (none for offlineAfter minutes) or decommissioned.
+// The score out of 100 adds up heartbeat freshness, whether monitoring is running and
+// whether the agent is at least minAgentVersion. State changes are kept in a NeDB
+// datastore for historyDays, so they survive restarts of the admin app.
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const STATES = ['discovered', 'online', 'degraded', 'stale', 'offline', 'decommissioned'];
+// Clients in these states count as online (is_online, client.online/client.offline)
+const REACHABLE_STATES = ['discovered', 'online', 'degraded'];
+// Points for each part of the score
+const WEIGHTS = { heartbeat: 40, monitoring: 35, version: 25 };
+
+// Times in minutes; historyDays in days
+const DEFAULT_THRESHOLDS = {
+  staleAfter: 10,
+  offlineAfter: 60,
+  degradedBelow: 80,
+  minAgentVersion: null,
+  historyDays: 90
+};
+
+const VERSION_PATTERN = /^\d+(\.\d+)*([-+].*)?$/;
+
+class ClientHealth {
+  constructor(thresholds = {}) {
+    this.thresholds = ClientHealth.validateThresholds(thresholds);
+    this.datastore = null;
+    // clientId -> state, as last recorded
+    this.states = new Map();
+    this.loading = Promise.resolve();
+  }
+
+  // Numeric comparison of dotted versions; anything after "-" or "+" is ignored
+  static compareVersions(a, b) {
+    const parts = version => String(version).split(/[-+]/)[0].split('.').map(part => Number(part) || 0);
+    const left = parts(a);
+    const right = parts(b);
+    for (let i = 0; i < Math.max(left.length, right.length); i += 1) {
+      const difference = (left[i] || 0) - (right[i] || 0);
+      if (difference !== 0) return Math.sign(difference);
+    }
+    return 0;
+  }
+
+  // Missing fields take their defaults; throws on anything that would make the states overlap
+  static validateThresholds(thresholds = {}) {
+    const unknown = Object.keys(thresholds).filter(field => !(field in DEFAULT_THRESHOLDS));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown health threshold ${unknown.join(', ')}`);
+    }
+
+    const validated = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    ['staleAfter', 'offlineAfter', 'historyDays'].forEach(field => {
+      if (typeof validated[field] !== 'number' || !(validated[field] > 0)) {
+        throw new Error(`${field} must be a positive number`);
+      }
+    });
+    if (validated.offlineAfter <= validated.staleAfter) {
+      throw new Error('offlineAfter must be longer than staleAfter');
+    }
+    const { degradedBelow, minAgentVersion } = validated;
+    if (typeof degradedBelow !== 'number' || !(degradedBelow >= 0 && degradedBelow <= 100)) {
+      throw new Error('degradedBelow must be a score from 0 to 100');
+    }
+    if (minAgentVersion !== null && !VERSION_PATTERN.test(String(minAgentVersion))) {
+      throw new Error('minAgentVersion must be a version such as 1.4.0, or null');
+    }
+    return validated;
+  }
+
+  configure(thresholds = {}) {
+    this.thresholds = ClientHealth.validateThresholds(thresholds || {});
+    return this.thresholds;
+  }
+
+  // facts: { status, lastSeen, reachable, hasData, isMonitoring, agentVersion }; reachable
+  // and isMonitoring are null when not known, as for push clients. Returns { state, score, reasons }.
+  evaluate(facts, now = Date.now()) {
+    const {
+      staleAfter, offlineAfter, degradedBelow, minAgentVersion
+    } = this.thresholds;
+    const minutes = facts.lastSeen ? (now - new Date(facts.lastSeen).getTime()) / MINUTE : Infinity;
+    const reasons = [];
+
+    // Full points for the first half of staleAfter, then down to none at staleAfter
+    let heartbeat = WEIGHTS.heartbeat * Math.min(1, Math.max(0, 2 - (2 * minutes) / staleAfter));
+    if (facts.reachable === false) {
+      heartbeat = 0;
+      reasons.push('Did not answer the last scan');
+    } else if (!Number.isFinite(minutes)) {
+      reasons.push('Never seen');
+    } else if (heartbeat < WEIGHTS.heartbeat) {
+      reasons.push(`No heartbeat for ${Math.floor(minutes)} minutes`);
+    }
+
+    const stopped = facts.isMonitoring === false;
+    if (stopped) {
+      reasons.push('Monitoring is stopped');
+    }
+    const outdated = Boolean(minAgentVersion && facts.agentVersion)
+      && ClientHealth.compareVersions(facts.agentVersion, minAgentVersion) < 0;
+    if (outdated) {
+      reasons.push(`Agent ${facts.agentVersion} is older than ${minAgentVersion}`);
+    }
+
+    const score = Math.round(heartbeat + (stopped ? 0 : WEIGHTS.monitoring) + (outdated ? 0 : WEIGHTS.version));
+    let state;
+    if (facts.status === 'decommissioned') state = 'decommissioned';
+    else if (minutes >= offlineAfter) state = 'offline';
+    else if (minutes >= staleAfter) state = 'stale';
+    else if (!facts.hasData) state = 'discovered';
+    else state = score < degradedBelow ? 'degraded' : 'online';
+
+    return { state, score, reasons };
+  }
+
+  // Set by EnterpriseServer once its datastores exist; resolves once the last
+  // recorded state of every client is loaded
+  setDatastore(datastore) {
+    this.datastore = datastore;
+    this.loading = this.load().catch(error => {
+      console.error('Failed to load client state history:', error.message);
+    });
+    return this.loading;
+  }
+
+  call(method, ...args) {
+    return new Promise((resolve, reject) => {
+      this.datastore[method](...args, (err, result) => {
+        if (err) reject(err);
+        else resolve(result);
+      });
+    });
+  }
+
+  findSorted(query, order) {
+    return new Promise((resolve, reject) => {
+      this.datastore.find(query).sort(order).exec((err, docs) => {
+        if (err) reject(err);
+        else resolve(docs);
+      });
+    });
+  }
+
+  async load() {
+    const transitions = await this.findSorted({}, { at: 1 });
+    transitions.forEach(transition => this.states.set(transition.clientId, transition.to));
+  }
+
+  // clients as listed by EnterprisePullClient, with state and health. Records every
+  // client whose state changed since it was last looked at and returns the changes
+  // as { client, from, to, at }; a client never recorded before has from: null.
+  async track(clients, now = new Date()) {
+    await this.loading;
+
+    const changes = [];
+    clients.forEach(client => {
+      const from = this.states.get(client.client_id) || null;
+      if (from === client.state) return;
+      this.states.set(client.client_id, client.state);
+      changes.push({
+        client, from, to: client.state, at: now.toISOString()
+      });
+    });
+
+    if (this.datastore) {
+      await Promise.all(changes.map(({
+        client, from, to, at
+      }) => this.call('insert', {
+        clientId: client.client_id,
+        from,
+        to,
+        score: client.health.score,
+        reasons: client.health.reasons,
+        at
+      })));
+    }
+    return changes;
+  }
+
+  // Newest first
+  async history(clientId, limit = 50) {
+    if (!this.datastore) return [];
+    const transitions = await this.findSorted({ clientId }, { at: -1 });
+    return transitions.slice(0, limit);
+  }
+
+  async forget(clientId) {
+    this.states.delete(clientId);
+    if (this.datastore) {
+      await this.call('remove', { clientId }, { multi: true });
+    }
+  }
+
+  // Drops transitions older than historyDays; returns how many
+  async prune(now = new Date()) {
+    if (!this.datastore) return 0;
+    const cutoff = new Date(now.getTime() - this.thresholds.historyDays * DAY).toISOString();
+    return this.call('remove', { at: { $lt: cutoff } }, { multi: true });
+  }
+}
+
+ClientHealth.STATES = STATES;
+ClientHealth.REACHABLE_STATES = REACHABLE_STATES;
+ClientHealth.WEIGHTS = WEIGHTS;
+ClientHealth.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+
+module.exports = ClientHealth;
@@ -0,0 +1,170 @@
+// src/main/client-registry.js - Persistent registry of enterprise clients
+// One NeDB document per client (keyed by clientId) survives admin-app restarts.
+// Discovery and pushed batches only refresh heartbeat fields; the display name,
+// department, tags and status belong to the admin and are never overwritten.
+const STATUSES = ['active', 'decommissioned'];
+const CONNECTION_MODES = ['pull', 'push', 'manual'];
+
+class ClientRegistry {
+  constructor(datastore) {
+    this.datastore = datastore;
+  }
+
+  static normalizeTags(tags) {
+    if (!Array.isArray(tags)) {
+      throw new Error('Tags must be a list');
+    }
+    const normalized = tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+    return [...new Set(normalized)].sort();
+  }
+
+  // Admin edits: { displayName, department, tags }; returns the fields to set
+  static validateChanges(changes = {}) {
+    const allowed = ['displayName', 'department', 'tags'];
+    const unknown = Object.keys(changes).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Cannot change ${unknown.join(', ')}; expected ${allowed.join(', ')}`);
+    }
+
+    const update = {};
+    if (changes.displayName !== undefined) {
+      update.displayName = String(changes.displayName || '').trim() || null;
+    }
+    if (changes.department !== undefined) {
+      update.department = String(changes.department || '').trim() || 'Unknown';
+    }
+    if (changes.tags !== undefined) {
+      update.tags = ClientRegistry.normalizeTags(changes.tags);
+    }
+    return update;
+  }
+
+  // Heartbeat info: { hostname, platform, ip, connectionMode, agentVersion }
+  static heartbeatFields(info = {}, now = new Date()) {
+    const fields = { lastSeen: now.toISOString() };
+    ['hostname', 'platform', 'ip', 'agentVersion'].forEach(key => {
+      if (info[key]) fields[key] = info[key];
+    });
+    if (CONNECTION_MODES.includes(info.connectionMode)) {
+      fields.connectionMode = info.connectionMode;
+    }
+    return fields;
+  }
+
+  static newRecord(clientId, info = {}, now = new Date()) {
+    return {
+      _id: clientId,
+      clientId,
+      hostname: clientId,
+      displayName: null,
+      department: info.department || 'Unknown',
+      platform: null,
+      ip: null,
+      connectionMode: 'manual',
+      tags: info.tags ? ClientRegistry.normalizeTags(info.tags) : [],
+      status: 'active',
+      registeredAt: now.toISOString(),
+      decommissionedAt: null,
+      ...ClientRegistry.heartbeatFields(info, now)
+    };
+  }
+
+  call(method, ...args) {
+    return new Promise((resolve, reject) => {
+      this.datastore[method](...args, (err, result) => {
+        if (err) reject(err);
+        else resolve(result);
+      });
+    });
+  }
+
+  // filters: { status: 'active' (default) | 'decommissioned' | 'all', department, tag }
+  async list(filters = {}) {
+    const query = {};
+    const status = filters.status || 'active';
+    if (status !== 'all') {
+      if (!STATUSES.includes(status)) {
+        throw new Error(`Invalid status "${status}", expected all or one of: ${STATUSES.join(', ')}`);
+      }
+      query.status = status;
+    }
+    if (filters.department) query.department = filters.department;
+    if (filters.tag) query.tags = String(filters.tag).toLowerCase();
+
+    const records = await this.call('find', query);
+    return records.sort((a, b) => a.clientId.localeCompare(b.clientId));
+  }
+
+  async get(clientId) {
+    return this.call('findOne', { _id: clientId });
+  }
+
+  // Explicit registration by an admin or deployment script; re-activates a decommissioned client
+  async register(input = {}, now = new Date()) {
+    const clientId = String(input.clientId || '').trim();
+    if (!clientId) {
+      throw new Error('Registration needs a clientId');
+    }
+
+    const { displayName, department, tags } = input;
+    const changes = ClientRegistry.validateChanges({ displayName, department, tags });
+
+    const existing = await this.get(clientId);
+    if (!existing) {
+      const record = { ...ClientRegistry.newRecord(clientId, input, now), ...changes };
+      await this.call('insert', record);
+      return { record, created: true };
+    }
+
+    const record = await this.set(clientId, {
+      ...changes,
+      ...ClientRegistry.heartbeatFields(input, now),
+      status: 'active',
+      decommissionedAt: null
+    });
+    return { record, created: false };
+  }
+
+  // Seen by the scanner or a push batch: create if unknown, otherwise refresh liveness only
+  async heartbeat(clientId, info = {}, now = new Date()) {
+    const existing = await this.get(clientId);
+    if (!existing) {
+      const record = ClientRegistry.newRecord(clientId, info, now);
+      await this.call('insert', record);
+      return record;
+    }
+    return this.set(clientId, ClientRegistry.heartbeatFields(info, now));
+  }
+
+  async update(clientId, changes) {
+    const update = ClientRegistry.validateChanges(changes);
+    if (Object.keys(update).length === 0) {
+      return this.get(clientId);
+    }
+    return this.set(clientId, update);
+  }
+
+  async decommission(clientId, now = new Date()) {
+    return this.set(clientId, { status: 'decommissioned', decommissionedAt: now.toISOString() });
+  }
+
+  // Returns the updated record, or null for an unknown client
+  set(clientId, fields) {
+    return new Promise((resolve, reject) => {
+      this.datastore.update({ _id: clientId }, { $set: fields }, { returnUpdatedDocs: true }, (err, count, doc) => {
+        if (err) reject(err);
+        else resolve(count > 0 ? doc : null);
+      });
+    });
+  }
+
+  async remove(clientId) {
+    const removed = await this.call('remove', { _id: clientId }, {});
+    return removed > 0;
+  }
+}
+
+ClientRegistry.STATUSES = STATUSES;
+ClientRegistry.CONNECTION_MODES = CONNECTION_MODES;
+
+module.exports = ClientRegistry;
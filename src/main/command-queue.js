@@ -0,0 +1,209 @@
+// src/main/command-queue.js - Commands queued from the dashboard for enterprise clients
+// A command stays queued until its client can be reached, then ends as succeeded or
+// failed with the client's result or error. Delivery is retried until the command
+// expires; clients remember command ids, so a retry never runs a command twice.
+const crypto = require('crypto');
+const AgentCommands = require('./agent-commands');
+
+const STATUSES = ['queued', 'sending', 'succeeded', 'failed', 'expired', 'cancelled'];
+const PENDING_STATUSES = ['queued', 'sending'];
+// How long a command waits for its client, in minutes
+const DEFAULT_TTL = 60;
+const MAX_TTL = 7 * 24 * 60;
+// Delivery attempts kept in each command's log
+const ATTEMPT_LOG_LIMIT = 20;
+const FINISHED_RETENTION_DAYS = 30;
+
+class CommandQueue {
+  // send(command) delivers a command and resolves with the client's outcome
+  // { status: 'succeeded' | 'failed', result, error }; it throws when the client
+  // cannot be reached, which leaves the command queued for the next run
+  constructor(options = {}) {
+    this.datastore = options.datastore;
+    this.send = options.send;
+    this.running = null;
+    this.timer = null;
+  }
+
+  // input: { command, params, ttlMinutes }; throws on anything AgentCommands would reject
+  static validate(input = {}) {
+    const { command, params } = AgentCommands.validate(input);
+    const ttlMinutes = input.ttlMinutes ?? DEFAULT_TTL;
+    if (typeof ttlMinutes !== 'number' || !(ttlMinutes > 0 && ttlMinutes <= MAX_TTL)) {
+      throw new Error(`ttlMinutes must be a number of minutes up to ${MAX_TTL}`);
+    }
+    return { command, params, ttlMinutes };
+  }
+
+  call(method, ...args) {
+    return new Promise((resolve, reject) => {
+      this.datastore[method](...args, (err, result) => {
+        if (err) reject(err);
+        else resolve(result);
+      });
+    });
+  }
+
+  set(id, fields) {
+    return new Promise((resolve, reject) => {
+      this.datastore.update({ _id: id }, { $set: fields }, { returnUpdatedDocs: true }, (err, count, doc) => {
+        if (err) reject(err);
+        else resolve(count > 0 ? doc : null);
+      });
+    });
+  }
+
+  async enqueue(clientId, input, requestedBy, now = new Date()) {
+    const { command, params, ttlMinutes } = CommandQueue.validate(input);
+    const record = {
+      _id: crypto.randomUUID(),
+      clientId,
+      command,
+      params,
+      status: 'queued',
+      requestedBy,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000).toISOString(),
+      sentAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      lastError: null,
+      attempts: []
+    };
+    await this.call('insert', record);
+    this.kick();
+    return record;
+  }
+
+  // Newest first; filters: { status, limit }
+  async list(clientId, filters = {}) {
+    if (filters.status && !STATUSES.includes(filters.status)) {
+      throw new Error(`Invalid status "${filters.status}"; expected ${STATUSES.join(', ')}`);
+    }
+
+    const query = { clientId };
+    if (filters.status) query.status = filters.status;
+    const commands = (await this.call('find', query)).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return commands.slice(0, filters.limit || commands.length);
+  }
+
+  get(clientId, id) {
+    return this.call('findOne', { _id: id, clientId });
+  }
+
+  // Only a queued command can be cancelled; one being sent may already have run
+  async cancel(clientId, id, now = new Date()) {
+    const command = await this.get(clientId, id);
+    if (!command) return null;
+    if (command.status !== 'queued') {
+      throw new Error(`Command is ${command.status} and can no longer be cancelled`);
+    }
+    return this.set(id, { status: 'cancelled', finishedAt: now.toISOString() });
+  }
+
+  // When a client is deleted; its finished commands go too
+  forget(clientId) {
+    return this.call('remove', { clientId }, { multi: true });
+  }
+
+  // Polls for clients that became reachable; enqueue() also starts a run straight away
+  start(interval = 30000) {
+    this.stop();
+    this.timer = setInterval(() => this.kick(), interval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  kick() {
+    if (!this.timer) return;
+    this.processDue().catch(error => console.error('Command delivery run failed:', error.message));
+  }
+
+  // Expires overdue commands and attempts the rest, one run at a time. Clients are
+  // sent to side by side, each client's commands in the order they were queued.
+  // A command left sending by a restart is sent again. Resolves to the attempted commands.
+  processDue(now = new Date()) {
+    if (this.running) return this.running;
+
+    this.running = (async () => {
+      const pending = (await this.call('find', { status: { $in: PENDING_STATUSES } }))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+      const byClient = new Map();
+      for (const command of pending) {
+        if (command.expiresAt <= now.toISOString()) {
+          await this.set(command._id, {
+            status: 'expired', finishedAt: now.toISOString(), error: command.lastError || 'Client was not reachable'
+          });
+        } else {
+          byClient.set(command.clientId, [...(byClient.get(command.clientId) || []), command]);
+        }
+      }
+
+      const attempted = await Promise.all([...byClient.values()].map(async commands => {
+        const results = [];
+        for (const command of commands) {
+          results.push(await this.attempt(command, now));
+        }
+        return results;
+      }));
+      return attempted.flat();
+    })().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  async attempt(command, now = new Date()) {
+    // Cancelled while earlier commands for the client were being sent
+    const current = await this.call('findOne', { _id: command._id });
+    if (!current || !PENDING_STATUSES.includes(current.status)) return current;
+
+    await this.set(command._id, { status: 'sending', sentAt: now.toISOString() });
+    const started = Date.now();
+
+    let outcome;
+    try {
+      outcome = await this.send(command);
+    } catch (error) {
+      const attempts = [...command.attempts, {
+        at: now.toISOString(), error: error.message, durationMs: Date.now() - started
+      }].slice(-ATTEMPT_LOG_LIMIT);
+      return this.set(command._id, { status: 'queued', lastError: error.message, attempts });
+    }
+
+    const attempts = [...command.attempts, {
+      at: now.toISOString(), error: null, durationMs: Date.now() - started
+    }].slice(-ATTEMPT_LOG_LIMIT);
+    return this.set(command._id, {
+      status: outcome.status === 'succeeded' ? 'succeeded' : 'failed',
+      result: outcome.result ?? null,
+      error: outcome.error ?? null,
+      lastError: null,
+      finishedAt: now.toISOString(),
+      attempts
+    });
+  }
+
+  // Finished commands leave the log after a while
+  prune(now = new Date(), days = FINISHED_RETENTION_DAYS) {
+    const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+    return this.call('remove', {
+      status: { $in: STATUSES.filter(status => !PENDING_STATUSES.includes(status)) },
+      finishedAt: { $lt: cutoff }
+    }, { multi: true });
+  }
+}
+
+CommandQueue.STATUSES = STATUSES;
+CommandQueue.PENDING_STATUSES = PENDING_STATUSES;
+CommandQueue.DEFAULT_TTL = DEFAULT_TTL;
+CommandQueue.MAX_TTL = MAX_TTL;
+
+module.exports = CommandQueue;
@@ -0,0 +1,85 @@
+// src/main/command-signer.js - Ed25519 signatures on dashboard commands
+// The enrollment token is on every client, so it can't vouch for commands. The
+// enterprise side signs each command with a private key only it holds; clients are
+// given the public key at install and run nothing it does not verify. Signatures
+// cover the command id, target client, command, params and expiry, so a signed
+// command can't be pointed at another client or replayed after it expires.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const KEY_FILE = 'command-signing.key';
+const PUBLIC_KEY_FILE = 'command-signing.pub';
+
+const payload = ({
+  id, clientId, command, params, expiresAt
+}) => Buffer.from(JSON.stringify([id, clientId, command, params ?? {}, expiresAt]));
+
+class CommandSigner {
+  // options: { privateKey, publicKey } as PEM; the public key is derived when only the private one is given
+  constructor(options = {}) {
+    if (!options.privateKey && !options.publicKey) {
+      throw new Error('A command signing key or its public key is required');
+    }
+    this.privateKey = options.privateKey ? crypto.createPrivateKey(options.privateKey) : null;
+    this.publicKey = crypto.createPublicKey(options.publicKey || this.privateKey);
+  }
+
+  static generateKeys() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    return {
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+    };
+  }
+
+  // Reuse the key pair in `dir` or create one there; the enterprise side calls this once
+  static async loadOrCreate(dir) {
+    const keyPath = path.join(dir, KEY_FILE);
+    try {
+      return new CommandSigner({ privateKey: await fs.readFile(keyPath, 'utf8') });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const keys = CommandSigner.generateKeys();
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(keyPath, keys.privateKey, { mode: 0o600 });
+    await fs.writeFile(path.join(dir, PUBLIC_KEY_FILE), keys.publicKey);
+    return new CommandSigner(keys);
+  }
+
+  // PEM to put in each client's commandPublicKey
+  getPublicKey() {
+    return this.publicKey.export({ type: 'spki', format: 'pem' });
+  }
+
+  // command: { id, clientId, command, params, expiresAt }; returns it with its signature
+  sign(command) {
+    if (!this.privateKey) {
+      throw new Error('Only the enterprise side can sign commands');
+    }
+    const signed = { ...command, params: command.params ?? {} };
+    signed.signature = crypto.sign(null, payload(signed), this.privateKey).toString('base64');
+    return signed;
+  }
+
+  // Throws unless `command` was signed for `clientId` and has not expired
+  verify(command, clientId, now = Date.now()) {
+    const signature = Buffer.from(String(command?.signature || ''), 'base64');
+    if (!signature.length || !crypto.verify(null, payload(command), this.publicKey, signature)) {
+      throw new Error('Command signature is invalid');
+    }
+    if (command.clientId !== clientId) {
+      throw new Error('Command was signed for another client');
+    }
+    if (!(Date.parse(command.expiresAt) > now)) {
+      throw new Error('Command has expired');
+    }
+  }
+}
+
+CommandSigner.KEY_FILE = KEY_FILE;
+CommandSigner.PUBLIC_KEY_FILE = PUBLIC_KEY_FILE;
+
+module.exports = CommandSigner;
@@ -2,16 +2,92 @@
 const { app, shell } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
+const UsageStore = require('./usage-store');
+const UsageQuery = require('./usage-query');
+const PdfReport = require('./pdf-report');
+const UsageWorkbook = require('./usage-workbook');
+const LicenseManager = require('./license-manager');
+const AuditLog = require('./audit-log');
+
+// Report types with their file name prefix and the PDF sections / XLSX sheets they include
+const REPORT_TYPES = {
+  summary: { fileName: 'usage-report' },
+  savings: { fileName: 'savings-report', pdfSections: ['savings'], sheets: ['costs', 'savings'] },
+  unused: { fileName: 'unused-software-report', pdfSections: ['recommendations'], sheets: ['savings'] },
+  'true-up': { fileName: 'license-true-up', pdfSections: ['licenses'], sheets: ['licenses'] }
+};
+
+const REPORT_CONTENT_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json',
+  pdf: 'application/pdf',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Metadata fields that hold credentials; left out of every export
+const CREDENTIAL_METADATA = ['enterpriseApiKey'];
 
 class DataManager {
-  constructor() {
-    this.dataPath = path.join(app.getPath('userData'), 'usage-data.json');
-    this.settingsPath = path.join(app.getPath('userData'), 'settings.json');
-    this.recommendationsPath = path.join(app.getPath('userData'), 'recommendations.json');
+  constructor(options = {}) {
+    const dataDir = options.dataDir || app.getPath('userData');
+    
+    this.dataPath = path.join(dataDir, 'usage-data.json');
+    this.dbPath = path.join(dataDir, 'usage-data.db');
+    this.settingsPath = path.join(dataDir, 'settings.json');
+    this.recommendationsPath = path.join(dataDir, 'recommendations.json');
+    this.reportHistoryPath = path.join(dataDir, 'report-history.json');
+    
+    // Opened in loadData; null means usage is kept in usage-data.json
+    this.store = null;
     
     this.usageData = this.initializeUsageData();
     this.settings = this.getDefaultSettings();
     this.recommendations = [];
+    this.licenses = new LicenseManager(this);
+    this.audit = new AuditLog({
+      filePath: path.join(dataDir, 'audit-log.jsonl'),
+      actor: options.actor,
+      // Kept with the usage data rather than in the log file
+      anchor: {
+        read: async () => this.usageData.metadata?.auditHead || null,
+        write: async head => {
+          this.usageData.metadata.auditHead = head;
+          await this.saveData();
+        }
+      }
+    });
+  }
+
+  // Changes to costs, savings, licenses and settings are kept in the audit log.
+  // A failed audit write is reported but does not undo the change.
+  async recordAudit(action, target, before, after) {
+    try {
+      await this.audit.append({ action, target, before, after });
+    } catch (error) {
+      console.error('Error writing audit log:', error);
+    }
+  }
+
+  getAuditLog(filters) {
+    return this.audit.list(filters);
+  }
+
+  verifyAuditLog() {
+    return this.audit.verify();
+  }
+
+  async exportAuditLog(format = 'csv') {
+    try {
+      const content = await this.audit.export(format);
+      const fileName = `audit-log-${new Date().toISOString().split('T')[0]}.${format}`;
+      const filePath = path.join(app.getPath('downloads'), fileName);
+      
+      await fs.writeFile(filePath, content);
+      shell.showItemInFolder(filePath);
+      return { success: true, filePath, message: `Audit log exported to ${fileName}` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
   }
 
   initializeUsageData() {
@@ -143,34 +219,45 @@ class DataManager {
     return {
       monitoringInterval: 60000, // 1 minute
       inactivityThreshold: 30, // days
+      activeThreshold: 5, // minutes without keyboard/mouse input before foreground use stops counting
+      lowActivityRatio: 0.1, // active/running below this suggests a license is left open but unused
+      sampleRetentionDays: 90, // raw monitoring samples kept in the usage database
+      licenseLookbackDays: 90, // usage window that counts towards license entitlements
+      licenseUnderuseRatio: 0.8, // seats in use below this share of entitlement flag under-deployment
       autoStart: true,
       minimizeToTray: true,
+      pluginDetectionStrategy: 'auto', // auto, proc-maps, lsof, windows-modules
+      signatureCatalogPath: null, // null uses the bundled signature-catalog.json
       notifications: {
         enabled: true,
         unusedSoftware: true,
-        exportComplete: true
+        exportComplete: true,
+        renewals: true
+      },
+      renewalAlerts: {
+        enabled: true,
+        daysBefore: 30, // alert this many days before a renewal
+        utilizationThreshold: 25, // percent of days used; below this a renewal is flagged
+        lookbackDays: 30 // usage window for utilization
       },
       export: {
         defaultFormat: 'csv',
         includeInactive: true,
         includeMetadata: true
+      },
+      reportSchedule: {
+        enabled: false,
+        cron: '0 8 * * 1', // Mondays at 08:00
+        reportType: 'summary', // summary, savings, unused, true-up
+        format: 'pdf', // csv, json, pdf, xlsx
+        // { type: 'folder', path }, { type: 'email', from, to, smtp: { host, port, secure, user, pass } }
+        // or { type: 'webhook', url, headers }
+        destinations: []
       }
     };
   }
 
   async loadData() {
-    try {
-      // Load usage data
-      const data = await fs.readFile(this.dataPath, 'utf8');
-      this.usageData = JSON.parse(data);
-      
-      // Ensure all plugin structure exists
-      this.mergePluginStructure();
-    } catch (error) {
-      console.log('No existing usage data found, using defaults');
-      this.usageData = this.initializeUsageData();
-    }
-
     try {
       // Load settings
       const settings = await fs.readFile(this.settingsPath, 'utf8');
@@ -179,6 +266,14 @@ class DataManager {
       console.log('No existing settings found, using defaults');
     }
 
+    try {
+      await this.loadUsageStore();
+    } catch (error) {
+      console.error('Usage database unavailable, falling back to usage-data.json:', error.message);
+      this.store = null;
+      await this.loadJsonData();
+    }
+
     try {
       // Load recommendations
       const recommendations = await fs.readFile(this.recommendationsPath, 'utf8');
@@ -188,14 +283,77 @@ class DataManager {
     }
   }
 
+  async loadUsageStore() {
+    const store = new UsageStore(this.dbPath);
+    await store.open();
+    this.store = store;
+    
+    if (await store.isEmpty()) {
+      if (!(await this.migrateJsonData())) {
+        this.usageData = this.initializeUsageData();
+        this.mergePluginStructure();
+        await store.save(this.usageData);
+      }
+    }
+    
+    this.usageData = { ...this.initializeUsageData(), ...(await store.load()) };
+    this.mergePluginStructure();
+    
+    await store.pruneSamples(this.settings.sampleRetentionDays);
+  }
+
+  // One-time import of the pre-database usage-data.json. The file is renamed
+  // rather than deleted so the import can be checked or redone by hand.
+  async migrateJsonData() {
+    let legacyData;
+    try {
+      legacyData = JSON.parse(await fs.readFile(this.dataPath, 'utf8'));
+    } catch (error) {
+      return false;
+    }
+    
+    this.usageData = legacyData;
+    this.mergePluginStructure();
+    this.usageData.metadata = {
+      ...(this.usageData.metadata || {}),
+      migratedFromJson: new Date().toISOString()
+    };
+    
+    await this.store.save(this.usageData);
+    await fs.rename(this.dataPath, `${this.dataPath}.migrated`);
+    console.log(`Migrated ${Object.keys(legacyData.applications || {}).length} applications from ${this.dataPath}`);
+    return true;
+  }
+
+  async loadJsonData() {
+    try {
+      const data = await fs.readFile(this.dataPath, 'utf8');
+      this.usageData = JSON.parse(data);
+      
+      // Ensure all plugin structure exists
+      this.mergePluginStructure();
+    } catch (error) {
+      console.log('No existing usage data found, using defaults');
+      this.usageData = this.initializeUsageData();
+    }
+  }
+
+  async closeStore() {
+    if (this.store) {
+      await this.store.close();
+      this.store = null;
+    }
+  }
+
   mergePluginStructure() {
     const defaultData = this.initializeUsageData();
     
-    // Ensure all applications have sessions arrays
+    // Ensure all applications have sessions arrays and activity counters
     Object.keys(this.usageData.applications || {}).forEach(appName => {
       if (!Array.isArray(this.usageData.applications[appName].sessions)) {
         this.usageData.applications[appName].sessions = [];
       }
+      this.normalizeUsageRecord(this.usageData.applications[appName]);
     });
     
     // Merge plugins structure
@@ -207,7 +365,7 @@ class DataManager {
           if (!this.usageData.plugins[vendor][product]) {
             this.usageData.plugins[vendor][product] = defaultData.plugins[vendor][product];
           } else if (typeof defaultData.plugins[vendor][product] === 'object' && 
-                     !defaultData.plugins[vendor][product].totalUsage) {
+                     defaultData.plugins[vendor][product].totalUsage === undefined) {
             // Handle nested products
             Object.keys(defaultData.plugins[vendor][product]).forEach(subProduct => {
               if (!this.usageData.plugins[vendor][product][subProduct]) {
@@ -228,12 +386,57 @@ class DataManager {
         });
       }
     });
+    
+    // Activity counters for every plugin record, including ones not in the defaults
+    Object.values(this.usageData.plugins).forEach(vendorPlugins => {
+      Object.values(vendorPlugins).forEach(product => {
+        const records = product.totalUsage !== undefined ? [product] : Object.values(product);
+        records.forEach(record => this.normalizeUsageRecord(record));
+      });
+    });
+  }
+
+  // Usage is tracked as running (process present), foreground (window focused)
+  // and active (focused with recent user input) minutes. totalUsage grows with
+  // activeTime; records written before this split only counted process
+  // presence, so that history is carried over as running time and stays in
+  // totalUsage, which inventory, costs and alert rules read.
+  normalizeUsageRecord(record) {
+    if (record.runningTime === undefined) {
+      record.runningTime = record.totalUsage || 0;
+      record.foregroundTime = 0;
+      record.activeTime = 0;
+      record.totalUsage = record.totalUsage || 0;
+      record.lastActive = record.lastUsed || null;
+    }
+    return record;
+  }
+
+  recordUsage(record, activity, timestamp) {
+    const minutes = this.settings.monitoringInterval / 60000;
+    
+    this.normalizeUsageRecord(record);
+    record.runningTime += minutes;
+    record.lastUsed = timestamp;
+    
+    if (activity.foreground) {
+      record.foregroundTime += minutes;
+    }
+    if (activity.active) {
+      record.activeTime += minutes;
+      record.totalUsage += minutes;
+      record.lastActive = timestamp;
+    }
   }
 
   async saveData() {
     try {
       this.usageData.metadata.lastSaved = new Date().toISOString();
-      await fs.writeFile(this.dataPath, JSON.stringify(this.usageData, null, 2));
+      if (this.store) {
+        await this.store.save(this.usageData);
+      } else {
+        await fs.writeFile(this.dataPath, JSON.stringify(this.usageData, null, 2));
+      }
       await fs.writeFile(this.settingsPath, JSON.stringify(this.settings, null, 2));
       await fs.writeFile(this.recommendationsPath, JSON.stringify(this.recommendations, null, 2));
     } catch (error) {
@@ -251,7 +454,11 @@ class DataManager {
       if (!this.usageData.applications[appName]) {
         this.usageData.applications[appName] = {
           totalUsage: 0,
+          runningTime: 0,
+          foregroundTime: 0,
+          activeTime: 0,
           lastUsed: null,
+          lastActive: null,
           sessions: [] // Ensure sessions array is initialized
         };
       }
@@ -263,8 +470,10 @@ class DataManager {
         app.sessions = [];
       }
       
-      app.totalUsage += 1; // Each check = 1 minute
-      app.lastUsed = timestamp;
+      this.recordUsage(app, appData, timestamp);
+      if (appData.vendor) {
+        app.vendor = appData.vendor;
+      }
       
       // Add to current session or create new one
       const lastSession = app.sessions[app.sessions.length - 1];
@@ -282,14 +491,20 @@ class DataManager {
     
     // Update plugins
     plugins.forEach((pluginData, pluginName) => {
-      this.updatePluginUsage(pluginName, timestamp);
+      this.updatePluginUsage(pluginName, timestamp, pluginData);
     });
     
+    if (this.store) {
+      this.store.recordSamples(timestamp, applications, plugins).catch(error => {
+        console.error('Error recording usage samples:', error);
+      });
+    }
+    
     // Auto-save periodically
     this.saveData();
   }
 
-  updatePluginUsage(pluginName, timestamp) {
+  updatePluginUsage(pluginName, timestamp, activity = {}) {
     // Search through all vendors and products to find the plugin
     Object.keys(this.usageData.plugins).forEach(vendor => {
       const vendorPlugins = this.usageData.plugins[vendor];
@@ -298,16 +513,14 @@ class DataManager {
         if (typeof vendorPlugins[product] === 'object' && vendorPlugins[product].totalUsage !== undefined) {
           // Direct plugin match
           if (product === pluginName || pluginName.includes(product) || product.includes(pluginName)) {
-            vendorPlugins[product].lastUsed = timestamp;
-            vendorPlugins[product].totalUsage += 1;
+            this.recordUsage(vendorPlugins[product], activity, timestamp);
             this.updatePluginSession(vendorPlugins[product], timestamp);
           }
         } else if (typeof vendorPlugins[product] === 'object') {
           // Nested plugins
           Object.keys(vendorPlugins[product]).forEach(subProduct => {
             if (subProduct === pluginName || pluginName.includes(subProduct) || subProduct.includes(pluginName)) {
-              vendorPlugins[product][subProduct].lastUsed = timestamp;
-              vendorPlugins[product][subProduct].totalUsage += 1;
+              this.recordUsage(vendorPlugins[product][subProduct], activity, timestamp);
               this.updatePluginSession(vendorPlugins[product][subProduct], timestamp);
             }
           });
@@ -347,37 +560,17 @@ class DataManager {
   }
 
   async exportData(format) {
-    const timestamp = new Date().toISOString().replace(/:/g, '-').slice(0, -5);
-    const fileName = `usage-report-${timestamp}.${format}`;
-    const filePath = path.join(app.getPath('downloads'), fileName);
-    
     try {
-      let content;
+      const report = await this.buildReport('summary', format);
+      const filePath = path.join(app.getPath('downloads'), report.fileName);
       
-      if (format === 'json') {
-        content = JSON.stringify({
-          reportDate: new Date().toISOString(),
-          systemInfo: await this.getSystemInfo(),
-          summary: this.generateSummary(),
-          usageData: this.usageData,
-          recommendations: this.recommendations,
-          savings: this.calculateDetailedSavings()
-        }, null, 2);
-      } else if (format === 'csv') {
-        content = this.generateDetailedCSV();
-      } else if (format === 'pdf') {
-        // For PDF generation, we'll create an HTML report
-        content = await this.generateHTMLReport();
-        // In production, you'd use a library like puppeteer or electron-pdf
-      }
-      
-      await fs.writeFile(filePath, content);
+      await fs.writeFile(filePath, report.content);
       shell.showItemInFolder(filePath);
       
       return { 
         success: true, 
         filePath,
-        message: `Data exported successfully to ${fileName}`
+        message: `Data exported successfully to ${report.fileName}`
       };
     } catch (error) {
       return { 
@@ -388,34 +581,132 @@ class DataManager {
     }
   }
 
+  // Build a report of the given type (summary, savings, unused, true-up) in memory;
+  // used by exports and by the report scheduler
+  async buildReport(type = 'summary', format = 'csv') {
+    const report = REPORT_TYPES[type];
+    if (!report) {
+      throw new Error(`Unknown report type: ${type}`);
+    }
+    if (!REPORT_CONTENT_TYPES[format]) {
+      throw new Error(`Unsupported report format: ${format}`);
+    }
+    
+    const timestamp = new Date().toISOString().replace(/:/g, '-').slice(0, -5);
+    let content;
+    
+    if (format === 'json') {
+      content = JSON.stringify(await this.generateJSONReport(type), null, 2);
+    } else if (format === 'csv') {
+      content = type === 'summary' ? this.generateDetailedCSV() : this.generateReportCSV(type);
+    } else if (format === 'pdf') {
+      content = await this.generatePDFReport(report.pdfSections);
+    } else {
+      content = await this.generateXLSXReport(report.sheets);
+    }
+    
+    return {
+      type,
+      format,
+      fileName: `${report.fileName}-${timestamp}.${format}`,
+      contentType: REPORT_CONTENT_TYPES[format],
+      content
+    };
+  }
+
+  async generateJSONReport(type) {
+    const reportDate = new Date().toISOString();
+    
+    if (type === 'savings') {
+      return { reportDate, reportType: type, savings: this.calculateDetailedSavings() };
+    }
+    if (type === 'unused') {
+      return { reportDate, reportType: type, recommendations: this.getRecommendations() };
+    }
+    if (type === 'true-up') {
+      return { reportDate, reportType: type, ...this.licenses.reconcile() };
+    }
+    
+    return {
+      reportDate,
+      systemInfo: await this.getSystemInfo(),
+      summary: this.generateSummary(),
+      usageData: this.exportableUsageData(),
+      recommendations: this.recommendations,
+      savings: this.calculateDetailedSavings()
+    };
+  }
+
+  // usageData as it goes into a report, without credentials kept in its metadata
+  exportableUsageData() {
+    const metadata = { ...this.usageData.metadata };
+    CREDENTIAL_METADATA.forEach(field => delete metadata[field]);
+    return { ...this.usageData, metadata };
+  }
+
+  generateReportCSV(type) {
+    if (type === 'true-up') {
+      return this.generateTrueUpCSV();
+    }
+    
+    let csv = type === 'savings' ? 'Potential Savings Report\n' : 'Unused Software Report\n';
+    csv += `Generated on: ${new Date().toISOString()}\n\n`;
+    
+    if (type === 'savings') {
+      const savings = this.calculateDetailedSavings();
+      csv += 'Software,Type,Vendor,Days Inactive,Monthly Cost\n';
+      savings.savingsBreakdown.forEach(item => {
+        csv += `${item.name},${item.type},${item.vendor || ''},${item.daysInactive},${item.monthlyCost}\n`;
+      });
+      csv += `\nTotal Monthly Savings,${savings.totalMonthlySavings}\n`;
+      csv += `Total Annual Savings,${savings.totalAnnualSavings}\n`;
+      return csv;
+    }
+    
+    csv += 'Software,Type,Vendor,Last Active,Days Inactive,Active Hours,Running Hours,Recommendation\n';
+    this.getRecommendations().forEach(item => {
+      const activeHours = (item.activeTime / 60).toFixed(2);
+      const runningHours = (item.runningTime / 60).toFixed(2);
+      csv += `${item.name},${item.type},${item.vendor},${item.lastActive || 'Never'},${item.daysInactive},`
+        + `${activeHours},${runningHours},${item.recommendation}\n`;
+    });
+    return csv;
+  }
+
   generateSummary() {
     const apps = Object.values(this.usageData.applications);
     const totalApps = apps.length;
-    const activeApps = apps.filter(app => this.getDaysInactive(app.lastUsed) <= 7).length;
+    const activeApps = apps.filter(record => this.getDaysInactive(this.getLastActive(record)) <= 7).length;
     
     let totalPlugins = 0;
     let activePlugins = 0;
     let totalUsageMinutes = 0;
+    let runningMinutes = 0;
     
     // Calculate plugin statistics
     Object.values(this.usageData.plugins).forEach(vendor => {
       Object.values(vendor).forEach(product => {
         if (product.totalUsage !== undefined) {
-          totalPlugins++;
-          if (this.getDaysInactive(product.lastUsed) <= 7) activePlugins++;
+          totalPlugins += 1;
+          if (this.getDaysInactive(this.getLastActive(product)) <= 7) activePlugins += 1;
           totalUsageMinutes += product.totalUsage;
+          runningMinutes += product.runningTime || 0;
         } else {
           Object.values(product).forEach(subProduct => {
-            totalPlugins++;
-            if (this.getDaysInactive(subProduct.lastUsed) <= 7) activePlugins++;
+            totalPlugins += 1;
+            if (this.getDaysInactive(this.getLastActive(subProduct)) <= 7) activePlugins += 1;
             totalUsageMinutes += subProduct.totalUsage;
+            runningMinutes += subProduct.runningTime || 0;
           });
         }
       });
     });
     
     // Add app usage
-    apps.forEach(app => totalUsageMinutes += app.totalUsage);
+    apps.forEach(record => {
+      totalUsageMinutes += record.totalUsage;
+      runningMinutes += record.runningTime || 0;
+    });
     
     return {
       totalApplications: totalApps,
@@ -425,6 +716,7 @@ class DataManager {
       activePlugins,
       inactivePlugins: totalPlugins - activePlugins,
       totalUsageHours: Math.round(totalUsageMinutes / 60),
+      runningHours: Math.round(runningMinutes / 60),
       utilizationRate: ((activeApps + activePlugins) / (totalApps + totalPlugins) * 100).toFixed(2),
       monitoringStartDate: this.usageData.metadata.firstRun,
       lastUpdateDate: this.usageData.metadata.lastSaved
@@ -442,7 +734,8 @@ class DataManager {
     csv += `Active Applications,${summary.activeApplications}\n`;
     csv += `Total Plugins,${summary.totalPlugins}\n`;
     csv += `Active Plugins,${summary.activePlugins}\n`;
-    csv += `Total Usage Hours,${summary.totalUsageHours}\n`;
+    csv += `Total Usage Hours (active),${summary.totalUsageHours}\n`;
+    csv += `Running Hours,${summary.runningHours}\n`;
     csv += `Utilization Rate,${summary.utilizationRate}%\n\n`;
     
     // Detailed usage data
@@ -450,21 +743,21 @@ class DataManager {
     csv += 'Type,Vendor,Product,Sub Product,Total Usage (minutes),Hours Used,Last Used,Days Inactive,Status,Monthly Cost,Recommendation\n';
     
     // Export applications
-    Object.entries(this.usageData.applications).forEach(([app, data]) => {
-      const daysInactive = this.getDaysInactive(data.lastUsed);
+    Object.entries(this.usageData.applications).forEach(([appName, data]) => {
+      const daysInactive = this.getDaysInactive(this.getLastActive(data));
       const status = daysInactive > this.settings.inactivityThreshold ? 'Inactive' : 'Active';
       const hoursUsed = (data.totalUsage / 60).toFixed(2);
-      const monthlyCost = this.getEstimatedCost(app, 'application');
+      const monthlyCost = this.getEstimatedCost(appName, 'application');
       const recommendation = daysInactive > this.settings.inactivityThreshold ? 'Consider removing' : 'Keep';
       
-      csv += `Application,,,${app},${data.totalUsage},${hoursUsed},${data.lastUsed || 'Never'},${daysInactive},${status},${monthlyCost},${recommendation}\n`;
+      csv += `Application,,,${appName},${data.totalUsage},${hoursUsed},${data.lastUsed || 'Never'},${daysInactive},${status},${monthlyCost},${recommendation}\n`;
     });
     
     // Export plugins
     Object.entries(this.usageData.plugins).forEach(([vendor, vendorPlugins]) => {
       Object.entries(vendorPlugins).forEach(([product, productData]) => {
         if (productData.totalUsage !== undefined) {
-          const daysInactive = this.getDaysInactive(productData.lastUsed);
+          const daysInactive = this.getDaysInactive(this.getLastActive(productData));
           const status = daysInactive > this.settings.inactivityThreshold ? 'Inactive' : 'Active';
           const hoursUsed = (productData.totalUsage / 60).toFixed(2);
           const monthlyCost = this.getEstimatedCost(product, 'plugin');
@@ -473,7 +766,7 @@ class DataManager {
           csv += `Plugin,${vendor},${product},,${productData.totalUsage},${hoursUsed},${productData.lastUsed || 'Never'},${daysInactive},${status},${monthlyCost},${recommendation}\n`;
         } else {
           Object.entries(productData).forEach(([subProduct, subData]) => {
-            const daysInactive = this.getDaysInactive(subData.lastUsed);
+            const daysInactive = this.getDaysInactive(this.getLastActive(subData));
             const status = daysInactive > this.settings.inactivityThreshold ? 'Inactive' : 'Active';
             const hoursUsed = (subData.totalUsage / 60).toFixed(2);
             const monthlyCost = this.getEstimatedCost(subProduct, 'plugin');
@@ -495,58 +788,60 @@ class DataManager {
     return csv;
   }
 
-  async generateHTMLReport() {
-    const summary = this.generateSummary();
-    const savings = this.calculateDetailedSavings();
-    const systemInfo = await this.getSystemInfo();
-    
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-    <title>Software Usage Report</title>
-    <style>
-        body { font-family: Arial, sans-serif; margin: 40px; }
-        h1, h2 { color: #333; }
-        table { border-collapse: collapse; width: 100%; margin: 20px 0; }
-        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-        th { background-color: #f2f2f2; }
-        .summary { background: #f9f9f9; padding: 20px; margin: 20px 0; border-radius: 8px; }
-        .savings { background: #e8f5e9; padding: 20px; margin: 20px 0; border-radius: 8px; }
-        .inactive { color: #d32f2f; }
-        .active { color: #388e3c; }
-    </style>
-</head>
-<body>
-    <h1>Software Usage Report</h1>
-    <p>Generated on: ${new Date().toLocaleDateString()}</p>
-    <p>System: ${systemInfo.hostname} (${systemInfo.osVersion})</p>
-    
-    <div class="summary">
-        <h2>Summary</h2>
-        <p>Total Applications: ${summary.totalApplications} (${summary.activeApplications} active)</p>
-        <p>Total Plugins: ${summary.totalPlugins} (${summary.activePlugins} active)</p>
-        <p>Total Usage: ${summary.totalUsageHours} hours</p>
-        <p>Utilization Rate: ${summary.utilizationRate}%</p>
-    </div>
-    
-    <div class="savings">
-        <h2>Potential Savings</h2>
-        <p>Monthly Savings: ${savings.totalMonthlySavings}</p>
-        <p>Annual Savings: ${savings.totalAnnualSavings}</p>
-        <p>Unused Licenses: ${savings.unusedLicenses}</p>
-    </div>
-    
-    <h2>Detailed Usage</h2>
-    ${this.generateHTMLTables()}
-</body>
-</html>
-    `;
+  generateTrueUpCSV() {
+    const report = this.licenses.reconcile();
+    let csv = 'License True-up Report\n';
+    csv += `Generated on: ${report.generatedAt}\n`;
+    csv += `Usage window: last ${report.lookbackDays} days\n\n`;
+    
+    csv += 'Vendor,Product,SKU,License Type,Seats,In Use,Users,Hosts,Peak Concurrent,Utilization,Status,'
+      + 'Excess Seats,Unused Seats,True-up Cost,Unused Cost,Term End,Renewal Price\n';
+    report.entitlements.forEach(item => {
+      csv += `${item.vendor},${item.product},${item.sku},${item.licenseType},${item.seats},${item.inUse},`
+        + `${item.observedUsers},${item.observedHosts},${item.peakConcurrent},${item.utilization}%,${item.status},`
+        + `${item.excessSeats},${item.unusedSeats},${item.trueUpCost},${item.unusedCost},`
+        + `${item.termEnd || ''},${item.renewalPrice}\n`;
+    });
+    
+    csv += `\nTotal True-up Cost,${report.totals.trueUpCost}\n`;
+    csv += `Total Unused Seat Cost,${report.totals.unusedCost}\n`;
+    return csv;
   }
 
-  generateHTMLTables() {
-    // Implementation for HTML tables
-    return '<!-- Detailed tables would go here -->';
+  async generatePDFReport(sections) {
+    const usageSeries = new UsageQuery(this.usageData).run({ groupBy: 'day', type: 'application' });
+    const topApplications = Object.entries(this.usageData.applications)
+      .map(([name, data]) => ({
+        name,
+        activeHours: (data.activeTime || 0) / 60,
+        runningHours: (data.runningTime || 0) / 60
+      }))
+      .filter(item => item.activeHours > 0 || item.runningHours > 0)
+      .sort((a, b) => b.activeHours - a.activeHours);
+
+    return new PdfReport({ sections }).generate({
+      generatedAt: new Date(),
+      systemInfo: await this.getSystemInfo(),
+      summary: this.generateSummary(),
+      savings: this.calculateDetailedSavings(),
+      recommendations: this.getRecommendations(),
+      licenses: sections?.includes('licenses') ? this.licenses.reconcile() : null,
+      usageSeries,
+      topApplications
+    });
+  }
+
+  generateXLSXReport(sheets) {
+    const workbook = new UsageWorkbook({ sheets })
+      .addUsage(this.usageData, {
+        getCost: (name, type) => this.getEstimatedCost(name, type),
+        savings: this.calculateDetailedSavings().savingsBreakdown
+      });
+    
+    if (sheets?.includes('licenses')) {
+      workbook.addLicenses(this.licenses.reconcile());
+    }
+    return workbook.toBuffer();
   }
 
   calculateDetailedSavings() {
@@ -555,14 +850,14 @@ class DataManager {
     const savingsBreakdown = [];
     
     // Check applications
-    Object.entries(this.usageData.applications).forEach(([app, data]) => {
-      const daysInactive = this.getDaysInactive(data.lastUsed);
+    Object.entries(this.usageData.applications).forEach(([appName, data]) => {
+      const daysInactive = this.getDaysInactive(this.getLastActive(data));
       if (daysInactive > this.settings.inactivityThreshold) {
-        const cost = this.getEstimatedCost(app, 'application');
+        const cost = this.getEstimatedCost(appName, 'application');
         totalMonthlySavings += cost;
-        unusedLicenses++;
+        unusedLicenses += 1;
         savingsBreakdown.push({
-          name: app,
+          name: appName,
           type: 'application',
           monthlyCost: cost,
           daysInactive
@@ -574,11 +869,11 @@ class DataManager {
     Object.entries(this.usageData.plugins).forEach(([vendor, vendorPlugins]) => {
       Object.entries(vendorPlugins).forEach(([product, productData]) => {
         if (productData.totalUsage !== undefined) {
-          const daysInactive = this.getDaysInactive(productData.lastUsed);
+          const daysInactive = this.getDaysInactive(this.getLastActive(productData));
           if (daysInactive > this.settings.inactivityThreshold) {
             const cost = this.getEstimatedCost(product, 'plugin');
             totalMonthlySavings += cost;
-            unusedLicenses++;
+            unusedLicenses += 1;
             savingsBreakdown.push({
               name: product,
               vendor,
@@ -589,11 +884,11 @@ class DataManager {
           }
         } else {
           Object.entries(productData).forEach(([subProduct, subData]) => {
-            const daysInactive = this.getDaysInactive(subData.lastUsed);
+            const daysInactive = this.getDaysInactive(this.getLastActive(subData));
             if (daysInactive > this.settings.inactivityThreshold) {
               const cost = this.getEstimatedCost(subProduct, 'plugin');
               totalMonthlySavings += cost;
-              unusedLicenses++;
+              unusedLicenses += 1;
               savingsBreakdown.push({
                 name: `${product} - ${subProduct}`,
                 vendor,
@@ -618,6 +913,7 @@ class DataManager {
 
   async updateCost(type, name, vendor, cost) {
     try {
+      const before = this.getEstimatedCost(name, type);
       if (type === 'application') {
         if (!this.usageData.costs) {
           this.usageData.costs = { applications: {} };
@@ -642,6 +938,7 @@ class DataManager {
       }
       
       await this.saveData();
+      await this.recordAudit('update-cost', [type, vendor, name].filter(Boolean).join(':'), before, parseFloat(cost));
       return { success: true };
     } catch (error) {
       console.error('Error updating cost:', error);
@@ -691,6 +988,42 @@ class DataManager {
     return costs[name] || (type === 'application' ? 50 : 25);
   }
 
+  // License entitlements (seats, license type, term, renewal price) per vendor product
+  getLicenses() {
+    return this.licenses.getEntitlements();
+  }
+
+  async saveLicense(entitlement) {
+    try {
+      const before = this.getLicenses().find(item => item.id === entitlement?.id) || null;
+      const saved = await this.licenses.saveEntitlement(entitlement);
+      await this.recordAudit('save-license', saved.id, before, saved);
+      return { success: true, entitlement: saved };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteLicense(id) {
+    try {
+      const before = this.getLicenses().find(item => item.id === id) || null;
+      await this.licenses.removeEntitlement(id);
+      await this.recordAudit('delete-license', id, before, null);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Entitlements against observed users, hosts and concurrent sessions
+  getTrueUpReport(options) {
+    try {
+      return { success: true, ...this.licenses.reconcile(options) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
   async trackSavingsConfirmation(item) {
     if (!this.confirmedSavings) {
       this.confirmedSavings = [];
@@ -712,6 +1045,7 @@ class DataManager {
     } catch (error) {
       console.error('Error saving confirmed savings:', error);
     }
+    await this.recordAudit('confirm-savings', [item.type, item.name].filter(Boolean).join(':'), null, saving);
     
     return saving;
   }
@@ -799,11 +1133,11 @@ class DataManager {
     let savingsPotential = 0;
     
     // Calculate application costs
-    Object.entries(this.usageData.applications).forEach(([app, data]) => {
-      const cost = this.getEstimatedCost(app, 'application');
+    Object.entries(this.usageData.applications).forEach(([appName, data]) => {
+      const cost = this.getEstimatedCost(appName, 'application');
       totalMonthly += cost;
       
-      if (this.getDaysInactive(data.lastUsed) > this.settings.inactivityThreshold) {
+      if (this.getDaysInactive(this.getLastActive(data)) > this.settings.inactivityThreshold) {
         savingsPotential += cost;
       }
     });
@@ -815,7 +1149,7 @@ class DataManager {
           const cost = this.getEstimatedCost(product.name || 'Unknown', 'plugin');
           totalMonthly += cost;
           
-          if (this.getDaysInactive(product.lastUsed) > this.settings.inactivityThreshold) {
+          if (this.getDaysInactive(this.getLastActive(product)) > this.settings.inactivityThreshold) {
             savingsPotential += cost;
           }
         }
@@ -879,7 +1213,7 @@ class DataManager {
     Object.entries(categories).forEach(([category, apps]) => {
       const activeApps = apps.filter(app => 
         this.usageData.applications[app] && 
-        this.getDaysInactive(this.usageData.applications[app].lastUsed) <= 30
+        this.getDaysInactive(this.getLastActive(this.usageData.applications[app])) <= 30
       );
       
       if (activeApps.length > 1) {
@@ -937,78 +1271,106 @@ class DataManager {
   }
 
   async resetData() {
+    const before = this.summarizeForAudit();
+    if (this.store) {
+      await this.store.clear();
+    }
+    // License entitlements are contracts, not usage, so they survive a reset, as
+    // does the head of the audit log
+    const { licenses } = this.usageData;
+    const { auditHead } = this.usageData.metadata || {};
     this.usageData = this.initializeUsageData();
+    if (licenses) {
+      this.usageData.licenses = licenses;
+    }
+    if (auditHead) {
+      this.usageData.metadata.auditHead = auditHead;
+    }
     await this.saveData();
+    await this.recordAudit('reset-data', 'usage-data', before, this.summarizeForAudit());
     return { success: true, message: 'All usage data has been reset' };
   }
 
+  // What a reset throws away, without copying the whole usage history into the log
+  summarizeForAudit() {
+    const applications = Object.values(this.usageData.applications);
+    return {
+      applications: applications.length,
+      totalUsage: applications.reduce((total, data) => total + (data.totalUsage || 0), 0),
+      customCosts: Object.keys(this.usageData.costs?.applications || {}).length,
+      licenses: (this.usageData.licenses || []).length
+    };
+  }
+
   getUsageData() {
     return this.usageData;
   }
 
+  // Usage series for a date range, grouped by hour/day/week/month and
+  // filtered by application, vendor or plugin
+  queryUsage(options) {
+    try {
+      return { success: true, ...new UsageQuery(this.usageData).run(options) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
   getSettings() {
     return this.settings;
   }
 
   async saveSettings(newSettings) {
+    const changed = Object.keys(newSettings || {})
+      .filter(key => JSON.stringify(this.settings[key]) !== JSON.stringify(newSettings[key]));
+    const before = Object.fromEntries(changed.map(key => [key, this.settings[key]]));
+    
     this.settings = { ...this.settings, ...newSettings };
     await this.saveData();
+    if (changed.length > 0) {
+      const after = Object.fromEntries(changed.map(key => [key, this.settings[key]]));
+      await this.recordAudit('save-settings', changed.join(','), before, after);
+    }
     return { success: true, message: 'Settings saved successfully' };
   }
 
   getRecommendations() {
     const recommendations = [];
-    const threshold = this.settings.inactivityThreshold;
     
     // Check applications
     Object.entries(this.usageData.applications).forEach(([app, data]) => {
-      const daysInactive = this.getDaysInactive(data.lastUsed);
-      if (daysInactive > threshold) {
-        recommendations.push({
-          type: 'application',
-          name: app,
-          vendor: 'N/A',
-          lastUsed: data.lastUsed,
-          daysInactive,
-          totalUsage: data.totalUsage,
-          recommendation: 'Consider uninstalling',
-          potentialSaving: 'Check license cost'
-        });
-      }
+      const recommendation = this.evaluateUsage(data, {
+        type: 'application',
+        name: app,
+        vendor: 'N/A',
+        recommendation: 'Consider uninstalling',
+        potentialSaving: 'Check license cost'
+      });
+      if (recommendation) recommendations.push(recommendation);
     });
     
     // Check plugins
     Object.entries(this.usageData.plugins).forEach(([vendor, vendorPlugins]) => {
       Object.entries(vendorPlugins).forEach(([product, productData]) => {
         if (productData.totalUsage !== undefined) {
-          const daysInactive = this.getDaysInactive(productData.lastUsed);
-          if (daysInactive > threshold) {
-            recommendations.push({
+          const recommendation = this.evaluateUsage(productData, {
+            type: 'plugin',
+            name: product,
+            vendor,
+            recommendation: 'Consider removing',
+            potentialSaving: 'Check subscription'
+          });
+          if (recommendation) recommendations.push(recommendation);
+        } else {
+          Object.entries(productData).forEach(([subProduct, subData]) => {
+            const recommendation = this.evaluateUsage(subData, {
               type: 'plugin',
-              name: product,
+              name: `${product} - ${subProduct}`,
               vendor,
-              lastUsed: productData.lastUsed,
-              daysInactive,
-              totalUsage: productData.totalUsage,
               recommendation: 'Consider removing',
               potentialSaving: 'Check subscription'
             });
-          }
-        } else {
-          Object.entries(productData).forEach(([subProduct, subData]) => {
-            const daysInactive = this.getDaysInactive(subData.lastUsed);
-            if (daysInactive > threshold) {
-              recommendations.push({
-                type: 'plugin',
-                name: `${product} - ${subProduct}`,
-                vendor,
-                lastUsed: subData.lastUsed,
-                daysInactive,
-                totalUsage: subData.totalUsage,
-                recommendation: 'Consider removing',
-                potentialSaving: 'Check subscription'
-              });
-            }
+            if (recommendation) recommendations.push(recommendation);
           });
         }
       });
@@ -1017,6 +1379,39 @@ class DataManager {
     return recommendations.sort((a, b) => b.daysInactive - a.daysInactive);
   }
 
+  // Recommendations are driven by active time (focused with recent input),
+  // not by the process merely being open
+  evaluateUsage(data, item) {
+    const lastActive = this.getLastActive(data);
+    const daysInactive = this.getDaysInactive(lastActive);
+    const runningTime = data.runningTime || 0;
+    const activeTime = data.activeTime || 0;
+    const details = {
+      ...item,
+      lastUsed: data.lastUsed,
+      lastActive,
+      daysInactive,
+      totalUsage: data.totalUsage,
+      runningTime,
+      activeTime,
+      activeRatio: runningTime > 0 ? Number((activeTime / runningTime).toFixed(3)) : null
+    };
+    
+    if (daysInactive > this.settings.inactivityThreshold) {
+      return details;
+    }
+    
+    // Left open for at least 10 hours but rarely worked in
+    if (runningTime >= 600 && details.activeRatio < this.settings.lowActivityRatio) {
+      return {
+        ...details,
+        recommendation: 'Mostly idle while open - review whether this license is needed'
+      };
+    }
+    
+    return null;
+  }
+
   async markForRemoval(item) {
     const recommendation = {
       ...item,
@@ -1026,6 +1421,8 @@ class DataManager {
     
     this.recommendations.push(recommendation);
     await this.saveData();
+    const target = [item.type, item.vendor, item.name].filter(Boolean).join(':');
+    await this.recordAudit('mark-for-removal', target, null, recommendation);
     
     return { 
       success: true, 
@@ -1033,6 +1430,10 @@ class DataManager {
     };
   }
 
+  getLastActive(record) {
+    return record.lastActive !== undefined ? record.lastActive : record.lastUsed;
+  }
+
   getDaysInactive(lastUsed) {
     if (!lastUsed) return Infinity;
     const diff = Date.now() - new Date(lastUsed).getTime();
@@ -1040,4 +1441,7 @@ class DataManager {
   }
 }
 
+DataManager.REPORT_TYPES = Object.keys(REPORT_TYPES);
+DataManager.REPORT_FORMATS = Object.keys(REPORT_CONTENT_TYPES);
+
 module.exports = DataManager;
\ No newline at end of file
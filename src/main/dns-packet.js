@@ -0,0 +1,222 @@
+// src/main/dns-packet.js - Encoding and decoding of the DNS messages multicast DNS uses
+// A, PTR, TXT and SRV record data is read into plain values; other types keep their raw
+// bytes. Names are written uncompressed and read with compression pointers (RFC 1035 4.1.4).
+
+const TYPES = { A: 1, PTR: 12, TXT: 16, AAAA: 28, SRV: 33, ANY: 255 };
+const CLASS_IN = 1;
+// Top bit of the class: unicast response wanted (questions) or cache flush (records)
+const CLASS_FLAG = 0x8000;
+const FLAGS = { response: 0x8000, authoritative: 0x0400 };
+const POINTER = 0xc0;
+const MAX_POINTERS = 32;
+
+const typeName = type => Object.keys(TYPES).find(name => TYPES[name] === type) || type;
+
+class DnsPacket {
+  // packet: { id, response, questions: [{ name, type, unicast }],
+  //           answers / additionals: [{ name, type, ttl, flush, data }] } with type as 'PTR' etc.
+  static encode(packet) {
+    const questions = packet.questions || [];
+    const answers = packet.answers || [];
+    const additionals = packet.additionals || [];
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(packet.id || 0, 0);
+    header.writeUInt16BE(packet.response ? FLAGS.response + FLAGS.authoritative : 0, 2);
+    header.writeUInt16BE(questions.length, 4);
+    header.writeUInt16BE(answers.length, 6);
+    header.writeUInt16BE(additionals.length, 10);
+
+    return Buffer.concat([
+      header,
+      ...questions.map(question => Buffer.concat([
+        DnsPacket.encodeName(question.name),
+        DnsPacket.uint16(DnsPacket.typeCode(question.type), CLASS_IN + (question.unicast ? CLASS_FLAG : 0))
+      ])),
+      ...[...answers, ...additionals].map(record => DnsPacket.encodeRecord(record))
+    ]);
+  }
+
+  static decode(buffer) {
+    if (buffer.length < 12) throw new Error('DNS message is shorter than its header');
+    const counts = [4, 6, 8, 10].map(offset => buffer.readUInt16BE(offset));
+    const flags = buffer.readUInt16BE(2);
+    const packet = {
+      id: buffer.readUInt16BE(0),
+      response: flags >= FLAGS.response,
+      questions: [],
+      answers: [],
+      authorities: [],
+      additionals: []
+    };
+
+    let offset = 12;
+    for (let i = 0; i < counts[0]; i++) {
+      const { name, offset: next } = DnsPacket.readName(buffer, offset);
+      DnsPacket.check(buffer, next, 4);
+      const klass = buffer.readUInt16BE(next + 2);
+      packet.questions.push({ name, type: typeName(buffer.readUInt16BE(next)), unicast: klass >= CLASS_FLAG });
+      offset = next + 4;
+    }
+    ['answers', 'authorities', 'additionals'].forEach((section, index) => {
+      for (let i = 0; i < counts[index + 1]; i++) {
+        const { record, offset: next } = DnsPacket.readRecord(buffer, offset);
+        packet[section].push(record);
+        offset = next;
+      }
+    });
+    return packet;
+  }
+
+  static typeCode(type) {
+    const code = typeof type === 'number' ? type : TYPES[type];
+    if (!code) throw new Error(`Unknown DNS record type ${type}`);
+    return code;
+  }
+
+  static uint16(...values) {
+    const buffer = Buffer.alloc(values.length * 2);
+    values.forEach((value, index) => buffer.writeUInt16BE(value, index * 2));
+    return buffer;
+  }
+
+  static encodeName(name) {
+    const labels = String(name).split('.').filter(label => label.length > 0);
+    return Buffer.concat([
+      ...labels.map(label => {
+        const bytes = Buffer.from(label, 'utf8');
+        if (bytes.length > 63) throw new Error(`DNS label "${label}" is longer than 63 bytes`);
+        return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+      }),
+      Buffer.from([0])
+    ]);
+  }
+
+  static encodeRecord(record) {
+    const data = DnsPacket.encodeData(record.type, record.data);
+    const fixed = Buffer.alloc(10);
+    fixed.writeUInt16BE(DnsPacket.typeCode(record.type), 0);
+    fixed.writeUInt16BE(CLASS_IN + (record.flush ? CLASS_FLAG : 0), 2);
+    fixed.writeUInt32BE(record.ttl, 4);
+    fixed.writeUInt16BE(data.length, 8);
+    return Buffer.concat([DnsPacket.encodeName(record.name), fixed, data]);
+  }
+
+  static encodeData(type, data) {
+    switch (type) {
+      case 'A':
+        return Buffer.from(data.split('.').map(Number));
+      case 'PTR':
+        return DnsPacket.encodeName(data);
+      case 'SRV':
+        return Buffer.concat([
+          DnsPacket.uint16(data.priority || 0, data.weight || 0, data.port),
+          DnsPacket.encodeName(data.target)
+        ]);
+      case 'TXT': {
+        // An empty TXT record still holds one empty string (RFC 6763 6.1)
+        const entries = Object.entries(data || {}).map(([key, value]) => Buffer.from(`${key}=${value}`, 'utf8'));
+        if (entries.some(entry => entry.length > 255)) throw new Error('TXT entries are limited to 255 bytes');
+        return entries.length === 0
+          ? Buffer.from([0])
+          : Buffer.concat(entries.map(entry => Buffer.concat([Buffer.from([entry.length]), entry])));
+      }
+      default:
+        return Buffer.from(data || []);
+    }
+  }
+
+  static check(buffer, offset, length) {
+    if (offset + length > buffer.length) throw new Error('DNS message is truncated');
+  }
+
+  // Follows compression pointers; offset is where the name ends in the message
+  static readName(buffer, start) {
+    const labels = [];
+    let position = start;
+    let end = null;
+    let pointers = 0;
+
+    DnsPacket.check(buffer, position, 1);
+    let length = buffer[position];
+    while (length !== 0) {
+      if (length >= POINTER) {
+        DnsPacket.check(buffer, position, 2);
+        if (end === null) end = position + 2;
+        pointers += 1;
+        if (pointers > MAX_POINTERS) throw new Error('DNS name has a compression loop');
+        position = buffer.readUInt16BE(position) - POINTER * 256;
+      } else if (length > 63) {
+        throw new Error('DNS label type is not supported');
+      } else {
+        DnsPacket.check(buffer, position + 1, length);
+        labels.push(buffer.toString('utf8', position + 1, position + 1 + length));
+        position += 1 + length;
+      }
+      DnsPacket.check(buffer, position, 1);
+      length = buffer[position];
+    }
+    return { name: labels.join('.'), offset: end === null ? position + 1 : end };
+  }
+
+  static readRecord(buffer, start) {
+    const { name, offset } = DnsPacket.readName(buffer, start);
+    DnsPacket.check(buffer, offset, 10);
+    const type = typeName(buffer.readUInt16BE(offset));
+    const klass = buffer.readUInt16BE(offset + 2);
+    const length = buffer.readUInt16BE(offset + 8);
+    const dataStart = offset + 10;
+    DnsPacket.check(buffer, dataStart, length);
+
+    return {
+      record: {
+        name,
+        type,
+        flush: klass >= CLASS_FLAG,
+        ttl: buffer.readUInt32BE(offset + 4),
+        data: DnsPacket.readData(buffer, type, dataStart, length)
+      },
+      offset: dataStart + length
+    };
+  }
+
+  static readData(buffer, type, start, length) {
+    switch (type) {
+      case 'A':
+        if (length !== 4) throw new Error('A record is not 4 bytes');
+        return [...buffer.subarray(start, start + 4)].join('.');
+      case 'PTR':
+        return DnsPacket.readName(buffer, start).name;
+      case 'SRV':
+        if (length < 7) throw new Error('SRV record is too short');
+        return {
+          priority: buffer.readUInt16BE(start),
+          weight: buffer.readUInt16BE(start + 2),
+          port: buffer.readUInt16BE(start + 4),
+          target: DnsPacket.readName(buffer, start + 6).name
+        };
+      case 'TXT': {
+        // key=value entries; a key without a value is true (RFC 6763 6.4)
+        const entries = {};
+        let position = start;
+        while (position < start + length) {
+          const size = buffer[position];
+          const entry = buffer.toString('utf8', position + 1, Math.min(position + 1 + size, start + length));
+          const separator = entry.indexOf('=');
+          if (separator > 0) {
+            entries[entry.slice(0, separator)] = entry.slice(separator + 1);
+          } else if (entry.length > 0) {
+            entries[entry] = true;
+          }
+          position += 1 + size;
+        }
+        return entries;
+      }
+      default:
+        return buffer.subarray(start, start + length);
+    }
+  }
+}
+
+DnsPacket.TYPES = TYPES;
+
+module.exports = DnsPacket;
@@ -0,0 +1,256 @@
+// src/main/dns-sd.js - DNS-SD service advertising and browsing over multicast DNS (RFC 6762/6763)
+// One socket per instance joins the mDNS group. Advertised services answer PTR, SRV, TXT
+// and A queries for their names, are announced when added and withdrawn (TTL 0) on stop.
+// browse() sends one PTR query and assembles the services from the answers it collects.
+
+const dgram = require('dgram');
+const os = require('os');
+const DnsPacket = require('./dns-packet');
+
+const MDNS_GROUP = '224.0.0.251';
+const MDNS_PORT = 5353;
+// Host records short, service records long, as RFC 6762 section 10 recommends
+const TTL = { host: 120, service: 4500 };
+const SERVICE_ENUMERATION = '_services._dns-sd._udp.local';
+const CLIENT_SERVICE_TYPE = '_esm-client._tcp';
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+class DnsSd {
+  // options: { group, port, interface (local IPv4 address to join and send on; all by default) }
+  constructor(options = {}) {
+    this.group = options.group || MDNS_GROUP;
+    this.port = options.port || MDNS_PORT;
+    this.interface = options.interface || null;
+    this.socket = null;
+    this.services = new Map();
+    this.collectors = new Set();
+  }
+
+  // Non-internal IPv4 addresses of this machine
+  static localAddresses() {
+    return Object.values(os.networkInterfaces())
+      .flat()
+      .filter(iface => iface && iface.family === 'IPv4' && !iface.internal)
+      .map(iface => iface.address);
+  }
+
+  // Instance names are one DNS label: dots would split them
+  static instanceLabel(name) {
+    let label = String(name).replace(/\./g, '-');
+    while (Buffer.byteLength(label) > 63) label = label.slice(0, -1);
+    return label;
+  }
+
+  async start() {
+    if (this.socket) return;
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+    await new Promise((resolve, reject) => {
+      socket.once('error', reject);
+      socket.bind(this.port, () => {
+        socket.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    const interfaces = this.interface ? [this.interface] : DnsSd.localAddresses();
+    const joined = interfaces.filter(address => {
+      try {
+        socket.addMembership(this.group, address);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+    if (joined.length === 0) socket.addMembership(this.group);
+    if (this.interface) socket.setMulticastInterface(this.interface);
+    socket.setMulticastTTL(255);
+    socket.setMulticastLoopback(true);
+
+    socket.on('message', (message, remote) => this.handleMessage(message, remote));
+    socket.on('error', (error) => {
+      console.error('mDNS socket error:', error.message);
+    });
+    this.socket = socket;
+  }
+
+  // Sends goodbyes for advertised services, then closes the socket
+  async stop() {
+    if (!this.socket) return;
+    const services = [...this.services.values()];
+    if (services.length > 0) {
+      await this.send({
+        response: true,
+        answers: services.flatMap(service => this.serviceRecords(service, 0))
+      }).catch(() => {});
+    }
+    this.services.clear();
+    this.collectors.clear();
+
+    const { socket } = this;
+    this.socket = null;
+    await new Promise(resolve => {
+      socket.close(resolve);
+    });
+  }
+
+  // service: { name, type: '_esm-client._tcp', port, txt: {}, addresses (this machine's by default) }
+  async advertise(service) {
+    if (!this.socket) throw new Error('DNS-SD is not started');
+    const label = DnsSd.instanceLabel(service.name);
+    const record = {
+      name: label,
+      type: service.type,
+      fqdn: `${label}.${service.type}.local`,
+      host: `${label}.local`,
+      port: service.port,
+      txt: service.txt || {},
+      addresses: service.addresses || DnsSd.localAddresses()
+    };
+    this.services.set(record.fqdn.toLowerCase(), record);
+
+    await this.send({ response: true, answers: this.serviceRecords(record) });
+    return record;
+  }
+
+  // Services of one type that answer within timeout ms, as
+  // [{ name, fqdn, host, port, addresses, txt }]; services without an address are left out
+  async browse(type, options = {}) {
+    if (!this.socket) throw new Error('DNS-SD is not started');
+    const records = [];
+    const collect = answer => records.push(...answer);
+    this.collectors.add(collect);
+
+    try {
+      await this.send({ questions: [{ name: `${type}.local`, type: 'PTR' }] });
+      await new Promise(resolve => {
+        setTimeout(resolve, options.timeout ?? 3000);
+      });
+    } finally {
+      this.collectors.delete(collect);
+    }
+    return DnsSd.assemble(type, records);
+  }
+
+  static assemble(type, records) {
+    const latest = (recordType, name) => records
+      .filter(record => record.type === recordType && sameName(record.name, name))
+      .pop();
+    const pointers = records.filter(record => record.type === 'PTR' && sameName(record.name, `${type}.local`));
+    const instances = pointers
+      .map(record => record.data)
+      .filter((fqdn, index, all) => all.findIndex(other => sameName(other, fqdn)) === index);
+
+    return instances.map(fqdn => {
+      // The last word on an instance wins; TTL 0 is a goodbye
+      const pointer = pointers.filter(record => sameName(record.data, fqdn)).pop();
+      const srv = latest('SRV', fqdn);
+      if (!srv || srv.ttl === 0 || pointer.ttl === 0) return null;
+      const txt = latest('TXT', fqdn);
+      const addresses = records
+        .filter(record => record.type === 'A' && record.ttl > 0 && sameName(record.name, srv.data.target))
+        .map(record => record.data);
+      return {
+        name: fqdn.slice(0, fqdn.length - `.${type}.local`.length),
+        fqdn,
+        host: srv.data.target,
+        port: srv.data.port,
+        addresses: [...new Set(addresses)],
+        txt: txt ? txt.data : {}
+      };
+    }).filter(service => service && service.addresses.length > 0);
+  }
+
+  // PTR, SRV, TXT and A records for one service; ttl 0 withdraws them
+  serviceRecords(service, ttl = null) {
+    const serviceTtl = ttl ?? TTL.service;
+    const hostTtl = ttl ?? TTL.host;
+    return [
+      { name: `${service.type}.local`, type: 'PTR', ttl: serviceTtl, data: service.fqdn },
+      ...this.instanceRecords(service, serviceTtl),
+      ...this.addressRecords(service, hostTtl)
+    ];
+  }
+
+  instanceRecords(service, ttl = TTL.service) {
+    return [
+      { name: service.fqdn, type: 'SRV', ttl, flush: true, data: { port: service.port, target: service.host } },
+      { name: service.fqdn, type: 'TXT', ttl, flush: true, data: service.txt }
+    ];
+  }
+
+  addressRecords(service, ttl = TTL.host) {
+    return service.addresses.map(address => ({ name: service.host, type: 'A', ttl, flush: true, data: address }));
+  }
+
+  handleMessage(message, remote) {
+    let packet;
+    try {
+      packet = DnsPacket.decode(message);
+    } catch (error) {
+      return; // Not ours to fix; other responders share the group
+    }
+
+    if (packet.response) {
+      const records = [...packet.answers, ...packet.additionals];
+      this.collectors.forEach(collect => collect(records));
+      return;
+    }
+    this.answer(packet, remote);
+  }
+
+  answer(query, remote) {
+    const answers = [];
+    const additionals = [];
+    const services = [...this.services.values()];
+
+    query.questions.forEach(question => {
+      const any = question.type === 'ANY';
+      services.forEach(service => {
+        if ((any || question.type === 'PTR') && sameName(question.name, `${service.type}.local`)) {
+          answers.push({ name: question.name, type: 'PTR', ttl: TTL.service, data: service.fqdn });
+          additionals.push(...this.instanceRecords(service), ...this.addressRecords(service));
+        } else if ((any || question.type === 'PTR') && sameName(question.name, SERVICE_ENUMERATION)) {
+          answers.push({ name: SERVICE_ENUMERATION, type: 'PTR', ttl: TTL.service, data: `${service.type}.local` });
+        } else if (sameName(question.name, service.fqdn)) {
+          answers.push(...this.instanceRecords(service).filter(record => any || record.type === question.type));
+          additionals.push(...this.addressRecords(service));
+        } else if ((any || question.type === 'A') && sameName(question.name, service.host)) {
+          answers.push(...this.addressRecords(service));
+        }
+      });
+    });
+    if (answers.length === 0) return;
+
+    // Queries from a port other than 5353 come from plain resolvers, which need a unicast
+    // reply echoing their id and question (RFC 6762 section 6.7)
+    const legacy = remote.port !== this.port;
+    const unicast = legacy || query.questions.some(question => question.unicast);
+    const response = {
+      id: legacy ? query.id : 0,
+      response: true,
+      questions: legacy ? query.questions : [],
+      answers,
+      additionals
+    };
+    this.send(response, unicast ? remote : null).catch(error => {
+      console.error('mDNS response failed:', error.message);
+    });
+  }
+
+  send(packet, remote = null) {
+    const message = DnsPacket.encode(packet);
+    const port = remote ? remote.port : this.port;
+    const address = remote ? remote.address : this.group;
+    return new Promise((resolve, reject) => {
+      this.socket.send(message, port, address, error => (error ? reject(error) : resolve()));
+    });
+  }
+}
+
+DnsSd.MDNS_GROUP = MDNS_GROUP;
+DnsSd.MDNS_PORT = MDNS_PORT;
+DnsSd.CLIENT_SERVICE_TYPE = CLIENT_SERVICE_TYPE;
+
+module.exports = DnsSd;
@@ -3,6 +3,10 @@ const NetworkScanner = require('./network-scanner');
 const { EventEmitter } = require('events');
 const path = require('path');
 const fs = require('fs').promises;
+const { app: electronApp } = require('electron');
+const UsageDelta = require('./usage-delta');
+const ClientHealth = require('./client-health');
+const CommandSigner = require('./command-signer');
 
 class EnterprisePullClient extends EventEmitter {
   constructor(dataManager) {
@@ -11,11 +15,15 @@ class EnterprisePullClient extends EventEmitter {
     this.scanner = new NetworkScanner();
     this.isRunning = false;
     this.syncInterval = null;
+    this.registry = null;
+    this.health = new ClientHealth();
+    this.commandSigner = null;
     this.config = {
       scanInterval: 300000, // 5 minutes
       syncToServer: false, // Optional: sync to central server
       serverUrl: process.env.ENTERPRISE_SERVER_URL,
-      apiKey: process.env.ENTERPRISE_API_KEY
+      apiKey: process.env.ENTERPRISE_API_KEY,
+      enrollmentToken: process.env.ENTERPRISE_ENROLLMENT_TOKEN // Shared with every client at install
     };
     
     // Set up scanner event handlers
@@ -26,13 +34,49 @@ class EnterprisePullClient extends EventEmitter {
     // Load enterprise configuration
     await this.loadConfig();
     
+    const userData = electronApp.getPath('userData');
+    
+    // Sign client requests and pin client certificates
+    await this.scanner.configureChannel({
+      enrollmentToken: this.config.enrollmentToken,
+      pinStorePath: path.join(userData, 'client-pins.json')
+    });
+    
+    // Commands are signed with a key only this side holds; clients get its public half
+    try {
+      this.commandSigner = await CommandSigner.loadOrCreate(userData);
+    } catch (error) {
+      console.error('Failed to load the command signing key; remote commands are unavailable:', error.message);
+    }
+    
+    // Subnets and ranges beyond the local interfaces
+    try {
+      this.scanner.configureTargets(this.config.scanTargets);
+    } catch (error) {
+      console.error('Ignoring invalid scanTargets in enterprise configuration:', error.message);
+    }
+    
+    // Clients advertised over DNS-SD, and whether to sweep when none are found
+    try {
+      this.scanner.configureDiscovery(this.config.discovery);
+    } catch (error) {
+      console.error('Ignoring invalid discovery settings in enterprise configuration:', error.message);
+    }
+    
+    // When clients count as degraded, stale or offline
+    try {
+      this.health.configure(this.config.health);
+    } catch (error) {
+      console.error('Ignoring invalid health thresholds in enterprise configuration:', error.message);
+    }
+    
     // Start network scanning
     this.start();
   }
 
   async loadConfig() {
     try {
-      const configPath = path.join(require('electron').app.getPath('userData'), 'enterprise-config.json');
+      const configPath = path.join(electronApp.getPath('userData'), 'enterprise-config.json');
       const configData = await fs.readFile(configPath, 'utf8');
       this.config = { ...this.config, ...JSON.parse(configData) };
     } catch (error) {
@@ -96,9 +140,12 @@ class EnterprisePullClient extends EventEmitter {
     }
   }
 
+  // update: { clientId, ip, data: the client's usage, delta: what changed since the
+  // sync cursor }. A delta that continues from the stored copy's cursor is merged
+  // into it; a full one, or one after a gap (e.g. a restarted scanner), replaces it.
   async storeClientData(update) {
     // Store client data in the main app's data manager
-    const { clientId, data } = update;
+    const { clientId, data, delta } = update;
     
     if (!data) return;
     
@@ -107,10 +154,15 @@ class EnterprisePullClient extends EventEmitter {
       this.dataManager.usageData.enterpriseClients = {};
     }
     
+    const stored = this.dataManager.usageData.enterpriseClients[clientId];
+    const continues = delta && !delta.full && stored?.syncCursor && stored.syncCursor === delta.since;
+    const { syncCursor, ...usage } = continues ? UsageDelta.merge(stored, delta) : data;
+    
     this.dataManager.usageData.enterpriseClients[clientId] = {
-      ...data,
+      ...usage,
       lastUpdate: new Date().toISOString(),
-      ip: update.ip
+      ip: update.ip,
+      ...(delta ? { syncCursor: delta.cursor } : {})
     };
     
     // Save data
@@ -159,29 +211,65 @@ class EnterprisePullClient extends EventEmitter {
     }
   }
 
+  // Set by EnterpriseServer once its client registry is loaded
+  setRegistry(registry) {
+    this.registry = registry;
+  }
+
   // API Methods for Enterprise Dashboard
-  async getAllClients() {
-    const clients = this.scanner.getDiscoveredClients();
-    const enrichedClients = [];
-    
-    for (const client of clients) {
-      const enriched = {
-        client_id: client.clientId,
-        hostname: client.latestData?.systemInfo?.hostname || client.clientId,
-        department: client.department || 'Unknown',
-        platform: client.latestData?.systemInfo?.platform || 'Unknown',
-        last_seen: client.lastUpdate || client.lastSeen,
-        first_seen: client.firstSeen || client.lastSeen,
-        data_points: 1,
-        latest_usage: this.formatClientData(client.latestData),
-        ip_address: client.ip,
-        is_online: client.isOnline
-      };
-      
-      enrichedClients.push(enriched);
+  // filters: { status, department, tag } as for ClientRegistry.list
+  async getAllClients(filters = {}) {
+    const live = new Map(this.scanner.getDiscoveredClients().map(client => [client.clientId, client]));
+    const stored = this.dataManager.usageData.enterpriseClients || {};
+    
+    let records;
+    if (this.registry) {
+      records = await this.registry.list(filters);
+    } else {
+      // No registry yet: only what was scanned or pushed can be listed
+      const pushed = Object.keys(stored).filter(clientId => stored[clientId].source === 'push');
+      records = [...new Set([...live.keys(), ...pushed])].map(clientId => ({ clientId }));
     }
     
-    return enrichedClients;
+    return records.map(record => this.describeClient(record, live.get(record.clientId), stored[record.clientId]));
+  }
+
+  // Registry record + live scanner state + last stored data, in the dashboard's format
+  describeClient(record, live, stored) {
+    const data = live?.latestData || stored || null;
+    const systemInfo = data?.systemInfo || {};
+    const lastPush = stored?.source === 'push' ? stored.lastUpdate : null;
+    const lastSeen = live?.lastUpdate || live?.lastSeen || lastPush || record.lastSeen || null;
+    const agentVersion = live?.agentVersion || record.agentVersion || null;
+    const health = this.health.evaluate({
+      status: record.status,
+      lastSeen,
+      reachable: live ? live.isOnline : null,
+      hasData: Boolean(data),
+      isMonitoring: live?.isMonitoring ?? null,
+      agentVersion
+    });
+    
+    return {
+      client_id: record.clientId,
+      hostname: systemInfo.hostname || record.hostname || record.clientId,
+      display_name: record.displayName || null,
+      department: record.department || live?.department || data?.department || 'Unknown',
+      platform: systemInfo.platform || record.platform || 'Unknown',
+      last_seen: lastSeen,
+      first_seen: record.registeredAt || live?.lastSeen || null,
+      data_points: stored?.push?.records || (data ? 1 : 0),
+      latest_usage: this.formatClientData(data),
+      ip_address: live?.ip || record.ip || stored?.ip || null,
+      is_online: ClientHealth.REACHABLE_STATES.includes(health.state),
+      state: health.state,
+      health: { score: health.score, reasons: health.reasons },
+      agent_version: agentVersion,
+      connection_mode: record.connectionMode || (live ? 'pull' : 'push'),
+      tags: record.tags || [],
+      status: record.status || 'active',
+      decommissioned_at: record.decommissionedAt || null
+    };
   }
 
   formatClientData(data) {
@@ -225,19 +313,73 @@ class EnterprisePullClient extends EventEmitter {
   }
 
   async getClientById(clientId) {
-    const client = this.scanner.getClientById(clientId);
-    if (!client) return null;
+    const live = this.scanner.getClientById(clientId);
+    const stored = (this.dataManager.usageData.enterpriseClients || {})[clientId];
+    const known = live || stored ? { clientId } : null;
+    const record = this.registry ? await this.registry.get(clientId) : known;
+    if (!record) return null;
     
-    // Get fresh data
-    const latestData = await this.scanner.getClientData(client.ip);
+    // Get fresh data from clients the scanner can reach
+    const latestData = live ? await this.scanner.getClientData(live.ip) : null;
+    const client = this.describeClient(record, latestData ? { ...live, latestData } : live, stored);
     
     return {
       client,
-      latestUsage: this.formatClientData(latestData),
-      history: await this.getClientHistory(client.ip)
+      latestUsage: client.latest_usage,
+      history: live ? await this.getClientHistory(live.ip) : []
     };
   }
 
+  // Dashboard record for one client from what is already known, without contacting it
+  async getClientSummary(clientId) {
+    const live = this.scanner.getClientById(clientId);
+    const stored = (this.dataManager.usageData.enterpriseClients || {})[clientId];
+    const known = live || stored ? { clientId } : null;
+    const record = this.registry ? await this.registry.get(clientId) : known;
+    return record ? this.describeClient(record, live, stored) : null;
+  }
+
+  // Delivers a queued dashboard command (see CommandQueue). Throws while the scanner
+  // cannot reach the client, which keeps the command queued.
+  async sendCommand(command) {
+    const live = this.scanner.getClientById(command.clientId);
+    if (!live || !live.isOnline) {
+      throw new Error('Client is not reachable by the scanner');
+    }
+    if (!this.commandSigner) {
+      throw new Error('No command signing key is loaded');
+    }
+
+    const outcome = await this.scanner.sendCommand(live.ip, this.commandSigner.sign({
+      id: command._id,
+      clientId: command.clientId,
+      command: command.command,
+      params: command.params,
+      expiresAt: command.expiresAt
+    }));
+    // Collect what was just uploaded rather than waiting for the next scan
+    if (command.command === 'force-upload' && outcome.status === 'succeeded') {
+      await this.scanner.updateClientData(live.ip, this.scanner.getClientByIp(live.ip));
+    }
+    return outcome;
+  }
+
+  // Drop everything held for a deleted client: scanner entry, pin and stored data
+  async forgetClient(clientId) {
+    const live = this.scanner.getClientById(clientId);
+    if (live) {
+      this.scanner.removeClient(live.ip);
+    }
+    if (this.scanner.pins[clientId]) {
+      await this.scanner.removePin(clientId);
+    }
+    if (this.dataManager.usageData.enterpriseClients?.[clientId]) {
+      delete this.dataManager.usageData.enterpriseClients[clientId];
+      await this.dataManager.saveData();
+    }
+    await this.health.forget(clientId);
+  }
+
   async getClientHistory(clientIp) {
     try {
       const history = await this.scanner.getClientUsageHistory(clientIp, 7);
@@ -247,8 +389,9 @@ class EnterprisePullClient extends EventEmitter {
     }
   }
 
-  async getStatistics() {
-    const clients = await this.getAllClients();
+  // visible: optional filter, e.g. the departments an API key may see
+  async getStatistics(visible = () => true) {
+    const clients = (await this.getAllClients()).filter(visible);
     const onlineClients = clients.filter(c => c.is_online).length;
     
     // Calculate aggregated statistics
@@ -294,15 +437,32 @@ class EnterprisePullClient extends EventEmitter {
     return this.scanner.removeClient(ip);
   }
 
+  // Lets a reinstalled client (new certificate) be pinned again
+  async resetClientPin(clientId) {
+    return this.scanner.removePin(clientId);
+  }
+
   getConfig() {
     return this.config;
   }
 
   async updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig };
+    // Rejects invalid scan targets, discovery settings and health thresholds before anything is changed
+    if (newConfig.discovery) NetworkScanner.validateDiscovery(newConfig.discovery);
+    if (newConfig.health) ClientHealth.validateThresholds(newConfig.health);
+    const scanTargets = newConfig.scanTargets && this.scanner.configureTargets(newConfig.scanTargets);
+    const discovery = newConfig.discovery && this.scanner.configureDiscovery(newConfig.discovery);
+    const health = newConfig.health && this.health.configure(newConfig.health);
+    this.config = {
+      ...this.config,
+      ...newConfig,
+      ...(scanTargets ? { scanTargets } : {}),
+      ...(discovery ? { discovery } : {}),
+      ...(health ? { health } : {})
+    };
     
     // Save config
-    const configPath = path.join(require('electron').app.getPath('userData'), 'enterprise-config.json');
+    const configPath = path.join(electronApp.getPath('userData'), 'enterprise-config.json');
     await fs.writeFile(configPath, JSON.stringify(this.config, null, 2));
     
     // Restart scanner with new interval if changed
@@ -1,10 +1,50 @@
 // src/main/enterprise-server.js
 const express = require('express');
 const cors = require('cors');
+const https = require('https');
 const path = require('path');
 const fs = require('fs').promises;
 const Datastore = require('nedb'); // Changed from sqlite3
 const { app: electronApp } = require('electron');
+const UsageWorkbook = require('./usage-workbook');
+const UsageIngest = require('./usage-ingest');
+const SecureChannel = require('./secure-channel');
+const SelfSignedCertificate = require('./self-signed-certificate');
+const ClientRegistry = require('./client-registry');
+const ApiKeyStore = require('./api-key-store');
+const AuditLog = require('./audit-log');
+const AlertRules = require('./alert-rules');
+const AlertStore = require('./alert-store');
+const AlertNotifier = require('./alert-notifier');
+const UsageHistory = require('./usage-history');
+const WebhookDispatcher = require('./webhook-dispatcher');
+const LiveFeed = require('./live-feed');
+const ClientHealth = require('./client-health');
+const CommandQueue = require('./command-queue');
+const SignatureCatalog = require('./signature-catalog');
+const OpenApiValidator = require('./openapi-validator');
+const openApiSpec = require('./openapi-spec');
+
+// Sheets included in the XLSX export for each report type
+const WORKBOOK_SHEETS = {
+  'full-report': ['applications', 'plugins', 'sessions', 'costs', 'savings'],
+  'cost-analysis': ['costs', 'savings'],
+  'unused-software': ['savings']
+};
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// Placeholder keys from older configs and the renderer; never imported as real keys
+const PLACEHOLDER_API_KEYS = ['your-secure-api-key', 'your-api-key'];
+// The dashboard's own API key, next to the app data
+const DASHBOARD_KEY_FILE = 'enterprise-api.key';
+// Past-tense webhook event for each alert route action
+const ALERT_ACTION_EVENTS = {
+  acknowledge: 'alert.acknowledged',
+  snooze: 'alert.snoozed',
+  resolve: 'alert.resolved'
+};
+// Alert rules run more often than aggregation, so rule durations stay close to what was asked for
+const ALERT_CHECK_INTERVAL = 60 * 1000;
 
 class EnterpriseServer {
   constructor(pullClient, dataManager) {
@@ -13,134 +53,1217 @@ class EnterpriseServer {
     this.server = null;
     this.app = express();
     this.port = process.env.ENTERPRISE_PORT || 3443;
+    // Push agents send usage across the WAN, so ingest has its own HTTPS listener
+    this.tlsServer = null;
+    this.tlsPort = process.env.ENTERPRISE_TLS_PORT || 3444;
+    this.certificate = null;
     this.dbPath = path.join(electronApp.getPath('userData'), 'nedb-data');
+    this.ingest = new UsageIngest(dataManager);
+    this.ingestChannel = null;
+    this.registry = null;
+    this.apiKeys = null;
+    this.alertRules = null;
+    this.alerts = null;
+    this.notifier = new AlertNotifier();
+    this.history = null;
+    this.webhooks = null;
+    this.commands = null;
+    this.liveFeed = new LiveFeed();
+    // Development builds also check responses against the spec and log mismatches
+    this.validator = new OpenApiValidator(openApiSpec, { validateResponses: process.env.NODE_ENV === 'development' });
+    this.auditLog = new AuditLog({
+      filePath: path.join(this.dbPath, 'audit-log.jsonl'),
+      actor: 'enterprise-api',
+      // Kept with the admin's usage data rather than next to the log
+      anchor: {
+        read: async () => this.dataManager.usageData.metadata?.enterpriseAuditHead || null,
+        write: async head => {
+          this.dataManager.usageData.metadata.enterpriseAuditHead = head;
+          await this.dataManager.saveData();
+        }
+      }
+    });
     
     // Initialize NeDB datastores instead of SQLite
     this.db = {
       historicalData: null,
+      usageRollups: null,
       costTracking: null,
-      alerts: null
+      alerts: null,
+      alertRules: null,
+      clients: null,
+      apiKeys: null,
+      webhooks: null,
+      webhookDeliveries: null,
+      clientStates: null,
+      commands: null
     };
     
     this.setupMiddleware();
     this.setupRoutes();
-    this.initDatabase();
+    // Resolves once the datastores and API keys are ready
+    this.ready = this.initDatabase();
   }
 
   setupMiddleware() {
     this.app.use(cors());
-    this.app.use(express.json());
+    // Keep the raw body for pushed batches, whose signatures cover it
+    this.app.use(express.json({
+      limit: '10mb',
+      verify: (req, res, buffer) => {
+        req.rawBody = buffer.toString('utf8');
+      }
+    }));
     
-    // API Key validation middleware
-    this.app.use('/api', (req, res, next) => {
-      const apiKey = req.headers['x-api-key'];
-      const validKey = process.env.ENTERPRISE_API_KEY || 'your-secure-api-key';
+    // API key validation middleware; each route checks the scope it needs
+    this.app.use('/api', async (req, res, next) => {
+      // Push agents sign with the enrollment token instead; the API document is public
+      if (req.path === '/ingest' || req.path === '/openapi.json') {
+        next();
+        return;
+      }
       
-      if (apiKey !== validKey) {
-        return res.status(403).json({ error: 'Invalid API key' });
+      if (!this.apiKeys) {
+        res.status(503).json({ error: 'Server is still starting' });
+        return;
+      }
+      try {
+        req.apiKey = await this.apiKeys.authenticate(req.headers['x-api-key']);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+        return;
+      }
+      if (!req.apiKey) {
+        res.status(403).json({ error: 'Invalid API key' });
+        return;
+      }
+      
+      this.auditMutation(req, res);
+      next();
+    });
+
+    // Parameters and bodies are checked against the OpenAPI document before any route runs
+    this.app.use(this.validator.middleware());
+  }
+
+  requireScope(scope) {
+    return (req, res, next) => {
+      if (!ApiKeyStore.grants(req.apiKey, scope)) {
+        res.status(403).json({ error: `API key lacks the ${scope} scope` });
+        return;
+      }
+      next();
+    };
+  }
+
+  // Clients outside a department-limited key's departments look like unknown clients
+  async checkClientAccess(req, res, next) {
+    if (!req.apiKey.departments) {
+      next();
+      return;
+    }
+    try {
+      const record = await this.getRegistry().get(req.params.clientId);
+      if (!record || !ApiKeyStore.canSeeDepartment(req.apiKey, record.department)) {
+        res.status(404).json({ error: 'Client not found' });
+        return;
+      }
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Filter for client lists, by the departments the request's key may see
+  visibleTo(apiKey) {
+    return client => ApiKeyStore.canSeeDepartment(apiKey, client.department);
+  }
+
+  async getVisibleClients(req, filters) {
+    const clients = await this.pullClient.getAllClients(filters);
+    return clients.filter(this.visibleTo(req.apiKey));
+  }
+
+  // Which key made each change, recorded in the audit log once the response has
+  // gone out. Routes put before/after values in res.locals.audit.
+  auditMutation(req, res) {
+    if (!MUTATING_METHODS.includes(req.method)) return;
+    
+    res.on('finish', () => {
+      const { before, after } = res.locals.audit || {};
+      this.auditLog.append({
+        actor: `api-key:${req.apiKey.name}`,
+        action: `${req.method} ${req.route ? req.baseUrl + req.route.path : req.originalUrl}`,
+        target: req.params?.clientId || req.params?.id || null,
+        before,
+        after,
+        details: { keyId: req.apiKey._id, path: req.originalUrl, status: res.statusCode, ip: req.ip }
+      }).catch(error => {
+        console.error('Failed to write audit record:', error.message);
+      });
+    });
+  }
+
+  setupRoutes() {
+    const readReports = this.requireScope('read-reports');
+    const manageClients = this.requireScope('manage-clients');
+    const admin = this.requireScope('admin');
+    const clientAccess = (req, res, next) => this.checkClientAccess(req, res, next);
+
+    // Get all clients (?status=active|decommissioned|all, ?department, ?tag)
+    this.app.get('/api/clients', readReports, async (req, res) => {
+      try {
+        const { status, department, tag } = req.query;
+        const clients = await this.getVisibleClients(req, { status, department, tag });
+        res.json(clients);
+      } catch (error) {
+        res.status(error.message.startsWith('Invalid status') ? 400 : 500).json({ error: error.message });
+      }
+    });
+
+    // Register a client ahead of discovery, or re-activate a decommissioned one
+    this.app.post('/api/clients', manageClients, async (req, res) => {
+      try {
+        const existing = await this.getRegistry().get(String(req.body.clientId || '').trim());
+        const department = req.body.department === undefined && existing ? existing.department : req.body.department;
+        if (!ApiKeyStore.canSeeDepartment(req.apiKey, department)
+          || (existing && !ApiKeyStore.canSeeDepartment(req.apiKey, existing.department))) {
+          res.status(403).json({ error: 'API key cannot manage clients in that department' });
+          return;
+        }
+        
+        const { record, created } = await this.getRegistry().register(req.body);
+        res.locals.audit = { before: existing, after: record };
+        res.status(created ? 201 : 200).json(record);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Get specific client
+    this.app.get('/api/clients/:clientId', readReports, clientAccess, async (req, res) => {
+      try {
+        const clientData = await this.pullClient.getClientById(req.params.clientId);
+        if (!clientData) {
+          res.status(404).json({ error: 'Client not found' });
+          return;
+        }
+        res.json(clientData);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/clients/:clientId/heartbeat', manageClients, clientAccess, async (req, res) => {
+      try {
+        const { hostname, platform, ip, agentVersion } = req.body;
+        const record = await this.getRegistry().heartbeat(req.params.clientId, {
+          hostname, platform, ip: ip || req.ip, agentVersion
+        });
+        res.json(record);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Rename, move to another department or retag: { displayName, department, tags }
+    this.app.patch('/api/clients/:clientId', manageClients, clientAccess, async (req, res) => {
+      try {
+        if (req.body.department !== undefined && !ApiKeyStore.canSeeDepartment(req.apiKey, req.body.department)) {
+          res.status(403).json({ error: 'API key cannot move clients to that department' });
+          return;
+        }
+        const before = await this.getRegistry().get(req.params.clientId);
+        const record = await this.getRegistry().update(req.params.clientId, req.body);
+        res.locals.audit = { before, after: record };
+        if (!record) {
+          res.status(404).json({ error: 'Client not found' });
+          return;
+        }
+        res.json(record);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Retire a client: kept for history, but left out of counts and costs
+    this.app.post('/api/clients/:clientId/decommission', manageClients, clientAccess, async (req, res) => {
+      try {
+        const before = await this.getRegistry().get(req.params.clientId);
+        const record = await this.getRegistry().decommission(req.params.clientId);
+        res.locals.audit = { before, after: record };
+        if (!record) {
+          res.status(404).json({ error: 'Client not found' });
+          return;
+        }
+        this.streamClient(req.params.clientId);
+        res.json(record);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Forget a client entirely; a still-running client registers again on its next heartbeat
+    this.app.delete('/api/clients/:clientId', manageClients, clientAccess, async (req, res) => {
+      try {
+        const before = await this.getRegistry().get(req.params.clientId);
+        const removed = await this.getRegistry().remove(req.params.clientId);
+        res.locals.audit = { before };
+        if (!removed) {
+          res.status(404).json({ error: 'Client not found' });
+          return;
+        }
+        await this.pullClient.forgetClient(req.params.clientId);
+        await this.getCommands().forget(req.params.clientId);
+        res.json({ success: true });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Current state and score of a client, with its state changes, newest first (?limit)
+    this.app.get('/api/clients/:clientId/health', readReports, clientAccess, async (req, res) => {
+      try {
+        const client = await this.pullClient.getClientSummary(req.params.clientId);
+        if (!client) {
+          res.status(404).json({ error: 'Client not found' });
+          return;
+        }
+        const history = await this.pullClient.health.history(client.client_id, Number(req.query.limit) || 50);
+        res.json({
+          client_id: client.client_id,
+          state: client.state,
+          score: client.health.score,
+          reasons: client.health.reasons,
+          since: history[0]?.at || null,
+          history
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Commands for a client's agent, newest first (?status, ?limit)
+    this.app.get('/api/clients/:clientId/commands', readReports, clientAccess, async (req, res) => {
+      try {
+        const { status } = req.query;
+        const limit = Number(req.query.limit) || 50;
+        res.json(await this.getCommands().list(req.params.clientId, { status, limit }));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Queue a command: { command, params, ttlMinutes }. update-signatures without a
+    // catalog sends the catalog this server matches applications with.
+    this.app.post('/api/clients/:clientId/commands', manageClients, clientAccess, async (req, res) => {
+      try {
+        const client = await this.pullClient.getClientSummary(req.params.clientId);
+        if (!client) {
+          res.status(404).json({ error: 'Client not found' });
+          return;
+        }
+        // The scanner never reaches push-mode clients, so their commands could only expire
+        if (client.connection_mode === 'push') {
+          res.status(409).json({ error: 'Push-mode clients cannot receive commands' });
+          return;
+        }
+
+        const input = { ...req.body };
+        if (input.command === 'update-signatures' && input.params?.catalog === undefined) {
+          input.params = { ...input.params, catalog: await this.loadSignatureCatalog() };
+        }
+        const command = await this.getCommands().enqueue(client.client_id, input, `api-key:${req.apiKey.name}`);
+        res.locals.audit = { after: command };
+        res.status(202).json(command);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/clients/:clientId/commands/:id', readReports, clientAccess, async (req, res) => {
+      try {
+        const command = await this.getCommands().get(req.params.clientId, req.params.id);
+        if (!command) {
+          res.status(404).json({ error: 'Command not found' });
+          return;
+        }
+        res.json(command);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/clients/:clientId/commands/:id/cancel', manageClients, clientAccess, async (req, res) => {
+      try {
+        const before = await this.getCommands().get(req.params.clientId, req.params.id);
+        if (!before) {
+          res.status(404).json({ error: 'Command not found' });
+          return;
+        }
+        const command = await this.getCommands().cancel(req.params.clientId, req.params.id);
+        res.locals.audit = { before, after: command };
+        res.json(command);
+      } catch (error) {
+        res.status(error.message.includes('can no longer be cancelled') ? 409 : 500).json({ error: error.message });
+      }
+    });
+
+    // When clients count as degraded, stale or offline:
+    // { staleAfter, offlineAfter, degradedBelow, minAgentVersion, historyDays }
+    this.app.get('/api/health/thresholds', readReports, (req, res) => {
+      res.json(this.pullClient.health.thresholds);
+    });
+
+    this.app.put('/api/health/thresholds', admin, async (req, res) => {
+      try {
+        const before = this.pullClient.health.thresholds;
+        await this.pullClient.updateConfig({ health: req.body });
+        res.locals.audit = { before, after: this.pullClient.config.health };
+        res.json(this.pullClient.config.health);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Get statistics
+    this.app.get('/api/statistics', readReports, async (req, res) => {
+      try {
+        const stats = await this.pullClient.getStatistics(this.visibleTo(req.apiKey));
+        res.json(stats);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Get department summary
+    this.app.get('/api/departments', readReports, async (req, res) => {
+      try {
+        const clients = await this.getVisibleClients(req, { status: 'all' });
+        const departments = this.aggregateDepartmentData(clients);
+        res.json(departments);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Get software inventory
+    this.app.get('/api/software-inventory', readReports, async (req, res) => {
+      try {
+        const clients = await this.getVisibleClients(req);
+        const inventory = this.aggregateSoftwareInventory(clients);
+        res.json(inventory);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Get cost analysis
+    this.app.get('/api/cost-analysis', readReports, async (req, res) => {
+      try {
+        const clients = await this.getVisibleClients(req);
+        const analysis = this.performCostAnalysis(clients);
+        res.json(analysis);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Trigger network scan
+    this.app.post('/api/scan', manageClients, async (req, res) => {
+      try {
+        await this.pullClient.scanNow();
+        res.json({ success: true, message: 'Network scan initiated' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Statistics of the last completed scan, per interface block and configured target
+    this.app.get('/api/scan', readReports, (req, res) => {
+      const { lastScan } = this.pullClient.scanner;
+      res.json(lastScan || { startedAt: null, completedAt: null, clientsFound: 0, targets: [] });
+    });
+
+    // Scan targets beyond the local interfaces: { targets, exclude, includeLocal, maxConcurrency }
+    this.app.get('/api/scan/targets', readReports, (req, res) => {
+      res.json(this.pullClient.scanner.targets.config);
+    });
+
+    this.app.put('/api/scan/targets', admin, async (req, res) => {
+      try {
+        const before = this.pullClient.scanner.targets.config;
+        await this.pullClient.updateConfig({ scanTargets: req.body });
+        res.locals.audit = { before, after: this.pullClient.config.scanTargets };
+        res.json(this.pullClient.config.scanTargets);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // DNS-SD discovery: { enabled, browseTimeout, sweepFallback }
+    this.app.get('/api/scan/discovery', readReports, (req, res) => {
+      res.json(this.pullClient.scanner.discovery);
+    });
+
+    this.app.put('/api/scan/discovery', admin, async (req, res) => {
+      try {
+        const before = this.pullClient.scanner.discovery;
+        await this.pullClient.updateConfig({ discovery: req.body });
+        res.locals.audit = { before, after: this.pullClient.config.discovery };
+        res.json(this.pullClient.config.discovery);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Export reports (CSV by default, ?format=xlsx for a workbook)
+    this.app.get('/api/export/:type', readReports, async (req, res) => {
+      try {
+        const date = new Date().toISOString().split('T')[0];
+
+        if (req.query.format === 'xlsx') {
+          const workbook = await this.generateWorkbook(req.params.type, this.visibleTo(req.apiKey));
+
+          res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+          res.setHeader('Content-Disposition', `attachment; filename=enterprise-report-${date}.xlsx`);
+          res.send(workbook);
+          return;
+        }
+
+        const report = await this.generateReport(req.params.type, this.visibleTo(req.apiKey));
+        
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', 
+          `attachment; filename=enterprise-report-${date}.csv`);
+        res.send(report);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Usage batches pushed by clients in push mode
+    this.app.post('/api/ingest', (req, res, next) => {
+      const channel = this.getIngestChannel();
+      if (!channel) {
+        res.status(503).json({ error: 'Push ingest is disabled: no enrollment token configured' });
+        return;
+      }
+      if (!req.secure) {
+        res.status(403).json({ error: `Push ingest is only served over HTTPS, on port ${this.tlsPort}` });
+        return;
+      }
+      channel.middleware('')(req, res, next);
+    }, async (req, res) => {
+      try {
+        const result = await this.ingest.ingest(req.body, req.get('Idempotency-Key'));
+        if (this.registry) {
+          await this.registry.heartbeat(req.body.clientId, {
+            department: req.body.department,
+            hostname: req.body.latest?.systemInfo?.hostname,
+            platform: req.body.latest?.systemInfo?.platform,
+            ip: req.ip,
+            connectionMode: 'push'
+          });
+        }
+        for (const record of result.records) {
+          await this.storeHistoricalData(req.body.clientId, req.body.department, record);
+        }
+        if (result.accepted > 0) {
+          this.streamClient(req.body.clientId);
+        }
+        
+        res.json({
+          accepted: result.accepted,
+          duplicates: result.duplicates,
+          lastSequence: result.lastSequence,
+          replayed: result.replayed
+        });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // API keys: the key itself is only returned on creation and rotation
+    this.app.get('/api/keys', admin, async (req, res) => {
+      try {
+        res.json(await this.apiKeys.list());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // { name, scopes: ['read-reports' | 'manage-clients' | 'admin'], departments: [...] | null }
+    this.app.post('/api/keys', admin, async (req, res) => {
+      try {
+        const { key, record } = await this.apiKeys.create(req.body);
+        res.locals.audit = { after: record };
+        res.status(201).json({ ...record, key });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/keys/:id/rotate', admin, async (req, res) => {
+      try {
+        const rotated = await this.apiKeys.rotate(req.params.id);
+        if (!rotated) {
+          res.status(404).json({ error: 'API key not found' });
+          return;
+        }
+        res.locals.audit = { after: rotated.record };
+        res.json({ ...rotated.record, key: rotated.key });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/keys/:id/revoke', admin, async (req, res) => {
+      try {
+        const record = await this.apiKeys.revoke(req.params.id);
+        if (!record) {
+          res.status(404).json({ error: 'API key not found' });
+          return;
+        }
+        res.locals.audit = { after: record };
+        res.json(record);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Audit log of API mutations, newest first (?limit, ?keyId, ?since, ?until)
+    this.app.get('/api/audit', admin, async (req, res) => {
+      try {
+        const { keyId, since, until } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+        const entries = await this.auditLog.list({ since, until });
+        res.json(entries.filter(entry => !keyId || entry.details?.keyId === keyId).slice(0, limit));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/audit/verify', admin, async (req, res) => {
+      try {
+        res.json(await this.auditLog.verify());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // ?format=csv (default) or json
+    this.app.get('/api/audit/export', admin, async (req, res) => {
+      try {
+        const format = req.query.format || 'csv';
+        const content = await this.auditLog.export(format);
+        const date = new Date().toISOString().split('T')[0];
+        
+        res.setHeader('Content-Type', format === 'json' ? 'application/json' : 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename=enterprise-audit-${date}.${format}`);
+        res.send(content);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Alert rules: { name, metric, comparator, threshold, duration, inactiveDays, scope, severity, notify, enabled }
+    this.app.get('/api/alerts/rules', readReports, async (req, res) => {
+      try {
+        res.json(await this.alertRules.list());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/alerts/rules', admin, async (req, res) => {
+      try {
+        const rule = await this.alertRules.create(req.body);
+        res.locals.audit = { after: rule };
+        res.status(201).json(rule);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.patch('/api/alerts/rules/:id', admin, async (req, res) => {
+      try {
+        const before = await this.alertRules.get(req.params.id);
+        const rule = await this.alertRules.update(req.params.id, req.body);
+        res.locals.audit = { before, after: rule };
+        if (!rule) {
+          res.status(404).json({ error: 'Alert rule not found' });
+          return;
+        }
+        res.json(rule);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/alerts/rules/:id', admin, async (req, res) => {
+      try {
+        const before = await this.alertRules.get(req.params.id);
+        const removed = await this.alertRules.remove(req.params.id);
+        res.locals.audit = { before };
+        if (!removed) {
+          res.status(404).json({ error: 'Alert rule not found' });
+          return;
+        }
+        res.json({ success: true });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Notifier channels: { webhook: { url, headers }, email: { from, to, smtp }, desktop: { enabled } }
+    this.app.get('/api/alerts/notifiers', admin, (req, res) => {
+      res.json(AlertNotifier.maskChannels(this.notifier.channels));
+    });
+
+    this.app.put('/api/alerts/notifiers', admin, async (req, res) => {
+      try {
+        const before = this.notifier.channels;
+        const channels = AlertNotifier.validateChannels(AlertNotifier.unmaskChannels(req.body, before));
+        this.notifier.configure(channels);
+        await this.pullClient.updateConfig({ alertNotifiers: channels });
+        res.locals.audit = { before: AlertNotifier.maskChannels(before), after: AlertNotifier.maskChannels(channels) };
+        res.json(AlertNotifier.maskChannels(channels));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Sends a sample alert through one channel: { channel }
+    this.app.post('/api/alerts/notifiers/test', admin, async (req, res) => {
+      const { channel } = req.body;
+      if (!this.notifier.isConfigured(channel)) {
+        res.status(400).json({ error: `Notifier ${channel} is not configured` });
+        return;
+      }
+      const [result] = await this.notifier.notify({
+        _id: 'test',
+        client_id: null,
+        alert_type: 'test',
+        severity: 'info',
+        message: 'Test alert from the software monitor enterprise server',
+        timestamp: new Date().toISOString()
+      }, [channel]);
+      res.status(result.ok ? 200 : 502).json(result);
+    });
+
+    // Runs the alert rules now instead of waiting for the next scheduled check, for
+    // the clients the key can see
+    this.app.post('/api/alerts/check', manageClients, async (req, res) => {
+      try {
+        const clients = await this.getVisibleClients(req);
+        res.json(await this.checkForAlerts(clients));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Alerts, newest first (?status=active|open|acknowledged|snoozed|resolved|all, ?clientId, ?type, ?severity, ?limit)
+    this.app.get('/api/alerts', readReports, async (req, res) => {
+      try {
+        const { status, clientId, type, severity } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+        const alerts = await this.getAlerts().list({ status, clientId, type, severity });
+        const visible = await this.alertVisibility(req.apiKey);
+        res.json(alerts.filter(visible).slice(0, limit));
+      } catch (error) {
+        res.status(error.message.startsWith('Invalid status') ? 400 : 500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/alerts/:id', readReports, async (req, res) => {
+      try {
+        const alert = await this.getAlerts().get(req.params.id);
+        const visible = await this.alertVisibility(req.apiKey);
+        if (!alert || !visible(alert)) {
+          res.status(404).json({ error: 'Alert not found' });
+          return;
+        }
+        res.json(alert);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // acknowledge and resolve take { note }; snooze takes { minutes } or { until }
+    const alertAction = action => async (req, res) => {
+      try {
+        const before = await this.getAlerts().get(req.params.id);
+        const visible = await this.alertVisibility(req.apiKey);
+        if (!before || !visible(before)) {
+          res.status(404).json({ error: 'Alert not found' });
+          return;
+        }
+        const alert = await this.getAlerts()[action](req.params.id, {
+          ...req.body,
+          actor: `api-key:${req.apiKey.name}`
+        });
+        res.locals.audit = { before, after: alert };
+        this.publishEvent(ALERT_ACTION_EVENTS[action], alert);
+        res.json(alert);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    };
+    this.app.post('/api/alerts/:id/acknowledge', manageClients, alertAction('acknowledge'));
+    this.app.post('/api/alerts/:id/resolve', manageClients, alertAction('resolve'));
+    this.app.post('/api/alerts/:id/snooze', manageClients, alertAction('snooze'));
+
+    this.app.delete('/api/alerts/:id', admin, async (req, res) => {
+      try {
+        const before = await this.getAlerts().get(req.params.id);
+        const removed = await this.getAlerts().remove(req.params.id);
+        res.locals.audit = { before };
+        if (!removed) {
+          res.status(404).json({ error: 'Alert not found' });
+          return;
+        }
+        res.json({ success: true });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
       }
-      next();
     });
-  }
 
-  setupRoutes() {
-    // Get all clients
-    this.app.get('/api/clients', async (req, res) => {
+    // Retention in days per level: { rawDays, hourlyDays, dailyDays, monthlyDays }; null keeps forever
+    this.app.get('/api/history/retention', readReports, (req, res) => {
       try {
-        const clients = await this.pullClient.getAllClients();
-        res.json(clients);
+        res.json(this.getHistoryRetention());
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Get specific client
-    this.app.get('/api/clients/:clientId', async (req, res) => {
+    this.app.put('/api/history/retention', admin, async (req, res) => {
       try {
-        const clientData = await this.pullClient.getClientById(req.params.clientId);
-        if (!clientData) {
-          return res.status(404).json({ error: 'Client not found' });
-        }
-        res.json(clientData);
+        const before = this.getHistoryRetention();
+        const policy = UsageHistory.validateRetention(req.body);
+        await this.pullClient.updateConfig({ historyRetention: policy });
+        res.locals.audit = { before, after: policy };
+        res.json({ ...policy, removed: await this.applyHistoryRetention() });
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(400).json({ error: error.message });
       }
     });
 
-    // Get statistics
-    this.app.get('/api/statistics', async (req, res) => {
+    // Usage minutes over time per application, plugin or department
+    // (?from, ?to, ?resolution=hour|day|week|month, ?department, ?clientId, ?name, ?vendor)
+    this.app.get('/api/history/:dimension', readReports, async (req, res) => {
+      if (!this.history) {
+        res.status(503).json({ error: 'Server is still starting' });
+        return;
+      }
       try {
-        const stats = await this.pullClient.getStatistics();
-        res.json(stats);
+        const { from, to, resolution, department, clientId, name, vendor } = req.query;
+        const history = await this.history.query(req.params.dimension, {
+          from, to, resolution, department, clientId, name, vendor, visibleDepartments: req.apiKey.departments
+        });
+        res.json(history);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(/^(Invalid|Range)/.test(error.message) ? 400 : 500).json({ error: error.message });
       }
     });
 
-    // Get department summary
-    this.app.get('/api/departments', async (req, res) => {
+    // Outbound webhooks (admin scope): { name, url, events: [...] | ['*'], headers, enabled }
+    this.app.get('/api/webhooks', admin, async (req, res) => {
       try {
-        const clients = await this.pullClient.getAllClients();
-        const departments = this.aggregateDepartmentData(clients);
-        res.json(departments);
+        res.json(await this.webhooks.list());
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Get software inventory
-    this.app.get('/api/software-inventory', async (req, res) => {
+    this.app.get('/api/webhooks/events', admin, (req, res) => {
+      res.json(WebhookDispatcher.EVENTS);
+    });
+
+    // The signing secret is only returned here, in the secret field
+    this.app.post('/api/webhooks', admin, async (req, res) => {
       try {
-        const clients = await this.pullClient.getAllClients();
-        const inventory = this.aggregateSoftwareInventory(clients);
-        res.json(inventory);
+        const { secret, record } = await this.webhooks.create(req.body);
+        res.locals.audit = { after: record };
+        res.status(201).json({ ...record, secret });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.patch('/api/webhooks/:id', admin, async (req, res) => {
+      try {
+        const before = await this.webhooks.get(req.params.id);
+        const record = await this.webhooks.update(req.params.id, req.body);
+        res.locals.audit = { before, after: record };
+        if (!record) {
+          res.status(404).json({ error: 'Webhook not found' });
+          return;
+        }
+        res.json(record);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/webhooks/:id', admin, async (req, res) => {
+      try {
+        const before = await this.webhooks.get(req.params.id);
+        const removed = await this.webhooks.remove(req.params.id);
+        res.locals.audit = { before };
+        if (!removed) {
+          res.status(404).json({ error: 'Webhook not found' });
+          return;
+        }
+        res.json({ success: true });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Get cost analysis
-    this.app.get('/api/cost-analysis', async (req, res) => {
+    // Queues a webhook.ping delivery to one subscription
+    this.app.post('/api/webhooks/:id/test', admin, async (req, res) => {
       try {
-        const clients = await this.pullClient.getAllClients();
-        const analysis = this.performCostAnalysis(clients);
-        res.json(analysis);
+        const [delivery] = await this.webhooks.publish(WebhookDispatcher.PING_EVENT, {
+          message: 'Test event from the software monitor enterprise server'
+        }, new Date(), req.params.id);
+        if (!delivery) {
+          res.status(404).json({ error: 'Webhook not found or disabled' });
+          return;
+        }
+        res.status(202).json(delivery);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Trigger network scan
-    this.app.post('/api/scan', async (req, res) => {
+    // Delivery log, newest first (?subscriptionId, ?event, ?limit, ?status=pending|retrying|delivered|dead);
+    // status=dead is the dead-letter list
+    this.app.get('/api/webhooks/deliveries', admin, async (req, res) => {
       try {
-        await this.pullClient.scanNow();
-        res.json({ success: true, message: 'Network scan initiated' });
+        const { subscriptionId, status, event } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+        res.json(await this.webhooks.listDeliveries({ subscriptionId, status, event, limit }));
+      } catch (error) {
+        res.status(error.message.startsWith('Invalid status') ? 400 : 500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/webhooks/deliveries/:id', admin, async (req, res) => {
+      try {
+        const delivery = await this.webhooks.getDelivery(req.params.id);
+        if (!delivery) {
+          res.status(404).json({ error: 'Delivery not found' });
+          return;
+        }
+        res.json(delivery);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Export reports
-    this.app.get('/api/export/:type', async (req, res) => {
+    this.app.post('/api/webhooks/deliveries/:id/redeliver', admin, async (req, res) => {
       try {
-        const report = await this.generateReport(req.params.type);
-        
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 
-          `attachment; filename=enterprise-report-${new Date().toISOString().split('T')[0]}.csv`);
-        res.send(report);
+        const delivery = await this.webhooks.redeliver(req.params.id);
+        if (!delivery) {
+          res.status(404).json({ error: 'Delivery not found' });
+          return;
+        }
+        res.status(202).json(delivery);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
+    // Live dashboard feed (Server-Sent Events): client.state, client.online, client.offline,
+    // client.updated and alert.* events, filtered to the key's departments
+    this.app.get('/api/live', readReports, (req, res) => {
+      req.socket.setTimeout(0);
+      this.liveFeed.connect(req, res, department => ApiKeyStore.canSeeDepartment(req.apiKey, department));
+    });
+
+    // OpenAPI 3 description of this API, served with this server's address
+    this.app.get('/api/openapi.json', (req, res) => {
+      res.json({ ...openApiSpec, servers: [{ url: `${req.protocol}://${req.get('host')}` }] });
+    });
+
     // Health check
     this.app.get('/health', (req, res) => {
       res.json({ 
         status: 'healthy', 
         uptime: process.uptime(),
-        clients: this.pullClient.getDiscoveredClients().length
+        clients: this.pullClient.scanner.getDiscoveredClients().length
+      });
+    });
+  }
+
+  // The configured certificate (tls: { keyPath, certPath } in the enterprise config), or
+  // a self-signed one kept in userData; push clients pin it as serverCertificate
+  async loadCertificate() {
+    const { tls } = this.pullClient.config;
+    if (tls?.keyPath && tls?.certPath) {
+      const [key, cert] = await Promise.all([fs.readFile(tls.keyPath, 'utf8'), fs.readFile(tls.certPath, 'utf8')]);
+      return { key, cert, fingerprint: SelfSignedCertificate.fingerprint(cert) };
+    }
+    return SelfSignedCertificate.loadOrCreate(electronApp.getPath('userData'), { name: 'server-tls' });
+  }
+
+  // One channel per token, so its nonce cache catches replays across requests
+  getIngestChannel() {
+    const token = this.pullClient.config.enrollmentToken;
+    if (!token) return null;
+    
+    if (!this.ingestChannel || this.ingestChannel.token !== token) {
+      this.ingestChannel = new SecureChannel({ token });
+    }
+    return this.ingestChannel;
+  }
+
+  // First start: adopt the key already configured for the dashboard, or issue one.
+  // The dashboard's copy lives in its own 0600 file, never in the usage data, which
+  // is exported in reports; a key left there by an older version is moved out.
+  async bootstrapApiKey(apiKeys) {
+    const { metadata } = this.dataManager.usageData;
+    const keyPath = path.join(electronApp.getPath('userData'), DASHBOARD_KEY_FILE);
+    const stored = await fs.readFile(keyPath, 'utf8').then(key => key.trim(), () => null);
+    const legacy = metadata.enterpriseApiKey;
+    const configured = [process.env.ENTERPRISE_API_KEY, stored, legacy]
+      .find(key => key && !PLACEHOLDER_API_KEYS.includes(key));
+    
+    try {
+      const issued = await apiKeys.bootstrap(configured);
+      this.dashboardApiKey = configured || issued?.key || null;
+      const fromEnv = this.dashboardApiKey === process.env.ENTERPRISE_API_KEY;
+      if (this.dashboardApiKey && this.dashboardApiKey !== stored && !fromEnv) {
+        await fs.writeFile(keyPath, this.dashboardApiKey, { mode: 0o600 });
+      }
+      if (issued && !configured) {
+        console.log('Issued an administrator API key for the enterprise dashboard');
+      }
+    } catch (error) {
+      console.error('Failed to create the administrator API key:', error);
+    }
+
+    if (legacy !== undefined) {
+      delete metadata.enterpriseApiKey;
+      await this.dataManager.saveData();
+    }
+  }
+
+  // The key the dashboard sends with its API requests
+  getDashboardApiKey() {
+    return this.dashboardApiKey || null;
+  }
+
+  initWebhooks() {
+    this.webhooks = new WebhookDispatcher({
+      subscriptions: this.db.webhooks,
+      deliveries: this.db.webhookDeliveries
+    });
+    this.forwardEvents();
+    this.webhooks.start();
+  }
+
+  // Commands reach clients through the scanner; push clients are refused them up front
+  initCommands() {
+    this.commands = new CommandQueue({
+      datastore: this.db.commands,
+      send: command => this.pullClient.sendCommand(command)
+    });
+    this.commands.start();
+  }
+
+  // Scanner events go out to webhook subscribers, who filter by event name
+  forwardEvents() {
+    this.pullClient.on('client-discovered', client => {
+      this.publishEvent('client.discovered', client);
+    });
+    this.pullClient.on('client-updated', update => {
+      this.streamClient(update.clientId);
+      const data = update.data || {};
+      this.publishEvent('client.updated', {
+        clientId: update.clientId,
+        ip: update.ip,
+        hostname: data.systemInfo?.hostname || null,
+        timestamp: data.timestamp || null,
+        applications: (data.applications || []).map(app => app.name)
+      });
+    });
+    this.pullClient.on('scan-completed', result => {
+      this.publishEvent('scan.completed', result);
+    });
+    this.pullClient.on('scan-error', error => {
+      this.publishEvent('scan.error', { message: error.message });
+    });
+  }
+
+  publishEvent(event, data) {
+    if (event.startsWith('alert.')) {
+      this.streamAlert(event, data);
+    }
+    if (!this.webhooks) return;
+    this.webhooks.publish(event, data).catch(error => {
+      console.error(`Failed to queue ${event} webhooks:`, error.message);
+    });
+  }
+
+  // A client sent a new snapshot or was retired: stream its updated record, and its new state
+  async streamClient(clientId) {
+    try {
+      const client = await this.pullClient.getClientSummary(clientId);
+      if (!client) return;
+      await this.trackStates([client]);
+      this.liveFeed.publish('client.updated', client, client.department);
+    } catch (error) {
+      console.error(`Failed to stream update for ${clientId}:`, error.message);
+    }
+  }
+
+  // Records state changes since the clients were last looked at and streams them as
+  // client.state; moving between online and not online is also sent as client.online
+  // or client.offline. A client's first recorded state is not a comeback or a loss.
+  async trackStates(clients) {
+    const changes = await this.pullClient.health.track(clients);
+    changes.forEach(({
+      client, from, to, at
+    }) => {
+      this.liveFeed.publish('client.state', { ...client, previous_state: from }, client.department);
+      this.publishEvent('client.state', {
+        clientId: client.client_id,
+        hostname: client.hostname,
+        department: client.department,
+        from,
+        to,
+        score: client.health.score,
+        reasons: client.health.reasons,
+        at
+      });
+
+      const online = ClientHealth.REACHABLE_STATES.includes(to);
+      if (from && ClientHealth.REACHABLE_STATES.includes(from) !== online) {
+        this.liveFeed.publish(online ? 'client.online' : 'client.offline', client, client.department);
+      }
+    });
+  }
+
+  async streamAlert(event, alert) {
+    try {
+      if (alert.client_id === null) {
+        this.liveFeed.publish(event, alert, LiveFeed.EVERYONE);
+        return;
+      }
+      const record = this.registry ? await this.registry.get(alert.client_id) : null;
+      this.liveFeed.publish(event, alert, record?.department);
+    } catch (error) {
+      console.error(`Failed to stream ${event}:`, error.message);
+    }
+  }
+
+  async initAlerts() {
+    const alertRules = new AlertRules(this.db.alertRules);
+    try {
+      await alertRules.bootstrap();
+    } catch (error) {
+      console.error('Failed to create the default alert rules:', error);
+    }
+    this.alertRules = alertRules;
+    this.alerts = new AlertStore(this.db.alerts);
+
+    try {
+      this.notifier.configure(this.pullClient.config.alertNotifiers);
+    } catch (error) {
+      console.error('Alert notifiers not configured:', error.message);
+    }
+  }
+
+  async initHistory() {
+    const history = new UsageHistory(this.db.usageRollups);
+    this.history = history;
+    
+    try {
+      await this.backfillHistory(history);
+    } catch (error) {
+      console.error('Failed to roll up stored usage history:', error);
+    }
+  }
+
+  // Snapshots stored before rollups existed are folded in once, oldest first. All are
+  // queued at once, so each running total is compared with the snapshot before it.
+  async backfillHistory(history) {
+    if (!(await history.isEmpty())) return;
+    
+    const snapshots = await new Promise((resolve, reject) => {
+      this.db.historicalData.find({}).sort({ timestamp: 1 }).exec((err, docs) => {
+        if (err) reject(err);
+        else resolve(docs);
+      });
+    });
+    await Promise.all(snapshots.filter(doc => doc.data).map(doc => history.record(doc.client_id, doc.department, {
+      ...doc.data,
+      timestamp: doc.data.timestamp || doc.timestamp
+    })));
+    if (snapshots.length > 0) {
+      console.log(`Rolled up ${snapshots.length} stored usage snapshots`);
+    }
+  }
+
+  // (title, body) => void, for the desktop notifier channel
+  setDesktopNotifier(show) {
+    this.notifier.showDesktop = show;
+  }
+
+  getCommands() {
+    if (!this.commands) {
+      throw new Error('Command queue is not loaded yet');
+    }
+    return this.commands;
+  }
+
+  // The catalog this server's own monitoring uses, for update-signatures
+  async loadSignatureCatalog() {
+    return SignatureCatalog.parse(await fs.readFile(SignatureCatalog.DEFAULT_CATALOG_PATH, 'utf8'));
+  }
+
+  getAlerts() {
+    if (!this.alerts) {
+      throw new Error('Alert store is not loaded yet');
+    }
+    return this.alerts;
+  }
+
+  // Alerts on clients a department-limited key cannot see look like unknown alerts;
+  // server alerts (client_id null) are seen by every key
+  async alertVisibility(apiKey) {
+    if (!apiKey.departments) return () => true;
+    const records = await this.getRegistry().list({ status: 'all' });
+    const visible = new Set(records
+      .filter(record => ApiKeyStore.canSeeDepartment(apiKey, record.department))
+      .map(record => record.clientId));
+    return alert => alert.client_id === null || visible.has(alert.client_id);
+  }
+
+  getRegistry() {
+    if (!this.registry) {
+      throw new Error('Client registry is not loaded yet');
+    }
+    return this.registry;
+  }
+
+  // Clients found by the network scanner are registered and kept alive automatically
+  trackDiscoveredClients() {
+    const heartbeat = (clientId, info) => {
+      this.registry.heartbeat(clientId, { ...info, connectionMode: 'pull' }).catch(error => {
+        console.error(`Failed to record heartbeat for ${clientId}:`, error.message);
       });
+    };
+    
+    this.pullClient.on('client-discovered', client => {
+      heartbeat(client.clientId, { ip: client.ip, department: client.department, agentVersion: client.agentVersion });
+    });
+    this.pullClient.on('client-updated', update => {
+      const systemInfo = update.data?.systemInfo || {};
+      heartbeat(update.clientId, { ip: update.ip, hostname: systemInfo.hostname, platform: systemInfo.platform });
     });
   }
 
@@ -159,6 +1282,11 @@ class EnterpriseServer {
       timestampData: true
     });
 
+    this.db.usageRollups = new Datastore({
+      filename: path.join(this.dbPath, 'usage_rollups.db'),
+      autoload: true
+    });
+
     this.db.costTracking = new Datastore({
       filename: path.join(this.dbPath, 'cost_tracking.db'),
       autoload: true
@@ -170,13 +1298,72 @@ class EnterpriseServer {
       timestampData: true
     });
 
+    this.db.alertRules = new Datastore({
+      filename: path.join(this.dbPath, 'alert_rules.db'),
+      autoload: true
+    });
+
+    this.db.clients = new Datastore({
+      filename: path.join(this.dbPath, 'clients.db'),
+      autoload: true
+    });
+
+    this.db.apiKeys = new Datastore({
+      filename: path.join(this.dbPath, 'api_keys.db'),
+      autoload: true
+    });
+
+    this.db.webhooks = new Datastore({
+      filename: path.join(this.dbPath, 'webhooks.db'),
+      autoload: true
+    });
+
+    this.db.webhookDeliveries = new Datastore({
+      filename: path.join(this.dbPath, 'webhook_deliveries.db'),
+      autoload: true
+    });
+
+    this.db.clientStates = new Datastore({
+      filename: path.join(this.dbPath, 'client_states.db'),
+      autoload: true
+    });
+
+    this.db.commands = new Datastore({
+      filename: path.join(this.dbPath, 'commands.db'),
+      autoload: true
+    });
+
     // Create indexes for better performance
     this.db.historicalData.ensureIndex({ fieldName: 'client_id' });
     this.db.historicalData.ensureIndex({ fieldName: 'timestamp' });
+    this.db.usageRollups.ensureIndex({ fieldName: 'level' });
+    this.db.usageRollups.ensureIndex({ fieldName: 'bucket' });
     this.db.costTracking.ensureIndex({ fieldName: 'month' });
     this.db.costTracking.ensureIndex({ fieldName: 'department' });
     this.db.alerts.ensureIndex({ fieldName: 'client_id' });
     this.db.alerts.ensureIndex({ fieldName: 'resolved' });
+    this.db.alerts.ensureIndex({ fieldName: 'alert_type' });
+    this.db.clients.ensureIndex({ fieldName: 'status' });
+    this.db.clients.ensureIndex({ fieldName: 'department' });
+    this.db.apiKeys.ensureIndex({ fieldName: 'hash', unique: true });
+    this.db.webhookDeliveries.ensureIndex({ fieldName: 'status' });
+    this.db.webhookDeliveries.ensureIndex({ fieldName: 'subscriptionId' });
+    this.db.clientStates.ensureIndex({ fieldName: 'clientId' });
+    this.db.commands.ensureIndex({ fieldName: 'clientId' });
+    this.db.commands.ensureIndex({ fieldName: 'status' });
+
+    this.registry = new ClientRegistry(this.db.clients);
+    this.pullClient.setRegistry(this.registry);
+    await this.pullClient.health.setDatastore(this.db.clientStates);
+    this.trackDiscoveredClients();
+    this.initWebhooks();
+    this.initCommands();
+    await this.initAlerts();
+    await this.initHistory();
+
+    const apiKeys = new ApiKeyStore(this.db.apiKeys);
+    await this.bootstrapApiKey(apiKeys);
+    this.apiKeys = apiKeys;
 
     // Compact databases on startup
     this.compactDatabases();
@@ -187,14 +1374,35 @@ class EnterpriseServer {
       console.log(`Enterprise server listening on port ${this.port}`);
     });
 
+    try {
+      this.certificate = await this.loadCertificate();
+      this.tlsServer = https.createServer({ key: this.certificate.key, cert: this.certificate.cert }, this.app);
+      this.tlsServer.listen(this.tlsPort, '0.0.0.0', () => {
+        console.log(`Push ingest listening on port ${this.tlsPort} (certificate ${this.certificate.fingerprint})`);
+      });
+    } catch (error) {
+      console.error('Failed to start the HTTPS listener; push ingest is unavailable:', error.message);
+    }
+
     // Start periodic data aggregation
     this.startDataAggregation();
+    this.liveFeed.start();
   }
 
   stop() {
     if (this.server) {
       this.server.close();
     }
+    if (this.tlsServer) {
+      this.tlsServer.close();
+    }
+    if (this.webhooks) {
+      this.webhooks.stop();
+    }
+    if (this.commands) {
+      this.commands.stop();
+    }
+    this.liveFeed.stop();
     // NeDB doesn't need explicit closing
   }
 
@@ -209,8 +1417,26 @@ class EnterpriseServer {
       }
     }, 15 * 60 * 1000);
 
-    // Compact databases every hour
-    setInterval(() => {
+    setInterval(async () => {
+      try {
+        const clients = await this.pullClient.getAllClients();
+        await this.trackStates(clients);
+        await this.checkForAlerts(clients);
+      } catch (error) {
+        console.error('Alert check error:', error);
+      }
+    }, ALERT_CHECK_INTERVAL);
+
+    // Apply history retention and compact databases every hour
+    setInterval(async () => {
+      try {
+        await this.applyHistoryRetention();
+        if (this.webhooks) await this.webhooks.prune();
+        if (this.commands) await this.commands.prune();
+        await this.pullClient.health.prune();
+      } catch (error) {
+        console.error('History retention error:', error);
+      }
       this.compactDatabases();
     }, 60 * 60 * 1000);
   }
@@ -233,13 +1459,10 @@ class EnterpriseServer {
     // Update cost tracking
     const costAnalysis = this.performCostAnalysis(clients);
     await this.updateCostTracking(costAnalysis);
-
-    // Check for alerts
-    await this.checkForAlerts(clients);
   }
 
   async storeHistoricalData(clientId, department, data) {
-    return new Promise((resolve, reject) => {
+    const stored = await new Promise((resolve, reject) => {
       this.db.historicalData.insert({
         client_id: clientId,
         department: department,
@@ -250,6 +1473,34 @@ class EnterpriseServer {
         else resolve(newDoc);
       });
     });
+
+    // Roll up at ingest, so history queries never scan raw snapshots
+    if (this.history) {
+      await this.history.record(clientId, department, data);
+    }
+    return stored;
+  }
+
+  getHistoryRetention() {
+    return UsageHistory.validateRetention(this.pullClient.config.historyRetention || {});
+  }
+
+  // Raw snapshots go after rawDays; rollup levels after their own retention
+  async applyHistoryRetention(now = new Date()) {
+    if (!this.history) return null;
+    const policy = this.getHistoryRetention();
+    const removed = await this.history.applyRetention(policy, now);
+
+    if (policy.rawDays) {
+      const cutoff = new Date(now.getTime() - policy.rawDays * 24 * 60 * 60 * 1000);
+      removed.raw = await new Promise((resolve, reject) => {
+        this.db.historicalData.remove({ timestamp: { $lt: cutoff } }, { multi: true }, (err, count) => {
+          if (err) reject(err);
+          else resolve(count);
+        });
+      });
+    }
+    return removed;
   }
 
   async updateCostTracking(costAnalysis) {
@@ -277,71 +1528,66 @@ class EnterpriseServer {
     }
   }
 
-  async checkForAlerts(clients) {
-    for (const client of clients) {
-      // Check if client is offline
-      const lastSeen = new Date(client.last_seen);
-      const minutesOffline = (Date.now() - lastSeen) / 60000;
-      
-      if (minutesOffline > 30) {
-        await this.createAlert(
-          client.client_id,
-          'offline',
-          `Client ${client.hostname} has been offline for ${Math.round(minutesOffline)} minutes`
-        );
-      }
-
-      // Check for high resource usage
-      if (client.latest_usage?.system_info?.memory?.usagePercent > 90) {
-        await this.createAlert(
-          client.client_id,
-          'high_memory',
-          `Client ${client.hostname} is using ${client.latest_usage.system_info.memory.usagePercent}% memory`
-        );
-      }
+  // Runs the alert rules over the clients: raises and notifies what fires, and
+  // resolves rule alerts whose condition no longer holds
+  async checkForAlerts(clients, now = new Date()) {
+    const summary = { notified: 0, resolved: 0 };
+    if (!this.alerts) return summary;
 
-      // Check for unused expensive software
-      if (client.latest_usage?.applications) {
-        for (const [app, data] of Object.entries(client.latest_usage.applications)) {
-          if (data.cost > 100 && this.getDaysInactive(data.lastUsed) > 30) {
-            await this.createAlert(
-              client.client_id,
-              'unused_software',
-              `${app} ($${data.cost}/mo) unused for ${this.getDaysInactive(data.lastUsed)} days on ${client.hostname}`
-            );
+    const checks = await this.alertRules.evaluate(clients, now, { appCost: app => this.getAppCost(app) });
+    for (const { rule, client, breaching, firing } of checks) {
+      for (const finding of firing) {
+        const { alert, notify } = await this.alerts.raise({
+          clientId: client.client_id,
+          type: rule._id,
+          ruleId: rule._id,
+          severity: rule.severity,
+          message: finding.message,
+          details: {
+            key: finding.key,
+            rule: rule.name,
+            metric: rule.metric,
+            value: finding.value,
+            comparator: rule.comparator,
+            threshold: rule.threshold
           }
+        }, now);
+        if (notify) {
+          summary.notified += 1;
+          this.publishEvent('alert.raised', alert);
+          await this.notifyAlert(alert, rule.notify);
         }
       }
+
+      const resolved = await this.alerts.resolveCleared(rule._id, client.client_id, breaching, now);
+      resolved.forEach(alert => this.publishEvent('alert.resolved', alert));
+      summary.resolved += resolved.length;
     }
+    return summary;
   }
 
-  async createAlert(clientId, type, message) {
-    // Check if similar alert already exists
-    const existing = await new Promise((resolve, reject) => {
-      this.db.alerts.findOne({
-        client_id: clientId,
-        alert_type: type,
-        resolved: false
-      }, (err, doc) => {
-        if (err) reject(err);
-        else resolve(doc);
-      });
-    });
+  async notifyAlert(alert, channels) {
+    const results = await this.notifier.notify(alert, channels);
+    if (results.length > 0) {
+      await this.alerts.recordNotifications(alert._id, results);
+    }
+    return results;
+  }
 
-    if (!existing) {
-      await new Promise((resolve, reject) => {
-        this.db.alerts.insert({
-          client_id: clientId,
-          alert_type: type,
-          message: message,
-          resolved: false,
-          timestamp: new Date()
-        }, (err, newDoc) => {
-          if (err) reject(err);
-          else resolve(newDoc);
-        });
-      });
+  // Alerts raised outside the rules (e.g. license renewals) are stored but not sent on;
+  // details.key separates alerts of one type on the same client (e.g. one per renewal)
+  async createAlert(clientId, type, message, details = null) {
+    const { alert, notify } = await this.getAlerts().raise({ clientId, type, message, details });
+    if (notify) {
+      this.publishEvent('alert.raised', alert);
     }
+    return alert;
+  }
+
+  // An alert about the enterprise as a whole rather than one client, such as a license
+  // renewal; stored with client_id null, so department-limited keys see it too
+  createServerAlert(type, message, details = null) {
+    return this.createAlert(null, type, message, details);
   }
 
   aggregateDepartmentData(clients) {
@@ -354,15 +1600,22 @@ class EnterpriseServer {
           department: dept,
           count: 0,
           online: 0,
+          decommissioned: 0,
           totalCost: 0,
           applications: new Set(),
           plugins: new Set()
         };
       }
       
+      // Retired machines are listed but no longer count towards seats or cost
+      if (client.status === 'decommissioned') {
+        departments[dept].decommissioned += 1;
+        return;
+      }
+      
       departments[dept].count++;
       
-      if (this.isClientOnline(client.last_seen)) {
+      if (client.is_online) {
         departments[dept].online++;
       }
       
@@ -527,8 +1780,8 @@ class EnterpriseServer {
     return analysis;
   }
 
-  async generateReport(type) {
-    const clients = await this.pullClient.getAllClients();
+  async generateReport(type, visible = () => true) {
+    const clients = (await this.pullClient.getAllClients()).filter(visible);
     
     switch (type) {
       case 'full-report':
@@ -542,6 +1795,56 @@ class EnterpriseServer {
     }
   }
 
+  async generateWorkbook(type, visible = () => true) {
+    const sheets = WORKBOOK_SHEETS[type];
+    if (!sheets) {
+      throw new Error('Invalid report type');
+    }
+
+    const clients = (await this.pullClient.getAllClients()).filter(visible);
+    const workbook = new UsageWorkbook({ includeClient: true, sheets });
+
+    clients.forEach(client => {
+      if (!client.latest_usage) return;
+
+      workbook.addUsage(client.latest_usage, {
+        client: client.hostname,
+        department: client.department,
+        getCost: (name, itemType, data) => (itemType === 'application' ? this.getAppCost(name) : data.cost || 25),
+        savings: this.findUnusedSoftware(client.latest_usage)
+      });
+    });
+
+    return workbook.toBuffer();
+  }
+
+  // Software unused for more than 30 days, in the DataManager savings breakdown shape
+  findUnusedSoftware(usage) {
+    const unused = [];
+
+    Object.entries(usage.applications || {}).forEach(([app, data]) => {
+      const daysInactive = this.getDaysInactive(data.lastUsed);
+      if (daysInactive > 30) {
+        unused.push({
+          name: app,
+          type: 'application',
+          vendor: data.vendor,
+          monthlyCost: this.getAppCost(app),
+          daysInactive
+        });
+      }
+    });
+
+    UsageWorkbook.flattenPlugins(usage.plugins).forEach(({ vendor, name, data }) => {
+      const daysInactive = this.getDaysInactive(data.lastUsed);
+      if (daysInactive > 30) {
+        unused.push({ name, type: 'plugin', vendor, monthlyCost: data.cost || 25, daysInactive });
+      }
+    });
+
+    return unused;
+  }
+
   generateFullReport(clients) {
     let csv = 'Enterprise Software Usage Report\n';
     csv += `Generated on: ${new Date().toISOString()}\n\n`;
@@ -632,11 +1935,6 @@ class EnterpriseServer {
   }
 
   // Helper methods
-  isClientOnline(lastSeen) {
-    const tenMinutesAgo = Date.now() - (10 * 60 * 1000);
-    return new Date(lastSeen).getTime() > tenMinutesAgo;
-  }
-
   getDaysInactive(lastUsed) {
     if (!lastUsed) return Infinity;
     const diff = Date.now() - new Date(lastUsed).getTime();
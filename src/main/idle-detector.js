@@ -0,0 +1,55 @@
+// src/main/idle-detector.js - User input idle detection
+// Providers expose getSystemIdleTime() (seconds since the last keyboard/mouse
+// input), the same interface as Electron's powerMonitor. The main process passes
+// powerMonitor in once the app is ready; without a provider the state is unknown.
+
+class IdleDetector {
+  constructor(options = {}) {
+    this.provider = options.provider || null;
+    this.activeThreshold = options.activeThreshold || 5; // minutes
+  }
+
+  getProvider() {
+    return this.provider;
+  }
+
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  setActiveThreshold(minutes) {
+    const threshold = Number(minutes);
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      throw new Error(`Invalid active threshold: ${minutes}`);
+    }
+    this.activeThreshold = threshold;
+    return threshold;
+  }
+
+  // Seconds since the last user input, or null when no provider is available
+  getIdleSeconds() {
+    const provider = this.getProvider();
+    if (!provider) return null;
+
+    try {
+      const idleSeconds = Number(provider.getSystemIdleTime());
+      return Number.isFinite(idleSeconds) ? idleSeconds : null;
+    } catch (error) {
+      console.error('Failed to read system idle time:', error.message);
+      return null;
+    }
+  }
+
+  getState() {
+    const idleSeconds = this.getIdleSeconds();
+
+    return {
+      idleSeconds,
+      // Without an idle source we can't tell, so don't penalise foreground use
+      userActive: idleSeconds === null || idleSeconds < this.activeThreshold * 60,
+      activeThreshold: this.activeThreshold
+    };
+  }
+}
+
+module.exports = IdleDetector;
@@ -0,0 +1,306 @@
+// src/main/license-manager.js - License entitlements and true-up reconciliation
+// Entitlements (vendor, SKU, seats, license type, term, renewal price) are kept
+// in usageData.licenses and compared against the users, hosts and concurrent
+// sessions the monitor has actually observed, locally and on enterprise clients.
+const os = require('os');
+const crypto = require('crypto');
+const UsageWorkbook = require('./usage-workbook');
+
+const LICENSE_TYPES = ['named-user', 'node-locked', 'floating'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeName = value => String(value || '').trim().toLowerCase();
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+function parseDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${field} date "${value}"`);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// Client payloads list applications either as { name: data } or as [{ name, ... }]
+function toRecords(collection) {
+  if (Array.isArray(collection)) {
+    return collection.filter(item => item && item.name).map(item => ({ name: item.name, data: item }));
+  }
+  return Object.entries(collection || {}).map(([name, data]) => ({ name, data }));
+}
+
+function pluginRecords(plugins) {
+  if (Array.isArray(plugins)) {
+    return plugins.filter(item => item && item.name).map(item => ({
+      names: [item.name, item.product].filter(Boolean),
+      data: item
+    }));
+  }
+  return UsageWorkbook.flattenPlugins(plugins).map(({ product, subProduct, name, data }) => ({
+    names: [product, subProduct, name].filter(Boolean),
+    data
+  }));
+}
+
+// Merge one host's overlapping sessions so a host holds at most one seat at a time
+function mergeIntervals(intervals) {
+  const merged = [];
+  [...intervals].sort((a, b) => a.start - b.start).forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  });
+  return merged;
+}
+
+function peakConcurrency(intervals) {
+  const events = [];
+  intervals.forEach(({ start, end }) => {
+    events.push([start, 1], [end, -1]);
+  });
+  // Ends sort before starts at the same instant so back-to-back checkouts share a seat
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let peak = 0;
+  events.forEach(([, delta]) => {
+    current += delta;
+    peak = Math.max(peak, current);
+  });
+  return peak;
+}
+
+class LicenseManager {
+  constructor(dataManager) {
+    this.dataManager = dataManager;
+  }
+
+  getEntitlements() {
+    return this.dataManager.usageData.licenses || [];
+  }
+
+  // Returns a normalised entitlement or throws with the first problem found
+  validate(input = {}) {
+    const vendor = String(input.vendor || '').trim();
+    const product = String(input.product || '').trim();
+    const seats = Number(input.seats);
+    const renewalPrice = input.renewalPrice === undefined || input.renewalPrice === '' ? 0 : Number(input.renewalPrice);
+
+    if (!vendor || !product) {
+      throw new Error('Entitlement needs a vendor and a product');
+    }
+    if (!Number.isInteger(seats) || seats < 1) {
+      throw new Error('Seat count must be a whole number of at least 1');
+    }
+    if (!LICENSE_TYPES.includes(input.licenseType)) {
+      throw new Error(`Invalid license type "${input.licenseType}", expected one of: ${LICENSE_TYPES.join(', ')}`);
+    }
+    if (!Number.isFinite(renewalPrice) || renewalPrice < 0) {
+      throw new Error('Renewal price must be a positive number');
+    }
+
+    const termStart = parseDate(input.termStart, 'term start');
+    const termEnd = parseDate(input.termEnd, 'term end');
+    if (termStart && termEnd && termEnd < termStart) {
+      throw new Error('Term end must be after term start');
+    }
+
+    return {
+      id: input.id || crypto.randomUUID(),
+      vendor,
+      product,
+      sku: String(input.sku || '').trim(),
+      seats,
+      licenseType: input.licenseType,
+      termStart,
+      termEnd,
+      renewalPrice,
+      notes: String(input.notes || '')
+    };
+  }
+
+  // Create or update (by id) an entitlement
+  async saveEntitlement(input) {
+    const entitlement = this.validate(input);
+    const entitlements = this.getEntitlements();
+    const index = entitlements.findIndex(item => item.id === entitlement.id);
+
+    if (index === -1) {
+      entitlements.push(entitlement);
+    } else {
+      entitlements[index] = entitlement;
+    }
+
+    this.dataManager.usageData.licenses = entitlements;
+    await this.dataManager.saveData();
+    return entitlement;
+  }
+
+  async removeEntitlement(id) {
+    const entitlements = this.getEntitlements();
+    const remaining = entitlements.filter(item => item.id !== id);
+    if (remaining.length === entitlements.length) {
+      throw new Error(`Entitlement not found: ${id}`);
+    }
+
+    this.dataManager.usageData.licenses = remaining;
+    await this.dataManager.saveData();
+  }
+
+  getLocalIdentity() {
+    let user = null;
+    try {
+      user = os.userInfo().username;
+    } catch (error) {
+      // userInfo throws for users without a passwd entry (some containers)
+    }
+    return { host: os.hostname(), user };
+  }
+
+  // One source per machine: this workstation plus every known enterprise client
+  getSources() {
+    const { usageData } = this.dataManager;
+    const local = this.getLocalIdentity();
+    const sources = [{
+      id: 'local',
+      host: local.host,
+      user: local.user,
+      applications: toRecords(usageData.applications),
+      plugins: pluginRecords(usageData.plugins)
+    }];
+
+    Object.entries(usageData.enterpriseClients || {}).forEach(([clientId, client]) => {
+      const data = client.data || client;
+      const systemInfo = data.systemInfo || {};
+      sources.push({
+        id: clientId,
+        host: systemInfo.hostname || data.hostname || clientId,
+        user: systemInfo.user?.username || data.username || null,
+        applications: toRecords(data.applications),
+        plugins: pluginRecords(data.plugins)
+      });
+    });
+
+    return sources;
+  }
+
+  // Usage records on a source that belong to an entitlement's product
+  findRecords(source, entitlement) {
+    const product = normalizeName(entitlement.product);
+    const applications = source.applications
+      .filter(record => normalizeName(record.name) === product)
+      .map(record => record.data);
+    const plugins = source.plugins
+      .filter(record => record.names.some(name => normalizeName(name) === product))
+      .map(record => record.data);
+    return [...applications, ...plugins];
+  }
+
+  // options: { lookbackDays, underuseRatio, now }; defaults come from settings
+  reconcile(options = {}) {
+    const settings = { ...this.dataManager.getDefaultSettings(), ...this.dataManager.settings };
+    const {
+      lookbackDays = settings.licenseLookbackDays,
+      underuseRatio = settings.licenseUnderuseRatio
+    } = options;
+    const now = options.now ? new Date(options.now).getTime() : Date.now();
+    const since = now - lookbackDays * DAY_MS;
+    const sources = this.getSources();
+
+    const rows = this.getEntitlements().map(entitlement => (
+      this.reconcileEntitlement(entitlement, sources, { since, now, underuseRatio })
+    ));
+
+    const sum = key => roundCurrency(rows.reduce((total, row) => total + row[key], 0));
+    return {
+      generatedAt: new Date(now).toISOString(),
+      lookbackDays,
+      entitlements: rows,
+      totals: {
+        entitlements: rows.length,
+        overDeployed: rows.filter(row => row.status === 'over-deployed').length,
+        underDeployed: rows.filter(row => row.status === 'under-deployed').length,
+        compliant: rows.filter(row => row.status === 'compliant').length,
+        trueUpCost: sum('trueUpCost'),
+        unusedCost: sum('unusedCost'),
+        renewalCost: sum('renewalPrice')
+      }
+    };
+  }
+
+  reconcileEntitlement(entitlement, sources, { since, now, underuseRatio }) {
+    const users = new Set();
+    const hosts = new Set();
+    const intervals = [];
+
+    sources.forEach(source => {
+      const records = this.findRecords(source, entitlement);
+      const lastUsed = Math.max(0, ...records.map(data => new Date(data.lastUsed || data.last_used || 0).getTime()));
+      if (lastUsed < since) return;
+
+      hosts.add(source.host);
+      if (source.user) users.add(source.user);
+
+      const hostIntervals = [];
+      records.forEach(data => {
+        (Array.isArray(data.sessions) ? data.sessions : []).forEach(session => {
+          const start = new Date(session.startTime).getTime();
+          const end = session.endTime
+            ? new Date(session.endTime).getTime()
+            : start + (session.duration || 0) * 60000;
+          if (Number.isFinite(start) && end >= since) {
+            hostIntervals.push({ start, end: Math.max(end, start) });
+          }
+        });
+      });
+      intervals.push(...mergeIntervals(hostIntervals));
+    });
+
+    const peakConcurrent = peakConcurrency(intervals);
+    const inUse = {
+      'named-user': users.size,
+      'node-locked': hosts.size,
+      floating: peakConcurrent
+    }[entitlement.licenseType];
+
+    const excessSeats = Math.max(0, inUse - entitlement.seats);
+    const unusedSeats = Math.max(0, entitlement.seats - inUse);
+    // Renewal price covers every seat in the term, so seats are priced pro rata
+    const seatPrice = entitlement.renewalPrice / entitlement.seats;
+
+    let status = 'compliant';
+    if (excessSeats > 0) {
+      status = 'over-deployed';
+    } else if (inUse < entitlement.seats * underuseRatio) {
+      status = 'under-deployed';
+    }
+
+    // The term runs through the whole of its end date
+    const termEnd = entitlement.termEnd ? new Date(entitlement.termEnd).getTime() + DAY_MS : null;
+
+    return {
+      ...entitlement,
+      inUse,
+      observedUsers: users.size,
+      observedHosts: hosts.size,
+      peakConcurrent,
+      utilization: Math.round((inUse / entitlement.seats) * 100),
+      status,
+      excessSeats,
+      unusedSeats,
+      trueUpCost: roundCurrency(excessSeats * seatPrice),
+      unusedCost: roundCurrency(unusedSeats * seatPrice),
+      expired: termEnd !== null && termEnd <= now,
+      daysToRenewal: termEnd !== null ? Math.ceil((termEnd - now) / DAY_MS) : null,
+      users: [...users].sort(),
+      hosts: [...hosts].sort()
+    };
+  }
+}
+
+LicenseManager.LICENSE_TYPES = LICENSE_TYPES;
+
+module.exports = LicenseManager;
@@ -0,0 +1,107 @@
+// src/main/live-feed.js - Server-Sent Events stream for the enterprise dashboard
+// Pushes client state changes, new usage snapshots and alert changes to
+// connected dashboards as they happen. Each event carries the department it belongs
+// to, so department-limited keys only receive their own clients' events; events
+// about the server itself go to everyone. Recent events are kept for replay when a
+// dashboard reconnects with Last-Event-ID.
+
+const EVENTS = [
+  'client.state',
+  'client.online',
+  'client.offline',
+  'client.updated',
+  'alert.raised',
+  'alert.acknowledged',
+  'alert.snoozed',
+  'alert.resolved'
+];
+// Department of events every subscriber receives
+const EVERYONE = '*';
+const DEFAULT_BUFFER_SIZE = 200;
+// Comment lines keep proxies from closing idle streams
+const DEFAULT_HEARTBEAT_INTERVAL = 25 * 1000;
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 5000;
+
+class LiveFeed {
+  constructor(options = {}) {
+    this.bufferSize = options.bufferSize || DEFAULT_BUFFER_SIZE;
+    this.heartbeatInterval = options.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL;
+    this.subscribers = new Set();
+    this.buffer = [];
+    this.lastId = 0;
+    this.timer = null;
+  }
+
+  static format(entry) {
+    return `id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`;
+  }
+
+  static allows(subscriber, entry) {
+    return entry.department === EVERYONE || subscriber.canSee(entry.department);
+  }
+
+  get size() {
+    return this.subscribers.size;
+  }
+
+  // Opens a stream on an Express response. canSee(department) decides which events
+  // the subscriber gets; events after lastEventId are replayed first.
+  connect(req, res, canSee = () => true) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const subscriber = { res, canSee };
+    const lastEventId = Number(req.headers['last-event-id'] || req.query?.lastEventId);
+    if (lastEventId) {
+      this.buffer
+        .filter(entry => entry.id > lastEventId && LiveFeed.allows(subscriber, entry))
+        .forEach(entry => res.write(LiveFeed.format(entry)));
+    }
+
+    this.subscribers.add(subscriber);
+    req.on('close', () => this.subscribers.delete(subscriber));
+    return subscriber;
+  }
+
+  // Sends one event to every subscriber allowed to see the department; returns its id
+  publish(event, data, department = null) {
+    this.lastId += 1;
+    const entry = { id: this.lastId, event, data, department: department || 'Unknown' };
+    this.buffer.push(entry);
+    if (this.buffer.length > this.bufferSize) this.buffer.shift();
+
+    const message = LiveFeed.format(entry);
+    this.subscribers.forEach(subscriber => {
+      if (LiveFeed.allows(subscriber, entry)) subscriber.res.write(message);
+    });
+    return entry.id;
+  }
+
+  start() {
+    clearInterval(this.timer);
+    this.timer = setInterval(() => {
+      this.subscribers.forEach(subscriber => subscriber.res.write(': ping\n\n'));
+    }, this.heartbeatInterval);
+  }
+
+  // Ends every open stream
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.subscribers.forEach(subscriber => subscriber.res.end());
+    this.subscribers.clear();
+  }
+}
+
+LiveFeed.EVENTS = EVENTS;
+LiveFeed.EVERYONE = EVERYONE;
+
+module.exports = LiveFeed;
@@ -1,11 +1,15 @@
 // src/main/main.js - Fixed version with proper error handling
-const { app, BrowserWindow, ipcMain, Menu, Tray, dialog, nativeImage } = require('electron');
+const {
+  app, BrowserWindow, ipcMain, Menu, Tray, dialog, nativeImage, Notification, powerMonitor
+} = require('electron');
 const path = require('path');
 const fs = require('fs');
 const DataManager = require('./data-manager');
 const MonitoringService = require('./monitoring');
 const EnterprisePullClient = require('./enterprise-pull-client');
 const EnterpriseServer = require('./enterprise-server');
+const ReportScheduler = require('./report-scheduler');
+const RenewalCalendar = require('./renewal-calendar');
 
 // Keep a global reference of the window object
 let mainWindow;
@@ -14,7 +18,12 @@ let dataManager;
 let monitoringService;
 let enterprisePullClient;
 let enterpriseServer;
+let reportScheduler;
+let renewalCalendar;
 let isQuitting = false;
+// Closing the usage store on quit, and whether it has finished
+let storeClosing = null;
+let storeClosed = false;
 
 // Enable live reload for Electron in development
 if (process.env.NODE_ENV === 'development') {
@@ -262,6 +271,36 @@ function createTray() {
   }
 }
 
+// Desktop channel for enterprise alert rules; follows the notification settings
+function showAlertNotification(title, body) {
+  const { notifications } = dataManager.settings;
+  if (notifications?.enabled && Notification.isSupported()) {
+    new Notification({ title, body }).show();
+  }
+}
+
+async function handleRenewalAlert(alert) {
+  const { notifications } = dataManager.settings;
+  if (notifications?.enabled && notifications.renewals !== false && Notification.isSupported()) {
+    new Notification({ title: 'Upcoming renewal', body: alert.message }).show();
+  }
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('renewal-alert', alert);
+  }
+
+  if (enterpriseServer) {
+    await enterpriseServer.createServerAlert('renewal', alert.message, {
+      key: `${alert.key}@${alert.nextRenewal}`,
+      name: alert.name,
+      vendor: alert.vendor,
+      renewalDate: alert.nextRenewal,
+      amount: alert.amount,
+      utilization: alert.utilization
+    });
+  }
+}
+
 // Initialize services
 async function initializeServices() {
   try {
@@ -270,7 +309,13 @@ async function initializeServices() {
     await dataManager.loadData();
 
     // Initialize monitoring service
-    monitoringService = new MonitoringService();
+    monitoringService = new MonitoringService({
+      pluginDetectionStrategy: dataManager.settings.pluginDetectionStrategy,
+      signatureCatalogPath: dataManager.settings.signatureCatalogPath,
+      activeThreshold: dataManager.settings.activeThreshold,
+      // Only usable once the app is ready, which it is by now
+      idleProvider: powerMonitor
+    });
     
     // Set up monitoring event handlers
     monitoringService.on('usage-update', (data) => {
@@ -281,6 +326,15 @@ async function initializeServices() {
       dataManager.updateUsageData(data);
     });
 
+    // Initialize scheduled reports
+    reportScheduler = new ReportScheduler(dataManager);
+    reportScheduler.on('report-complete', (entry) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('report-complete', entry);
+      }
+    });
+    await reportScheduler.init();
+
     // Initialize enterprise pull client
     enterprisePullClient = new EnterprisePullClient(dataManager);
     await enterprisePullClient.init();
@@ -288,9 +342,17 @@ async function initializeServices() {
     // Initialize enterprise server only if pull client is available
     if (enterprisePullClient) {
       enterpriseServer = new EnterpriseServer(enterprisePullClient, dataManager);
+      enterpriseServer.setDesktopNotifier(showAlertNotification);
       await enterpriseServer.start();
     }
 
+    // Renewal alerts go to the desktop, the renderer and the enterprise alert store
+    renewalCalendar = new RenewalCalendar(dataManager);
+    renewalCalendar.on('renewal-alert', (alert) => {
+      handleRenewalAlert(alert).catch(error => console.error('Failed to record renewal alert:', error));
+    });
+    renewalCalendar.start();
+
     // Auto-start monitoring if configured
     if (dataManager.settings.autoStart) {
       await startMonitoring();
@@ -358,6 +420,13 @@ function setupIpcHandlers() {
     return dataManager.getUsageData();
   });
 
+  ipcMain.handle('query-usage', async (event, options) => {
+    if (!dataManager) {
+      return { success: false, error: 'Data manager not initialized' };
+    }
+    return dataManager.queryUsage(options);
+  });
+
   ipcMain.handle('export-data', async (event, format) => {
     if (!dataManager) {
       return { success: false, error: 'Data manager not initialized' };
@@ -407,7 +476,51 @@ function setupIpcHandlers() {
     if (!dataManager) {
       return { success: false, error: 'Data manager not initialized' };
     }
-    return await dataManager.saveSettings(settings);
+    if (reportScheduler && settings.reportSchedule) {
+      try {
+        reportScheduler.validate({ ...reportScheduler.getConfig(), ...settings.reportSchedule });
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+    if (monitoringService && (settings.pluginDetectionStrategy || settings.activeThreshold)) {
+      try {
+        if (settings.pluginDetectionStrategy) {
+          monitoringService.setPluginDetectionStrategy(settings.pluginDetectionStrategy);
+        }
+        if (settings.activeThreshold) {
+          monitoringService.setActiveThreshold(settings.activeThreshold);
+        }
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+    const result = await dataManager.saveSettings(settings);
+    if (reportScheduler && settings.reportSchedule) {
+      reportScheduler.configure(reportScheduler.getConfig());
+    }
+    return result;
+  });
+
+  // Scheduled reports
+  ipcMain.handle('get-report-schedule', async () => {
+    if (!reportScheduler) {
+      return { success: false, error: 'Report scheduler not initialized' };
+    }
+    return { success: true, ...reportScheduler.getStatus() };
+  });
+
+  ipcMain.handle('get-report-history', async (event, limit) => {
+    if (!reportScheduler) return [];
+    return reportScheduler.getHistory(limit);
+  });
+
+  ipcMain.handle('run-report-now', async (event, options) => {
+    if (!reportScheduler) {
+      return { success: false, error: 'Report scheduler not initialized' };
+    }
+    const entry = await reportScheduler.run('manual', options || {});
+    return { success: entry.status !== 'failed', ...entry };
   });
 
   // Recommendations
@@ -431,6 +544,83 @@ function setupIpcHandlers() {
     return await dataManager.updateCost(type, name, vendor, cost);
   });
 
+  // Audit log
+  ipcMain.handle('get-audit-log', async (event, filters) => {
+    if (!dataManager) return [];
+    return dataManager.getAuditLog(filters || {});
+  });
+
+  ipcMain.handle('verify-audit-log', async () => {
+    if (!dataManager) {
+      return { valid: false, error: 'Data manager not initialized' };
+    }
+    try {
+      return await dataManager.verifyAuditLog();
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('export-audit-log', async (event, format) => {
+    if (!dataManager) {
+      return { success: false, error: 'Data manager not initialized' };
+    }
+    return dataManager.exportAuditLog(format);
+  });
+
+  // License entitlements and true-up
+  ipcMain.handle('get-licenses', async () => {
+    if (!dataManager) {
+      return [];
+    }
+    return dataManager.getLicenses();
+  });
+
+  ipcMain.handle('save-license', async (event, entitlement) => {
+    if (!dataManager) {
+      return { success: false, error: 'Data manager not initialized' };
+    }
+    return dataManager.saveLicense(entitlement);
+  });
+
+  ipcMain.handle('delete-license', async (event, id) => {
+    if (!dataManager) {
+      return { success: false, error: 'Data manager not initialized' };
+    }
+    return dataManager.deleteLicense(id);
+  });
+
+  ipcMain.handle('get-true-up-report', async (event, options) => {
+    if (!dataManager) {
+      return { success: false, error: 'Data manager not initialized' };
+    }
+    return dataManager.getTrueUpReport(options);
+  });
+
+  // Renewal calendar
+  ipcMain.handle('get-renewals', async (event, options) => {
+    if (!renewalCalendar) {
+      return { success: false, error: 'Renewal calendar not initialized' };
+    }
+    try {
+      return { success: true, renewals: renewalCalendar.getRenewals(options || {}) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('update-renewal', async (event, type, name, vendor, renewal) => {
+    if (!renewalCalendar) {
+      return { success: false, error: 'Renewal calendar not initialized' };
+    }
+    try {
+      const record = await renewalCalendar.setRenewal(type, name, vendor, renewal);
+      return { success: true, renewal: record };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
   // Enterprise sync
   ipcMain.handle('get-sync-status', async () => {
     if (!enterprisePullClient) {
@@ -455,6 +645,13 @@ function setupIpcHandlers() {
     return { success: true };
   });
 
+  // The dashboard's API key is kept out of the usage data, so it is fetched on its own
+  ipcMain.handle('get-enterprise-api-key', async () => {
+    if (!enterpriseServer) return null;
+    await enterpriseServer.ready;
+    return enterpriseServer.getDashboardApiKey();
+  });
+
   // Process monitoring
   ipcMain.handle('get-all-processes', async () => {
     if (!monitoringService) return [];
@@ -568,7 +765,7 @@ app.on('activate', () => {
   }
 });
 
-app.on('before-quit', () => {
+app.on('before-quit', (event) => {
   isQuitting = true;
   
   // Cleanup services
@@ -581,6 +778,25 @@ app.on('before-quit', () => {
   if (enterpriseServer) {
     enterpriseServer.stop();
   }
+  if (reportScheduler) {
+    reportScheduler.stop();
+  }
+  if (renewalCalendar) {
+    renewalCalendar.stop();
+  }
+
+  // Hold the quit until the usage store has written its queued changes and closed
+  if (dataManager && !storeClosed) {
+    event.preventDefault();
+    if (!storeClosing) {
+      storeClosing = dataManager.closeStore()
+        .catch(error => console.error('Failed to close the usage store:', error))
+        .then(() => {
+          storeClosed = true;
+          app.quit();
+        });
+    }
+  }
 });
 
 // Handle certificate errors
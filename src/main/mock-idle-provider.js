@@ -0,0 +1,18 @@
+// src/main/mock-idle-provider.js - Idle time provider for tests and simulation
+// Same interface as Electron's powerMonitor (see IdleDetector), with a settable idle time.
+
+class MockIdleProvider {
+  constructor(idleSeconds = 0) {
+    this.idleSeconds = idleSeconds;
+  }
+
+  setIdleTime(seconds) {
+    this.idleSeconds = seconds;
+  }
+
+  getSystemIdleTime() {
+    return this.idleSeconds;
+  }
+}
+
+module.exports = MockIdleProvider;
@@ -6,10 +6,13 @@ const fs = require('fs').promises;
 const util = require('util');
 const os = require('os');
 const { networkInterfaces } = require('os');
+const PluginDetector = require('./plugin-detector');
+const SignatureCatalog = require('./signature-catalog');
+const IdleDetector = require('./idle-detector');
 const execPromise = util.promisify(exec);
 
 class MonitoringService extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     this.monitoringInterval = null;
     this.monitoringFrequency = 60000; // 1 minute default
@@ -19,102 +22,21 @@ class MonitoringService extends EventEmitter {
     this.allProcesses = new Map();
     this.systemInfo = null;
     this.currentUser = os.userInfo().username;
+    this.pluginDetector = this.createPluginDetector(options.pluginDetectionStrategy);
+    
+    // Foreground window and user input tracking, so open-but-idle apps don't count as use
+    this.idleDetector = options.idleDetector || new IdleDetector({
+      provider: options.idleProvider,
+      activeThreshold: options.activeThreshold
+    });
+    this.activity = { foregroundPid: null, idleSeconds: null, userActive: true };
     
     // Historical tracking for trends
     this.historicalData = [];
     this.sessionTracking = new Map();
     
-    // Extended application list for better detection
-    this.targetApplications = {
-      // Adobe Creative Suite
-      'AfterFX.exe': 'Adobe After Effects',
-      'Adobe After Effects.exe': 'Adobe After Effects',
-      'AfterEffects.exe': 'Adobe After Effects',
-      'Premiere Pro.exe': 'Adobe Premiere Pro',
-      'Adobe Premiere Pro.exe': 'Adobe Premiere Pro',
-      'PremierePro.exe': 'Adobe Premiere Pro',
-      'Photoshop.exe': 'Adobe Photoshop',
-      'Adobe Photoshop.exe': 'Adobe Photoshop',
-      'Illustrator.exe': 'Adobe Illustrator',
-      'Adobe Illustrator.exe': 'Adobe Illustrator',
-      'InDesign.exe': 'Adobe InDesign',
-      'Adobe InDesign.exe': 'Adobe InDesign',
-      'Acrobat.exe': 'Adobe Acrobat',
-      'AcroRd32.exe': 'Adobe Acrobat Reader',
-      'Adobe Media Encoder.exe': 'Adobe Media Encoder',
-      'MediaEncoder.exe': 'Adobe Media Encoder',
-      
-      // 3D Software
-      'Cinema 4D.exe': 'Cinema 4D',
-      'CINEMA 4D.exe': 'Cinema 4D',
-      'c4d.exe': 'Cinema 4D',
-      'Rhino.exe': 'Rhinoceros',
-      'Rhino6.exe': 'Rhinoceros 6',
-      'Rhino7.exe': 'Rhinoceros 7',
-      '3dsmax.exe': '3ds Max',
-      '3dsmax.exe': 'Autodesk 3ds Max',
-      'Maya.exe': 'Autodesk Maya',
-      'maya.bin': 'Autodesk Maya',
-      'maya.exe': 'Autodesk Maya',
-      'Blender.exe': 'Blender',
-      'blender.exe': 'Blender',
-      
-      // Video/Compositing
-      'Resolve.exe': 'DaVinci Resolve',
-      'DaVinci Resolve.exe': 'DaVinci Resolve',
-      'Nuke.exe': 'Nuke',
-      'Nuke12.2.exe': 'Nuke',
-      'Nuke13.0.exe': 'Nuke',
-      'Nuke14.0.exe': 'Nuke',
-      'Houdini.exe': 'Houdini',
-      'houdinifx.exe': 'Houdini FX',
-      'houdini.exe': 'Houdini',
-      
-      // Audio Software
-      'Ableton Live.exe': 'Ableton Live',
-      'Live.exe': 'Ableton Live',
-      'Pro Tools.exe': 'Pro Tools',
-      'ProTools.exe': 'Pro Tools',
-      'FL64.exe': 'FL Studio',
-      'FL.exe': 'FL Studio',
-      'Cubase.exe': 'Cubase',
-      'Cubase12.exe': 'Cubase',
-      'Studio One.exe': 'Studio One',
-      'Logic Pro X.app': 'Logic Pro',
-      'Final Cut Pro.app': 'Final Cut Pro',
-      
-      // Other Creative Apps
-      'Unity.exe': 'Unity Editor',
-      'UnityHub.exe': 'Unity Hub',
-      'UE4Editor.exe': 'Unreal Engine 4',
-      'UE5Editor.exe': 'Unreal Engine 5',
-      'SubstancePainter.exe': 'Substance Painter',
-      'SubstanceDesigner.exe': 'Substance Designer',
-      'ZBrush.exe': 'ZBrush',
-      'CorelDRAW.exe': 'CorelDRAW',
-      'SketchUp.exe': 'SketchUp',
-      'Sketch.app': 'Sketch',
-      'Figma.exe': 'Figma',
-      'AutoCAD.exe': 'AutoCAD',
-      'acad.exe': 'AutoCAD',
-      
-      // Development
-      'Code.exe': 'Visual Studio Code',
-      'devenv.exe': 'Visual Studio',
-      'webstorm64.exe': 'WebStorm',
-      'idea64.exe': 'IntelliJ IDEA',
-      
-      // Common Applications
-      'chrome.exe': 'Google Chrome',
-      'firefox.exe': 'Mozilla Firefox',
-      'msedge.exe': 'Microsoft Edge',
-      'slack.exe': 'Slack',
-      'Teams.exe': 'Microsoft Teams',
-      'OUTLOOK.EXE': 'Microsoft Outlook',
-      'WINWORD.EXE': 'Microsoft Word',
-      'EXCEL.EXE': 'Microsoft Excel',
-      'POWERPNT.EXE': 'Microsoft PowerPoint'
-    };
+    // Application signatures (process names, patterns, path hints, vendor)
+    this.signatureCatalog = this.loadSignatureCatalog(options.signatureCatalogPath);
     
     // Enhanced plugin list
     this.monitoredPlugins = [
@@ -164,6 +86,41 @@ class MonitoringService extends EventEmitter {
     };
   }
 
+  loadSignatureCatalog(catalogPath) {
+    let catalog;
+    
+    try {
+      catalog = new SignatureCatalog({ catalogPath }).load();
+    } catch (error) {
+      console.error(`Failed to load signature catalog ${catalogPath}, using bundled catalog:`, error.message);
+      catalog = new SignatureCatalog().load();
+    }
+    
+    catalog.on('reloaded', (info) => {
+      console.log(`Signature catalog reloaded (version ${info.version})`);
+      this.emit('catalog-reloaded', info);
+    });
+    
+    return catalog;
+  }
+
+  createPluginDetector(strategy = 'auto') {
+    try {
+      return new PluginDetector({ strategy });
+    } catch (error) {
+      console.error(`${error.message}, falling back to platform default`);
+      return new PluginDetector();
+    }
+  }
+
+  setPluginDetectionStrategy(strategy) {
+    return this.pluginDetector.setStrategy(strategy);
+  }
+
+  setActiveThreshold(minutes) {
+    return this.idleDetector.setActiveThreshold(minutes);
+  }
+
   start(interval = 60000) {
     if (this.isMonitoring) {
       console.log('Monitoring already running');
@@ -177,6 +134,9 @@ class MonitoringService extends EventEmitter {
     // Load historical data if exists
     this.loadHistoricalData();
     
+    // Pick up signature catalog edits without a restart
+    this.signatureCatalog.watch();
+    
     // Initial check immediately
     this.checkApplications();
     
@@ -198,6 +158,8 @@ class MonitoringService extends EventEmitter {
       // Save historical data
       this.saveHistoricalData();
       
+      this.signatureCatalog.unwatch();
+      
       // Clear active tracking
       this.activeApplications.clear();
       this.activePlugins.clear();
@@ -219,6 +181,9 @@ class MonitoringService extends EventEmitter {
       // Check for active applications
       this.detectActiveApplications(processes);
       
+      // Mark which applications are in the foreground and being used
+      await this.updateActivityState();
+      
       // Check for plugin usage based on active applications
       await this.detectActivePlugins();
       
@@ -243,6 +208,7 @@ class MonitoringService extends EventEmitter {
           isMonitored: this.isMonitoredProcess(name)
         })),
         timestamp: currentTime,
+        activity: { ...this.activity },
         systemInfo: this.systemInfo,
         currentUser: this.currentUser,
         sessions: this.getActiveSessions()
@@ -447,38 +413,82 @@ class MonitoringService extends EventEmitter {
     // Clear previous active applications
     this.activeApplications.clear();
     
-    // For macOS, also check using different method
-    if (process.platform === 'darwin') {
-      this.detectMacApplications();
-    }
-    
-    // Check each process against our target applications
+    // Check each process against the signature catalog
     processes.forEach(process => {
-      const processNameLower = process.name.toLowerCase();
+      const signature = this.signatureCatalog.match(process);
       
-      // Check against target applications
-      for (const [targetProcess, appName] of Object.entries(this.targetApplications)) {
-        if (processNameLower.includes(targetProcess.toLowerCase()) || 
-            targetProcess.toLowerCase().includes(processNameLower)) {
-          this.activeApplications.set(appName, {
-            processName: process.name,
-            pid: process.pid,
-            detected: true,
-            timestamp: new Date(),
-            cpu: process.cpu || 'N/A',
-            memory: process.memory || 'N/A',
-            user: this.currentUser,
-            path: process.path || ''
-          });
-        }
+      if (signature) {
+        this.activeApplications.set(signature.name, {
+          processName: process.name,
+          pid: process.pid,
+          detected: true,
+          timestamp: new Date(),
+          cpu: process.cpu || 'N/A',
+          memory: process.memory || 'N/A',
+          user: this.currentUser,
+          path: process.path || '',
+          vendor: signature.vendor,
+          version: signature.version,
+          signatureKey: signature.key
+        });
       }
       
       // Also check for plugins running as separate processes
       this.detectStandalonePlugins(process);
     });
+    
+    // For macOS, also check using different method
+    if (process.platform === 'darwin') {
+      this.detectMacApplications(processes);
+    }
+  }
+
+  async updateActivityState() {
+    const foregroundPid = await this.getForegroundProcessId();
+    const { idleSeconds, userActive } = this.idleDetector.getState();
+    
+    this.activity = { foregroundPid, idleSeconds, userActive };
+    
+    this.activeApplications.forEach(appData => {
+      // Without a foreground window we can't tell, so count running apps while the user is active
+      appData.foreground = foregroundPid === null
+        ? userActive
+        : String(appData.pid) === String(foregroundPid);
+      appData.active = appData.foreground && userActive;
+    });
+    
+    return this.activity;
+  }
+
+  async getForegroundProcessId() {
+    const platform = os.platform();
+    let cmd;
+    
+    if (platform === 'win32') {
+      cmd = 'powershell -NoProfile -Command "Add-Type -Name Win -Namespace Fg -MemberDefinition \''
+        + '[DllImport(\\"user32.dll\\")] public static extern IntPtr GetForegroundWindow(); '
+        + '[DllImport(\\"user32.dll\\")] '
+        + 'public static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint pid);\'; '
+        + '$fgPid = 0; [void][Fg.Win]::GetWindowThreadProcessId([Fg.Win]::GetForegroundWindow(), [ref]$fgPid); $fgPid"';
+    } else if (platform === 'darwin') {
+      cmd = 'osascript -e \'tell application "System Events" to get unix id of '
+        + 'first application process whose frontmost is true\'';
+    } else {
+      cmd = 'xdotool getactivewindow getwindowpid';
+    }
+    
+    try {
+      const { stdout } = await execPromise(cmd);
+      const pid = parseInt(String(stdout).trim(), 10);
+      return pid > 0 ? pid : null;
+    } catch (error) {
+      // No display session or the helper isn't installed
+      return null;
+    }
   }
 
-  async detectMacApplications() {
+  // Adds apps the signature catalog missed; catalog matches already carry their process details
+  async detectMacApplications(processes = []) {
     if (process.platform !== 'darwin') return;
     
     try {
@@ -504,9 +514,11 @@ class MonitoringService extends EventEmitter {
         };
         
         Object.entries(mappings).forEach(([macName, targetName]) => {
-          if (appName.includes(macName)) {
+          if (appName.includes(macName) && !this.activeApplications.has(targetName)) {
+            const match = processes.find(proc => proc.name && proc.name.includes(macName)) || {};
             this.activeApplications.set(targetName, {
               processName: appName,
+              pid: match.pid,
               detected: true,
               timestamp: new Date(),
               user: this.currentUser
@@ -554,168 +566,34 @@ class MonitoringService extends EventEmitter {
     // Clear previous active plugins
     this.activePlugins.clear();
     
-    // Method 1: Check for plugins based on active applications
+    // Only plugins whose binaries are loaded into a running application count; a
+    // vendor service or a recently read plugin folder doesn't show the plugin is in use
     for (const [appName, appData] of this.activeApplications) {
       const associatedPlugins = this.pluginApplicationMap[appName] || [];
       
-      // Check plugin directories and processes
-      const detectedPlugins = await this.checkPluginActivity(appName, associatedPlugins);
+      const detectedPlugins = await this.checkPluginActivity(appName, associatedPlugins, appData);
       
-      detectedPlugins.forEach(pluginName => {
-        this.activePlugins.set(pluginName, {
+      detectedPlugins.forEach(({ plugin, modulePath }) => {
+        this.activePlugins.set(plugin, {
           hostApplication: appName,
           detected: true,
           timestamp: new Date(),
-          detectionMethod: 'host_application',
+          detectionMethod: 'loaded_module',
+          detectionStrategy: this.pluginDetector.strategy,
+          modulePath,
           user: this.currentUser
         });
       });
     }
-    
-    // Method 2: Check for plugin-specific processes and files
-    await this.detectPluginProcesses();
-    
-    // Method 3: Check plugin directories for recent activity
-    if (process.platform === 'win32') {
-      await this.checkWindowsPluginActivity();
-    } else if (process.platform === 'darwin') {
-      await this.checkMacPluginActivity();
-    }
-  }
-
-  async detectPluginProcesses() {
-    // Check for plugin-specific background processes
-    const pluginServices = [
-      'Red Giant Application Manager',
-      'Boris FX Hub',
-      'Maxon App',
-      'Creative Cloud',
-      'GeForce Experience',
-      'Octane X',
-      'X-Particles Cache Server'
-    ];
-    
-    this.allProcesses.forEach((process, processName) => {
-      pluginServices.forEach(service => {
-        if (processName.toLowerCase().includes(service.toLowerCase())) {
-          this.activePlugins.set(service, {
-            processName,
-            detected: true,
-            timestamp: new Date(),
-            detectionMethod: 'background_service',
-            user: this.currentUser
-          });
-        }
-      });
-    });
-  }
-
-  async checkPluginActivity(appName, pluginList) {
-    const detectedPlugins = [];
-    
-    // Enhanced plugin detection based on application activity
-    if (appName === 'Adobe After Effects') {
-      // High probability plugins
-      const commonPlugins = ['Trapcode', 'Sapphire', 'Magic Bullet'];
-      commonPlugins.forEach(plugin => {
-        if (pluginList.includes(plugin) && Math.random() > 0.3) {
-          detectedPlugins.push(plugin);
-        }
-      });
-      
-      // Medium probability plugins
-      const occasionalPlugins = ['Mocha Pro', 'Twixtor Pro', 'Optical Flare'];
-      occasionalPlugins.forEach(plugin => {
-        if (pluginList.includes(plugin) && Math.random() > 0.6) {
-          detectedPlugins.push(plugin);
-        }
-      });
-    } else if (appName === 'Cinema 4D') {
-      // High probability for Redshift
-      if (Math.random() > 0.2) {
-        ['Redshift Core', 'Redshift Shading', 'Redshift Lighting'].forEach(plugin => {
-          if (pluginList.includes(plugin)) {
-            detectedPlugins.push(plugin);
-          }
-        });
-      }
-      
-      // Check for X-Particles
-      if (pluginList.includes('X-Particles') && Math.random() > 0.5) {
-        detectedPlugins.push('X-Particles');
-      }
-    }
-    
-    return detectedPlugins;
   }
 
-  async checkWindowsPluginActivity() {
-    const pluginPaths = [
-      process.env.PROGRAMFILES + '\\Adobe\\Common\\Plug-ins',
-      process.env.PROGRAMFILES + '\\Red Giant',
-      process.env.PROGRAMFILES + '\\BorisFX',
-      process.env.PROGRAMFILES + '\\Insydium',
-      process.env.PROGRAMFILES + '\\Video Copilot',
-      process.env.PROGRAMFILES + '\\NewBlue',
-      process.env.APPDATA + '\\Adobe\\After Effects',
-      process.env.APPDATA + '\\MAXON'
-    ];
-    
-    for (const pluginPath of pluginPaths) {
-      try {
-        if (require('fs').existsSync(pluginPath)) {
-          const stats = await fs.stat(pluginPath);
-          // Check if accessed recently (within last hour)
-          const hourAgo = Date.now() - 3600000;
-          if (stats.atimeMs > hourAgo) {
-            const vendor = path.basename(pluginPath);
-            this.activePlugins.set(`${vendor} Plugins`, {
-              path: pluginPath,
-              detected: true,
-              timestamp: new Date(),
-              detectionMethod: 'directory_access',
-              lastAccessed: stats.atime,
-              user: this.currentUser
-            });
-          }
-        }
-      } catch (error) {
-        // Ignore access errors
-      }
+  async checkPluginActivity(appName, pluginList, appData = {}) {
+    if (pluginList.length === 0 || !appData.pid) {
+      return [];
     }
-  }
-
-  async checkMacPluginActivity() {
-    const pluginPaths = [
-      '/Applications/Red Giant',
-      '/Applications/BorisFX',
-      '/Library/Application Support/Adobe/Common/Plug-ins',
-      '/Library/Application Support/NewBlue',
-      '/Library/Application Support/Video Copilot',
-      process.env.HOME + '/Library/Application Support/Adobe/After Effects'
-    ];
     
-    for (const pluginPath of pluginPaths) {
-      try {
-        if (require('fs').existsSync(pluginPath)) {
-          const stats = await fs.stat(pluginPath);
-          const hourAgo = Date.now() - 3600000;
-          if (stats.atimeMs > hourAgo) {
-            const vendor = path.basename(pluginPath);
-            this.activePlugins.set(`${vendor} Plugins`, {
-              path: pluginPath,
-              detected: true,
-              timestamp: new Date(),
-              detectionMethod: 'directory_access',
-              lastAccessed: stats.atime,
-              user: this.currentUser
-            });
-          }
-        }
-      } catch (error) {
-        // Ignore access errors
-      }
-    }
+    // Only report plugins whose binaries are actually mapped into the host process
+    return this.pluginDetector.detectLoadedPlugins(appData.pid, pluginList);
   }
 
   prepareApplicationsData() {
@@ -730,6 +608,10 @@ class MonitoringService extends EventEmitter {
         cpu: data.cpu,
         memory: data.memory,
         user: data.user,
+        vendor: data.vendor,
+        version: data.version,
+        foreground: Boolean(data.foreground),
+        active: Boolean(data.active),
         sessionStart: this.sessionTracking.get(appName)?.startTime || data.timestamp
       });
     });
@@ -768,6 +650,9 @@ class MonitoringService extends EventEmitter {
         }
       });
       
+      // Loaded plugins are in use only while their host application is
+      const host = data.hostApplication ? this.activeApplications.get(data.hostApplication) : null;
+      
       pluginsData.set(pluginName, {
         vendor,
         hostApplication: data.hostApplication,
@@ -775,7 +660,10 @@ class MonitoringService extends EventEmitter {
         timestamp: data.timestamp,
         lastSeen: Date.now(),
         detectionMethod: data.detectionMethod,
+        modulePath: data.modulePath,
         user: data.user,
+        foreground: Boolean(host?.foreground),
+        active: Boolean(host?.active),
         sessionStart: this.sessionTracking.get(`plugin-${pluginName}`)?.startTime || data.timestamp
       });
     });
@@ -1158,9 +1046,7 @@ async getDiskInfo() {
     const name = processName.toLowerCase();
     
     // Check if it's a monitored application
-    const isApp = Object.keys(this.targetApplications).some(app => 
-      name.includes(app.toLowerCase())
-    );
+    const isApp = this.signatureCatalog.isKnownProcess(processName);
     
     // Check if it's a monitored plugin
     const isPlugin = this.monitoredPlugins.some(plugin => 
@@ -1,26 +1,146 @@
 // src/main/network-scanner.js
 const { EventEmitter } = require('events');
 const net = require('net');
-const http = require('http');
+const https = require('https');
 const os = require('os');
+const zlib = require('zlib');
+const { X509Certificate } = require('crypto');
+const fs = require('fs').promises;
 const { exec } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
+const SecureChannel = require('./secure-channel');
+const ScanTargets = require('./scan-targets');
+const DnsSd = require('./dns-sd');
+const UsageDelta = require('./usage-delta');
+const AgentCommands = require('./agent-commands');
 
+// Socket errors that mean this machine ran out of sockets or ports, not that the host is closed
+const THROTTLE_ERRORS = ['EMFILE', 'ENFILE', 'ENOBUFS', 'EADDRNOTAVAIL', 'EAGAIN'];
+// Statistics counter for each probe outcome
+const OUTCOME_COUNTERS = { client: 'clients', open: 'open', closed: 'closed', timeout: 'timeouts' };
+const DEFAULT_BROWSE_TIMEOUT = 3000;
+// How long a client without the sync endpoint is sent /api/latest before it is asked again
+const SYNC_RECHECK_INTERVAL = 24 * 60 * 60 * 1000;
+// Commands such as collect-diagnostics take longer than a data request
+const COMMAND_TIMEOUT = 60000;
+
+// Clients are reached over HTTPS with requests signed by the deployment's
+// enrollment token. Each client's self-signed certificate is pinned (by
+// clientId) the first time it answers with a correctly signed response.
+// Clients advertise themselves over DNS-SD; the local interfaces are swept
+// only when discovery is off or, if configured, when it finds nobody.
 class NetworkScanner extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     this.scanInterval = null;
     this.scanFrequency = 300000; // 5 minutes
     this.clientPort = 9876; // Port where clients listen
     this.discoveredClients = new Map();
     this.isScanning = false;
+    this.channel = options.enrollmentToken ? new SecureChannel({ token: options.enrollmentToken }) : null;
+    this.pinStorePath = options.pinStorePath || null;
+    this.pins = options.pins || {};
+    this.connectTimeout = 2000;
+    this.targets = new ScanTargets();
+    this.discovery = NetworkScanner.validateDiscovery();
+    // { port, interface } for the mDNS socket; the standard group and port by default
+    this.mdnsOptions = options.mdns || {};
+    // Client port by host, for clients advertising a port other than clientPort
+    this.advertisedPorts = new Map();
+    // { startedAt, completedAt, clientsFound, targets: [per-target statistics] }
+    this.lastScan = null;
+  }
+
+  // config: { targets, exclude, includeLocal, maxConcurrency } as for ScanTargets;
+  // throws on an invalid target and keeps the previous ones
+  configureTargets(config = {}) {
+    this.targets = new ScanTargets(config || {});
+    return this.targets.config;
+  }
+
+  // config: { enabled, browseTimeout, sweepFallback }; throws on an invalid value
+  configureDiscovery(config = {}) {
+    this.discovery = NetworkScanner.validateDiscovery(config || {});
+    return this.discovery;
+  }
+
+  // Normalized copy of a discovery config. sweepFallback sweeps the local interfaces
+  // (includeLocal) when browsing fails or finds no clients.
+  static validateDiscovery(config = {}) {
+    ['enabled', 'sweepFallback'].forEach(name => {
+      if (config[name] !== undefined && typeof config[name] !== 'boolean') {
+        throw new Error(`${name} must be true or false`);
+      }
+    });
+    const browseTimeout = config.browseTimeout ?? DEFAULT_BROWSE_TIMEOUT;
+    if (!Number.isInteger(browseTimeout) || browseTimeout < 100 || browseTimeout > 30000) {
+      throw new Error('browseTimeout must be a whole number of milliseconds from 100 to 30000');
+    }
+
+    return {
+      enabled: config.enabled !== false,
+      browseTimeout,
+      sweepFallback: config.sweepFallback === true
+    };
+  }
+
+  // options: { enrollmentToken, pinStorePath }; loads previously pinned certificates
+  async configureChannel(options = {}) {
+    this.channel = options.enrollmentToken ? new SecureChannel({ token: options.enrollmentToken }) : null;
+    this.pinStorePath = options.pinStorePath || null;
+
+    if (this.pinStorePath) {
+      try {
+        this.pins = JSON.parse(await fs.readFile(this.pinStorePath, 'utf8'));
+      } catch (error) {
+        this.pins = {};
+      }
+    }
+  }
+
+  async savePins() {
+    if (!this.pinStorePath) return;
+    await fs.writeFile(this.pinStorePath, JSON.stringify(this.pins, null, 2));
+  }
+
+  getPin(host) {
+    const client = this.discoveredClients.get(host);
+    return client ? this.pins[client.clientId] || null : null;
+  }
+
+  // Trust on first signed contact; afterwards the certificate must not change
+  async pinCertificate(clientId, certificate) {
+    const pin = this.pins[clientId];
+    if (pin) {
+      if (pin.fingerprint !== certificate.fingerprint) {
+        this.emit('pin-mismatch', { clientId, expected: pin.fingerprint, received: certificate.fingerprint });
+        throw new Error(`Certificate for client ${clientId} does not match its pin`);
+      }
+      return pin;
+    }
+
+    this.pins[clientId] = { ...certificate, pinnedAt: new Date().toISOString() };
+    await this.savePins();
+    this.emit('client-pinned', { clientId, fingerprint: certificate.fingerprint });
+    return this.pins[clientId];
+  }
+
+  // Forget a client's certificate, e.g. after it was reinstalled
+  async removePin(clientId) {
+    const removed = delete this.pins[clientId];
+    await this.savePins();
+    return removed;
   }
 
   async start(frequency = 300000) {
     this.scanFrequency = frequency;
     this.isScanning = true;
     
+    if (!this.channel) {
+      console.error('No enrollment token configured; clients will refuse scanner requests');
+    }
+    
     // Initial scan
     await this.performNetworkScan();
     
@@ -46,20 +166,40 @@ class NetworkScanner extends EventEmitter {
     this.emit('scan-started');
     
     try {
-      // Get local network information
-      const networkInfo = this.getLocalNetworkInfo();
+      const startedAt = new Date();
+      const stats = [];
       
-      // Scan each network interface
-      for (const network of networkInfo) {
-        await this.scanNetwork(network);
+      // Browse for advertised clients, sweep the local interfaces if that is off or
+      // came up empty and configured to fall back, then scan the configured targets
+      let sweepLocal = this.targets.config.includeLocal;
+      if (this.discovery.enabled) {
+        const discovered = await this.discoverClients();
+        stats.push(discovered);
+        const foundNobody = Boolean(discovered.error) || discovered.clients === 0;
+        sweepLocal = sweepLocal && this.discovery.sweepFallback && foundNobody;
+      }
+      if (sweepLocal) {
+        for (const network of this.getLocalNetworkInfo()) {
+          stats.push(await this.scanNetwork(network));
+        }
+      }
+      for (const target of this.targets.targets) {
+        stats.push(await this.scanTarget(target));
       }
       
       // Update discovered clients data
       await this.updateClientsData();
       
+      this.lastScan = {
+        startedAt,
+        completedAt: new Date(),
+        clientsFound: this.discoveredClients.size,
+        targets: stats
+      };
       this.emit('scan-completed', {
         clientsFound: this.discoveredClients.size,
-        timestamp: new Date()
+        timestamp: this.lastScan.completedAt,
+        targets: stats
       });
       
     } catch (error) {
@@ -105,23 +245,99 @@ class NetworkScanner extends EventEmitter {
     return { baseIp, cidr, networkParts };
   }
 
+  // Local interface: probe hosts from the ARP table, or sweep the whole block when it
+  // has none. Returns the scan statistics for the block.
   async scanNetwork(network) {
     console.log(`Scanning network: ${network.address} (${network.interface})`);
     
-    // Method 1: ARP scan (most reliable for local network)
-    const arpHosts = await this.performArpScan(network);
+    let block;
+    try {
+      block = ScanTargets.fromInterface(network.address, network.netmask);
+    } catch (error) {
+      // Too large to sweep (e.g. a /8), or an odd netmask
+      const stats = this.newTargetStats(`${network.address}/${network.subnet.cidr}`, 'interface', 0);
+      return { ...stats, error: error.message };
+    }
+    const spec = `${block.network}/${block.prefix}`;
     
-    // Method 2: Port scan on discovered hosts
-    for (const host of arpHosts) {
-      await this.checkClientOnHost(host);
+    // Method 1: ARP scan (most reliable for local network)
+    const arpHosts = (await this.performArpScan(network))
+      .filter(host => !this.targets.isExcluded(ScanTargets.toInt(host)));
+    if (arpHosts.length > 0) {
+      const stats = this.newTargetStats(spec, 'interface', arpHosts.length, 'arp');
+      return this.probeHosts(arpHosts, stats);
     }
     
-    // Method 3: Subnet scan (fallback)
-    if (arpHosts.length === 0) {
-      await this.performSubnetScan(network);
+    // Method 2: Subnet sweep (fallback)
+    return this.performSubnetScan(network, block);
+  }
+
+  // Clients found over DNS-SD, each probed once on the address and port it advertises
+  async discoverClients() {
+    const stats = this.newTargetStats(`${DnsSd.CLIENT_SERVICE_TYPE}.local`, 'dns-sd', 0, 'mdns');
+    let services;
+    try {
+      services = await this.browseClients();
+    } catch (error) {
+      console.error('DNS-SD browse error:', error.message);
+      return { ...stats, error: error.message };
+    }
+
+    const hosts = new Set();
+    services.forEach(service => {
+      const host = this.preferredAddress(service.addresses);
+      if (this.targets.isExcluded(ScanTargets.toInt(host))) return;
+      this.advertisedPorts.set(host, service.port);
+      hosts.add(host);
+    });
+    stats.hosts = hosts.size;
+    return this.probeHosts(hosts, stats);
+  }
+
+  async browseClients() {
+    const dnsSd = new DnsSd(this.mdnsOptions);
+    await dnsSd.start();
+    try {
+      return await dnsSd.browse(DnsSd.CLIENT_SERVICE_TYPE, { timeout: this.discovery.browseTimeout });
+    } finally {
+      await dnsSd.stop();
     }
   }
 
+  // A multi-homed client is probed on the address that shares a network with us
+  preferredAddress(addresses) {
+    const networks = this.getLocalNetworkInfo();
+    return addresses.find(address => networks.some(network => this.isInSubnet(address, network))) || addresses[0];
+  }
+
+  portFor(host) {
+    return this.advertisedPorts.get(host) || this.clientPort;
+  }
+
+  // A configured CIDR block, range or single address
+  async scanTarget(target) {
+    console.log(`Scanning target: ${target.spec}`);
+    const stats = this.newTargetStats(target.spec, 'configured', this.targets.count(target));
+    return this.probeHosts(this.targets.hosts(target), stats);
+  }
+
+  newTargetStats(target, source, hosts, method = 'sweep') {
+    return {
+      target,
+      source,
+      method,
+      hosts,
+      probed: 0,
+      clients: 0,
+      open: 0,
+      closed: 0,
+      timeouts: 0,
+      throttled: 0,
+      peakConcurrency: 0,
+      durationMs: 0
+    };
+  }
+
   async performArpScan(network) {
     const hosts = [];
     
@@ -162,89 +378,131 @@ class NetworkScanner extends EventEmitter {
     return hosts;
   }
 
+  // network.subnet: { networkParts, cidr } as from calculateSubnet; /24 when cidr is unknown
   isInSubnet(ip, network) {
-    const ipParts = ip.split('.').map(Number);
-    const { networkParts } = network.subnet;
-    
-    // Simple check - in production, would properly validate against netmask
-    return ipParts[0] === networkParts[0] && 
-           ipParts[1] === networkParts[1] &&
-           ipParts[2] === networkParts[2];
+    const { networkParts, cidr = 24 } = network.subnet;
+    const size = 2 ** (32 - cidr);
+    const base = ScanTargets.toInt(networkParts.join('.'));
+    const value = ScanTargets.toInt(ip);
+    return value >= base - (base % size) && value < base - (base % size) + size;
   }
 
-  async performSubnetScan(network) {
-    const { networkParts } = network.subnet;
-    const baseIp = networkParts.slice(0, 3).join('.');
-    
-    // Scan common range (1-254)
-    const scanPromises = [];
+  // Every host of the interface's block, not just .1-.254
+  async performSubnetScan(network, block = ScanTargets.fromInterface(network.address, network.netmask)) {
+    const stats = this.newTargetStats(`${block.network}/${block.prefix}`, 'interface', this.targets.count(block));
+    return this.probeHosts(this.targets.hosts(block), stats);
+  }
+
+  // Probes hosts with adaptive concurrency: one more probe in flight after each one
+  // that completes, half as many when this machine runs out of sockets or ports
+  // (those hosts are tried again). Fills in and returns stats.
+  async probeHosts(hosts, stats) {
+    const { initial, min } = ScanTargets.DEFAULT_CONCURRENCY;
+    const max = this.targets.config.maxConcurrency;
+    const pending = hosts[Symbol.iterator]();
+    const retries = [];
+    const startedAt = Date.now();
+    let limit = Math.min(initial, max);
+    let active = 0;
     
-    for (let i = 1; i <= 254; i++) {
-      const ip = `${baseIp}.${i}`;
-      scanPromises.push(this.checkClientOnHost(ip));
-      
-      // Limit concurrent connections
-      if (scanPromises.length >= 50) {
-        await Promise.allSettled(scanPromises);
-        scanPromises.length = 0;
-      }
-    }
+    await new Promise(resolve => {
+      let launch;
+      const settle = (host, outcome) => {
+        active -= 1;
+        if (outcome === 'throttled') {
+          stats.throttled += 1;
+          retries.push(host);
+          limit = Math.max(min, Math.floor(limit / 2));
+        } else {
+          stats.probed += 1;
+          stats[OUTCOME_COUNTERS[outcome]] += 1;
+          limit = Math.min(max, limit + 1);
+        }
+        launch();
+      };
+      launch = () => {
+        while (active < limit) {
+          const next = retries.length > 0 ? { value: retries.shift() } : pending.next();
+          if (next.done) break;
+          
+          const host = next.value;
+          active += 1;
+          stats.peakConcurrency = Math.max(stats.peakConcurrency, active);
+          this.probeHost(host).then(outcome => settle(host, outcome));
+        }
+        if (active === 0) resolve();
+      };
+      launch();
+    });
     
-    // Check remaining hosts
-    if (scanPromises.length > 0) {
-      await Promise.allSettled(scanPromises);
-    }
+    stats.durationMs = Date.now() - startedAt;
+    return stats;
   }
 
   async checkClientOnHost(host) {
-    return new Promise((resolve) => {
-      const timeout = setTimeout(() => {
-        resolve(false);
-      }, 2000); // 2 second timeout
-      
+    return (await this.probeHost(host)) === 'client';
+  }
+
+  // 'client', 'open' (port open, not a client), 'closed', 'timeout' or 'throttled'
+  async probeHost(host) {
+    const outcome = await new Promise((resolve) => {
       const socket = new net.Socket();
+      const timeout = setTimeout(() => {
+        socket.destroy();
+        resolve('timeout');
+      }, this.connectTimeout);
       
       socket.on('connect', () => {
         clearTimeout(timeout);
         socket.destroy();
-        
-        // Port is open, check if it's our client
-        this.verifyClient(host).then(isClient => {
-          if (isClient) {
-            console.log(`Found client at ${host}`);
-          }
-          resolve(isClient);
-        });
+        resolve('open');
       });
       
-      socket.on('error', () => {
+      socket.on('error', (error) => {
         clearTimeout(timeout);
-        resolve(false);
+        resolve(THROTTLE_ERRORS.includes(error.code) ? 'throttled' : 'closed');
       });
       
-      socket.connect(this.clientPort, host);
+      socket.connect(this.portFor(host), host);
     });
+    if (outcome !== 'open') return outcome;
+    
+    // Port is open, check if it's our client
+    const isClient = await this.verifyClient(host);
+    if (isClient) {
+      console.log(`Found client at ${host}`);
+    }
+    return isClient ? 'client' : 'open';
   }
 
   async verifyClient(host) {
     try {
-      const response = await this.makeHttpRequest(host, '/api/status');
+      const { body: response, certificate } = await this.request(host, '/api/status');
       
       if (response && response.clientId) {
-        // Valid client found
+        await this.pinCertificate(response.clientId, certificate);
+        
+        // Valid client found; a known one keeps its data and sync cursor
+        const previous = this.discoveredClients.get(host);
+        const known = previous?.clientId === response.clientId
+          ? { latestData: previous.latestData, lastUpdate: previous.lastUpdate, sync: previous.sync }
+          : {};
         this.discoveredClients.set(host, {
+          ...known,
           ip: host,
           clientId: response.clientId,
           department: response.department,
           lastSeen: new Date(),
           isOnline: true,
-          isMonitoring: response.isMonitoring
+          isMonitoring: response.isMonitoring,
+          agentVersion: response.version || null
         });
         
         this.emit('client-discovered', {
           ip: host,
           clientId: response.clientId,
-          department: response.department
+          department: response.department,
+          agentVersion: response.version || null
         });
         
         return true;
@@ -266,20 +524,23 @@ class NetworkScanner extends EventEmitter {
     await Promise.allSettled(updatePromises);
   }
 
+  // client-updated carries the client's merged usage as data and, from clients
+  // with the sync endpoint, what changed as delta; unchanged clients emit nothing
   async updateClientData(ip, client) {
     try {
-      // Get latest data from client
-      const latestData = await this.makeHttpRequest(ip, '/api/latest');
+      const update = await this.fetchClientUpdate(ip, client);
       
-      if (latestData) {
+      if (update) {
         client.lastUpdate = new Date();
-        client.latestData = latestData;
         client.isOnline = true;
+        if (!update.changed) return;
         
+        client.latestData = update.data;
         this.emit('client-updated', {
           ip,
           clientId: client.clientId,
-          data: latestData
+          data: update.data,
+          ...(update.delta ? { delta: update.delta } : {})
         });
       } else {
         client.isOnline = false;
@@ -290,30 +551,112 @@ class NetworkScanner extends EventEmitter {
     }
   }
 
+  // Usage changed since the client's sync cursor, as { changed, data, delta }; clients
+  // from before the sync endpoint (404) are sent the full /api/latest instead
+  async fetchClientUpdate(ip, client) {
+    const sync = client.sync || {};
+    if (!sync.unsupportedAt || Date.now() - sync.unsupportedAt > SYNC_RECHECK_INTERVAL) {
+      const path = `${UsageDelta.SYNC_PATH}?since=${encodeURIComponent(sync.cursor || '')}`;
+      const response = await this.request(ip, path, { etag: sync.etag, accept: [200, 304, 404] });
+      
+      if (response.status === 304) {
+        return { changed: false, data: client.latestData, delta: null };
+      }
+      if (response.status === 200) {
+        const delta = response.body;
+        client.sync = { cursor: delta.cursor, etag: response.etag };
+        return { changed: true, data: UsageDelta.merge(client.latestData, delta), delta };
+      }
+      client.sync = { unsupportedAt: Date.now() };
+    }
+    
+    const latestData = await this.makeHttpRequest(ip, '/api/latest');
+    return latestData ? { changed: true, data: latestData, delta: null } : null;
+  }
+
   async makeHttpRequest(host, path) {
+    const { body } = await this.request(host, path);
+    return body;
+  }
+
+  // Signed HTTPS request; resolves with { status, body, certificate, etag }. options:
+  // { method: GET by default, body: sent as JSON, etag: sent as If-None-Match,
+  // accept: statuses to resolve with (200 only by default), timeout: in milliseconds }.
+  // A 404 from a route the client does not have is unsigned, so it resolves without a body.
+  async request(host, path, options = {}) {
+    const accept = options.accept || [200];
+    const method = options.method || 'GET';
+    if (!this.channel) {
+      throw new Error('No enrollment token configured for client requests');
+    }
+    
+    const pin = this.getPin(host);
+    const payload = options.body === undefined ? '' : JSON.stringify(options.body);
+    const headers = {
+      ...this.channel.signRequest(method, path, payload),
+      'accept-encoding': 'gzip',
+      ...(options.etag ? { 'if-none-match': options.etag } : {}),
+      ...(payload ? { 'content-type': 'application/json', 'content-length': Buffer.byteLength(payload) } : {})
+    };
+    const nonce = headers[SecureChannel.HEADERS.nonce];
+    
     return new Promise((resolve, reject) => {
-      const options = {
+      const requestOptions = {
         hostname: host,
-        port: this.clientPort,
+        port: this.portFor(host),
         path: path,
-        method: 'GET',
-        timeout: 5000,
-        headers: {
-          'X-API-Key': 'internal-scanner'
-        }
+        method,
+        timeout: options.timeout || 5000,
+        headers,
+        // No pooled sockets: a resumed TLS session would skip the pin check
+        agent: false
       };
       
-      const req = http.request(options, (res) => {
-        let data = '';
+      if (pin) {
+        requestOptions.ca = pin.pem;
+        requestOptions.checkServerIdentity = (hostname, cert) => (
+          cert.fingerprint256 === pin.fingerprint
+            ? undefined
+            : new Error(`Certificate for ${host} does not match its pin`)
+        );
+      } else {
+        // Unknown client: accept the certificate for now and pin it only once
+        // the response proves the client holds the enrollment token
+        requestOptions.rejectUnauthorized = false;
+      }
+      
+      const req = https.request(requestOptions, (res) => {
+        const peer = res.socket.getPeerCertificate();
+        const chunks = [];
         
         res.on('data', (chunk) => {
-          data += chunk;
+          chunks.push(chunk);
         });
         
         res.on('end', () => {
           try {
-            const json = JSON.parse(data);
-            resolve(json);
+            if (!accept.includes(res.statusCode)) {
+              throw new Error(`Client responded with ${res.statusCode}`);
+            }
+            if (res.statusCode === 404) {
+              resolve({ status: 404, body: null, certificate: null, etag: null });
+              return;
+            }
+            
+            const raw = Buffer.concat(chunks);
+            const data = (res.headers['content-encoding'] === 'gzip' ? zlib.gunzipSync(raw) : raw).toString('utf8');
+            const signature = res.headers[SecureChannel.HEADERS.signature];
+            this.channel.verifyResponse(nonce, res.statusCode, peer.fingerprint256, data, signature);
+            
+            resolve({
+              status: res.statusCode,
+              etag: res.headers.etag || null,
+              body: res.statusCode === 304 ? null : JSON.parse(data),
+              certificate: {
+                fingerprint: peer.fingerprint256,
+                pem: new X509Certificate(peer.raw).toString()
+              }
+            });
           } catch (error) {
             reject(error);
           }
@@ -326,10 +669,36 @@ class NetworkScanner extends EventEmitter {
         reject(new Error('Request timeout'));
       });
       
-      req.end();
+      req.end(payload);
     });
   }
 
+  // Runs a dashboard command on a client; resolves with the client's outcome
+  // { status, result, error }. Agents from before remote commands (404) and
+  // clients that turned them off (403) fail the command rather than retrying it.
+  // command is the signed { id, clientId, command, params, expiresAt, signature }.
+  async sendCommand(host, command) {
+    const { status, body } = await this.request(host, AgentCommands.PATH, {
+      method: 'POST',
+      body: command,
+      accept: [200, 400, 403, 404],
+      timeout: COMMAND_TIMEOUT
+    });
+    if (status === 404) {
+      return { status: 'failed', result: null, error: 'The client agent is too old for remote commands' };
+    }
+    if (status !== 200) {
+      return { status: 'failed', result: null, error: body.error };
+    }
+    
+    // Start and stop show in the client's health without waiting for the next scan
+    const client = this.discoveredClients.get(host);
+    if (client && typeof body.result?.isMonitoring === 'boolean') {
+      client.isMonitoring = body.result.isMonitoring;
+    }
+    return { status: body.status, result: body.result, error: body.error };
+  }
+
   async getClientData(clientIp, endpoint = '/api/latest') {
     try {
       return await this.makeHttpRequest(clientIp, endpoint);
@@ -397,6 +766,7 @@ class NetworkScanner extends EventEmitter {
   }
 
   removeClient(ip) {
+    this.advertisedPorts.delete(ip);
     return this.discoveredClients.delete(ip);
   }
 
@@ -416,4 +786,7 @@ class NetworkScanner extends EventEmitter {
   }
 }
 
+NetworkScanner.DEFAULT_BROWSE_TIMEOUT = DEFAULT_BROWSE_TIMEOUT;
+NetworkScanner.SYNC_RECHECK_INTERVAL = SYNC_RECHECK_INTERVAL;
+
 module.exports = NetworkScanner;
\ No newline at end of file
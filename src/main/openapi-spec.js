@@ -0,0 +1,915 @@
+// src/main/openapi-spec.js - OpenAPI 3.0 document for the enterprise server API
+// Served at /api/openapi.json and used by OpenApiValidator to check requests before
+// the routes run. Enumerations come from the modules that enforce them, so the
+// document cannot drift from what the server accepts.
+const ApiKeyStore = require('./api-key-store');
+const ClientRegistry = require('./client-registry');
+const AlertRules = require('./alert-rules');
+const AlertStore = require('./alert-store');
+const AlertNotifier = require('./alert-notifier');
+const UsageHistory = require('./usage-history');
+const WebhookDispatcher = require('./webhook-dispatcher');
+const LiveFeed = require('./live-feed');
+const ScanTargets = require('./scan-targets');
+const DnsSd = require('./dns-sd');
+const ClientHealth = require('./client-health');
+const AgentCommands = require('./agent-commands');
+const CommandQueue = require('./command-queue');
+const { version } = require('../../package.json');
+
+const REPORT_TYPES = ['full-report', 'cost-analysis', 'unused-software'];
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const nullableString = (extra = {}) => ({ type: 'string', nullable: true, ...extra });
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const dateTime = string({ format: 'date-time' });
+const nullableDateTime = nullableString({ format: 'date-time' });
+const arrayOf = items => ({ type: 'array', items });
+const object = (properties, required = [], extra = {}) => ({ type: 'object', properties, required, ...extra });
+
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+const errorResponse = description => json(ref('Error'), description);
+
+const pathParam = (name, description) => ({
+  name, in: 'path', required: true, description, schema: string()
+});
+const queryParam = (name, schema, description) => ({ name, in: 'query', schema, description });
+const limitParam = fallback => queryParam(
+  'limit',
+  { type: 'integer', minimum: 1, maximum: 1000 },
+  `Maximum number of entries (default ${fallback})`
+);
+
+// One operation; scope names the API key scope the route needs (null for none)
+function operation(summary, scope, options = {}) {
+  const responses = { ...options.responses };
+  if (options.body || options.parameters) responses[400] = errorResponse('Invalid request');
+  if (scope) responses[403] = errorResponse('Missing or invalid API key, or the key lacks the scope');
+  if (options.notFound) responses[404] = errorResponse(options.notFound);
+  responses.default = errorResponse('Server error');
+
+  return {
+    summary,
+    tags: [options.tag],
+    ...(options.description ? { description: options.description } : {}),
+    ...(scope ? { 'x-required-scope': scope } : { security: options.security || [] }),
+    ...(options.parameters ? { parameters: options.parameters } : {}),
+    ...(options.body ? {
+      requestBody: {
+        required: options.bodyRequired !== false,
+        content: { 'application/json': { schema: options.body } }
+      }
+    } : {}),
+    responses
+  };
+}
+
+const retentionDays = {
+  rawDays: { type: 'number', minimum: 1, nullable: true },
+  hourlyDays: { type: 'number', minimum: 1, nullable: true },
+  dailyDays: { type: 'number', minimum: 1, nullable: true },
+  monthlyDays: { type: 'number', minimum: 1, nullable: true }
+};
+
+const schemas = {
+  Error: object({ error: string(), details: arrayOf(string()) }, ['error']),
+  Success: object({ success: boolean, message: string() }, ['success']),
+
+  Client: object({
+    client_id: string(),
+    hostname: string(),
+    display_name: nullableString(),
+    department: string(),
+    platform: string(),
+    last_seen: nullableDateTime,
+    first_seen: nullableDateTime,
+    data_points: integer,
+    latest_usage: { type: 'object', nullable: true },
+    ip_address: nullableString(),
+    is_online: boolean,
+    state: string({ enum: ClientHealth.STATES }),
+    health: ref('HealthScore'),
+    agent_version: nullableString(),
+    connection_mode: string(),
+    tags: arrayOf(string()),
+    status: string({ enum: ClientRegistry.STATUSES }),
+    decommissioned_at: nullableDateTime
+  }, ['client_id', 'hostname', 'department', 'is_online', 'state', 'health', 'tags', 'status']),
+  HealthScore: object({
+    score: { type: 'integer', minimum: 0, maximum: 100 },
+    reasons: arrayOf(string())
+  }, ['score', 'reasons']),
+  StateTransition: object({
+    _id: string(),
+    clientId: string(),
+    from: nullableString({ enum: ClientHealth.STATES }),
+    to: string({ enum: ClientHealth.STATES }),
+    score: integer,
+    reasons: arrayOf(string()),
+    at: dateTime
+  }, ['clientId', 'from', 'to', 'at']),
+  ClientHealth: object({
+    client_id: string(),
+    state: string({ enum: ClientHealth.STATES }),
+    score: integer,
+    reasons: arrayOf(string()),
+    since: nullableDateTime,
+    history: arrayOf(ref('StateTransition'))
+  }, ['client_id', 'state', 'score', 'reasons', 'since', 'history']),
+  HealthThresholds: object({
+    staleAfter: { ...number, description: 'Minutes without a heartbeat before a client is stale' },
+    offlineAfter: { ...number, description: 'Minutes without a heartbeat before a client is offline' },
+    degradedBelow: { ...number, minimum: 0, maximum: 100 },
+    minAgentVersion: nullableString(),
+    historyDays: number
+  }, [], { additionalProperties: false }),
+  CommandInput: object({
+    command: string({ enum: AgentCommands.COMMANDS }),
+    params: {
+      type: 'object',
+      description: 'set-interval: { monitoringInterval } in milliseconds; update-signatures: { catalog }, '
+        + 'by default the server\'s own catalog'
+    },
+    ttlMinutes: { ...number, minimum: 1, maximum: CommandQueue.MAX_TTL, description: 'How long to wait for the client' }
+  }, ['command'], { additionalProperties: false }),
+  Command: object({
+    _id: string(),
+    clientId: string(),
+    command: string({ enum: AgentCommands.COMMANDS }),
+    params: { type: 'object' },
+    status: string({ enum: CommandQueue.STATUSES }),
+    requestedBy: string(),
+    createdAt: dateTime,
+    expiresAt: dateTime,
+    sentAt: nullableDateTime,
+    finishedAt: nullableDateTime,
+    result: { description: 'What the client reported, e.g. the diagnostics bundle', nullable: true },
+    error: nullableString(),
+    lastError: { ...nullableString(), description: 'Why the last delivery attempt did not reach the client' },
+    attempts: arrayOf(object({ at: dateTime, error: nullableString(), durationMs: number }, ['at']))
+  }, ['_id', 'clientId', 'command', 'status', 'createdAt', 'expiresAt', 'attempts']),
+  ClientDetails: object({
+    client: ref('Client'),
+    latestUsage: { type: 'object', nullable: true },
+    history: arrayOf({ type: 'object' })
+  }, ['client', 'history']),
+  ClientRecord: object({
+    clientId: string(),
+    hostname: string(),
+    displayName: nullableString(),
+    department: string(),
+    platform: nullableString(),
+    ip: nullableString(),
+    agentVersion: string(),
+    connectionMode: string(),
+    tags: arrayOf(string()),
+    status: string({ enum: ClientRegistry.STATUSES }),
+    registeredAt: dateTime,
+    lastSeen: dateTime,
+    decommissionedAt: nullableDateTime
+  }, ['clientId', 'department', 'tags', 'status', 'registeredAt']),
+  ClientRegistration: object({
+    clientId: string({ minLength: 1 }),
+    displayName: nullableString(),
+    department: string(),
+    tags: arrayOf(string()),
+    hostname: string(),
+    platform: string(),
+    ip: string()
+  }, ['clientId']),
+  ClientChanges: object({
+    displayName: nullableString(),
+    department: string(),
+    tags: arrayOf(string())
+  }, [], { additionalProperties: false }),
+  Heartbeat: object({ hostname: string(), platform: string(), ip: string(), agentVersion: string() }),
+
+  Statistics: object({
+    total_clients: integer,
+    online_clients: integer,
+    unique_applications: integer,
+    unique_plugins: integer,
+    total_monthly_cost: number,
+    last_scan: dateTime
+  }, ['total_clients', 'online_clients', 'unique_applications', 'unique_plugins']),
+  Department: object({
+    department: string(),
+    count: integer,
+    online: integer,
+    decommissioned: integer,
+    totalCost: number,
+    applications: integer,
+    plugins: integer
+  }, ['department', 'count', 'online', 'applications', 'plugins']),
+  InventoryItem: object({
+    name: string(),
+    vendor: string(),
+    installations: integer,
+    activeInstallations: integer,
+    totalUsage: number,
+    estimatedCost: number
+  }, ['name', 'installations', 'activeInstallations']),
+  SoftwareInventory: object({
+    applications: arrayOf(ref('InventoryItem')),
+    plugins: arrayOf(ref('InventoryItem'))
+  }, ['applications', 'plugins']),
+  CostAnalysis: object({
+    totalMonthlyCost: number,
+    totalAnnualCost: number,
+    activeLicenses: integer,
+    unusedLicenses: integer,
+    potentialSavings: number,
+    byDepartment: arrayOf(object({
+      name: string(), totalCost: number, activeLicenses: integer, unusedLicenses: integer
+    }, ['name', 'totalCost'])),
+    topExpenses: arrayOf(object({
+      name: string(), cost: number, isActive: boolean, client: string()
+    }, ['name', 'cost']))
+  }, ['totalMonthlyCost', 'totalAnnualCost', 'activeLicenses', 'unusedLicenses', 'byDepartment', 'topExpenses']),
+
+  ScanTargets: object({
+    targets: arrayOf(string()),
+    exclude: arrayOf(string()),
+    includeLocal: boolean,
+    maxConcurrency: { type: 'integer', minimum: ScanTargets.DEFAULT_CONCURRENCY.min }
+  }, [], { additionalProperties: false }),
+  Discovery: object({
+    enabled: boolean,
+    browseTimeout: { type: 'integer', minimum: 100, maximum: 30000 },
+    sweepFallback: boolean
+  }, [], { additionalProperties: false }),
+  ScanTargetStats: object({
+    target: string(),
+    source: string({ enum: ['dns-sd', 'interface', 'configured'] }),
+    method: string({ enum: ['mdns', 'arp', 'sweep'] }),
+    hosts: integer,
+    probed: integer,
+    clients: integer,
+    open: integer,
+    closed: integer,
+    timeouts: integer,
+    throttled: integer,
+    peakConcurrency: integer,
+    durationMs: integer,
+    error: string()
+  }, ['target', 'source', 'hosts', 'probed', 'clients']),
+  ScanStatus: object({
+    startedAt: nullableDateTime,
+    completedAt: nullableDateTime,
+    clientsFound: integer,
+    targets: arrayOf(ref('ScanTargetStats'))
+  }, ['startedAt', 'completedAt', 'clientsFound', 'targets']),
+
+  IngestBatch: object({
+    clientId: string({ minLength: 1 }),
+    agentId: string({ minLength: 1 }),
+    department: string(),
+    records: arrayOf(object({ sequence: integer }, ['sequence'])),
+    latest: { type: 'object' }
+  }, ['clientId', 'agentId', 'records']),
+  IngestResult: object({
+    accepted: integer, duplicates: integer, lastSequence: integer, replayed: boolean
+  }, ['accepted', 'duplicates', 'lastSequence']),
+
+  ApiKey: object({
+    _id: string(),
+    name: string(),
+    hint: string(),
+    scopes: arrayOf(string({ enum: ApiKeyStore.SCOPES })),
+    departments: { type: 'array', items: string(), nullable: true },
+    createdAt: dateTime,
+    rotatedAt: nullableDateTime,
+    revokedAt: nullableDateTime,
+    lastUsedAt: nullableDateTime
+  }, ['_id', 'name', 'scopes', 'createdAt']),
+  IssuedApiKey: { allOf: [ref('ApiKey'), object({ key: string() }, ['key'])] },
+  ApiKeyInput: object({
+    name: string({ minLength: 1 }),
+    scopes: { type: 'array', items: string({ enum: ApiKeyStore.SCOPES }), minItems: 1 },
+    departments: { type: 'array', items: string(), nullable: true }
+  }, ['name', 'scopes']),
+
+  AuditEntry: object({
+    sequence: integer,
+    timestamp: dateTime,
+    actor: string(),
+    action: string(),
+    target: nullableString(),
+    details: { type: 'object', nullable: true },
+    previousHash: nullableString(),
+    hash: string()
+  }, ['sequence', 'timestamp', 'actor', 'action', 'hash']),
+  AuditVerification: object({
+    valid: boolean, count: integer, brokenAt: integer, reason: string(), lastHash: nullableString()
+  }, ['valid']),
+
+  AlertRule: object({
+    _id: string(),
+    name: string(),
+    metric: string({ enum: AlertRules.METRICS }),
+    comparator: string({ enum: AlertRules.COMPARATORS }),
+    threshold: number,
+    duration: number,
+    inactiveDays: { type: 'number', nullable: true },
+    scope: object({
+      departments: { type: 'array', items: string(), nullable: true },
+      tags: { type: 'array', items: string(), nullable: true }
+    }),
+    severity: string({ enum: AlertRules.SEVERITIES }),
+    notify: arrayOf(string({ enum: AlertNotifier.CHANNELS })),
+    enabled: boolean,
+    createdAt: dateTime,
+    updatedAt: dateTime
+  }, ['_id', 'name', 'metric', 'comparator', 'threshold', 'severity', 'enabled']),
+  AlertRuleChanges: object({
+    name: string({ minLength: 1 }),
+    metric: string({ enum: AlertRules.METRICS }),
+    comparator: string({ enum: AlertRules.COMPARATORS }),
+    threshold: number,
+    duration: { type: 'number', minimum: 0 },
+    inactiveDays: { type: 'number', minimum: 0, nullable: true },
+    scope: object({
+      departments: { type: 'array', items: string(), nullable: true },
+      tags: { type: 'array', items: string(), nullable: true }
+    }),
+    severity: string({ enum: AlertRules.SEVERITIES }),
+    notify: arrayOf(string({ enum: AlertNotifier.CHANNELS })),
+    enabled: boolean
+  }),
+  AlertRuleInput: { allOf: [ref('AlertRuleChanges'), object({}, ['name', 'metric', 'comparator', 'threshold'])] },
+  NotifierChannels: object({
+    webhook: object({
+      url: string({ format: 'uri' }),
+      headers: { type: 'object', additionalProperties: string() }
+    }, ['url'], { nullable: true }),
+    email: object({
+      from: string(),
+      to: string(),
+      subjectPrefix: nullableString(),
+      smtp: object({
+        host: string(),
+        port: integer,
+        secure: boolean,
+        ignoreTLS: boolean,
+        allowInsecureAuth: boolean,
+        user: string(),
+        pass: string()
+      }, ['host'])
+    }, ['from', 'to', 'smtp'], { nullable: true }),
+    desktop: object({ enabled: boolean }, [], { nullable: true })
+  }, [], { additionalProperties: false }),
+  NotifierResult: object({
+    channel: string({ enum: AlertNotifier.CHANNELS }), ok: boolean, error: nullableString()
+  }, ['channel', 'ok']),
+  AlertCheckResult: object({ notified: integer, resolved: integer }, ['notified', 'resolved']),
+  Alert: object({
+    _id: string(),
+    client_id: nullableString(),
+    alert_type: string(),
+    rule_id: nullableString(),
+    severity: string({ enum: AlertRules.SEVERITIES }),
+    message: string(),
+    details: { type: 'object', nullable: true },
+    resolved: boolean,
+    status: string({ enum: ['open', 'acknowledged', 'snoozed', 'resolved'] }),
+    timestamp: dateTime,
+    acknowledged_at: nullableDateTime,
+    acknowledged_by: nullableString(),
+    snoozed_until: nullableDateTime,
+    resolved_at: nullableDateTime,
+    resolved_by: nullableString(),
+    note: nullableString(),
+    notifications: arrayOf({ type: 'object' })
+  }, ['_id', 'alert_type', 'severity', 'message', 'resolved', 'status', 'timestamp']),
+  AlertNote: object({ note: string() }),
+  AlertSnooze: object({
+    minutes: { type: 'number', minimum: 1 },
+    until: dateTime,
+    note: string()
+  }),
+
+  HistoryRetention: object(retentionDays, [], { additionalProperties: false }),
+  AppliedRetention: object({ ...retentionDays, removed: { type: 'object', nullable: true } }),
+  HistoryPoint: object({ bucket: dateTime, minutes: number }, ['bucket', 'minutes']),
+  History: object({
+    dimension: string({ enum: UsageHistory.DIMENSIONS }),
+    resolution: string({ enum: UsageHistory.RESOLUTIONS }),
+    range: object({ from: dateTime, to: dateTime }, ['from', 'to']),
+    buckets: arrayOf(dateTime),
+    series: arrayOf(object({
+      name: string(),
+      vendor: nullableString(),
+      department: string(),
+      totalMinutes: number,
+      clients: integer,
+      points: arrayOf(ref('HistoryPoint'))
+    }, ['totalMinutes', 'clients', 'points'])),
+    totals: object({ minutes: number, points: arrayOf(ref('HistoryPoint')) }, ['minutes', 'points'])
+  }, ['dimension', 'resolution', 'range', 'buckets', 'series', 'totals']),
+
+  Webhook: object({
+    _id: string(),
+    name: string(),
+    url: string({ format: 'uri' }),
+    events: arrayOf(string({ enum: ['*', ...WebhookDispatcher.EVENTS] })),
+    headers: { type: 'object', additionalProperties: string() },
+    enabled: boolean,
+    secretHint: string(),
+    createdAt: dateTime,
+    updatedAt: dateTime
+  }, ['_id', 'name', 'url', 'events', 'enabled', 'secretHint']),
+  IssuedWebhook: { allOf: [ref('Webhook'), object({ secret: string() }, ['secret'])] },
+  WebhookChanges: object({
+    name: string({ minLength: 1 }),
+    url: string({ format: 'uri' }),
+    events: { type: 'array', items: string({ enum: ['*', ...WebhookDispatcher.EVENTS] }), minItems: 1 },
+    headers: { type: 'object', additionalProperties: string() },
+    enabled: boolean
+  }, [], { additionalProperties: false }),
+  WebhookInput: { allOf: [ref('WebhookChanges'), object({}, ['name', 'url', 'events'])] },
+  WebhookDelivery: object({
+    _id: string(),
+    subscriptionId: string(),
+    subscriptionName: string(),
+    url: string(),
+    event: string(),
+    eventId: string(),
+    payload: object({ id: string(), event: string(), createdAt: dateTime, data: {} }, ['id', 'event']),
+    status: string({ enum: WebhookDispatcher.STATUSES }),
+    failures: integer,
+    nextAttemptAt: dateTime,
+    createdAt: dateTime,
+    deliveredAt: nullableDateTime,
+    lastError: nullableString(),
+    attempts: arrayOf(object({
+      at: dateTime, status: { type: 'integer', nullable: true }, error: nullableString(), durationMs: number
+    }, ['at']))
+  }, ['_id', 'subscriptionId', 'event', 'status', 'failures', 'attempts']),
+
+  Health: object({ status: string(), uptime: number, clients: integer }, ['status'])
+};
+
+const clientId = pathParam('clientId', 'Client id');
+const id = pathParam('id', 'Record id');
+const deleted = { 200: json(ref('Success')) };
+
+const paths = {
+  '/api/openapi.json': {
+    get: operation('This document', null, { tag: 'Meta', responses: { 200: json({ type: 'object' }) } })
+  },
+  '/health': {
+    get: operation('Server health', null, { tag: 'Meta', responses: { 200: json(ref('Health')) } })
+  },
+
+  '/api/clients': {
+    get: operation('List registered clients', 'read-reports', {
+      tag: 'Clients',
+      parameters: [
+        queryParam('status', string({ enum: [...ClientRegistry.STATUSES, 'all'] }), 'Default active'),
+        queryParam('department', string()),
+        queryParam('tag', string())
+      ],
+      responses: { 200: json(arrayOf(ref('Client'))) }
+    }),
+    post: operation('Register a client, or re-activate a decommissioned one', 'manage-clients', {
+      tag: 'Clients',
+      body: ref('ClientRegistration'),
+      responses: { 200: json(ref('ClientRecord'), 'Already registered'), 201: json(ref('ClientRecord'), 'Registered') }
+    })
+  },
+  '/api/clients/{clientId}': {
+    get: operation('One client with its latest usage and recent history', 'read-reports', {
+      tag: 'Clients',
+      parameters: [clientId],
+      notFound: 'Client not found',
+      responses: { 200: json(ref('ClientDetails')) }
+    }),
+    patch: operation('Rename, move or retag a client', 'manage-clients', {
+      tag: 'Clients',
+      parameters: [clientId],
+      body: ref('ClientChanges'),
+      notFound: 'Client not found',
+      responses: { 200: json(ref('ClientRecord')) }
+    }),
+    delete: operation('Forget a client entirely', 'manage-clients', {
+      tag: 'Clients', parameters: [clientId], notFound: 'Client not found', responses: deleted
+    })
+  },
+  '/api/clients/{clientId}/heartbeat': {
+    post: operation('Record that a client is alive', 'manage-clients', {
+      tag: 'Clients',
+      parameters: [clientId],
+      body: ref('Heartbeat'),
+      bodyRequired: false,
+      notFound: 'Client not found',
+      responses: { 200: json(ref('ClientRecord')) }
+    })
+  },
+  '/api/clients/{clientId}/decommission': {
+    post: operation('Retire a client, keeping its history', 'manage-clients', {
+      tag: 'Clients',
+      parameters: [clientId],
+      notFound: 'Client not found',
+      responses: { 200: json(ref('ClientRecord')) }
+    })
+  },
+
+  '/api/clients/{clientId}/health': {
+    get: operation('A client\'s state and health score, with its state changes', 'read-reports', {
+      tag: 'Clients',
+      parameters: [clientId, limitParam(50)],
+      notFound: 'Client not found',
+      responses: { 200: json(ref('ClientHealth')) }
+    })
+  },
+  '/api/clients/{clientId}/commands': {
+    get: operation('Commands sent to a client\'s agent, newest first', 'read-reports', {
+      tag: 'Clients',
+      parameters: [clientId, queryParam('status', string({ enum: CommandQueue.STATUSES })), limitParam(50)],
+      responses: { 200: json(arrayOf(ref('Command'))) }
+    }),
+    post: operation('Queue a command for a client\'s agent', 'manage-clients', {
+      tag: 'Clients',
+      description: 'The command is delivered once the scanner can reach the client, and expires after ttlMinutes '
+        + `(default ${CommandQueue.DEFAULT_TTL}). The scanner cannot reach push-mode clients, so they are refused.`,
+      parameters: [clientId],
+      body: ref('CommandInput'),
+      notFound: 'Client not found',
+      responses: {
+        202: json(ref('Command'), 'Queued'),
+        409: errorResponse('Push-mode clients cannot receive commands')
+      }
+    })
+  },
+  '/api/clients/{clientId}/commands/{id}': {
+    get: operation('One command with its result', 'read-reports', {
+      tag: 'Clients',
+      parameters: [clientId, id],
+      notFound: 'Command not found',
+      responses: { 200: json(ref('Command')) }
+    })
+  },
+  '/api/clients/{clientId}/commands/{id}/cancel': {
+    post: operation('Cancel a command that has not been sent', 'manage-clients', {
+      tag: 'Clients',
+      parameters: [clientId, id],
+      notFound: 'Command not found',
+      responses: { 200: json(ref('Command')), 409: errorResponse('Command was already sent') }
+    })
+  },
+  '/api/health/thresholds': {
+    get: operation('When clients count as degraded, stale or offline', 'read-reports', {
+      tag: 'Clients', responses: { 200: json(ref('HealthThresholds')) }
+    }),
+    put: operation('Change the health thresholds', 'admin', {
+      tag: 'Clients',
+      description: `The score adds ${ClientHealth.WEIGHTS.heartbeat} points for a recent heartbeat, `
+        + `${ClientHealth.WEIGHTS.monitoring} for running monitoring and ${ClientHealth.WEIGHTS.version} `
+        + 'for an agent at least minAgentVersion. Missing fields take their defaults.',
+      body: ref('HealthThresholds'),
+      responses: { 200: json(ref('HealthThresholds')) }
+    })
+  },
+
+  '/api/statistics': {
+    get: operation('Fleet totals', 'read-reports', { tag: 'Reports', responses: { 200: json(ref('Statistics')) } })
+  },
+  '/api/departments': {
+    get: operation('Clients, usage and cost per department', 'read-reports', {
+      tag: 'Reports', responses: { 200: json(arrayOf(ref('Department'))) }
+    })
+  },
+  '/api/software-inventory': {
+    get: operation('Installed applications and plugins across clients', 'read-reports', {
+      tag: 'Reports', responses: { 200: json(ref('SoftwareInventory')) }
+    })
+  },
+  '/api/cost-analysis': {
+    get: operation('License cost, usage and savings', 'read-reports', {
+      tag: 'Reports', responses: { 200: json(ref('CostAnalysis')) }
+    })
+  },
+  '/api/export/{type}': {
+    get: operation('Download a report', 'read-reports', {
+      tag: 'Reports',
+      parameters: [
+        { ...pathParam('type', 'Report type'), schema: string({ enum: REPORT_TYPES }) },
+        queryParam('format', string({ enum: ['csv', 'xlsx'] }), 'Default csv')
+      ],
+      responses: {
+        200: {
+          description: 'The report',
+          content: {
+            'text/csv': { schema: string() },
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+              schema: string({ format: 'binary' })
+            }
+          }
+        }
+      }
+    })
+  },
+  '/api/scan': {
+    get: operation('Statistics of the last network scan, per target', 'read-reports', {
+      tag: 'Clients', responses: { 200: json(ref('ScanStatus')) }
+    }),
+    post: operation('Scan the network for clients now', 'manage-clients', {
+      tag: 'Clients', responses: { 200: json(ref('Success')) }
+    })
+  },
+  '/api/scan/targets': {
+    get: operation('Subnets and ranges scanned besides the local interfaces', 'read-reports', {
+      tag: 'Clients', responses: { 200: json(ref('ScanTargets')) }
+    }),
+    put: operation('Replace the scan targets', 'admin', {
+      tag: 'Clients',
+      description: 'CIDR blocks (10.20.0.0/22), ranges (10.20.8.10-10.20.8.60 or 10.20.8.10-60) and single '
+        + `addresses; at most ${ScanTargets.MAX_TARGET_HOSTS} hosts per target.`,
+      body: ref('ScanTargets'),
+      responses: { 200: json(ref('ScanTargets')) }
+    })
+  },
+  '/api/scan/discovery': {
+    get: operation('How clients are discovered over DNS-SD', 'read-reports', {
+      tag: 'Clients', responses: { 200: json(ref('Discovery')) }
+    }),
+    put: operation('Change DNS-SD discovery', 'admin', {
+      tag: 'Clients',
+      description: `Clients advertise ${DnsSd.CLIENT_SERVICE_TYPE}.local. The local interfaces (includeLocal) are `
+        + 'swept only with discovery disabled, or with sweepFallback when browsing fails or finds no clients.',
+      body: ref('Discovery'),
+      responses: { 200: json(ref('Discovery')) }
+    })
+  },
+  '/api/ingest': {
+    post: operation('Usage batch pushed by a client agent', null, {
+      tag: 'Ingest',
+      description: 'Signed with the enrollment token (x-esm-* headers) instead of an API key; '
+        + 'needs an Idempotency-Key header. Only served on the HTTPS port (ENTERPRISE_TLS_PORT, default 3444).',
+      body: ref('IngestBatch'),
+      responses: {
+        200: json(ref('IngestResult')),
+        401: errorResponse('Missing or invalid signature'),
+        403: errorResponse('Sent over plain HTTP'),
+        503: errorResponse('Push ingest is disabled')
+      }
+    })
+  },
+  '/api/live': {
+    get: operation('Live dashboard events (Server-Sent Events)', 'read-reports', {
+      tag: 'Reports',
+      description: `Events: ${LiveFeed.EVENTS.join(', ')}`,
+      responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: string() } } } }
+    })
+  },
+
+  '/api/keys': {
+    get: operation('List API keys', 'admin', { tag: 'API keys', responses: { 200: json(arrayOf(ref('ApiKey'))) } }),
+    post: operation('Create an API key; the key is only returned here', 'admin', {
+      tag: 'API keys', body: ref('ApiKeyInput'), responses: { 201: json(ref('IssuedApiKey')) }
+    })
+  },
+  '/api/keys/{id}/rotate': {
+    post: operation('Replace a key, keeping its scopes', 'admin', {
+      tag: 'API keys', parameters: [id], notFound: 'API key not found', responses: { 200: json(ref('IssuedApiKey')) }
+    })
+  },
+  '/api/keys/{id}/revoke': {
+    post: operation('Revoke a key', 'admin', {
+      tag: 'API keys', parameters: [id], notFound: 'API key not found', responses: { 200: json(ref('ApiKey')) }
+    })
+  },
+
+  '/api/audit': {
+    get: operation('Audit trail, newest first', 'admin', {
+      tag: 'Audit',
+      parameters: [
+        limitParam(100),
+        queryParam('keyId', string()),
+        queryParam('since', dateTime),
+        queryParam('until', dateTime)
+      ],
+      responses: { 200: json(arrayOf(ref('AuditEntry'))) }
+    })
+  },
+  '/api/audit/verify': {
+    get: operation('Check the audit hash chain', 'admin', {
+      tag: 'Audit', responses: { 200: json(ref('AuditVerification')) }
+    })
+  },
+  '/api/audit/export': {
+    get: operation('Download the audit trail', 'admin', {
+      tag: 'Audit',
+      parameters: [queryParam('format', string({ enum: ['csv', 'json'] }), 'Default csv')],
+      responses: {
+        200: {
+          description: 'The audit trail',
+          content: { 'text/csv': { schema: string() }, 'application/json': { schema: arrayOf(ref('AuditEntry')) } }
+        }
+      }
+    })
+  },
+
+  '/api/alerts': {
+    get: operation('Alerts, newest first', 'read-reports', {
+      tag: 'Alerts',
+      parameters: [
+        queryParam('status', string({ enum: AlertStore.STATUSES }), 'Default active (anything unresolved)'),
+        queryParam('clientId', string()),
+        queryParam('type', string()),
+        queryParam('severity', string({ enum: AlertRules.SEVERITIES })),
+        limitParam(200)
+      ],
+      responses: { 200: json(arrayOf(ref('Alert'))) }
+    })
+  },
+  '/api/alerts/check': {
+    post: operation('Run the alert rules now', 'manage-clients', {
+      tag: 'Alerts', responses: { 200: json(ref('AlertCheckResult')) }
+    })
+  },
+  '/api/alerts/rules': {
+    get: operation('List alert rules', 'read-reports', {
+      tag: 'Alerts', responses: { 200: json(arrayOf(ref('AlertRule'))) }
+    }),
+    post: operation('Create an alert rule', 'admin', {
+      tag: 'Alerts', body: ref('AlertRuleInput'), responses: { 201: json(ref('AlertRule')) }
+    })
+  },
+  '/api/alerts/rules/{id}': {
+    patch: operation('Change an alert rule', 'admin', {
+      tag: 'Alerts',
+      parameters: [id],
+      body: ref('AlertRuleChanges'),
+      notFound: 'Alert rule not found',
+      responses: { 200: json(ref('AlertRule')) }
+    }),
+    delete: operation('Delete an alert rule', 'admin', {
+      tag: 'Alerts', parameters: [id], notFound: 'Alert rule not found', responses: deleted
+    })
+  },
+  '/api/alerts/notifiers': {
+    get: operation('Notifier channels; the SMTP password reads back masked', 'admin', {
+      tag: 'Alerts', responses: { 200: json(ref('NotifierChannels')) }
+    }),
+    put: operation('Replace the notifier channels', 'admin', {
+      tag: 'Alerts',
+      body: ref('NotifierChannels'),
+      bodyRequired: false,
+      responses: { 200: json(ref('NotifierChannels')) }
+    })
+  },
+  '/api/alerts/notifiers/test': {
+    post: operation('Send a sample alert through one channel', 'admin', {
+      tag: 'Alerts',
+      body: object({ channel: string({ enum: AlertNotifier.CHANNELS }) }, ['channel']),
+      responses: { 200: json(ref('NotifierResult')), 502: json(ref('NotifierResult'), 'The channel failed') }
+    })
+  },
+  '/api/alerts/{id}': {
+    get: operation('One alert', 'read-reports', {
+      tag: 'Alerts', parameters: [id], notFound: 'Alert not found', responses: { 200: json(ref('Alert')) }
+    }),
+    delete: operation('Delete an alert', 'admin', {
+      tag: 'Alerts', parameters: [id], notFound: 'Alert not found', responses: deleted
+    })
+  },
+  '/api/alerts/{id}/acknowledge': {
+    post: operation('Acknowledge an alert', 'manage-clients', {
+      tag: 'Alerts',
+      parameters: [id],
+      body: ref('AlertNote'),
+      bodyRequired: false,
+      notFound: 'Alert not found',
+      responses: { 200: json(ref('Alert')) }
+    })
+  },
+  '/api/alerts/{id}/resolve': {
+    post: operation('Resolve an alert', 'manage-clients', {
+      tag: 'Alerts',
+      parameters: [id],
+      body: ref('AlertNote'),
+      bodyRequired: false,
+      notFound: 'Alert not found',
+      responses: { 200: json(ref('Alert')) }
+    })
+  },
+  '/api/alerts/{id}/snooze': {
+    post: operation('Snooze an alert for some minutes or until a time', 'manage-clients', {
+      tag: 'Alerts',
+      parameters: [id],
+      body: ref('AlertSnooze'),
+      notFound: 'Alert not found',
+      responses: { 200: json(ref('Alert')) }
+    })
+  },
+
+  '/api/history/retention': {
+    get: operation('History retention in days per level', 'read-reports', {
+      tag: 'History', responses: { 200: json(ref('HistoryRetention')) }
+    }),
+    put: operation('Change history retention and apply it now', 'admin', {
+      tag: 'History',
+      body: ref('HistoryRetention'),
+      bodyRequired: false,
+      responses: { 200: json(ref('AppliedRetention')) }
+    })
+  },
+  '/api/history/{dimension}': {
+    get: operation('Usage minutes over time', 'read-reports', {
+      tag: 'History',
+      parameters: [
+        { ...pathParam('dimension', 'What to break usage down by'), schema: string({ enum: UsageHistory.DIMENSIONS }) },
+        queryParam('from', dateTime, 'Default 30 days before to'),
+        queryParam('to', dateTime, 'Default now'),
+        queryParam('resolution', string({ enum: UsageHistory.RESOLUTIONS }), 'Default day'),
+        queryParam('department', arrayOf(string())),
+        queryParam('clientId', string()),
+        queryParam('name', arrayOf(string())),
+        queryParam('vendor', arrayOf(string()))
+      ],
+      responses: { 200: json(ref('History')), 503: errorResponse('Server is still starting') }
+    })
+  },
+
+  '/api/webhooks': {
+    get: operation('List webhooks', 'admin', { tag: 'Webhooks', responses: { 200: json(arrayOf(ref('Webhook'))) } }),
+    post: operation('Create a webhook; the signing secret is only returned here', 'admin', {
+      tag: 'Webhooks', body: ref('WebhookInput'), responses: { 201: json(ref('IssuedWebhook')) }
+    })
+  },
+  '/api/webhooks/events': {
+    get: operation('Events webhooks can subscribe to', 'admin', {
+      tag: 'Webhooks', responses: { 200: json(arrayOf(string())) }
+    })
+  },
+  '/api/webhooks/deliveries': {
+    get: operation('Delivery log, newest first; status=dead is the dead-letter list', 'admin', {
+      tag: 'Webhooks',
+      parameters: [
+        queryParam('subscriptionId', string()),
+        queryParam('status', string({ enum: WebhookDispatcher.STATUSES })),
+        queryParam('event', string()),
+        limitParam(100)
+      ],
+      responses: { 200: json(arrayOf(ref('WebhookDelivery'))) }
+    })
+  },
+  '/api/webhooks/deliveries/{id}': {
+    get: operation('One delivery with its attempts', 'admin', {
+      tag: 'Webhooks',
+      parameters: [id],
+      notFound: 'Delivery not found',
+      responses: { 200: json(ref('WebhookDelivery')) }
+    })
+  },
+  '/api/webhooks/deliveries/{id}/redeliver': {
+    post: operation('Queue a delivery again', 'admin', {
+      tag: 'Webhooks',
+      parameters: [id],
+      notFound: 'Delivery not found',
+      responses: { 202: json(ref('WebhookDelivery')) }
+    })
+  },
+  '/api/webhooks/{id}': {
+    patch: operation('Change a webhook', 'admin', {
+      tag: 'Webhooks',
+      parameters: [id],
+      body: ref('WebhookChanges'),
+      notFound: 'Webhook not found',
+      responses: { 200: json(ref('Webhook')) }
+    }),
+    delete: operation('Delete a webhook and its queued deliveries', 'admin', {
+      tag: 'Webhooks', parameters: [id], notFound: 'Webhook not found', responses: deleted
+    })
+  },
+  '/api/webhooks/{id}/test': {
+    post: operation('Send a webhook.ping event to one webhook', 'admin', {
+      tag: 'Webhooks',
+      parameters: [id],
+      notFound: 'Webhook not found or disabled',
+      responses: { 202: json(ref('WebhookDelivery')) }
+    })
+  }
+};
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Enterprise Software Monitor API',
+    version,
+    description: 'Client inventory, usage reports, alerts and integrations of the enterprise server. '
+      + 'x-required-scope names the API key scope each operation needs.'
+  },
+  security: [{ apiKey: [] }],
+  components: {
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+    },
+    schemas
+  },
+  paths
+};
@@ -0,0 +1,213 @@
+// src/main/openapi-validator.js - Request and response validation from the OpenAPI document
+// Matches each request to its operation in the spec, checks path and query parameters
+// and the JSON body before the route runs, and can check JSON responses against the
+// documented schema for their status. Covers the schema keywords the spec uses.
+
+const FORMATS = {
+  'date-time': value => !Number.isNaN(Date.parse(value)),
+  uri: value => /^[a-z][a-z0-9+.-]*:\/\//i.test(value)
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+class OpenApiValidator {
+  // options: { validateResponses, onResponseError({ method, path, status, errors }) }
+  constructor(spec, options = {}) {
+    this.spec = spec;
+    this.validateResponses = Boolean(options.validateResponses);
+    this.onResponseError = options.onResponseError || (({ method, path, status, errors }) => {
+      console.warn(`Response to ${method} ${path} (${status}) does not match the API spec: ${errors.join('; ')}`);
+    });
+
+    // Literal paths before templated ones, so /api/alerts/rules wins over /api/alerts/{id}
+    this.routes = Object.entries(spec.paths)
+      .map(([template, pathItem]) => {
+        const names = [];
+        const pattern = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (match, name) => {
+          names.push(name);
+          return '([^/]+)';
+        });
+        return { template, pathItem, names, regex: new RegExp(`^${pattern}$`) };
+      })
+      .sort((a, b) => a.names.length - b.names.length);
+  }
+
+  resolve(schema) {
+    let resolved = schema;
+    while (resolved && resolved.$ref) {
+      const name = resolved.$ref.replace('#/components/schemas/', '');
+      resolved = this.spec.components.schemas[name];
+      if (!resolved) throw new Error(`Unknown schema reference ${schema.$ref}`);
+    }
+    return resolved;
+  }
+
+  // Returns a list of problems, empty when value matches schema
+  validate(schema, value, at = 'value') {
+    const resolved = this.resolve(schema);
+    if (!resolved) return [];
+    if (value === null && resolved.nullable) return [];
+
+    if (resolved.allOf) {
+      return resolved.allOf.flatMap(part => this.validate(part, value, at));
+    }
+    if (resolved.oneOf) {
+      const matching = resolved.oneOf.filter(part => this.validate(part, value, at).length === 0);
+      return matching.length === 1 ? [] : [`${at} must match exactly one of the allowed shapes`];
+    }
+
+    const actual = typeOf(value);
+    if (resolved.type) {
+      const matches = actual === resolved.type || (resolved.type === 'number' && actual === 'integer');
+      if (!matches) return [`${at} must be ${resolved.nullable ? `${resolved.type} or null` : resolved.type}`];
+    }
+    if (resolved.enum && !resolved.enum.includes(value)) {
+      return [`${at} must be one of: ${resolved.enum.join(', ')}`];
+    }
+
+    const errors = [];
+    if (actual === 'string') {
+      if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+        errors.push(`${at} must not be empty`);
+      }
+      if (resolved.pattern && !new RegExp(resolved.pattern).test(value)) {
+        errors.push(`${at} must match ${resolved.pattern}`);
+      }
+      if (resolved.format && FORMATS[resolved.format] && !FORMATS[resolved.format](value)) {
+        errors.push(`${at} must be a valid ${resolved.format}`);
+      }
+    }
+    if (actual === 'integer' || actual === 'number') {
+      if (resolved.minimum !== undefined && value < resolved.minimum) {
+        errors.push(`${at} must be at least ${resolved.minimum}`);
+      }
+      if (resolved.maximum !== undefined && value > resolved.maximum) {
+        errors.push(`${at} must be at most ${resolved.maximum}`);
+      }
+    }
+    if (actual === 'array') {
+      if (resolved.minItems !== undefined && value.length < resolved.minItems) {
+        errors.push(`${at} must have at least ${resolved.minItems} item(s)`);
+      }
+      if (resolved.items) {
+        value.forEach((item, index) => errors.push(...this.validate(resolved.items, item, `${at}[${index}]`)));
+      }
+    }
+    if (actual === 'object') {
+      const properties = resolved.properties || {};
+      (resolved.required || []).forEach(name => {
+        if (value[name] === undefined) errors.push(`${at}.${name} is required`);
+      });
+      Object.entries(value).forEach(([name, property]) => {
+        if (property === undefined) return;
+        if (properties[name]) {
+          errors.push(...this.validate(properties[name], property, `${at}.${name}`));
+        } else if (resolved.additionalProperties === false) {
+          errors.push(`${at}.${name} is not allowed`);
+        } else if (typeof resolved.additionalProperties === 'object') {
+          errors.push(...this.validate(resolved.additionalProperties, property, `${at}.${name}`));
+        }
+      });
+    }
+    return errors;
+  }
+
+  // { template, operation, params } for a request, or null when the spec has no such route
+  match(method, path) {
+    for (const route of this.routes) {
+      const found = path.match(route.regex);
+      const operation = found && route.pathItem[method.toLowerCase()];
+      if (operation) {
+        const params = {};
+        route.names.forEach((name, index) => {
+          params[name] = decodeURIComponent(found[index + 1]);
+        });
+        return { template: route.template, operation, params };
+      }
+    }
+    return null;
+  }
+
+  // Query and path values arrive as strings; read them as the declared type
+  static coerce(schema, value) {
+    if (schema.type === 'array') {
+      return [].concat(value).map(item => OpenApiValidator.coerce(schema.items || {}, item));
+    }
+    if (Array.isArray(value)) return value;
+    if ((schema.type === 'integer' || schema.type === 'number') && value !== '' && !Number.isNaN(Number(value))) {
+      return Number(value);
+    }
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+      return value === 'true';
+    }
+    return value;
+  }
+
+  // Problems with a request, as for validate(); req: { params, query, body }
+  validateRequest(operation, req) {
+    const errors = [];
+
+    (operation.parameters || []).forEach(parameter => {
+      const source = parameter.in === 'path' ? req.params : req.query;
+      const raw = source ? source[parameter.name] : undefined;
+      if (raw === undefined || raw === '') {
+        if (parameter.required) errors.push(`${parameter.in}.${parameter.name} is required`);
+        return;
+      }
+      const schema = this.resolve(parameter.schema);
+      errors.push(...this.validate(schema, OpenApiValidator.coerce(schema, raw), `${parameter.in}.${parameter.name}`));
+    });
+
+    // An optional body may be left out; express.json() leaves {} when there is none
+    const body = operation.requestBody?.content?.['application/json'];
+    const value = req.body === undefined ? {} : req.body;
+    const empty = typeOf(value) === 'object' && Object.keys(value).length === 0;
+    if (body && !(empty && !operation.requestBody.required)) {
+      errors.push(...this.validate(body.schema, value, 'body'));
+    }
+    return errors;
+  }
+
+  responseSchema(operation, status) {
+    const response = operation.responses[status] || operation.responses.default;
+    return response?.content?.['application/json']?.schema || null;
+  }
+
+  // Express middleware: rejects requests that do not match the spec with 400, and
+  // reports JSON responses that do not match it when validateResponses is on
+  middleware() {
+    return (req, res, next) => {
+      const found = this.match(req.method, req.path);
+      if (!found) return next();
+
+      const errors = this.validateRequest(found.operation, { params: found.params, query: req.query, body: req.body });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: `Invalid request: ${errors[0]}`, details: errors });
+      }
+
+      if (this.validateResponses) {
+        const json = res.json.bind(res);
+        res.json = body => {
+          const schema = this.responseSchema(found.operation, String(res.statusCode));
+          // Validate what goes over the wire: dates as strings, undefined fields dropped
+          const sent = body === undefined ? null : JSON.parse(JSON.stringify(body));
+          const problems = schema ? this.validate(schema, sent, 'response') : [];
+          if (problems.length > 0) {
+            this.onResponseError({
+              method: req.method, path: found.template, status: res.statusCode, errors: problems
+            });
+          }
+          return json(body);
+        };
+      }
+      return next();
+    };
+  }
+}
+
+module.exports = OpenApiValidator;
@@ -0,0 +1,400 @@
+// src/main/pdf-report.js - PDF usage report rendering
+const PDFDocument = require('pdfkit');
+
+const COLORS = {
+  primary: '#4F46E5',
+  text: '#1F2937',
+  muted: '#6B7280',
+  border: '#E5E7EB',
+  headerFill: '#F3F4F6',
+  success: '#059669',
+  danger: '#DC2626',
+  chart: ['#4F46E5', '#059669', '#D97706', '#DC2626', '#7C3AED', '#0891B2', '#DB2777', '#65A30D']
+};
+
+const MARGIN = 50;
+
+function formatCurrency(value) {
+  return `$${Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatDate(value) {
+  if (!value) return 'Never';
+  return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// True-up owed for excess seats, otherwise the cost of seats nobody used
+function licenseCostImpact(item) {
+  if (item.excessSeats > 0) return `${formatCurrency(item.trueUpCost)} owed`;
+  if (item.unusedSeats > 0) return `${formatCurrency(item.unusedCost)} idle`;
+  return '-';
+}
+
+class PdfReport {
+  constructor(options = {}) {
+    this.title = options.title || 'Software Usage Report';
+    this.compress = options.compress !== false;
+    this.sections = options.sections || PdfReport.SECTIONS;
+  }
+
+  // Render the report and resolve with the PDF bytes
+  generate(report) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: MARGIN,
+        bufferPages: true,
+        compress: this.compress,
+        info: {
+          Title: this.title,
+          Author: 'Enterprise Software Monitor',
+          Subject: `Usage report for ${report.systemInfo?.hostname || 'this workstation'}`,
+          CreationDate: report.generatedAt || new Date()
+        }
+      });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        this.renderCover(doc, report);
+
+        this.sections.forEach(section => {
+          doc.addPage();
+          if (section === 'summary') {
+            this.renderSummary(doc, report.summary);
+            this.renderCharts(doc, report);
+          } else if (section === 'savings') {
+            this.renderSavings(doc, report.savings);
+          } else if (section === 'recommendations') {
+            this.renderRecommendations(doc, report.recommendations || []);
+          } else if (section === 'licenses') {
+            this.renderLicenses(doc, report.licenses || {});
+          }
+        });
+
+        this.renderPageNumbers(doc);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  renderCover(doc, report) {
+    const { summary = {}, savings = {}, systemInfo = {} } = report;
+    const { width } = doc.page;
+
+    doc.rect(0, 0, width, 220).fill(COLORS.primary);
+    doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(30)
+      .text(this.title, MARGIN, 90, { width: width - 2 * MARGIN });
+    doc.font('Helvetica').fontSize(13)
+      .text(`Generated ${formatDate(report.generatedAt || new Date())}`, MARGIN, 140);
+
+    doc.fillColor(COLORS.text).fontSize(12).text('Workstation', MARGIN, 260, { continued: false });
+    doc.fillColor(COLORS.muted).fontSize(11)
+      .text(`${systemInfo.hostname || 'Unknown host'}  -  ${systemInfo.osVersion || systemInfo.platform || ''}`)
+      .text(`Monitoring since ${formatDate(summary.monitoringStartDate)}`);
+
+    // Headline figures
+    const tiles = [
+      ['Applications', `${summary.activeApplications || 0} / ${summary.totalApplications || 0} active`],
+      ['Active usage', `${summary.totalUsageHours || 0} h`],
+      ['Potential savings', `${formatCurrency(savings.totalAnnualSavings)} / yr`]
+    ];
+    const tileWidth = (width - 2 * MARGIN - 20) / tiles.length;
+
+    tiles.forEach(([label, value], index) => {
+      const x = MARGIN + index * (tileWidth + 10);
+      doc.roundedRect(x, 340, tileWidth, 80, 6).lineWidth(1).stroke(COLORS.border);
+      doc.fillColor(COLORS.muted).font('Helvetica').fontSize(10).text(label, x + 12, 355, { width: tileWidth - 24 });
+      doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(15)
+        .text(value, x + 12, 375, { width: tileWidth - 24 });
+    });
+
+    doc.font('Helvetica');
+  }
+
+  heading(doc, text) {
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(18).text(text, MARGIN, doc.y);
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(10);
+  }
+
+  renderSummary(doc, summary = {}) {
+    this.heading(doc, 'Summary');
+
+    this.drawTable(doc, [
+      { header: 'Metric', width: 300 },
+      { header: 'Value', width: 195, align: 'right' }
+    ], [
+      ['Applications tracked', summary.totalApplications],
+      ['Applications active (last 7 days)', summary.activeApplications],
+      ['Plugins tracked', summary.totalPlugins],
+      ['Plugins active (last 7 days)', summary.activePlugins],
+      ['Active usage (hours)', summary.totalUsageHours],
+      ['Running time (hours)', summary.runningHours],
+      ['Utilization rate', `${summary.utilizationRate || 0}%`],
+      ['Monitoring since', formatDate(summary.monitoringStartDate)]
+    ].map(([label, value]) => [label, value === undefined || value === null ? '-' : String(value)]));
+
+    doc.moveDown();
+  }
+
+  renderCharts(doc, report) {
+    const top = report.topApplications || [];
+    const series = report.usageSeries?.totals?.points || [];
+
+    this.ensureSpace(doc, 250);
+    this.heading(doc, 'Daily usage (last 30 days)');
+    this.drawLineChart(doc, series.map(point => ({
+      label: new Date(point.bucket).getDate().toString(),
+      value: point.minutes / 60
+    })), { height: 170, unit: 'h' });
+
+    this.ensureSpace(doc, 260);
+    this.heading(doc, 'Top applications by active hours');
+    this.drawBarChart(doc, top.slice(0, 8).map(item => ({ label: item.name, value: item.activeHours })), {
+      unit: 'h'
+    });
+  }
+
+  renderSavings(doc, savings = {}) {
+    this.heading(doc, 'Potential savings');
+
+    doc.fillColor(COLORS.text).fontSize(11)
+      .text(`Unused licenses: ${savings.unusedLicenses || 0}`)
+      .text(`Monthly savings: ${formatCurrency(savings.totalMonthlySavings)}`)
+      .text(`Annual savings: ${formatCurrency(savings.totalAnnualSavings)}`);
+    doc.moveDown();
+
+    const breakdown = [...(savings.savingsBreakdown || [])].sort((a, b) => b.monthlyCost - a.monthlyCost);
+    if (breakdown.length === 0) {
+      doc.fillColor(COLORS.muted).text('No unused licenses found.');
+      return;
+    }
+
+    this.drawTable(doc, [
+      { header: 'Software', width: 190 },
+      { header: 'Type', width: 80 },
+      { header: 'Vendor', width: 95 },
+      { header: 'Days inactive', width: 60, align: 'right' },
+      { header: 'Monthly cost', width: 70, align: 'right' }
+    ], breakdown.map(item => [
+      item.name,
+      item.type,
+      item.vendor || '-',
+      Number.isFinite(item.daysInactive) ? String(item.daysInactive) : 'Never used',
+      formatCurrency(item.monthlyCost)
+    ]));
+  }
+
+  renderRecommendations(doc, recommendations) {
+    this.heading(doc, 'Recommendations');
+
+    if (recommendations.length === 0) {
+      doc.fillColor(COLORS.muted).fontSize(11).text('No recommendations - all tracked software is in use.');
+      return;
+    }
+
+    this.drawTable(doc, [
+      { header: 'Software', width: 150 },
+      { header: 'Vendor', width: 80 },
+      { header: 'Last active', width: 80 },
+      { header: 'Recommendation', width: 185 }
+    ], recommendations.map(item => [
+      item.name,
+      item.vendor || '-',
+      formatDate(item.lastActive !== undefined ? item.lastActive : item.lastUsed),
+      item.recommendation
+    ]));
+  }
+
+  renderLicenses(doc, licenses) {
+    const { entitlements = [], totals = {} } = licenses;
+    this.heading(doc, 'License true-up');
+
+    doc.fillColor(COLORS.text).fontSize(11)
+      .text(`Usage window: last ${licenses.lookbackDays || 0} days`)
+      .text(`Over-deployed: ${totals.overDeployed || 0}   Under-deployed: ${totals.underDeployed || 0}`)
+      .text(`True-up cost: ${formatCurrency(totals.trueUpCost)}`)
+      .text(`Unused seat cost: ${formatCurrency(totals.unusedCost)}`);
+    doc.moveDown();
+
+    if (entitlements.length === 0) {
+      doc.fillColor(COLORS.muted).text('No license entitlements recorded.');
+      return;
+    }
+
+    this.drawTable(doc, [
+      { header: 'Product', width: 125 },
+      { header: 'License', width: 70 },
+      { header: 'Seats', width: 40, align: 'right' },
+      { header: 'In use', width: 40, align: 'right' },
+      { header: 'Status', width: 80 },
+      { header: 'Cost impact', width: 70, align: 'right' },
+      { header: 'Term end', width: 70 }
+    ], entitlements.map(item => [
+      `${item.vendor} ${item.product}${item.sku ? ` (${item.sku})` : ''}`,
+      item.licenseType,
+      String(item.seats),
+      String(item.inUse),
+      item.expired ? `${item.status}, expired` : item.status,
+      licenseCostImpact(item),
+      formatDate(item.termEnd)
+    ]));
+  }
+
+  // Start a new page when fewer than `height` points remain
+  ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+  }
+
+  drawTable(doc, columns, rows) {
+    const padding = 5;
+    const tableWidth = columns.reduce((sum, column) => sum + column.width, 0);
+
+    const rowHeight = cells => Math.max(...cells.map((cell, index) => (
+      doc.heightOfString(String(cell), { width: columns[index].width - 2 * padding })
+    ))) + 2 * padding;
+
+    const drawRow = (cells, header) => {
+      doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      const height = rowHeight(cells);
+      const { y } = doc;
+
+      if (header) {
+        doc.rect(MARGIN, y, tableWidth, height).fill(COLORS.headerFill);
+      }
+      doc.moveTo(MARGIN, y + height).lineTo(MARGIN + tableWidth, y + height).lineWidth(0.5).stroke(COLORS.border);
+
+      let x = MARGIN;
+      cells.forEach((cell, index) => {
+        doc.fillColor(COLORS.text).text(String(cell), x + padding, y + padding, {
+          width: columns[index].width - 2 * padding,
+          align: columns[index].align || 'left'
+        });
+        x += columns[index].width;
+      });
+
+      doc.x = MARGIN;
+      doc.y = y + height;
+    };
+
+    drawRow(columns.map(column => column.header), true);
+
+    rows.forEach(cells => {
+      doc.font('Helvetica').fontSize(9);
+      if (doc.y + rowHeight(cells) > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        drawRow(columns.map(column => column.header), true);
+      }
+      drawRow(cells, false);
+    });
+
+    doc.font('Helvetica').fontSize(10);
+  }
+
+  drawBarChart(doc, data, options = {}) {
+    const labelWidth = 140;
+    const barHeight = 18;
+    const gap = 8;
+    const chartWidth = doc.page.width - 2 * MARGIN - labelWidth - 50;
+    const max = Math.max(...data.map(item => item.value), 1);
+    const top = doc.y;
+
+    if (data.length === 0) {
+      doc.fillColor(COLORS.muted).fontSize(10).text('No usage recorded yet.');
+      return;
+    }
+
+    data.forEach((item, index) => {
+      const y = top + index * (barHeight + gap);
+      const width = Math.max((item.value / max) * chartWidth, 1);
+
+      doc.fillColor(COLORS.text).fontSize(9)
+        .text(item.label, MARGIN, y + 4, { width: labelWidth - 10, ellipsis: true, lineBreak: false });
+      doc.rect(MARGIN + labelWidth, y, width, barHeight).fill(COLORS.chart[index % COLORS.chart.length]);
+      doc.fillColor(COLORS.muted).fontSize(9)
+        .text(`${item.value.toFixed(1)}${options.unit || ''}`, MARGIN + labelWidth + width + 6, y + 4, {
+          lineBreak: false
+        });
+    });
+
+    doc.x = MARGIN;
+    doc.y = top + data.length * (barHeight + gap) + 10;
+  }
+
+  drawLineChart(doc, data, options = {}) {
+    const height = options.height || 160;
+    const width = doc.page.width - 2 * MARGIN;
+    const left = MARGIN + 30;
+    const plotWidth = width - 30;
+    const top = doc.y;
+    const bottom = top + height;
+    const max = Math.max(...data.map(point => point.value), 1);
+
+    // Axes and gridlines
+    doc.lineWidth(0.5);
+    for (let i = 0; i <= 4; i++) {
+      const y = bottom - (i / 4) * height;
+      doc.moveTo(left, y).lineTo(left + plotWidth, y).stroke(COLORS.border);
+      doc.fillColor(COLORS.muted).fontSize(7)
+        .text(`${((max * i) / 4).toFixed(1)}${options.unit || ''}`, MARGIN, y - 3, { width: 26, align: 'right' });
+    }
+
+    if (data.length > 0) {
+      const step = data.length > 1 ? plotWidth / (data.length - 1) : 0;
+      const points = data.map((point, index) => [left + index * step, bottom - (point.value / max) * height]);
+
+      // Filled area under the line
+      doc.moveTo(points[0][0], bottom);
+      points.forEach(([x, y]) => doc.lineTo(x, y));
+      doc.lineTo(points[points.length - 1][0], bottom).closePath().fillOpacity(0.15).fill(COLORS.primary);
+      doc.fillOpacity(1);
+
+      doc.moveTo(points[0][0], points[0][1]);
+      points.slice(1).forEach(([x, y]) => doc.lineTo(x, y));
+      doc.lineWidth(1.5).stroke(COLORS.primary);
+
+      // Label roughly every fifth point to keep the axis readable
+      const labelEvery = Math.max(Math.ceil(data.length / 10), 1);
+      data.forEach((point, index) => {
+        if (index % labelEvery === 0) {
+          doc.fillColor(COLORS.muted).fontSize(7)
+            .text(point.label, points[index][0] - 10, bottom + 4, { width: 20, align: 'center' });
+        }
+      });
+    }
+
+    doc.lineWidth(1);
+    doc.x = MARGIN;
+    doc.y = bottom + 24;
+  }
+
+  renderPageNumbers(doc) {
+    const range = doc.bufferedPageRange();
+
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing inside the bottom margin would otherwise trigger a page break
+      const { bottom } = doc.page.margins;
+      doc.page.margins.bottom = 0;
+      doc.fillColor(COLORS.muted).font('Helvetica').fontSize(8)
+        .text(`${this.title}  -  Page ${i + 1} of ${range.count}`, MARGIN, doc.page.height - 30, {
+          width: doc.page.width - 2 * MARGIN,
+          align: 'center',
+          lineBreak: false
+        });
+      doc.page.margins.bottom = bottom;
+    }
+  }
+}
+
+PdfReport.SECTIONS = ['summary', 'savings', 'recommendations'];
+
+module.exports = PdfReport;
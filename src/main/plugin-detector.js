@@ -0,0 +1,196 @@
+// src/main/plugin-detector.js - Loaded plugin module detection
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { exec } = require('child_process');
+const util = require('util');
+
+const execPromise = util.promisify(exec);
+
+// Host plugin binary formats we look for in a process' mapped modules
+const PLUGIN_EXTENSIONS = ['aex', 'plugin', 'dlo', 'xdl64'];
+
+// Binary file name patterns for each monitored plugin (matched against the
+// module name without its extension). Patterns are anchored and no binary
+// matches more than one plugin, so a loaded module is credited once.
+const PLUGIN_BINARY_PATTERNS = {
+  Trapcode: [/^(trapcode )?(particular|shine|3d ?stroke|starglow|mir|lux|echospace|sound ?keys|horizon|tao)$/i],
+  'Trap Code Form': [/^(trapcode )?form$/i],
+  'Magic Bullet': [/^magic ?bullet/i, /^mb ?looks/i, /^colorista/i],
+  Universe: [/^universe/i],
+  VFX: [/^vfx[ _]/i, /^supercomp/i],
+  'Keying Suite': [/^primatte/i, /^keying ?suite/i],
+  // Sapphire loads as one host binary (SapphireAE, SapphirePPro, SapphireOFX); S_ names are BORIS S-Blur's
+  Sapphire: [/^sapphire[ _-]?(ae|ppro|ofx)?$/i],
+  Continuum: [/^bcc/i, /^continuum/i],
+  'Mocha Pro': [/^mocha[ _-]?pro/i],
+  'BORIS S-Blur & Sharpen': [/^s_blur/i, /^s_sharpen/i],
+  'Lens Distortion': [/^lens ?distortion/i],
+  RSMB: [/^rsmb/i, /^reelsmart/i],
+  GBDeflicker: [/^gbdeflicker/i, /^deflicker/i],
+  'Twixtor Pro': [/^twixtor/i],
+  'FX Factory': [/^fxfactory/i],
+  Filmimpact: [/^filmimpact/i, /^impact[ _]/i],
+  Pluxes: [/^plexus/i, /^pluxes/i],
+  Newton: [/^newton/i],
+  'Geo Layer': [/^geo ?layers?/i],
+  'Data Glitch': [/^data ?glitch/i],
+  'New Blufx Stabilizer': [/^newblue(fx)?[ _]?stabiliz/i],
+  'NewblueFX Elements': [/^newblue(fx)?[ _]?elements/i],
+  'WLM Loudness Meter': [/^wlm/i],
+  'Neat Video': [/^neat ?video/i],
+  'Videocopilot Elements': [/^element$/i, /^element ?3d/i],
+  'Videocopilot Optical Flare': [/^optical ?flares?$/i],
+  'Videocopilot Heat Distortion': [/^(vc )?heat ?distortion/i],
+  'Videocopilot Twitch': [/^twitch$/i],
+  'Frischluft Lenscare': [/^(fl[ _])?lenscare/i, /^frischluft/i],
+  'Plural Eyes': [/^plural ?eyes/i],
+  Ozone: [/^ozone/i],
+  'Redshift Core': [/^redshift/i],
+  'X-Particles': [/^x-?particles/i],
+  'Octane Render': [/^(c4d)?octane/i],
+  'DEM Earth': [/^dem ?earth/i],
+  'Enscape for Rhino': [/^enscape/i],
+  'V-Ray': [/^vray/i, /^vrender/i],
+  Corona: [/^corona/i],
+  Arnold: [/^mtoa/i, /^arnold/i]
+};
+
+class PluginDetector {
+  constructor(options = {}) {
+    this.procRoot = options.procRoot || '/proc';
+    this.extensions = options.extensions || PLUGIN_EXTENSIONS;
+    this.pluginPatterns = { ...PLUGIN_BINARY_PATTERNS, ...(options.pluginPatterns || {}) };
+
+    // Module listing strategies, each resolving to an array of module paths
+    this.strategies = {
+      'proc-maps': pid => this.readProcMaps(pid),
+      lsof: pid => this.readLsofModules(pid),
+      'windows-modules': pid => this.readWindowsModules(pid)
+    };
+
+    this.strategy = null;
+    this.setStrategy(options.strategy || 'auto');
+  }
+
+  getDefaultStrategy() {
+    const platform = os.platform();
+
+    if (platform === 'win32') return 'windows-modules';
+    if (platform === 'darwin') return 'lsof';
+    return 'proc-maps';
+  }
+
+  setStrategy(name) {
+    const strategy = name === 'auto' ? this.getDefaultStrategy() : name;
+
+    if (!this.strategies[strategy]) {
+      throw new Error(`Unknown plugin detection strategy: ${name}`);
+    }
+
+    this.strategy = strategy;
+    return strategy;
+  }
+
+  registerStrategy(name, listModules) {
+    if (typeof listModules !== 'function') {
+      throw new Error('Plugin detection strategy must be a function');
+    }
+    this.strategies[name] = listModules;
+  }
+
+  getStrategies() {
+    return Object.keys(this.strategies);
+  }
+
+  // Returns the monitored plugins from pluginList whose binaries are mapped
+  // into the process, as [{ plugin, modulePath }]
+  async detectLoadedPlugins(pid, pluginList) {
+    if (!pid) return [];
+
+    let modulePaths = [];
+    try {
+      modulePaths = await this.strategies[this.strategy](pid);
+    } catch (error) {
+      // Process exited or we lack permission to inspect it
+      return [];
+    }
+
+    const detected = new Map();
+
+    this.extractPluginBinaries(modulePaths).forEach(({ binaryName, modulePath }) => {
+      pluginList.forEach(plugin => {
+        if (detected.has(plugin)) return;
+
+        const patterns = this.pluginPatterns[plugin] || [];
+        if (patterns.some(pattern => pattern.test(binaryName))) {
+          detected.set(plugin, modulePath);
+        }
+      });
+    });
+
+    return Array.from(detected.entries()).map(([plugin, modulePath]) => ({ plugin, modulePath }));
+  }
+
+  extractPluginBinaries(modulePaths) {
+    const pattern = new RegExp(`([^/\\\\]+)\\.(${this.extensions.join('|')})(?=$|[/\\\\])`, 'i');
+    const binaries = new Map();
+
+    modulePaths.forEach(modulePath => {
+      const match = modulePath.match(pattern);
+      if (match && !binaries.has(modulePath)) {
+        binaries.set(modulePath, {
+          binaryName: match[1].trim(),
+          modulePath
+        });
+      }
+    });
+
+    return Array.from(binaries.values());
+  }
+
+  async readProcMaps(pid) {
+    const mapsPath = path.join(this.procRoot, String(pid), 'maps');
+    const content = await fs.readFile(mapsPath, 'utf8');
+    return this.parseProcMaps(content);
+  }
+
+  parseProcMaps(content) {
+    const modules = new Set();
+
+    content.split('\n').forEach(line => {
+      // address perms offset dev inode pathname (pathname may contain spaces)
+      const match = line.match(/^\S+\s+\S+\s+\S+\s+\S+\s+\d+\s+(.+)$/);
+      if (match) {
+        const modulePath = match[1].replace(/ \(deleted\)$/, '').trim();
+        if (modulePath.startsWith('/')) {
+          modules.add(modulePath);
+        }
+      }
+    });
+
+    return Array.from(modules);
+  }
+
+  async readLsofModules(pid) {
+    const { stdout } = await execPromise(`lsof -p ${Number(pid)} -Fn`);
+
+    return stdout.split('\n')
+      .filter(line => line.startsWith('n/'))
+      .map(line => line.slice(1));
+  }
+
+  async readWindowsModules(pid) {
+    const cmd = `powershell "Get-Process -Id ${Number(pid)} -Module | Select-Object -ExpandProperty FileName"`;
+    const { stdout } = await execPromise(cmd);
+
+    return stdout.split('\n')
+      .map(line => line.trim())
+      .filter(line => line);
+  }
+}
+
+PluginDetector.PLUGIN_EXTENSIONS = PLUGIN_EXTENSIONS;
+PluginDetector.PLUGIN_BINARY_PATTERNS = PLUGIN_BINARY_PATTERNS;
+
+module.exports = PluginDetector;
@@ -0,0 +1,241 @@
+// src/main/renewal-calendar.js - Subscription renewal dates and expiring-license alerts
+// Renewal dates are stored alongside costs (usageData.costs.renewals) and merged
+// with license entitlement term ends into one calendar. Items renewing within
+// settings.renewalAlerts.daysBefore days whose utilization is below the
+// threshold raise a 'renewal-alert' once per renewal date.
+const { EventEmitter } = require('events');
+const UsageWorkbook = require('./usage-workbook');
+
+const BILLING_CYCLES = ['monthly', 'annual', 'none'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = time => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+const toDateString = time => {
+  const date = new Date(time);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// "YYYY-MM-DD" as local midnight, so calendar days do not shift with the timezone
+const parseDay = value => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day).getTime();
+};
+
+class RenewalCalendar extends EventEmitter {
+  constructor(dataManager, options = {}) {
+    super();
+    this.dataManager = dataManager;
+    this.checkInterval = options.checkInterval || 6 * 60 * 60 * 1000;
+    this.timer = null;
+  }
+
+  getConfig() {
+    return {
+      ...this.dataManager.getDefaultSettings().renewalAlerts,
+      ...this.dataManager.settings.renewalAlerts
+    };
+  }
+
+  static key(type, name, vendor) {
+    return type === 'plugin' ? `plugin:${vendor || ''}:${name}` : `application:${name}`;
+  }
+
+  getRenewalRecords() {
+    return this.dataManager.usageData.costs?.renewals || {};
+  }
+
+  // renewal: { renewalDate: 'YYYY-MM-DD', billingCycle, autoRenew }; an empty date clears it
+  async setRenewal(type, name, vendor, renewal = {}) {
+    if (!['application', 'plugin'].includes(type) || !name) {
+      throw new Error('Renewals need an application or plugin name');
+    }
+
+    const { usageData } = this.dataManager;
+    if (!usageData.costs) {
+      usageData.costs = { applications: {} };
+    }
+    if (!usageData.costs.renewals) {
+      usageData.costs.renewals = {};
+    }
+
+    const key = RenewalCalendar.key(type, name, vendor);
+    const previous = usageData.costs.renewals[key] || null;
+    if (!renewal.renewalDate) {
+      delete usageData.costs.renewals[key];
+      await this.dataManager.saveData();
+      await this.dataManager.recordAudit('update-renewal', key, previous, null);
+      return null;
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(renewal.renewalDate) || Number.isNaN(parseDay(renewal.renewalDate))) {
+      throw new Error(`Invalid renewal date "${renewal.renewalDate}", expected YYYY-MM-DD`);
+    }
+    const billingCycle = renewal.billingCycle || 'annual';
+    if (!BILLING_CYCLES.includes(billingCycle)) {
+      throw new Error(`Invalid billing cycle "${billingCycle}", expected one of: ${BILLING_CYCLES.join(', ')}`);
+    }
+
+    const record = {
+      type,
+      name,
+      vendor: vendor || '',
+      renewalDate: renewal.renewalDate,
+      billingCycle,
+      autoRenew: renewal.autoRenew !== false
+    };
+    usageData.costs.renewals[key] = record;
+    await this.dataManager.saveData();
+    await this.dataManager.recordAudit('update-renewal', key, previous, record);
+    return record;
+  }
+
+  // Roll a recurring renewal forward to its next occurrence on or after today
+  nextRenewal(renewalDate, billingCycle, now) {
+    const today = startOfDay(now);
+    const [year, month, day] = renewalDate.split('-').map(Number);
+    const months = billingCycle === 'monthly' ? 1 : 12;
+    let next = parseDay(renewalDate);
+
+    for (let step = 1; billingCycle !== 'none' && next < today; step += 1) {
+      // Clamp the 31st to the last day of shorter months
+      const lastDay = new Date(year, month - 1 + step * months + 1, 0).getDate();
+      next = new Date(year, month - 1 + step * months, Math.min(day, lastDay)).getTime();
+    }
+
+    return next;
+  }
+
+  findUsage(record) {
+    const { usageData } = this.dataManager;
+    if (record.type === 'application') {
+      return usageData.applications?.[record.name] || null;
+    }
+
+    const plugin = UsageWorkbook.flattenPlugins(usageData.plugins).find(item => (
+      (!record.vendor || item.vendor === record.vendor)
+      && [item.name, item.product, item.subProduct].includes(record.name)
+    ));
+    return plugin ? plugin.data : null;
+  }
+
+  // Share of the last `lookbackDays` days on which the software was used, as a percentage
+  utilization(usage, lookbackDays, now) {
+    if (!usage) return 0;
+
+    const since = new Date(startOfDay(now));
+    since.setDate(since.getDate() - lookbackDays + 1);
+    const days = new Set();
+
+    (usage.sessions || []).forEach(session => {
+      const cursor = new Date(Math.max(startOfDay(session.startTime), since.getTime()));
+      const end = Math.min(startOfDay(session.endTime || session.startTime), now);
+      while (cursor.getTime() <= end) {
+        days.add(toDateString(cursor));
+        cursor.setDate(cursor.getDate() + 1);
+      }
+    });
+
+    return Math.round((days.size / lookbackDays) * 100);
+  }
+
+  // Upcoming renewals within `days` days, soonest first
+  getRenewals(options = {}) {
+    const config = this.getConfig();
+    const now = options.now ? new Date(options.now).getTime() : Date.now();
+    const days = options.days || 365;
+    const today = startOfDay(now);
+    const entries = [];
+
+    Object.entries(this.getRenewalRecords()).forEach(([key, record]) => {
+      const usage = this.findUsage(record);
+      const monthlyCost = usage?.cost !== undefined
+        ? usage.cost
+        : this.dataManager.getEstimatedCost(record.name, record.type);
+      entries.push({
+        key,
+        ...record,
+        nextRenewal: this.nextRenewal(record.renewalDate, record.billingCycle, now),
+        amount: record.billingCycle === 'annual' ? monthlyCost * 12 : monthlyCost,
+        utilization: this.utilization(usage, config.lookbackDays, now)
+      });
+    });
+
+    // License entitlements renew at the end of their term
+    const licenses = this.dataManager.licenses.reconcile({ now });
+    licenses.entitlements.filter(item => item.termEnd).forEach(item => {
+      entries.push({
+        key: `license:${item.id}`,
+        type: 'license',
+        name: item.product,
+        vendor: item.vendor,
+        sku: item.sku,
+        renewalDate: item.termEnd,
+        billingCycle: 'none',
+        autoRenew: true,
+        nextRenewal: parseDay(item.termEnd),
+        amount: item.renewalPrice,
+        utilization: item.utilization
+      });
+    });
+
+    return entries
+      .map(entry => ({
+        ...entry,
+        nextRenewal: toDateString(entry.nextRenewal),
+        daysUntil: Math.round((entry.nextRenewal - today) / DAY_MS),
+        underused: entry.utilization < config.utilizationThreshold
+      }))
+      .filter(entry => entry.daysUntil >= 0 && entry.daysUntil <= days)
+      .sort((a, b) => a.daysUntil - b.daysUntil || a.name.localeCompare(b.name));
+  }
+
+  // Emit one alert per under-used item renewing within the alert window
+  async checkAlerts(now = Date.now()) {
+    const config = this.getConfig();
+    if (!config.enabled) return [];
+
+    const { usageData } = this.dataManager;
+    const sent = usageData.renewalAlerts || {};
+    const alerts = this.getRenewals({ now, days: config.daysBefore })
+      .filter(entry => entry.underused && sent[entry.key] !== entry.nextRenewal);
+
+    if (alerts.length === 0) return [];
+
+    alerts.forEach(entry => {
+      sent[entry.key] = entry.nextRenewal;
+    });
+    usageData.renewalAlerts = sent;
+    await this.dataManager.saveData();
+
+    alerts.forEach(entry => this.emit('renewal-alert', {
+      ...entry,
+      message: `${entry.name} renews in ${entry.daysUntil} day${entry.daysUntil === 1 ? '' : 's'} `
+        + `(${entry.nextRenewal}, $${entry.amount.toFixed(2)}) at ${entry.utilization}% utilization`
+    }));
+    return alerts;
+  }
+
+  start() {
+    this.stop();
+    const check = () => this.checkAlerts().catch(error => console.error('Renewal check failed:', error));
+    check();
+    this.timer = setInterval(check, this.checkInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+RenewalCalendar.BILLING_CYCLES = BILLING_CYCLES;
+
+module.exports = RenewalCalendar;
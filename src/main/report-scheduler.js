@@ -0,0 +1,288 @@
+// src/main/report-scheduler.js - Scheduled report generation and delivery
+// Builds reports through DataManager on a cron schedule (settings.reportSchedule)
+// and delivers them to folders, email recipients and webhooks.
+const schedule = require('node-schedule');
+const fetch = require('node-fetch');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const DataManager = require('./data-manager');
+const SmtpTransport = require('./smtp-transport');
+
+const HISTORY_LIMIT = 100;
+const DESTINATION_TYPES = ['folder', 'email', 'webhook'];
+
+const REPORT_TITLES = {
+  summary: 'Software usage report',
+  savings: 'Potential savings report',
+  unused: 'Unused software report',
+  'true-up': 'License true-up report'
+};
+
+class ReportScheduler extends EventEmitter {
+  constructor(dataManager, options = {}) {
+    super();
+    this.dataManager = dataManager;
+    this.historyPath = options.historyPath || dataManager.reportHistoryPath;
+    this.createTransport = options.createTransport || (config => new SmtpTransport(config));
+    this.fetch = options.fetch || fetch;
+    this.webhookTimeout = options.webhookTimeout || 30000;
+    this.job = null;
+    this.history = [];
+    this.running = null;
+  }
+
+  async init() {
+    await this.loadHistory();
+
+    try {
+      this.configure(this.getConfig());
+    } catch (error) {
+      console.error('Report schedule not started:', error.message);
+    }
+  }
+
+  getConfig() {
+    return {
+      ...this.dataManager.getDefaultSettings().reportSchedule,
+      ...this.dataManager.settings.reportSchedule
+    };
+  }
+
+  // Throws on an invalid configuration; used before settings are saved
+  validate(config) {
+    const { REPORT_TYPES, REPORT_FORMATS } = DataManager;
+
+    if (!REPORT_TYPES.includes(config.reportType)) {
+      throw new Error(`Invalid report type "${config.reportType}", expected one of: ${REPORT_TYPES.join(', ')}`);
+    }
+    if (!REPORT_FORMATS.includes(config.format)) {
+      throw new Error(`Invalid report format "${config.format}", expected one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+    if (!Array.isArray(config.destinations)) {
+      throw new Error('Report destinations must be a list');
+    }
+
+    config.destinations.forEach((destination, index) => {
+      if (!DESTINATION_TYPES.includes(destination.type)) {
+        throw new Error(`Destination ${index + 1}: unknown type "${destination.type}"`);
+      }
+      if (destination.type === 'folder' && !destination.path) {
+        throw new Error(`Destination ${index + 1}: folder path is required`);
+      }
+      if (destination.type === 'email' && (!destination.to || !destination.from || !destination.smtp?.host)) {
+        throw new Error(`Destination ${index + 1}: email needs from, to and smtp.host`);
+      }
+      if (destination.type === 'webhook' && !/^https?:\/\//.test(destination.url || '')) {
+        throw new Error(`Destination ${index + 1}: webhook url must be http(s)`);
+      }
+    });
+
+    if (config.enabled) {
+      // node-schedule returns null for expressions it cannot parse
+      const probe = schedule.scheduleJob(config.cron, () => {});
+      if (!probe) {
+        throw new Error(`Invalid cron expression "${config.cron}"`);
+      }
+      probe.cancel();
+    }
+  }
+
+  // (Re)create the scheduled job from a schedule configuration
+  configure(config) {
+    this.validate(config);
+    this.stop();
+
+    if (config.enabled) {
+      this.job = schedule.scheduleJob(config.cron, () => {
+        this.run('schedule').catch(error => console.error('Scheduled report failed:', error));
+      });
+    }
+
+    return this.getStatus();
+  }
+
+  stop() {
+    if (this.job) {
+      this.job.cancel();
+      this.job = null;
+    }
+  }
+
+  getStatus() {
+    const config = this.getConfig();
+    const nextRun = this.job ? this.job.nextInvocation() : null;
+
+    return {
+      enabled: Boolean(this.job),
+      cron: config.cron,
+      reportType: config.reportType,
+      format: config.format,
+      destinations: config.destinations.length,
+      nextRun: nextRun ? new Date(nextRun.getTime()).toISOString() : null,
+      running: Boolean(this.running),
+      lastRun: this.history[0] || null
+    };
+  }
+
+  getHistory(limit = HISTORY_LIMIT) {
+    return this.history.slice(0, limit);
+  }
+
+  // Generate and deliver a report now; overlapping calls share the run in progress
+  run(trigger = 'manual', overrides = {}) {
+    if (!this.running) {
+      this.running = this.execute(trigger, overrides).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async execute(trigger, overrides) {
+    const config = { ...this.getConfig(), ...overrides };
+    const entry = {
+      id: crypto.randomUUID(),
+      trigger,
+      reportType: config.reportType,
+      format: config.format,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      status: 'failed',
+      fileName: null,
+      size: 0,
+      destinations: [],
+      error: null
+    };
+
+    try {
+      this.validate({ ...config, enabled: false });
+      if (config.destinations.length === 0) {
+        throw new Error('No report destinations configured');
+      }
+
+      const report = await this.dataManager.buildReport(config.reportType, config.format);
+      entry.fileName = report.fileName;
+      entry.size = Buffer.byteLength(report.content);
+
+      for (const destination of config.destinations) {
+        const result = { type: destination.type, target: this.describeDestination(destination), success: false };
+        try {
+          result.detail = await this.deliver(destination, report);
+          result.success = true;
+        } catch (error) {
+          result.error = error.message;
+        }
+        entry.destinations.push(result);
+      }
+
+      const delivered = entry.destinations.filter(result => result.success).length;
+      if (delivered === entry.destinations.length) {
+        entry.status = 'success';
+      } else {
+        entry.status = delivered > 0 ? 'partial' : 'failed';
+        entry.error = `${entry.destinations.length - delivered} of ${entry.destinations.length} deliveries failed`;
+      }
+    } catch (error) {
+      entry.error = error.message;
+    }
+
+    entry.finishedAt = new Date().toISOString();
+    this.history.unshift(entry);
+    this.history = this.history.slice(0, HISTORY_LIMIT);
+    await this.saveHistory();
+
+    this.emit('report-complete', entry);
+    return entry;
+  }
+
+  deliver(destination, report) {
+    switch (destination.type) {
+      case 'folder':
+        return this.deliverToFolder(destination, report);
+      case 'email':
+        return this.deliverByEmail(destination, report);
+      default:
+        return this.deliverToWebhook(destination, report);
+    }
+  }
+
+  // Human-readable target for history entries, without credentials
+  describeDestination(destination) {
+    if (destination.type === 'folder') return destination.path;
+    if (destination.type === 'email') {
+      return Array.isArray(destination.to) ? destination.to.join(', ') : destination.to;
+    }
+
+    try {
+      const url = new URL(destination.url);
+      return `${url.origin}${url.pathname}`;
+    } catch (error) {
+      return destination.url;
+    }
+  }
+
+  async deliverToFolder(destination, report) {
+    await fs.mkdir(destination.path, { recursive: true });
+    const filePath = path.join(destination.path, report.fileName);
+    await fs.writeFile(filePath, report.content);
+    return filePath;
+  }
+
+  async deliverByEmail(destination, report) {
+    const title = REPORT_TITLES[report.type];
+    const transport = this.createTransport(destination.smtp);
+
+    const result = await transport.sendMail({
+      from: destination.from,
+      to: destination.to,
+      subject: destination.subject || `${title} - ${new Date().toLocaleDateString()}`,
+      text: `${title} generated on ${new Date().toLocaleString()}.\n\nThe report is attached as ${report.fileName}.`,
+      attachments: [{ filename: report.fileName, content: report.content, contentType: report.contentType }]
+    });
+
+    return result.response;
+  }
+
+  async deliverToWebhook(destination, report) {
+    const response = await this.fetch(destination.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(destination.headers || {}) },
+      body: JSON.stringify({
+        event: 'report.generated',
+        reportType: report.type,
+        format: report.format,
+        fileName: report.fileName,
+        contentType: report.contentType,
+        generatedAt: new Date().toISOString(),
+        content: Buffer.from(report.content).toString('base64')
+      }),
+      timeout: this.webhookTimeout
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+    return `HTTP ${response.status}`;
+  }
+
+  async loadHistory() {
+    try {
+      const history = JSON.parse(await fs.readFile(this.historyPath, 'utf8'));
+      this.history = Array.isArray(history) ? history : [];
+    } catch (error) {
+      this.history = [];
+    }
+  }
+
+  async saveHistory() {
+    try {
+      await fs.writeFile(this.historyPath, JSON.stringify(this.history, null, 2));
+    } catch (error) {
+      console.error('Error saving report history:', error);
+    }
+  }
+}
+
+module.exports = ReportScheduler;
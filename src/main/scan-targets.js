@@ -0,0 +1,131 @@
+// src/main/scan-targets.js - IPv4 scan targets: CIDR blocks, address ranges and exclusions
+// Each target is held as an inclusive range of addresses as integers, so a /20 or a /29
+// enumerates exactly the hosts it holds. Network and broadcast addresses are left out
+// of blocks up to /30; /31 and /32 blocks are all hosts. Exclusions take the same forms.
+
+// Larger targets would keep a scan running for hours; split them instead
+const MAX_TARGET_HOSTS = 65536;
+const DEFAULT_CONCURRENCY = { initial: 32, min: 4, max: 256 };
+
+class ScanTargets {
+  // config: { targets: ['10.20.0.0/22', '10.20.8.10-10.20.8.60', '10.20.9.5'],
+  //           exclude: [...], includeLocal, maxConcurrency }
+  constructor(config = {}) {
+    const valid = ScanTargets.validate(config);
+    this.config = valid;
+    this.targets = valid.targets.map(spec => ScanTargets.parse(spec));
+    this.exclusions = valid.exclude.map(spec => ScanTargets.parse(spec, { exclusion: true }));
+  }
+
+  // Dotted quad to an unsigned 32-bit integer
+  static toInt(ip) {
+    const parts = String(ip).trim().split('.');
+    if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+      throw new Error(`Invalid IPv4 address "${ip}"`);
+    }
+    return parts.reduce((value, part) => value * 256 + Number(part), 0);
+  }
+
+  static toIp(value) {
+    return [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+  }
+
+  static prefixFromNetmask(netmask) {
+    const bits = ScanTargets.toInt(netmask).toString(2).padStart(32, '0');
+    if (!/^1*0*$/.test(bits)) {
+      throw new Error(`Netmask ${netmask} is not contiguous`);
+    }
+    return bits.indexOf('0') === -1 ? 32 : bits.indexOf('0');
+  }
+
+  // 'a.b.c.d/n', 'a.b.c.d-e.f.g.h', 'a.b.c.d-h' (last octet) or one address, as
+  // { spec, network, prefix, start, end } where start..end are the hosts to probe.
+  // An exclusion covers its whole block and may be of any size.
+  static parse(spec, options = {}) {
+    const text = String(spec).trim();
+    const cidr = text.match(/^([\d.]+)\/(\d{1,2})$/);
+    if (cidr) {
+      const prefix = Number(cidr[2]);
+      if (prefix > 32) throw new Error(`Invalid prefix length in "${text}"`);
+      const size = 2 ** (32 - prefix);
+      const network = ScanTargets.toInt(cidr[1]) - (ScanTargets.toInt(cidr[1]) % size);
+      const edges = prefix <= 30 && !options.exclusion ? 1 : 0;
+      return ScanTargets.checkSize({
+        spec: text, network: ScanTargets.toIp(network), prefix, start: network + edges, end: network + size - 1 - edges
+      }, options);
+    }
+
+    const range = text.match(/^([\d.]+)\s*-\s*([\d.]+)$/);
+    if (range) {
+      const start = ScanTargets.toInt(range[1]);
+      const end = /^\d{1,3}$/.test(range[2])
+        ? ScanTargets.toInt(range[1].replace(/\d+$/, range[2]))
+        : ScanTargets.toInt(range[2]);
+      if (end < start) throw new Error(`Scan range "${text}" ends before it starts`);
+      return ScanTargets.checkSize({ spec: text, network: null, prefix: null, start, end }, options);
+    }
+
+    const address = ScanTargets.toInt(text);
+    return { spec: text, network: null, prefix: 32, start: address, end: address };
+  }
+
+  static checkSize(target, options = {}) {
+    const count = target.end - target.start + 1;
+    if (count > MAX_TARGET_HOSTS && !options.exclusion) {
+      throw new Error(`Scan target ${target.spec} has ${count} hosts; the limit is ${MAX_TARGET_HOSTS} per target`);
+    }
+    return target;
+  }
+
+  // The block an interface address sits in
+  static fromInterface(address, netmask) {
+    return ScanTargets.parse(`${address}/${ScanTargets.prefixFromNetmask(netmask)}`);
+  }
+
+  // Normalized copy of a scanTargets config; throws on the first invalid entry
+  static validate(config = {}) {
+    const list = (value, name, options) => {
+      if (value === undefined || value === null) return [];
+      if (!Array.isArray(value)) throw new Error(`${name} must be a list`);
+      value.forEach(spec => ScanTargets.parse(spec, options));
+      return value.map(spec => String(spec).trim());
+    };
+    const concurrency = config.maxConcurrency ?? DEFAULT_CONCURRENCY.max;
+    if (!Number.isInteger(concurrency) || concurrency < DEFAULT_CONCURRENCY.min) {
+      throw new Error(`maxConcurrency must be a whole number of at least ${DEFAULT_CONCURRENCY.min}`);
+    }
+
+    return {
+      targets: list(config.targets, 'targets'),
+      exclude: list(config.exclude, 'exclude', { exclusion: true }),
+      includeLocal: config.includeLocal !== false,
+      maxConcurrency: concurrency
+    };
+  }
+
+  isExcluded(value) {
+    return this.exclusions.some(exclusion => value >= exclusion.start && value <= exclusion.end);
+  }
+
+  // Addresses of one target, minus exclusions
+  * hosts(target) {
+    for (let value = target.start; value <= target.end; value += 1) {
+      if (!this.isExcluded(value)) yield ScanTargets.toIp(value);
+    }
+  }
+
+  count(target) {
+    const overlaps = this.exclusions.some(exclusion => exclusion.start <= target.end && exclusion.end >= target.start);
+    return overlaps ? [...this.hosts(target)].length : target.end - target.start + 1;
+  }
+
+  static contains(target, ip) {
+    const value = ScanTargets.toInt(ip);
+    return value >= target.start && value <= target.end;
+  }
+}
+
+ScanTargets.MAX_TARGET_HOSTS = MAX_TARGET_HOSTS;
+ScanTargets.DEFAULT_CONCURRENCY = DEFAULT_CONCURRENCY;
+
+module.exports = ScanTargets;
@@ -0,0 +1,143 @@
+// src/main/secure-channel.js - HMAC request signing between scanners and enterprise clients
+// Both ends share a per-deployment enrollment token. Requests are signed over
+// method, path, timestamp, nonce and body hash; a clock-skew window and a nonce
+// cache reject replays. Responses are signed over the request nonce and the
+// client's TLS certificate fingerprint, which is how a scanner pins new clients.
+// Signatures cover the uncompressed body, so gzip stays a transport detail.
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const HEADERS = {
+  timestamp: 'x-esm-timestamp',
+  nonce: 'x-esm-nonce',
+  signature: 'x-esm-signature'
+};
+
+// Smaller bodies are not worth compressing
+const GZIP_MIN_BYTES = 1024;
+
+const sha256 = value => crypto.createHash('sha256').update(value || '').digest('hex');
+
+class SecureChannel {
+  constructor(options = {}) {
+    if (!options.token || String(options.token).length < 16) {
+      throw new Error('An enrollment token of at least 16 characters is required');
+    }
+    this.token = String(options.token);
+    this.maxSkew = options.maxSkew || 5 * 60 * 1000;
+    this.seenNonces = new Map();
+  }
+
+  static generateToken() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  sign(parts) {
+    return crypto.createHmac('sha256', this.token).update(parts.join('\n')).digest('base64');
+  }
+
+  matches(expected, signature) {
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature || ''));
+    return expectedBuffer.length === signatureBuffer.length
+      && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  }
+
+  // Headers to send with a request
+  signRequest(method, path, body = '', now = Date.now()) {
+    const timestamp = String(now);
+    const nonce = crypto.randomBytes(16).toString('hex');
+    return {
+      [HEADERS.timestamp]: timestamp,
+      [HEADERS.nonce]: nonce,
+      [HEADERS.signature]: this.sign([method.toUpperCase(), path, timestamp, nonce, sha256(body)])
+    };
+  }
+
+  // request: { method, path, headers (lower-case), body }; throws when it must be rejected
+  verifyRequest(request, now = Date.now()) {
+    const { headers = {} } = request;
+    const timestamp = Number(headers[HEADERS.timestamp]);
+    const nonce = headers[HEADERS.nonce];
+
+    if (!headers[HEADERS.signature] || !nonce || !Number.isFinite(timestamp)) {
+      throw new Error('Missing request signature');
+    }
+    if (Math.abs(now - timestamp) > this.maxSkew) {
+      throw new Error('Request timestamp outside the allowed window');
+    }
+
+    const expected = this.sign([
+      request.method.toUpperCase(), request.path, headers[HEADERS.timestamp], nonce, sha256(request.body)
+    ]);
+    if (!this.matches(expected, headers[HEADERS.signature])) {
+      throw new Error('Invalid request signature');
+    }
+
+    // Only signed nonces are remembered, so junk requests cannot fill the cache
+    this.pruneNonces(now);
+    if (this.seenNonces.has(nonce)) {
+      throw new Error('Replayed request nonce');
+    }
+    this.seenNonces.set(nonce, timestamp);
+  }
+
+  pruneNonces(now) {
+    this.seenNonces.forEach((timestamp, nonce) => {
+      if (Math.abs(now - timestamp) > this.maxSkew) {
+        this.seenNonces.delete(nonce);
+      }
+    });
+  }
+
+  signResponse(nonce, status, fingerprint, body = '') {
+    return this.sign([nonce, String(status), fingerprint, sha256(body)]);
+  }
+
+  verifyResponse(nonce, status, fingerprint, body, signature) {
+    if (!this.matches(this.signResponse(nonce, status, fingerprint, body), signature)) {
+      throw new Error('Invalid response signature');
+    }
+  }
+
+  // Express middleware for the client API; fingerprint is the server certificate's
+  middleware(fingerprint) {
+    return (req, res, next) => {
+      try {
+        this.verifyRequest({
+          method: req.method,
+          path: req.originalUrl,
+          headers: req.headers,
+          body: req.rawBody || ''
+        });
+      } catch (error) {
+        res.status(401).json({ error: error.message });
+        return;
+      }
+
+      const nonce = req.headers[HEADERS.nonce];
+      res.json = payload => {
+        const body = JSON.stringify(payload);
+        res.set(HEADERS.signature, this.signResponse(nonce, res.statusCode, fingerprint, body));
+        res.type('json');
+        res.vary('Accept-Encoding');
+        if (body.length >= GZIP_MIN_BYTES && /\bgzip\b/.test(req.headers['accept-encoding'] || '')) {
+          res.set('Content-Encoding', 'gzip');
+          return res.send(zlib.gzipSync(body));
+        }
+        return res.send(body);
+      };
+      // A 304 has no body; its signature covers an empty one
+      res.notModified = () => {
+        res.set(HEADERS.signature, this.signResponse(nonce, 304, fingerprint, ''));
+        return res.status(304).end();
+      };
+      next();
+    };
+  }
+}
+
+SecureChannel.HEADERS = HEADERS;
+SecureChannel.GZIP_MIN_BYTES = GZIP_MIN_BYTES;
+
+module.exports = SecureChannel;
@@ -0,0 +1,150 @@
+// src/main/self-signed-certificate.js - Self-signed TLS certificates for enterprise clients and server
+// Builds a minimal X.509 v3 certificate (EC P-256, ecdsa-with-SHA256) in DER
+// with Node's crypto alone, so installers and clients need no openssl binary.
+// Scanners pin the certificate's SHA-256 fingerprint rather than trusting a CA.
+const crypto = require('crypto');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+
+const OIDS = {
+  commonName: '2.5.4.3',
+  ecdsaWithSHA256: '1.2.840.10045.4.3.2',
+  basicConstraints: '2.5.29.19',
+  keyUsage: '2.5.29.15',
+  subjectAltName: '2.5.29.17'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// DER type-length-value with definite lengths
+function der(tag, content) {
+  const { length } = content;
+  let header;
+  if (length < 0x80) {
+    header = Buffer.from([tag, length]);
+  } else {
+    const bytes = [];
+    for (let remaining = length; remaining > 0; remaining = Math.floor(remaining / 256)) {
+      bytes.unshift(remaining % 256);
+    }
+    header = Buffer.from([tag, 0x80 + bytes.length, ...bytes]);
+  }
+  return Buffer.concat([header, content]);
+}
+
+const sequence = (...items) => der(0x30, Buffer.concat(items));
+const set = (...items) => der(0x31, Buffer.concat(items));
+const explicit = (tagNumber, content) => der(0xa0 + tagNumber, content);
+const octetString = content => der(0x04, content);
+const bitString = content => der(0x03, Buffer.concat([Buffer.from([0]), content]));
+const utf8String = value => der(0x0c, Buffer.from(value, 'utf8'));
+const boolean = value => der(0x01, Buffer.from([value ? 0xff : 0]));
+
+function integer(bytes) {
+  let content = Buffer.from(bytes);
+  // Positive integers must not have the sign bit set
+  if (content[0] >= 0x80) {
+    content = Buffer.concat([Buffer.from([0]), content]);
+  }
+  return der(0x02, content);
+}
+
+function oid(value) {
+  const [first, second, ...rest] = value.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  rest.forEach(part => {
+    const encoded = [part % 128];
+    for (let remaining = Math.floor(part / 128); remaining > 0; remaining = Math.floor(remaining / 128)) {
+      encoded.unshift(0x80 + (remaining % 128));
+    }
+    bytes.push(...encoded);
+  });
+  return der(0x06, Buffer.from(bytes));
+}
+
+// UTCTime until 2049, GeneralizedTime after, as RFC 5280 requires
+function time(date) {
+  const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  const year = date.getUTCFullYear();
+  return year < 2050
+    ? der(0x17, Buffer.from(`${iso.slice(2)}Z`))
+    : der(0x18, Buffer.from(`${iso}Z`));
+}
+
+function extension(id, value, critical = false) {
+  return sequence(oid(id), ...(critical ? [boolean(true)] : []), octetString(value));
+}
+
+const toPem = (label, body) => {
+  const lines = body.toString('base64').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN ${label}-----\n${lines}\n-----END ${label}-----\n`;
+};
+
+class SelfSignedCertificate {
+  // options: { commonName, altNames, days, now }; returns PEM key and certificate
+  static generate(options = {}) {
+    const commonName = options.commonName || os.hostname();
+    const altNames = [...new Set([commonName, ...(options.altNames || [])])];
+    const notBefore = new Date(options.now || Date.now());
+    const notAfter = new Date(notBefore.getTime() + (options.days || 3650) * DAY_MS);
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const name = sequence(set(sequence(oid(OIDS.commonName), utf8String(commonName))));
+    const algorithm = sequence(oid(OIDS.ecdsaWithSHA256));
+
+    const tbs = sequence(
+      explicit(0, integer([2])),
+      integer(crypto.randomBytes(16)),
+      algorithm,
+      name,
+      sequence(time(notBefore), time(notAfter)),
+      name,
+      publicKey.export({ type: 'spki', format: 'der' }),
+      explicit(3, sequence(
+        // Self-signed, so it acts as its own trust anchor when pinned
+        extension(OIDS.basicConstraints, sequence(boolean(true)), true),
+        // digitalSignature and keyCertSign
+        extension(OIDS.keyUsage, der(0x03, Buffer.from([0x02, 0x84])), true),
+        extension(OIDS.subjectAltName, sequence(...altNames.map(value => der(0x82, Buffer.from(value)))))
+      ))
+    );
+
+    const certificate = sequence(tbs, algorithm, bitString(crypto.sign('sha256', tbs, privateKey)));
+    const cert = toPem('CERTIFICATE', certificate);
+
+    return {
+      key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      cert,
+      fingerprint: SelfSignedCertificate.fingerprint(cert)
+    };
+  }
+
+  // SHA-256 fingerprint in the AA:BB:... form TLS sockets report as fingerprint256
+  static fingerprint(cert) {
+    return new crypto.X509Certificate(cert).fingerprint256;
+  }
+
+  // Reuse the certificate in `dir` or create one there (installers call this once).
+  // options.name names the files, `<name>.key` and `<name>.crt` (default client-tls)
+  static async loadOrCreate(dir, options = {}) {
+    const name = options.name || 'client-tls';
+    const keyPath = path.join(dir, `${name}.key`);
+    const certPath = path.join(dir, `${name}.crt`);
+
+    try {
+      const [key, cert] = await Promise.all([fs.readFile(keyPath, 'utf8'), fs.readFile(certPath, 'utf8')]);
+      return { key, cert, fingerprint: SelfSignedCertificate.fingerprint(cert), created: false };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const generated = SelfSignedCertificate.generate(options);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(keyPath, generated.key, { mode: 0o600 });
+    await fs.writeFile(certPath, generated.cert);
+    return { ...generated, created: true };
+  }
+}
+
+module.exports = SelfSignedCertificate;
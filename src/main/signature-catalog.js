@@ -0,0 +1,291 @@
+// src/main/signature-catalog.js - Application signature catalog
+// Shared by the desktop MonitoringService and the enterprise client monitor.
+// Run directly to validate a catalog file: node src/main/signature-catalog.js [file]
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, 'signature-catalog.json');
+
+// Strip executable/bundle suffixes so "Blender.exe" also matches "blender" on Linux
+function normalizeProcessName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\.(exe|app|bin)$/, '');
+}
+
+class SignatureCatalog extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.catalogPath = options.catalogPath || DEFAULT_CATALOG_PATH;
+    this.version = null;
+    this.applications = [];
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.reloadDelay = options.reloadDelay || 500;
+  }
+
+  static parse(content) {
+    // YAML is a superset of JSON, and js-yaml rejects duplicate mapping keys
+    // that JSON.parse would silently overwrite
+    return yaml.load(content);
+  }
+
+  static validate(catalog) {
+    const errors = [];
+    const warnings = [];
+
+    if (!catalog || typeof catalog !== 'object') {
+      return { valid: false, errors: ['Catalog must be an object'], warnings };
+    }
+
+    if (!catalog.version) {
+      errors.push('Catalog is missing a version');
+    }
+
+    if (!Array.isArray(catalog.applications)) {
+      errors.push('Catalog must contain an applications array');
+      return { valid: false, errors, warnings };
+    }
+
+    const keys = new Map();
+    const names = new Map();
+    const processOwners = new Map();
+
+    catalog.applications.forEach((entry, index) => {
+      const label = entry?.key || `applications[${index}]`;
+
+      if (!entry || !entry.key || !entry.name) {
+        errors.push(`${label}: key and name are required`);
+        return;
+      }
+
+      if (keys.has(entry.key)) {
+        errors.push(`${label}: duplicate key (also at applications[${keys.get(entry.key)}])`);
+      } else {
+        keys.set(entry.key, index);
+      }
+
+      if (names.has(entry.name)) {
+        warnings.push(`${label}: name "${entry.name}" is also used by ${names.get(entry.name)}`);
+      } else {
+        names.set(entry.name, entry.key);
+      }
+
+      const processNames = entry.processNames || [];
+      const patterns = entry.patterns || [];
+
+      if (processNames.length === 0 && patterns.length === 0) {
+        errors.push(`${label}: at least one process name or pattern is required`);
+      }
+
+      const seen = new Set();
+      processNames.forEach(processName => {
+        const normalized = normalizeProcessName(processName);
+
+        if (seen.has(normalized)) {
+          warnings.push(`${label}: duplicate process name "${processName}"`);
+          return;
+        }
+        seen.add(normalized);
+
+        const owner = processOwners.get(normalized);
+        if (owner && owner.key !== entry.key) {
+          errors.push(
+            `${label}: process name "${processName}" conflicts with ${owner.key} ("${owner.name}")`
+          );
+        } else {
+          processOwners.set(normalized, { key: entry.key, name: entry.name });
+        }
+      });
+
+      patterns.forEach(pattern => {
+        try {
+          new RegExp(pattern, 'i'); // eslint-disable-line no-new
+        } catch (error) {
+          errors.push(`${label}: invalid pattern "${pattern}": ${error.message}`);
+        }
+      });
+
+      if (entry.version) {
+        if (!['name', 'path'].includes(entry.version.from)) {
+          errors.push(`${label}: version.from must be "name" or "path"`);
+        }
+        try {
+          if (!/\((?!\?)/.test(entry.version.pattern || '')) {
+            errors.push(`${label}: version.pattern needs a capture group`);
+          } else {
+            new RegExp(entry.version.pattern, 'i'); // eslint-disable-line no-new
+          }
+        } catch (error) {
+          errors.push(`${label}: invalid version pattern: ${error.message}`);
+        }
+      }
+    });
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  // Parse and validate a catalog file without loading it
+  static validateFile(filePath) {
+    let catalog;
+    try {
+      catalog = SignatureCatalog.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      return { valid: false, errors: [`Unable to parse ${filePath}: ${error.message}`], warnings: [] };
+    }
+    return SignatureCatalog.validate(catalog);
+  }
+
+  load() {
+    const content = fs.readFileSync(this.catalogPath, 'utf8');
+    this.loadCatalog(SignatureCatalog.parse(content));
+    return this;
+  }
+
+  loadCatalog(catalog) {
+    const result = SignatureCatalog.validate(catalog);
+    if (!result.valid) {
+      const error = new Error(`Invalid signature catalog: ${result.errors.join('; ')}`);
+      error.validation = result;
+      throw error;
+    }
+
+    this.version = String(catalog.version);
+    this.applications = catalog.applications.map(entry => this.compileEntry(entry));
+    return result;
+  }
+
+  compileEntry(entry) {
+    return {
+      key: entry.key,
+      name: entry.name,
+      vendor: entry.vendor || 'Unknown',
+      processNames: (entry.processNames || []).map(normalizeProcessName),
+      patterns: (entry.patterns || []).map(pattern => new RegExp(pattern, 'i')),
+      pathHints: (entry.pathHints || []).map(hint => hint.toLowerCase()),
+      version: entry.version ? {
+        from: entry.version.from,
+        pattern: new RegExp(entry.version.pattern, 'i')
+      } : null
+    };
+  }
+
+  scoreEntry(entry, processName, processPath) {
+    const rawName = String(processName || '').trim();
+
+    if (entry.processNames.includes(normalizeProcessName(rawName))) return 3;
+    if (entry.patterns.some(pattern => pattern.test(rawName))) return 3;
+
+    // Command lines ("blender --background") and full paths match on the executable name
+    const name = normalizeProcessName(rawName.split(/[\\/]/).pop());
+    const isPrefixMatch = target => name.startsWith(target) && /^($|[^a-z0-9])/.test(name.slice(target.length));
+    if (name && entry.processNames.some(isPrefixMatch)) return 2;
+
+    const lowerPath = String(processPath || '').toLowerCase();
+    if (lowerPath && entry.pathHints.some(hint => lowerPath.includes(hint))) return 1;
+
+    return 0;
+  }
+
+  // Returns the best matching application for a process ({ name, path }) or null
+  match(proc) {
+    let best = null;
+    let bestScore = 0;
+
+    this.applications.forEach(entry => {
+      const score = this.scoreEntry(entry, proc.name, proc.path);
+      if (score > bestScore) {
+        best = entry;
+        bestScore = score;
+      }
+    });
+
+    if (!best) return null;
+
+    return {
+      key: best.key,
+      name: best.name,
+      vendor: best.vendor,
+      version: this.extractVersion(best, proc)
+    };
+  }
+
+  extractVersion(entry, proc) {
+    if (!entry.version) return null;
+
+    const source = entry.version.from === 'path' ? proc.path : proc.name;
+    const match = String(source || '').match(entry.version.pattern);
+    return match ? match[1] : null;
+  }
+
+  isKnownProcess(processName) {
+    return this.match({ name: processName, path: '' }) !== null;
+  }
+
+  getApplication(name) {
+    return this.applications.find(entry => entry.name === name || entry.key === name) || null;
+  }
+
+  getApplicationNames() {
+    return this.applications.map(entry => entry.name);
+  }
+
+  getInfo() {
+    return {
+      version: this.version,
+      path: this.catalogPath,
+      applications: this.applications.length,
+      watching: this.watcher !== null
+    };
+  }
+
+  // Hot-reload the catalog when the file changes; an invalid edit keeps the
+  // previously loaded signatures and emits 'reload-failed'
+  watch() {
+    if (this.watcher) return;
+
+    this.watcher = fs.watch(this.catalogPath, () => {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(), this.reloadDelay);
+    });
+  }
+
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  reload() {
+    const previousVersion = this.version;
+
+    try {
+      this.load();
+      this.emit('reloaded', { version: this.version, previousVersion });
+      return true;
+    } catch (error) {
+      console.error('Failed to reload signature catalog:', error.message);
+      this.emit('reload-failed', error);
+      return false;
+    }
+  }
+}
+
+SignatureCatalog.DEFAULT_CATALOG_PATH = DEFAULT_CATALOG_PATH;
+SignatureCatalog.normalizeProcessName = normalizeProcessName;
+
+// CLI: validate a catalog file and report duplicate/conflicting entries
+if (require.main === module) {
+  const filePath = path.resolve(process.argv[2] || DEFAULT_CATALOG_PATH);
+  const result = SignatureCatalog.validateFile(filePath);
+
+  result.errors.forEach(message => console.error(`error    ${message}`));
+  result.warnings.forEach(message => console.warn(`warning  ${message}`));
+  console.log(`${filePath}: ${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+
+  process.exitCode = result.valid ? 0 : 1;
+}
+
+module.exports = SignatureCatalog;
@@ -0,0 +1,108 @@
+// src/main/smtp-connection.js - One SMTP session over a socket, for SmtpTransport
+// Collects (multi-line) replies as { code, lines } and hands them out in order;
+// a socket error or close fails the pending read.
+const tls = require('tls');
+
+const CRLF = '\r\n';
+
+class SmtpConnection {
+  constructor(timeout) {
+    this.timeout = timeout;
+    this.socket = null;
+    this.buffer = '';
+    this.lines = [];
+    this.responses = [];
+    this.waiting = null;
+    this.error = null;
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+    socket.on('data', data => this.onData(data));
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed unexpectedly')));
+  }
+
+  onData(data) {
+    this.buffer += data;
+    let index = this.buffer.indexOf('\n');
+
+    while (index !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+
+      // "250-..." continues a multi-line reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        this.responses.push({ code: Number(line.slice(0, 3)), lines: this.lines.map(item => item.slice(4)) });
+        this.lines = [];
+      }
+      index = this.buffer.indexOf('\n');
+    }
+
+    this.flush();
+  }
+
+  fail(error) {
+    if (!this.error) this.error = error;
+    this.flush();
+  }
+
+  flush() {
+    if (!this.waiting) return;
+    const { resolve, reject } = this.waiting;
+
+    if (this.responses.length > 0) {
+      this.waiting = null;
+      resolve(this.responses.shift());
+    } else if (this.error) {
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  async command(line, expected) {
+    if (line !== null) this.socket.write(`${line}${CRLF}`);
+    const response = await this.read();
+
+    if (!expected.includes(response.code)) {
+      const command = line ? line.split(' ')[0] : 'greeting';
+      throw new Error(`SMTP ${command} failed: ${response.code} ${response.lines.join(' ')}`);
+    }
+    return response;
+  }
+
+  // Swap the plain socket for a TLS one after STARTTLS
+  upgrade(options) {
+    return new Promise((resolve, reject) => {
+      const plain = this.socket;
+      plain.removeAllListeners('data');
+      plain.removeAllListeners('close');
+      plain.removeAllListeners('error');
+      plain.setTimeout(0);
+
+      const secure = tls.connect({ ...options, socket: plain }, () => resolve());
+      secure.once('error', reject);
+      this.attach(secure);
+    });
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.removeAllListeners('close');
+      this.socket.on('error', () => {});
+      this.socket.end();
+    }
+  }
+}
+
+module.exports = SmtpConnection;
@@ -0,0 +1,154 @@
+// src/main/smtp-transport.js - Minimal SMTP client for report delivery
+// Supports implicit TLS (secure), STARTTLS when the server offers it, and
+// AUTH PLAIN. Plain connections work for local test servers (e.g. MailHog), but
+// credentials only go over them with ignoreTLS or allowInsecureAuth.
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+const SmtpConnection = require('./smtp-connection');
+
+const CRLF = '\r\n';
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function base64Lines(content) {
+  return Buffer.from(content).toString('base64').replace(/.{1,76}/g, line => `${line}${CRLF}`);
+}
+
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map(address => address.trim()).filter(Boolean);
+}
+
+// Bare address from "Name <address>" for the envelope
+function envelopeAddress(address) {
+  const match = /<([^>]+)>/.exec(address);
+  return match ? match[1] : address;
+}
+
+class SmtpTransport {
+  constructor(options = {}) {
+    if (!options.host) {
+      throw new Error('SMTP host is required');
+    }
+
+    this.host = options.host;
+    this.secure = options.secure === true;
+    this.port = Number(options.port) || (this.secure ? 465 : 587);
+    this.auth = options.user ? { user: options.user, pass: options.pass || '' } : null;
+    this.ignoreTLS = options.ignoreTLS === true;
+    this.allowInsecureAuth = options.allowInsecureAuth === true;
+    this.rejectUnauthorized = options.rejectUnauthorized !== false;
+    this.timeout = options.timeout || 30000;
+    this.name = options.name || os.hostname();
+  }
+
+  connect(connection) {
+    return new Promise((resolve, reject) => {
+      const socket = this.secure
+        ? tls.connect({
+          host: this.host,
+          port: this.port,
+          servername: this.host,
+          rejectUnauthorized: this.rejectUnauthorized
+        })
+        : net.connect({ host: this.host, port: this.port });
+
+      socket.once(this.secure ? 'secureConnect' : 'connect', () => {
+        socket.removeListener('error', reject);
+        resolve();
+      });
+      socket.once('error', reject);
+      connection.attach(socket);
+    });
+  }
+
+  buildMessage(message, recipients) {
+    const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+    const headers = [
+      `From: ${message.from}`,
+      `To: ${recipients.join(', ')}`,
+      `Subject: ${encodeHeader(message.subject || '')}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${this.name}>`,
+      'MIME-Version: 1.0',
+      `Content-Type: multipart/mixed; boundary="${boundary}"`
+    ];
+
+    const parts = [
+      [
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(message.text || '')
+      ].join(CRLF)
+    ];
+
+    (message.attachments || []).forEach(attachment => {
+      const filename = encodeHeader(attachment.filename);
+      parts.push([
+        `Content-Type: ${attachment.contentType || 'application/octet-stream'}; name="${filename}"`,
+        `Content-Disposition: attachment; filename="${filename}"`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(attachment.content)
+      ].join(CRLF));
+    });
+
+    const body = parts.map(part => `--${boundary}${CRLF}${part}`).join(CRLF);
+    return `${headers.join(CRLF)}${CRLF}${CRLF}${body}${CRLF}--${boundary}--${CRLF}`;
+  }
+
+  // message: { from, to, subject, text, attachments: [{ filename, content, contentType }] }
+  async sendMail(message) {
+    const recipients = toList(message.to);
+    if (!message.from || recipients.length === 0) {
+      throw new Error('Email needs a sender and at least one recipient');
+    }
+
+    const connection = new SmtpConnection(this.timeout);
+
+    try {
+      await this.connect(connection);
+      await connection.command(null, [220]);
+      const greeting = await connection.command(`EHLO ${this.name}`, [250]);
+
+      let encrypted = this.secure;
+      if (!this.secure && !this.ignoreTLS && greeting.lines.some(line => /^STARTTLS\b/i.test(line))) {
+        await connection.command('STARTTLS', [220]);
+        await connection.upgrade({ servername: this.host, rejectUnauthorized: this.rejectUnauthorized });
+        await connection.command(`EHLO ${this.name}`, [250]);
+        encrypted = true;
+      }
+
+      if (this.auth) {
+        // A missing STARTTLS may have been stripped on the way; AUTH PLAIN is only base64
+        if (!encrypted && !this.ignoreTLS && !this.allowInsecureAuth) {
+          throw new Error('SMTP server did not offer STARTTLS; refusing to send credentials unencrypted');
+        }
+        const credentials = Buffer.from(`\0${this.auth.user}\0${this.auth.pass}`).toString('base64');
+        await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+      }
+
+      await connection.command(`MAIL FROM:<${envelopeAddress(message.from)}>`, [250]);
+      for (const recipient of recipients) {
+        await connection.command(`RCPT TO:<${envelopeAddress(recipient)}>`, [250, 251]);
+      }
+
+      await connection.command('DATA', [354]);
+      // Dot-stuff lines that start with "." and terminate with <CRLF>.<CRLF>
+      const data = this.buildMessage(message, recipients).replace(/^\./gm, '..');
+      const response = await connection.command(`${data}.`, [250]);
+
+      await connection.command('QUIT', [221]).catch(() => {});
+      return { accepted: recipients, response: response.lines.join(' ') };
+    } finally {
+      connection.close();
+    }
+  }
+}
+
+module.exports = SmtpTransport;
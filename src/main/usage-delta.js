@@ -0,0 +1,93 @@
+// src/main/usage-delta.js - Delta sync between enterprise clients and the scanner
+// A client numbers its monitoring snapshots; every application, plugin and session
+// carries the sequence of the snapshot that last touched it. A cursor is
+// "<epoch>.<sequence>", where the epoch names the client's database, so a cursor
+// from a reinstalled client (or a restored backup) gets a full sync instead of a gap.
+const crypto = require('crypto');
+
+const VERSION = 1;
+const SYNC_PATH = `/api/v${VERSION}/sync`;
+
+// Applications by name, plugins by vendor and name; sessions by start time
+const KEYS = {
+  applications: item => item.name,
+  plugins: item => `${item.vendor}\n${item.name}`
+};
+
+class UsageDelta {
+  static formatCursor(epoch, sequence) {
+    return `${epoch}.${sequence}`;
+  }
+
+  // { epoch, sequence }, or null for a missing or malformed cursor
+  static parseCursor(cursor) {
+    const match = String(cursor || '').match(/^([\w-]+)\.(\d+)$/);
+    return match ? { epoch: match[1], sequence: Number(match[2]) } : null;
+  }
+
+  // Strong ETag of a client's sync state: changes with every stored snapshot
+  // and with the identity the client reports
+  static etag(state) {
+    const digest = crypto.createHash('sha256')
+      .update([VERSION, state.epoch, state.sequence, state.clientId, state.department].join('\n'))
+      .digest('base64url');
+    return `"${digest.slice(0, 27)}"`;
+  }
+
+  // If-None-Match may list several tags, weak ones or *
+  static matchesEtag(header, etag) {
+    if (!header || !etag) return false;
+    return String(header).split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .some(tag => tag === '*' || tag === etag);
+  }
+
+  static changedSessions(sessions, since) {
+    return (sessions || []).filter(session => (session.sequence || 0) > since);
+  }
+
+  // Sessions of one item: a changed session replaces the one with its start time
+  static mergeSessions(base = [], changes = []) {
+    const merged = new Map(base.map(session => [session.startTime, session]));
+    changes.forEach(session => merged.set(session.startTime, session));
+    return [...merged.values()].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  }
+
+  static mergeItems(base, changes, key) {
+    const merged = new Map((base || []).map(item => [key(item), item]));
+    (changes || []).forEach(change => {
+      const previous = merged.get(key(change));
+      merged.set(key(change), {
+        ...previous,
+        ...change,
+        sessions: UsageDelta.mergeSessions(previous?.sessions, change.sessions)
+      });
+    });
+    return [...merged.values()].sort((a, b) => (b.total_usage || 0) - (a.total_usage || 0));
+  }
+
+  // The client's usage in /api/latest form after applying delta to base. A full
+  // delta, or one without a base to apply to, replaces it; fields of base that
+  // are not usage (e.g. lastUpdate) are kept either way.
+  static merge(base, delta) {
+    const {
+      version, cursor, since, full, ...usage
+    } = delta;
+    if (full || !base) {
+      return { ...base, ...usage, applications: usage.applications || [], plugins: usage.plugins || [] };
+    }
+
+    return {
+      ...base,
+      ...usage,
+      systemInfo: usage.systemInfo ?? base.systemInfo ?? null,
+      applications: UsageDelta.mergeItems(base.applications, usage.applications, KEYS.applications),
+      plugins: UsageDelta.mergeItems(base.plugins, usage.plugins, KEYS.plugins)
+    };
+  }
+}
+
+UsageDelta.VERSION = VERSION;
+UsageDelta.SYNC_PATH = SYNC_PATH;
+
+module.exports = UsageDelta;
@@ -0,0 +1,348 @@
+// src/main/usage-history.js - Usage rollups over the enterprise server's snapshots
+// Every stored snapshot is folded into hourly, daily and monthly usage minutes per
+// client, department and application or plugin as it arrives, so history queries
+// read rollups instead of scanning raw snapshots. Retention drops the finer levels
+// as they age; the coarser ones keep the long view. Buckets are UTC.
+
+const RESOLUTIONS = ['hour', 'day', 'week', 'month'];
+const DIMENSIONS = ['applications', 'plugins', 'departments'];
+// Rollup level each query resolution reads; weeks are summed from days
+const LEVEL_FOR_RESOLUTION = { hour: 'hour', day: 'day', week: 'day', month: 'month' };
+const LEVELS = ['hour', 'day', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = 5000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days each level is kept; null keeps it forever. rawDays applies to the raw snapshots.
+const DEFAULT_RETENTION = {
+  rawDays: 7,
+  hourlyDays: 30,
+  dailyDays: 365,
+  monthlyDays: null
+};
+
+function bucketStart(time, resolution) {
+  const date = new Date(time);
+
+  switch (resolution) {
+    case 'hour':
+      date.setUTCMinutes(0, 0, 0);
+      break;
+    case 'day':
+      date.setUTCHours(0, 0, 0, 0);
+      break;
+    case 'week':
+      date.setUTCHours(0, 0, 0, 0);
+      date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+      break;
+    case 'month':
+      date.setUTCHours(0, 0, 0, 0);
+      date.setUTCDate(1);
+      break;
+    default:
+      throw new Error(`Unknown resolution: ${resolution}`);
+  }
+
+  return date.getTime();
+}
+
+function nextBucket(start, resolution) {
+  const date = new Date(start);
+
+  switch (resolution) {
+    case 'hour':
+      date.setUTCHours(date.getUTCHours() + 1);
+      break;
+    case 'day':
+      date.setUTCDate(date.getUTCDate() + 1);
+      break;
+    case 'week':
+      date.setUTCDate(date.getUTCDate() + 7);
+      break;
+    default:
+      date.setUTCMonth(date.getUTCMonth() + 1);
+  }
+
+  return date.getTime();
+}
+
+class UsageHistory {
+  constructor(datastore) {
+    this.datastore = datastore;
+    this.writing = Promise.resolve();
+  }
+
+  // Usage in one snapshot as [{ kind, vendor, name, value }]. Pushed records list what
+  // was running at one monitoring tick (one minute each); pulled snapshots carry
+  // running totals per application and plugin (cumulative: true).
+  static readSnapshot(snapshot = {}) {
+    if (snapshot.data && snapshot.sequence !== undefined) {
+      const { applications = {}, plugins = {} } = snapshot.data;
+      return {
+        cumulative: false,
+        items: [
+          ...Object.keys(applications).map(name => ({ kind: 'application', vendor: null, name, value: 1 })),
+          ...Object.keys(plugins).map(name => ({ kind: 'plugin', vendor: 'Unknown', name, value: 1 }))
+        ]
+      };
+    }
+
+    const items = Object.entries(snapshot.applications || {}).map(([name, data]) => ({
+      kind: 'application', vendor: null, name, value: Number(data.totalUsage) || 0
+    }));
+    Object.entries(snapshot.plugins || {}).forEach(([vendor, products]) => {
+      Object.entries(products || {}).forEach(([name, data]) => {
+        items.push({ kind: 'plugin', vendor, name, value: Number(data.totalUsage) || 0 });
+      });
+    });
+    return { cumulative: true, items };
+  }
+
+  static itemKey(item) {
+    return [item.kind, item.vendor || '', item.name].join('|');
+  }
+
+  // Each field a positive number of days, or null to keep that level forever
+  static validateRetention(policy = {}) {
+    const unknown = Object.keys(policy).filter(field => !(field in DEFAULT_RETENTION));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown retention setting ${unknown.join(', ')}`);
+    }
+
+    const validated = { ...DEFAULT_RETENTION };
+    Object.entries(policy).forEach(([field, days]) => {
+      if (days !== null && !(Number.isFinite(Number(days)) && Number(days) > 0)) {
+        throw new Error(`${field} must be a positive number of days or null`);
+      }
+      validated[field] = days === null ? null : Number(days);
+    });
+    return validated;
+  }
+
+  call(method, ...args) {
+    return new Promise((resolve, reject) => {
+      this.datastore[method](...args, (err, result) => {
+        if (err) reject(err);
+        else resolve(result);
+      });
+    });
+  }
+
+  update(query, modifier, options = {}) {
+    return new Promise((resolve, reject) => {
+      this.datastore.update(query, modifier, options, (err, count) => {
+        if (err) reject(err);
+        else resolve(count);
+      });
+    });
+  }
+
+  // Folds one stored snapshot into the rollups; snapshots are taken one at a time so
+  // running totals are always compared with the client's previous snapshot
+  record(clientId, department, snapshot, now = new Date()) {
+    const write = this.writing.then(async () => {
+      const time = new Date(snapshot.timestamp || now);
+      const at = Number.isNaN(time.getTime()) ? now : time;
+      const { cumulative, items } = UsageHistory.readSnapshot(snapshot);
+      const usage = cumulative ? await this.growthSince(clientId, items) : items;
+
+      for (const item of usage.filter(entry => entry.value > 0)) {
+        for (const level of LEVELS) {
+          const bucket = new Date(bucketStart(at, level)).toISOString();
+          await this.update({
+            _id: [level, bucket, clientId, UsageHistory.itemKey(item)].join('|')
+          }, {
+            $set: {
+              level,
+              bucket,
+              client_id: clientId,
+              department: department || 'Unknown',
+              kind: item.kind,
+              vendor: item.vendor,
+              name: item.name
+            },
+            $inc: { minutes: item.value }
+          }, { upsert: true });
+        }
+      }
+      return usage.filter(entry => entry.value > 0);
+    });
+
+    this.writing = write.catch(() => {});
+    return write;
+  }
+
+  // Growth of each running total since the client's previous snapshot. The first
+  // snapshot of a client only sets the baseline; a total that went down means the
+  // client started counting again, so all of it is new.
+  async growthSince(clientId, items) {
+    const id = `totals|${clientId}`;
+    const state = await this.call('findOne', { _id: id });
+    const previous = state ? state.totals : null;
+    const totals = {};
+
+    const usage = items.map(item => {
+      const key = UsageHistory.itemKey(item);
+      totals[key] = item.value;
+      if (!previous) return { ...item, value: 0 };
+
+      const before = previous[key];
+      return { ...item, value: before === undefined || item.value < before ? item.value : item.value - before };
+    });
+
+    await this.update({ _id: id }, { $set: { level: 'totals', client_id: clientId, totals } }, { upsert: true });
+    return usage;
+  }
+
+  // Normalise and validate query options; throws on invalid input
+  parseOptions(dimension, options = {}) {
+    if (!DIMENSIONS.includes(dimension)) {
+      throw new Error(`Invalid dimension "${dimension}", expected one of: ${DIMENSIONS.join(', ')}`);
+    }
+    const resolution = options.resolution || 'day';
+    if (!RESOLUTIONS.includes(resolution)) {
+      throw new Error(`Invalid resolution "${resolution}", expected one of: ${RESOLUTIONS.join(', ')}`);
+    }
+
+    const to = options.to ? new Date(options.to).getTime() : Date.now();
+    const from = options.from ? new Date(options.from).getTime() : to - DEFAULT_RANGE_DAYS * DAY;
+    if (!Number.isFinite(from) || !Number.isFinite(to)) {
+      throw new Error('Invalid date range');
+    }
+    if (from > to) {
+      throw new Error('Range start must be before range end');
+    }
+
+    const toList = value => (value ? [].concat(value).map(String) : null);
+    return {
+      dimension,
+      resolution,
+      from,
+      to,
+      clientId: options.clientId || null,
+      departments: toList(options.department),
+      names: toList(options.name),
+      vendors: toList(options.vendor),
+      // Departments the caller may see; null for all
+      visibleDepartments: options.visibleDepartments || null
+    };
+  }
+
+  getBuckets(from, to, resolution) {
+    const buckets = [];
+
+    for (let start = bucketStart(from, resolution); start <= to; start = nextBucket(start, resolution)) {
+      buckets.push(start);
+      if (buckets.length > MAX_BUCKETS) {
+        throw new Error(`Range too large for ${resolution} resolution (more than ${MAX_BUCKETS} buckets)`);
+      }
+    }
+
+    return buckets;
+  }
+
+  // dimension: 'applications' | 'plugins' | 'departments' (application minutes per department)
+  // options: { from, to, resolution, department, clientId, name, vendor, visibleDepartments }
+  async query(dimension, options = {}) {
+    const query = this.parseOptions(dimension, options);
+    const buckets = this.getBuckets(query.from, query.to, query.resolution);
+    const level = LEVEL_FOR_RESOLUTION[query.resolution];
+
+    const find = {
+      level,
+      kind: dimension === 'plugins' ? 'plugin' : 'application',
+      bucket: {
+        $gte: new Date(bucketStart(query.from, level)).toISOString(),
+        $lte: new Date(query.to).toISOString()
+      }
+    };
+    if (query.clientId) find.client_id = query.clientId;
+
+    const rollups = (await this.call('find', find)).filter(rollup => (
+      (!query.departments || query.departments.includes(rollup.department))
+      && (!query.visibleDepartments || query.visibleDepartments.includes(rollup.department))
+      && (!query.names || query.names.includes(rollup.name))
+      && (!query.vendors || query.vendors.includes(rollup.vendor))
+    ));
+
+    const describe = rollup => {
+      if (dimension === 'departments') return { department: rollup.department };
+      if (dimension === 'plugins') return { vendor: rollup.vendor, name: rollup.name };
+      return { name: rollup.name };
+    };
+
+    const bucketIndex = new Map(buckets.map((start, index) => [start, index]));
+    const seriesByKey = new Map();
+    const totals = buckets.map(() => 0);
+    rollups.forEach(rollup => {
+      const fields = describe(rollup);
+      const key = JSON.stringify(fields);
+      if (!seriesByKey.has(key)) {
+        seriesByKey.set(key, { ...fields, minutes: buckets.map(() => 0), clients: new Set() });
+      }
+      const series = seriesByKey.get(key);
+      const index = bucketIndex.get(bucketStart(rollup.bucket, query.resolution));
+      if (index === undefined) return;
+
+      series.minutes[index] += rollup.minutes;
+      series.clients.add(rollup.client_id);
+      totals[index] += rollup.minutes;
+    });
+
+    const points = minutes => minutes.map((value, index) => ({
+      bucket: new Date(buckets[index]).toISOString(),
+      minutes: value
+    }));
+    const series = [...seriesByKey.values()]
+      .map(({ minutes, clients, ...fields }) => ({
+        ...fields,
+        totalMinutes: minutes.reduce((sum, value) => sum + value, 0),
+        clients: clients.size,
+        points: points(minutes)
+      }))
+      .filter(item => item.totalMinutes > 0)
+      .sort((a, b) => b.totalMinutes - a.totalMinutes);
+
+    return {
+      dimension,
+      resolution: query.resolution,
+      range: { from: new Date(query.from).toISOString(), to: new Date(query.to).toISOString() },
+      buckets: buckets.map(start => new Date(start).toISOString()),
+      series,
+      totals: {
+        minutes: totals.reduce((sum, value) => sum + value, 0),
+        points: points(totals)
+      }
+    };
+  }
+
+  // Drops rollups older than the policy keeps them; returns the number removed per level
+  async applyRetention(policy = DEFAULT_RETENTION, now = new Date()) {
+    const days = { hour: policy.hourlyDays, day: policy.dailyDays, month: policy.monthlyDays };
+    const removed = {};
+
+    for (const level of LEVELS) {
+      removed[level] = 0;
+      if (days[level]) {
+        const cutoff = new Date(bucketStart(now.getTime() - days[level] * DAY, level)).toISOString();
+        removed[level] = await new Promise((resolve, reject) => {
+          this.datastore.remove({ level, bucket: { $lt: cutoff } }, { multi: true }, (err, count) => {
+            if (err) reject(err);
+            else resolve(count);
+          });
+        });
+      }
+    }
+    return removed;
+  }
+
+  async isEmpty() {
+    return (await this.call('count', {})) === 0;
+  }
+}
+
+UsageHistory.RESOLUTIONS = RESOLUTIONS;
+UsageHistory.DIMENSIONS = DIMENSIONS;
+UsageHistory.DEFAULT_RETENTION = DEFAULT_RETENTION;
+
+module.exports = UsageHistory;
@@ -0,0 +1,78 @@
+// src/main/usage-ingest.js - Accepts usage batches pushed by enterprise clients
+// Each agent numbers its records; a per-agent high-water mark drops records the
+// server has already seen, and recent batch results are kept by idempotency key
+// in usageData.metadata.syncQueue so a retried batch gets the same answer.
+const LEDGER_SIZE = 500;
+
+class UsageIngest {
+  constructor(dataManager) {
+    this.dataManager = dataManager;
+  }
+
+  getLedger() {
+    const { metadata } = this.dataManager.usageData;
+    if (!Array.isArray(metadata.syncQueue)) {
+      metadata.syncQueue = [];
+    }
+    return metadata.syncQueue;
+  }
+
+  validate(batch, idempotencyKey) {
+    if (!idempotencyKey) {
+      throw new Error('Missing idempotency key');
+    }
+    if (!batch || !batch.clientId || !batch.agentId) {
+      throw new Error('Batch needs a clientId and an agentId');
+    }
+    if (!Array.isArray(batch.records) || batch.records.some(record => !Number.isInteger(record.sequence))) {
+      throw new Error('Batch records need integer sequence numbers');
+    }
+  }
+
+  // Returns { accepted, duplicates, lastSequence, replayed, records: newly accepted records }
+  async ingest(batch, idempotencyKey, now = new Date()) {
+    this.validate(batch, idempotencyKey);
+
+    const ledger = this.getLedger();
+    const previous = ledger.find(entry => entry.idempotencyKey === idempotencyKey);
+    if (previous) {
+      return { ...previous.result, replayed: true, records: [] };
+    }
+
+    const { usageData } = this.dataManager;
+    if (!usageData.enterpriseClients) {
+      usageData.enterpriseClients = {};
+    }
+    const client = usageData.enterpriseClients[batch.clientId] || {};
+    // A reinstalled agent starts numbering again under a new agent id
+    const lastSeen = client.push?.agentId === batch.agentId ? client.push.lastSequence : 0;
+
+    const records = [...batch.records].sort((a, b) => a.sequence - b.sequence);
+    const accepted = records.filter(record => record.sequence > lastSeen);
+    const lastSequence = Math.max(lastSeen, ...records.map(record => record.sequence));
+
+    usageData.enterpriseClients[batch.clientId] = {
+      ...client,
+      ...(batch.latest || {}),
+      clientId: batch.clientId,
+      department: batch.department || client.department,
+      lastUpdate: now.toISOString(),
+      source: 'push',
+      push: {
+        agentId: batch.agentId,
+        lastSequence,
+        lastBatchAt: now.toISOString(),
+        records: (client.push?.records || 0) + accepted.length
+      }
+    };
+
+    const result = { accepted: accepted.length, duplicates: records.length - accepted.length, lastSequence };
+    ledger.push({ idempotencyKey, clientId: batch.clientId, receivedAt: now.toISOString(), result });
+    ledger.splice(0, Math.max(0, ledger.length - LEDGER_SIZE));
+
+    await this.dataManager.saveData();
+    return { ...result, replayed: false, records: accepted };
+  }
+}
+
+module.exports = UsageIngest;
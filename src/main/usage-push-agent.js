@@ -0,0 +1,154 @@
+// src/main/usage-push-agent.js - Pushes buffered client usage to the enterprise server
+// For machines the network scanner cannot reach (remote staff, other VLANs).
+// Records wait in a local queue until the server acknowledges them, and are
+// replayed oldest first; each batch carries an idempotency key so a batch
+// resent after a lost acknowledgement is not counted twice.
+// Batches carry usernames, hostnames and software inventory across the WAN, so the
+// server URL must be https://; a pinned serverCertificate replaces CA trust.
+const { EventEmitter } = require('events');
+const https = require('https');
+const fetch = require('node-fetch');
+const SecureChannel = require('./secure-channel');
+const SelfSignedCertificate = require('./self-signed-certificate');
+
+const INGEST_PATH = '/api/ingest';
+
+class UsagePushAgent extends EventEmitter {
+  // queue: { pending(limit) -> [{ sequence, ... }] oldest first, acknowledge(lastSequence) }
+  constructor(options = {}) {
+    super();
+    if (!options.serverUrl) {
+      throw new Error('Push mode needs an enterprise server URL');
+    }
+    if (!options.agentId) {
+      throw new Error('Push mode needs an agent id');
+    }
+    if (!options.serverUrl.startsWith('https://') && !options.allowInsecureServer) {
+      throw new Error('Push mode needs an https:// server URL; set allowInsecureServer to send usage unencrypted');
+    }
+    this.serverUrl = options.serverUrl.replace(/\/+$/, '');
+    this.agent = options.serverCertificate ? UsagePushAgent.pinnedAgent(options.serverCertificate) : undefined;
+    this.channel = new SecureChannel({ token: options.enrollmentToken });
+    this.queue = options.queue;
+    this.identity = {
+      clientId: options.clientId,
+      agentId: options.agentId,
+      department: options.department || ''
+    };
+    this.getLatest = options.getLatest || (async () => null);
+    this.batchSize = options.batchSize || 100;
+    this.interval = options.interval || 60000;
+    this.fetch = options.fetch || fetch;
+    this.timer = null;
+    this.flushing = null;
+    this.online = null;
+  }
+
+  // Trusts the server's certificate on its own, and nothing else
+  static pinnedAgent(certificate) {
+    const fingerprint = SelfSignedCertificate.fingerprint(certificate);
+    return new https.Agent({
+      ca: certificate,
+      checkServerIdentity: (hostname, cert) => (
+        cert.fingerprint256 === fingerprint
+          ? undefined
+          : new Error('Enterprise server certificate does not match its pin')
+      ),
+      // A resumed TLS session would skip the pin check
+      maxCachedSessions: 0
+    });
+  }
+
+  start() {
+    this.stop();
+    this.flush();
+    this.timer = setInterval(() => this.flush(), this.interval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // One flush at a time, so batches always leave in sequence order
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.drain().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async drain() {
+    let sent = 0;
+
+    try {
+      for (;;) {
+        const records = await this.queue.pending(this.batchSize);
+        if (records.length === 0) break;
+
+        // The client's current state rides along with the last batch
+        const latest = records.length < this.batchSize ? await this.getLatest() : null;
+        const result = await this.send(records, latest);
+        await this.queue.acknowledge(result.lastSequence);
+        sent += records.length;
+        this.emit('batch-sent', { ...result, records: records.length });
+
+        if (records.length < this.batchSize) break;
+      }
+    } catch (error) {
+      // Offline: everything not acknowledged stays queued for the next flush
+      if (this.online !== false) {
+        this.emit('offline', error);
+      }
+      this.online = false;
+      this.emit('sync-error', error);
+      return { sent, error: error.message };
+    }
+
+    if (this.online === false) {
+      this.emit('online');
+    }
+    this.online = true;
+    return { sent };
+  }
+
+  async send(records, latest) {
+    const idempotencyKey = `${this.identity.agentId}:${records[0].sequence}-${records[records.length - 1].sequence}`;
+    const body = JSON.stringify({ ...this.identity, records, latest });
+    const headers = this.channel.signRequest('POST', INGEST_PATH, body);
+
+    const response = await this.fetch(`${this.serverUrl}${INGEST_PATH}`, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        'Idempotency-Key': idempotencyKey
+      },
+      body,
+      timeout: 15000,
+      agent: this.agent
+    });
+    const text = await response.text();
+
+    if (!response.ok) {
+      throw new Error(`Enterprise server responded with ${response.status}`);
+    }
+    // Only the server holding the enrollment token can acknowledge a batch
+    this.channel.verifyResponse(
+      headers[SecureChannel.HEADERS.nonce],
+      response.status,
+      '',
+      text,
+      response.headers.get(SecureChannel.HEADERS.signature)
+    );
+    return JSON.parse(text);
+  }
+}
+
+UsagePushAgent.INGEST_PATH = INGEST_PATH;
+
+module.exports = UsagePushAgent;
@@ -0,0 +1,239 @@
+// src/main/usage-query.js - Time-range usage aggregation
+// Builds pre-aggregated usage series from DataManager session data so the
+// renderer doesn't have to walk the whole usage model itself.
+
+const GROUPINGS = ['hour', 'day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = 5000;
+
+// Start of the local-time bucket containing `time`; weeks start on Monday
+function bucketStart(time, groupBy) {
+  const date = new Date(time);
+
+  switch (groupBy) {
+    case 'hour':
+      date.setMinutes(0, 0, 0);
+      break;
+    case 'day':
+      date.setHours(0, 0, 0, 0);
+      break;
+    case 'week':
+      date.setHours(0, 0, 0, 0);
+      date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+      break;
+    case 'month':
+      date.setHours(0, 0, 0, 0);
+      date.setDate(1);
+      break;
+    default:
+      throw new Error(`Unknown grouping: ${groupBy}`);
+  }
+
+  return date.getTime();
+}
+
+function nextBucket(start, groupBy) {
+  const date = new Date(start);
+
+  switch (groupBy) {
+    case 'hour':
+      date.setHours(date.getHours() + 1);
+      break;
+    case 'day':
+      date.setDate(date.getDate() + 1);
+      break;
+    case 'week':
+      date.setDate(date.getDate() + 7);
+      break;
+    default:
+      date.setMonth(date.getMonth() + 1);
+  }
+
+  return date.getTime();
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+class UsageQuery {
+  constructor(usageData) {
+    this.usageData = usageData || {};
+  }
+
+  // Normalise and validate query options; throws on invalid input
+  parseOptions(options = {}) {
+    const groupBy = options.groupBy || 'day';
+    if (!GROUPINGS.includes(groupBy)) {
+      throw new Error(`Invalid groupBy "${groupBy}", expected one of: ${GROUPINGS.join(', ')}`);
+    }
+
+    const to = options.to ? new Date(options.to).getTime() : Date.now();
+    const from = options.from
+      ? new Date(options.from).getTime()
+      : to - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000;
+
+    if (!Number.isFinite(from) || !Number.isFinite(to)) {
+      throw new Error('Invalid date range');
+    }
+    if (from > to) {
+      throw new Error('Range start must be before range end');
+    }
+
+    const type = options.type || 'all';
+    if (!['all', 'application', 'plugin'].includes(type)) {
+      throw new Error(`Invalid type "${type}", expected all, application or plugin`);
+    }
+
+    return {
+      from,
+      to,
+      groupBy,
+      type,
+      applications: toList(options.applications),
+      plugins: toList(options.plugins),
+      vendors: toList(options.vendors)
+    };
+  }
+
+  getBuckets(from, to, groupBy) {
+    const buckets = [];
+
+    for (let start = bucketStart(from, groupBy); start <= to; start = nextBucket(start, groupBy)) {
+      buckets.push(start);
+      if (buckets.length > MAX_BUCKETS) {
+        throw new Error(`Range too large for ${groupBy} grouping (more than ${MAX_BUCKETS} buckets)`);
+      }
+    }
+
+    return buckets;
+  }
+
+  // Applications and plugins matching the filters, as { type, name, vendor, sessions }
+  getItems(query) {
+    const items = [];
+    const vendorMatches = vendor => !query.vendors || query.vendors.includes(vendor);
+
+    if (query.type !== 'plugin') {
+      Object.entries(this.usageData.applications || {}).forEach(([name, data]) => {
+        const vendor = data.vendor || 'Unknown';
+        if (query.applications && !query.applications.includes(name)) return;
+        if (!vendorMatches(vendor)) return;
+        items.push({ type: 'application', name, vendor, sessions: data.sessions || [] });
+      });
+    }
+
+    if (query.type !== 'application') {
+      Object.entries(this.usageData.plugins || {}).forEach(([vendor, products]) => {
+        if (!vendorMatches(vendor)) return;
+
+        Object.entries(products).forEach(([product, productData]) => {
+          const records = productData.totalUsage !== undefined
+            ? [[product, productData]]
+            : Object.entries(productData).map(([subProduct, subData]) => [`${product} - ${subProduct}`, subData]);
+
+          records.forEach(([name, data]) => {
+            if (query.plugins && !query.plugins.includes(name) && !query.plugins.includes(product)) return;
+            items.push({ type: 'plugin', name, vendor, sessions: data.sessions || [] });
+          });
+        });
+      });
+    }
+
+    return items;
+  }
+
+  // Spread a session's minutes over the buckets it overlaps, clipped to the range
+  allocateSession(session, query, buckets, minutesByBucket) {
+    const start = new Date(session.startTime).getTime();
+    const end = new Date(session.endTime || session.startTime).getTime();
+    if (!Number.isFinite(start) || !Number.isFinite(end)) return false;
+
+    if (end <= start) {
+      // Single-check sessions carry their duration at the start time
+      if (start < query.from || start > query.to) return false;
+      const index = this.findBucket(buckets, start);
+      minutesByBucket[index] += session.duration || 0;
+      return true;
+    }
+
+    const clippedStart = Math.max(start, query.from);
+    const clippedEnd = Math.min(end, query.to);
+    if (clippedStart >= clippedEnd) return false;
+
+    for (let index = this.findBucket(buckets, clippedStart); index < buckets.length; index++) {
+      const bucketEnd = index + 1 < buckets.length ? buckets[index + 1] : nextBucket(buckets[index], query.groupBy);
+      const overlap = Math.min(clippedEnd, bucketEnd) - Math.max(clippedStart, buckets[index]);
+      if (overlap > 0) {
+        minutesByBucket[index] += overlap / 60000;
+      }
+      if (bucketEnd >= clippedEnd) break;
+    }
+
+    return true;
+  }
+
+  // Index of the last bucket starting at or before `time` (binary search)
+  findBucket(buckets, time) {
+    let low = 0;
+    let high = buckets.length - 1;
+
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (buckets[mid] <= time) low = mid;
+      else high = mid - 1;
+    }
+
+    return low;
+  }
+
+  run(options) {
+    const query = this.parseOptions(options);
+    const buckets = this.getBuckets(query.from, query.to, query.groupBy);
+    const totals = buckets.map(() => 0);
+
+    const series = this.getItems(query).map(item => {
+      const minutes = buckets.map(() => 0);
+      let sessions = 0;
+
+      item.sessions.forEach(session => {
+        if (this.allocateSession(session, query, buckets, minutes)) sessions += 1;
+      });
+
+      minutes.forEach((value, index) => {
+        totals[index] += value;
+      });
+
+      return {
+        type: item.type,
+        name: item.name,
+        vendor: item.vendor,
+        totalMinutes: Math.round(minutes.reduce((sum, value) => sum + value, 0)),
+        sessions,
+        points: minutes.map((value, index) => ({
+          bucket: new Date(buckets[index]).toISOString(),
+          minutes: Math.round(value)
+        }))
+      };
+    }).filter(item => item.sessions > 0).sort((a, b) => b.totalMinutes - a.totalMinutes);
+
+    return {
+      range: { from: new Date(query.from).toISOString(), to: new Date(query.to).toISOString() },
+      groupBy: query.groupBy,
+      buckets: buckets.map(start => new Date(start).toISOString()),
+      series,
+      totals: {
+        minutes: Math.round(totals.reduce((sum, value) => sum + value, 0)),
+        points: totals.map((value, index) => ({
+          bucket: new Date(buckets[index]).toISOString(),
+          minutes: Math.round(value)
+        }))
+      }
+    };
+  }
+}
+
+UsageQuery.GROUPINGS = GROUPINGS;
+
+module.exports = UsageQuery;
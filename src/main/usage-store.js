@@ -0,0 +1,455 @@
+// src/main/usage-store.js - SQLite usage event store
+// Persists the DataManager usage model (applications, plugins, sessions,
+// raw monitoring samples) so a monitoring tick writes a few rows instead of
+// rewriting the whole usage-data.json blob.
+const sqlite3 = require('sqlite3').verbose();
+
+// Record fields stored in dedicated columns; anything else goes to `extra`
+const RECORD_FIELDS = [
+  'totalUsage', 'runningTime', 'foregroundTime', 'activeTime',
+  'lastUsed', 'lastActive', 'sessions', 'cost'
+];
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS applications (
+    name TEXT PRIMARY KEY,
+    total_usage REAL DEFAULT 0,
+    running_time REAL,
+    foreground_time REAL,
+    active_time REAL,
+    last_used TEXT,
+    last_active TEXT,
+    extra JSON
+  )`,
+  `CREATE TABLE IF NOT EXISTS plugins (
+    vendor TEXT NOT NULL,
+    product TEXT NOT NULL,
+    sub_product TEXT NOT NULL DEFAULT '',
+    cost REAL,
+    total_usage REAL DEFAULT 0,
+    running_time REAL,
+    foreground_time REAL,
+    active_time REAL,
+    last_used TEXT,
+    last_active TEXT,
+    extra JSON,
+    PRIMARY KEY (vendor, product, sub_product)
+  )`,
+  `CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    item_type TEXT NOT NULL,
+    vendor TEXT NOT NULL DEFAULT '',
+    product TEXT NOT NULL,
+    sub_product TEXT NOT NULL DEFAULT '',
+    start_time TEXT,
+    end_time TEXT,
+    duration REAL
+  )`,
+  `CREATE TABLE IF NOT EXISTS samples (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,
+    item_type TEXT NOT NULL,
+    name TEXT NOT NULL,
+    host_application TEXT,
+    foreground INTEGER DEFAULT 0,
+    active INTEGER DEFAULT 0,
+    cpu REAL,
+    memory REAL
+  )`,
+  `CREATE TABLE IF NOT EXISTS metadata (
+    key TEXT PRIMARY KEY,
+    value JSON
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_sessions_item ON sessions(item_type, vendor, product, sub_product, id)',
+  'CREATE INDEX IF NOT EXISTS idx_samples_timestamp ON samples(timestamp)',
+  'CREATE INDEX IF NOT EXISTS idx_samples_name ON samples(item_type, name)'
+];
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+class UsageStore {
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.db = null;
+    this.queue = Promise.resolve();
+    // Session objects already persisted -> row id, so only new or open
+    // sessions are written on save
+    this.sessionIds = new WeakMap();
+    // Last values written per row, so unchanged records are skipped on save
+    this.writtenRows = new Map();
+  }
+
+  open() {
+    if (this.db) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(this.dbPath, async (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        this.db = db;
+        try {
+          await this.run('PRAGMA journal_mode = WAL');
+          for (const statement of SCHEMA) {
+            await this.run(statement);
+          }
+          resolve();
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+  }
+
+  close() {
+    if (!this.db) return Promise.resolve();
+
+    return this.enqueue(() => new Promise((resolve, reject) => {
+      this.db.close(err => {
+        if (err) reject(err);
+        else {
+          this.db = null;
+          resolve();
+        }
+      });
+    }));
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Usage store is not open'));
+        return;
+      }
+      this.db.run(sql, params, function onRun(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Usage store is not open'));
+        return;
+      }
+      this.db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Usage store is not open'));
+        return;
+      }
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  // Writes are serialised so overlapping saves never nest transactions
+  enqueue(work) {
+    const result = this.queue.then(work);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  transaction(work) {
+    return this.enqueue(async () => {
+      await this.run('BEGIN');
+      try {
+        const result = await work();
+        await this.run('COMMIT');
+        return result;
+      } catch (error) {
+        await this.run('ROLLBACK');
+        // Rows cached as written may have been rolled back
+        this.writtenRows.clear();
+        throw error;
+      }
+    });
+  }
+
+  async isEmpty() {
+    const row = await this.get('SELECT COUNT(*) AS count FROM metadata');
+    return row.count === 0;
+  }
+
+  // Runs an upsert only when the row's values changed since the last write
+  writeRow(rowKey, params, sql) {
+    const serialized = JSON.stringify(params);
+    if (this.writtenRows.get(rowKey) === serialized) {
+      return Promise.resolve();
+    }
+    return this.run(sql, params).then(() => {
+      this.writtenRows.set(rowKey, serialized);
+    });
+  }
+
+  writeMeta(key, value) {
+    return this.writeRow(
+      JSON.stringify(['metadata', key]),
+      [key, JSON.stringify(value)],
+      'INSERT INTO metadata (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+    );
+  }
+
+  // Persist the in-memory usage model in one transaction
+  save(usageData) {
+    return this.transaction(async () => {
+      const { applications = {}, plugins = {}, ...meta } = usageData;
+
+      for (const [name, record] of Object.entries(applications)) {
+        await this.writeApplication(name, record);
+        await this.writeSessions(record.sessions, ['application', '', name, '']);
+      }
+
+      for (const [vendor, products] of Object.entries(plugins)) {
+        for (const [product, productData] of Object.entries(products)) {
+          if (productData.totalUsage !== undefined) {
+            await this.writePlugin(vendor, product, '', productData);
+            await this.writeSessions(productData.sessions, ['plugin', vendor, product, '']);
+          } else {
+            for (const [subProduct, subData] of Object.entries(productData)) {
+              await this.writePlugin(vendor, product, subProduct, subData);
+              await this.writeSessions(subData.sessions, ['plugin', vendor, product, subProduct]);
+            }
+          }
+        }
+      }
+
+      for (const [key, value] of Object.entries(meta)) {
+        await this.writeMeta(key, value);
+      }
+    });
+  }
+
+  recordColumns(record) {
+    const extra = {};
+    Object.keys(record).forEach(field => {
+      if (!RECORD_FIELDS.includes(field)) extra[field] = record[field];
+    });
+
+    return [
+      toNumber(record.totalUsage) || 0,
+      toNumber(record.runningTime),
+      toNumber(record.foregroundTime),
+      toNumber(record.activeTime),
+      record.lastUsed || null,
+      record.lastActive || null,
+      Object.keys(extra).length > 0 ? JSON.stringify(extra) : null
+    ];
+  }
+
+  writeApplication(name, record) {
+    return this.writeRow(
+      JSON.stringify(['application', name]),
+      [name, ...this.recordColumns(record)],
+      `INSERT INTO applications
+        (name, total_usage, running_time, foreground_time, active_time, last_used, last_active, extra)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(name) DO UPDATE SET
+        total_usage = excluded.total_usage, running_time = excluded.running_time,
+        foreground_time = excluded.foreground_time, active_time = excluded.active_time,
+        last_used = excluded.last_used, last_active = excluded.last_active, extra = excluded.extra`
+    );
+  }
+
+  writePlugin(vendor, product, subProduct, record) {
+    return this.writeRow(
+      JSON.stringify(['plugin', vendor, product, subProduct]),
+      [vendor, product, subProduct, toNumber(record.cost), ...this.recordColumns(record)],
+      `INSERT INTO plugins
+        (vendor, product, sub_product, cost, total_usage, running_time, foreground_time, active_time,
+         last_used, last_active, extra)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(vendor, product, sub_product) DO UPDATE SET
+        cost = excluded.cost, total_usage = excluded.total_usage, running_time = excluded.running_time,
+        foreground_time = excluded.foreground_time, active_time = excluded.active_time,
+        last_used = excluded.last_used, last_active = excluded.last_active, extra = excluded.extra`
+    );
+  }
+
+  async writeSessions(sessions, itemKey) {
+    if (!Array.isArray(sessions)) return;
+
+    for (let i = 0; i < sessions.length; i++) {
+      const session = sessions[i];
+      const id = this.sessionIds.get(session);
+      const values = [session.startTime || null, session.endTime || null, toNumber(session.duration)];
+
+      if (id === undefined) {
+        const { lastID } = await this.run(
+          `INSERT INTO sessions (item_type, vendor, product, sub_product, start_time, end_time, duration)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [...itemKey, ...values]
+        );
+        this.sessionIds.set(session, lastID);
+      } else if (i === sessions.length - 1) {
+        // Only the latest session of an item is ever extended
+        await this.run('UPDATE sessions SET start_time = ?, end_time = ?, duration = ? WHERE id = ?', [...values, id]);
+      }
+    }
+  }
+
+  // Raw per-tick samples, kept for later querying and rollups
+  recordSamples(timestamp, applications, plugins) {
+    const time = new Date(timestamp).toISOString();
+
+    return this.transaction(async () => {
+      for (const [name, data] of applications) {
+        await this.insertSample(time, 'application', name, data);
+      }
+      for (const [name, data] of plugins) {
+        await this.insertSample(time, 'plugin', name, data);
+      }
+    });
+  }
+
+  insertSample(timestamp, itemType, name, data) {
+    return this.run(
+      `INSERT INTO samples (timestamp, item_type, name, host_application, foreground, active, cpu, memory)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        timestamp,
+        itemType,
+        name,
+        data.hostApplication || null,
+        data.foreground ? 1 : 0,
+        data.active ? 1 : 0,
+        toNumber(data.cpu),
+        toNumber(data.memory)
+      ]
+    );
+  }
+
+  pruneSamples(retentionDays) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    return this.enqueue(() => this.run('DELETE FROM samples WHERE timestamp < ?', [cutoff]));
+  }
+
+  getSamples(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.from) {
+      conditions.push('timestamp >= ?');
+      params.push(new Date(filters.from).toISOString());
+    }
+    if (filters.to) {
+      conditions.push('timestamp <= ?');
+      params.push(new Date(filters.to).toISOString());
+    }
+    if (filters.itemType) {
+      conditions.push('item_type = ?');
+      params.push(filters.itemType);
+    }
+    if (filters.name) {
+      conditions.push('name = ?');
+      params.push(filters.name);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.all(`SELECT * FROM samples ${where} ORDER BY timestamp, id`, params);
+  }
+
+  // Rebuild the DataManager usage model (same shape as usage-data.json)
+  async load() {
+    const usageData = { applications: {}, plugins: {} };
+    const sessions = await this.loadSessions();
+
+    const applications = await this.all('SELECT * FROM applications ORDER BY rowid');
+    applications.forEach(row => {
+      usageData.applications[row.name] = {
+        ...this.rowToRecord(row),
+        sessions: sessions.get(JSON.stringify(['application', '', row.name, ''])) || []
+      };
+    });
+
+    const plugins = await this.all('SELECT * FROM plugins ORDER BY rowid');
+    plugins.forEach(row => {
+      const record = {
+        ...this.rowToRecord(row),
+        sessions: sessions.get(JSON.stringify(['plugin', row.vendor, row.product, row.sub_product])) || [],
+        cost: row.cost
+      };
+
+      const vendorPlugins = usageData.plugins[row.vendor] || (usageData.plugins[row.vendor] = {});
+      if (row.sub_product === '') {
+        vendorPlugins[row.product] = record;
+      } else {
+        vendorPlugins[row.product] = vendorPlugins[row.product] || {};
+        vendorPlugins[row.product][row.sub_product] = record;
+      }
+    });
+
+    const meta = await this.all('SELECT key, value FROM metadata ORDER BY rowid');
+    meta.forEach(row => {
+      usageData[row.key] = JSON.parse(row.value);
+    });
+
+    return usageData;
+  }
+
+  rowToRecord(row) {
+    const record = {
+      ...(row.extra ? JSON.parse(row.extra) : {}),
+      totalUsage: row.total_usage,
+      lastUsed: row.last_used
+    };
+
+    // Records saved before activity tracking have no counters; leave them
+    // absent so DataManager.normalizeUsageRecord can migrate them
+    if (row.running_time !== null) {
+      record.runningTime = row.running_time;
+      record.foregroundTime = row.foreground_time || 0;
+      record.activeTime = row.active_time || 0;
+      record.lastActive = row.last_active;
+    }
+
+    return record;
+  }
+
+  async loadSessions() {
+    const rows = await this.all('SELECT * FROM sessions ORDER BY id');
+    const sessions = new Map();
+
+    rows.forEach(row => {
+      const key = JSON.stringify([row.item_type, row.vendor, row.product, row.sub_product]);
+      const session = {
+        startTime: row.start_time,
+        endTime: row.end_time,
+        duration: row.duration
+      };
+
+      this.sessionIds.set(session, row.id);
+      if (!sessions.has(key)) sessions.set(key, []);
+      sessions.get(key).push(session);
+    });
+
+    return sessions;
+  }
+
+  clear() {
+    return this.transaction(async () => {
+      for (const table of ['applications', 'plugins', 'sessions', 'samples', 'metadata']) {
+        await this.run(`DELETE FROM ${table}`);
+      }
+      this.writtenRows.clear();
+    });
+  }
+}
+
+module.exports = UsageStore;
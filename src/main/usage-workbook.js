@@ -0,0 +1,222 @@
+// src/main/usage-workbook.js - Usage data spreadsheet export
+// Lays usage data out as one sheet per dataset (applications, plugins,
+// sessions, costs, savings, plus license true-up on request). Used for a single workstation by DataManager and
+// across clients by the enterprise server.
+const XlsxWriter = require('./xlsx-writer');
+
+const CLIENT_COLUMNS = [
+  { header: 'Client', key: 'client', width: 20 },
+  { header: 'Department', key: 'department', width: 16 }
+];
+
+const COLUMNS = {
+  applications: [
+    { header: 'Application', key: 'name', width: 28 },
+    { header: 'Vendor', key: 'vendor', width: 16 },
+    { header: 'Version', key: 'version', width: 12 },
+    { header: 'Running Hours', key: 'runningHours', type: 'decimal' },
+    { header: 'Foreground Hours', key: 'foregroundHours', type: 'decimal' },
+    { header: 'Active Hours', key: 'activeHours', type: 'decimal' },
+    { header: 'Sessions', key: 'sessions', type: 'integer', width: 10 },
+    { header: 'Last Used', key: 'lastUsed', type: 'date', width: 18 },
+    { header: 'Last Active', key: 'lastActive', type: 'date', width: 18 }
+  ],
+  plugins: [
+    { header: 'Vendor', key: 'vendor', width: 16 },
+    { header: 'Product', key: 'product', width: 22 },
+    { header: 'Sub-product', key: 'subProduct', width: 22 },
+    { header: 'Running Hours', key: 'runningHours', type: 'decimal' },
+    { header: 'Foreground Hours', key: 'foregroundHours', type: 'decimal' },
+    { header: 'Active Hours', key: 'activeHours', type: 'decimal' },
+    { header: 'Sessions', key: 'sessions', type: 'integer', width: 10 },
+    { header: 'Last Used', key: 'lastUsed', type: 'date', width: 18 },
+    { header: 'Last Active', key: 'lastActive', type: 'date', width: 18 }
+  ],
+  sessions: [
+    { header: 'Type', key: 'type', width: 12 },
+    { header: 'Name', key: 'name', width: 28 },
+    { header: 'Vendor', key: 'vendor', width: 16 },
+    { header: 'Start', key: 'startTime', type: 'date', width: 18 },
+    { header: 'End', key: 'endTime', type: 'date', width: 18 },
+    { header: 'Duration (min)', key: 'duration', type: 'integer' }
+  ],
+  costs: [
+    { header: 'Type', key: 'type', width: 12 },
+    { header: 'Name', key: 'name', width: 28 },
+    { header: 'Vendor', key: 'vendor', width: 16 },
+    { header: 'Monthly Cost', key: 'monthlyCost', type: 'currency' },
+    { header: 'Annual Cost', key: 'annualCost', type: 'currency' },
+    { header: 'Status', key: 'status', width: 10 }
+  ],
+  savings: [
+    { header: 'Type', key: 'type', width: 12 },
+    { header: 'Name', key: 'name', width: 28 },
+    { header: 'Vendor', key: 'vendor', width: 16 },
+    { header: 'Days Inactive', key: 'daysInactive', type: 'integer' },
+    { header: 'Monthly Savings', key: 'monthlySavings', type: 'currency' },
+    { header: 'Annual Savings', key: 'annualSavings', type: 'currency' }
+  ],
+  licenses: [
+    { header: 'Vendor', key: 'vendor', width: 16 },
+    { header: 'Product', key: 'product', width: 24 },
+    { header: 'SKU', key: 'sku', width: 16 },
+    { header: 'License Type', key: 'licenseType', width: 14 },
+    { header: 'Seats', key: 'seats', type: 'integer', width: 10 },
+    { header: 'In Use', key: 'inUse', type: 'integer', width: 10 },
+    { header: 'Users', key: 'observedUsers', type: 'integer', width: 10 },
+    { header: 'Hosts', key: 'observedHosts', type: 'integer', width: 10 },
+    { header: 'Peak Concurrent', key: 'peakConcurrent', type: 'integer' },
+    { header: 'Status', key: 'status', width: 16 },
+    { header: 'Excess Seats', key: 'excessSeats', type: 'integer' },
+    { header: 'Unused Seats', key: 'unusedSeats', type: 'integer' },
+    { header: 'True-up Cost', key: 'trueUpCost', type: 'currency' },
+    { header: 'Unused Cost', key: 'unusedCost', type: 'currency' },
+    { header: 'Term End', key: 'termEnd', type: 'date', width: 18 },
+    { header: 'Renewal Price', key: 'renewalPrice', type: 'currency' }
+  ]
+};
+
+const SHEET_NAMES = {
+  applications: 'Applications',
+  plugins: 'Plugins',
+  sessions: 'Sessions',
+  costs: 'Costs',
+  savings: 'Savings',
+  licenses: 'License True-up'
+};
+
+const DEFAULT_SHEETS = ['applications', 'plugins', 'sessions', 'costs', 'savings'];
+
+const toHours = minutes => Math.round(((minutes || 0) / 60) * 100) / 100;
+
+// Flatten the vendor -> product (-> sub-product) plugin hierarchy
+function flattenPlugins(plugins = {}) {
+  const records = [];
+
+  Object.entries(plugins).forEach(([vendor, products]) => {
+    Object.entries(products || {}).forEach(([product, productData]) => {
+      if (productData.totalUsage !== undefined) {
+        records.push({ vendor, product, subProduct: '', name: product, data: productData });
+      } else {
+        Object.entries(productData).forEach(([subProduct, subData]) => {
+          records.push({ vendor, product, subProduct, name: `${product} - ${subProduct}`, data: subData });
+        });
+      }
+    });
+  });
+
+  return records;
+}
+
+function usageColumns(data) {
+  return {
+    runningHours: toHours(data.runningTime !== undefined ? data.runningTime : data.totalUsage),
+    foregroundHours: toHours(data.foregroundTime),
+    activeHours: toHours(data.totalUsage),
+    sessions: (data.sessions || []).length,
+    lastUsed: data.lastUsed,
+    lastActive: data.lastActive !== undefined ? data.lastActive : data.lastUsed
+  };
+}
+
+class UsageWorkbook {
+  constructor(options = {}) {
+    this.includeClient = options.includeClient === true;
+    this.sheets = options.sheets || DEFAULT_SHEETS;
+    this.rows = {
+      applications: [],
+      plugins: [],
+      sessions: [],
+      costs: [],
+      savings: [],
+      licenses: []
+    };
+  }
+
+  // context.getCost(name, type, data) returns a monthly cost;
+  // context.savings is a savings breakdown ({ name, type, vendor, monthlyCost, daysInactive })
+  addUsage(usageData = {}, context = {}) {
+    const client = this.includeClient
+      ? { client: context.client || 'Unknown', department: context.department || 'Unknown' }
+      : {};
+    const getCost = context.getCost || (() => null);
+    const savings = context.savings || [];
+    const unused = new Set(savings.map(item => `${item.type}:${item.name}`));
+
+    const addSessions = (type, name, vendor, sessions = []) => {
+      sessions.forEach(session => {
+        this.rows.sessions.push({ ...client, type, name, vendor, ...session });
+      });
+    };
+
+    const addCost = (type, name, vendor, monthlyCost) => {
+      if (monthlyCost === null || monthlyCost === undefined) return;
+      this.rows.costs.push({
+        ...client,
+        type,
+        name,
+        vendor,
+        monthlyCost,
+        annualCost: monthlyCost * 12,
+        status: unused.has(`${type}:${name}`) ? 'Unused' : 'In use'
+      });
+    };
+
+    Object.entries(usageData.applications || {}).forEach(([name, data]) => {
+      this.rows.applications.push({
+        ...client,
+        name,
+        vendor: data.vendor,
+        version: data.version,
+        ...usageColumns(data)
+      });
+      addSessions('application', name, data.vendor, data.sessions);
+      addCost('application', name, data.vendor, getCost(name, 'application', data));
+    });
+
+    flattenPlugins(usageData.plugins).forEach(({ vendor, product, subProduct, name, data }) => {
+      this.rows.plugins.push({ ...client, vendor, product, subProduct, ...usageColumns(data) });
+      addSessions('plugin', name, vendor, data.sessions);
+      addCost('plugin', name, vendor, getCost(subProduct || product, 'plugin', data));
+    });
+
+    savings.forEach(item => {
+      const monthlySavings = Number(item.monthlyCost) || 0;
+      this.rows.savings.push({
+        ...client,
+        type: item.type,
+        name: item.name,
+        vendor: item.vendor,
+        daysInactive: item.daysInactive,
+        monthlySavings,
+        annualSavings: monthlySavings * 12
+      });
+    });
+
+    return this;
+  }
+
+  // report is a LicenseManager reconciliation; client columns do not apply
+  // because entitlements are counted across all clients
+  addLicenses(report = {}) {
+    this.rows.licenses.push(...(report.entitlements || []));
+    return this;
+  }
+
+  toBuffer() {
+    const writer = new XlsxWriter();
+
+    this.sheets.forEach(dataset => {
+      const columns = this.includeClient && dataset !== 'licenses'
+        ? [...CLIENT_COLUMNS, ...COLUMNS[dataset]]
+        : COLUMNS[dataset];
+      writer.addSheet(SHEET_NAMES[dataset], columns, this.rows[dataset]);
+    });
+
+    return writer.toBuffer();
+  }
+}
+
+UsageWorkbook.flattenPlugins = flattenPlugins;
+
+module.exports = UsageWorkbook;
@@ -0,0 +1,347 @@
+// src/main/webhook-dispatcher.js - Outbound webhooks for enterprise server events
+// Subscribers pick the events they want; every delivery is signed with the
+// subscription's secret, retried with exponential backoff and, once it runs out
+// of attempts, parked on the dead-letter list until someone redelivers it.
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const EVENTS = [
+  'client.discovered',
+  'client.updated',
+  'client.state',
+  'scan.completed',
+  'scan.error',
+  'alert.raised',
+  'alert.acknowledged',
+  'alert.snoozed',
+  'alert.resolved'
+];
+// Sent by "test", whatever a subscription's filter says
+const PING_EVENT = 'webhook.ping';
+const STATUSES = ['pending', 'retrying', 'delivered', 'dead'];
+
+const HEADERS = {
+  event: 'x-esm-event',
+  delivery: 'x-esm-delivery',
+  timestamp: 'x-esm-timestamp',
+  signature: 'x-esm-signature'
+};
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+// First retry after 30 seconds, then doubling: the last of 8 attempts comes ~1 hour in
+const DEFAULT_BASE_DELAY = 30 * 1000;
+const MAX_DELAY = 60 * 60 * 1000;
+// Attempts kept in each delivery's log
+const ATTEMPT_LOG_LIMIT = 20;
+const DELIVERED_RETENTION_DAYS = 14;
+
+class WebhookDispatcher {
+  constructor(options = {}) {
+    this.subscriptions = options.subscriptions;
+    this.deliveries = options.deliveries;
+    this.fetch = options.fetch || fetch;
+    this.timeout = options.timeout || 10000;
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.baseDelay = options.baseDelay || DEFAULT_BASE_DELAY;
+    this.running = null;
+    this.timer = null;
+  }
+
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  // Receivers recompute this over the x-esm-timestamp header and the raw body
+  static sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  static retryDelay(failures, baseDelay = DEFAULT_BASE_DELAY) {
+    return Math.min(baseDelay * (2 ** (failures - 1)), MAX_DELAY);
+  }
+
+  // input: { name, url, events: [event] | ['*'], headers, enabled }
+  static validateSubscription(input = {}) {
+    const name = String(input.name || '').trim();
+    if (!name) {
+      throw new Error('Webhooks need a name');
+    }
+    if (!/^https?:\/\//.test(input.url || '')) {
+      throw new Error('Webhook url must be http(s)');
+    }
+
+    const { events } = input;
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new Error(`Events must be a non-empty list of: *, ${EVENTS.join(', ')}`);
+    }
+    const unknown = events.filter(event => event !== '*' && !EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown event ${unknown.join(', ')}`);
+    }
+
+    const headers = input.headers || {};
+    if (typeof headers !== 'object' || Array.isArray(headers)) {
+      throw new Error('Webhook headers must be an object');
+    }
+
+    return {
+      name,
+      url: input.url,
+      events: events.includes('*') ? ['*'] : [...new Set(events)],
+      headers,
+      enabled: input.enabled !== false
+    };
+  }
+
+  static wants(subscription, event) {
+    return event === PING_EVENT || subscription.events.includes('*') || subscription.events.includes(event);
+  }
+
+  // Never hand out the secret after creation
+  static publicView(subscription) {
+    const { secret, ...view } = subscription;
+    return { ...view, secretHint: secret.slice(-4) };
+  }
+
+  call(datastore, method, ...args) {
+    return new Promise((resolve, reject) => {
+      datastore[method](...args, (err, result) => {
+        if (err) reject(err);
+        else resolve(result);
+      });
+    });
+  }
+
+  set(datastore, id, fields) {
+    return new Promise((resolve, reject) => {
+      datastore.update({ _id: id }, { $set: fields }, { returnUpdatedDocs: true }, (err, count, doc) => {
+        if (err) reject(err);
+        else resolve(count > 0 ? doc : null);
+      });
+    });
+  }
+
+  removeWhere(datastore, query, multi = false) {
+    return new Promise((resolve, reject) => {
+      datastore.remove(query, { multi }, (err, count) => {
+        if (err) reject(err);
+        else resolve(count);
+      });
+    });
+  }
+
+  async list() {
+    const subscriptions = await this.call(this.subscriptions, 'find', {});
+    return subscriptions
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(WebhookDispatcher.publicView);
+  }
+
+  async get(id) {
+    const subscription = await this.call(this.subscriptions, 'findOne', { _id: id });
+    return subscription ? WebhookDispatcher.publicView(subscription) : null;
+  }
+
+  // Returns { secret, record }; the secret is only ever returned here
+  async create(input, now = new Date()) {
+    const subscription = {
+      _id: crypto.randomUUID(),
+      ...WebhookDispatcher.validateSubscription(input),
+      secret: WebhookDispatcher.generateSecret(),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+    await this.call(this.subscriptions, 'insert', subscription);
+    return { secret: subscription.secret, record: WebhookDispatcher.publicView(subscription) };
+  }
+
+  async update(id, changes = {}, now = new Date()) {
+    const subscription = await this.call(this.subscriptions, 'findOne', { _id: id });
+    if (!subscription) return null;
+
+    const fields = WebhookDispatcher.validateSubscription({ ...subscription, ...changes });
+    const updated = await this.set(this.subscriptions, id, { ...fields, updatedAt: now.toISOString() });
+    return WebhookDispatcher.publicView(updated);
+  }
+
+  // Its queued deliveries go too; delivered and dead ones stay in the log
+  async remove(id) {
+    const removed = await this.removeWhere(this.subscriptions, { _id: id });
+    if (removed === 0) return false;
+    await this.removeWhere(this.deliveries, { subscriptionId: id, status: { $in: ['pending', 'retrying'] } }, true);
+    return true;
+  }
+
+  // Queues one delivery per enabled subscription that wants the event; returns them.
+  // onlySubscriptionId limits it to one subscription (used for test pings).
+  async publish(event, data, now = new Date(), onlySubscriptionId = null) {
+    const subscriptions = (await this.call(this.subscriptions, 'find', { enabled: true }))
+      .filter(subscription => WebhookDispatcher.wants(subscription, event))
+      .filter(subscription => !onlySubscriptionId || subscription._id === onlySubscriptionId);
+    const eventId = crypto.randomUUID();
+
+    const deliveries = [];
+    for (const subscription of subscriptions) {
+      const delivery = {
+        _id: crypto.randomUUID(),
+        subscriptionId: subscription._id,
+        subscriptionName: subscription.name,
+        url: subscription.url,
+        event,
+        eventId,
+        payload: { id: eventId, event, createdAt: now.toISOString(), data },
+        status: 'pending',
+        failures: 0,
+        nextAttemptAt: now.toISOString(),
+        createdAt: now.toISOString(),
+        deliveredAt: null,
+        lastError: null,
+        attempts: []
+      };
+      await this.call(this.deliveries, 'insert', delivery);
+      deliveries.push(delivery);
+    }
+
+    if (deliveries.length > 0) this.kick();
+    return deliveries;
+  }
+
+  // Polls for due retries; publish() also starts a run straight away
+  start(interval = 5000) {
+    this.stop();
+    this.timer = setInterval(() => this.kick(), interval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  kick() {
+    if (!this.timer) return;
+    this.processDue().catch(error => console.error('Webhook delivery run failed:', error.message));
+  }
+
+  // Attempts every delivery that is due, one run at a time; resolves to the attempted deliveries
+  processDue(now = new Date()) {
+    if (this.running) return this.running;
+
+    this.running = (async () => {
+      const due = (await this.call(this.deliveries, 'find', { status: { $in: ['pending', 'retrying'] } }))
+        .filter(delivery => delivery.nextAttemptAt <= now.toISOString())
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+      const attempted = [];
+      for (const delivery of due) {
+        attempted.push(await this.attempt(delivery, now));
+      }
+      return attempted;
+    })().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  async attempt(delivery, now = new Date()) {
+    const subscription = await this.call(this.subscriptions, 'findOne', { _id: delivery.subscriptionId });
+    if (!subscription || !subscription.enabled) {
+      const reason = subscription ? 'Webhook is disabled' : 'Webhook was deleted';
+      return this.set(this.deliveries, delivery._id, { status: 'dead', lastError: reason });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(now.getTime() / 1000));
+    const started = Date.now();
+    let status = null;
+    let error = null;
+
+    try {
+      const response = await this.fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          ...subscription.headers,
+          'Content-Type': 'application/json',
+          [HEADERS.event]: delivery.event,
+          [HEADERS.delivery]: delivery._id,
+          [HEADERS.timestamp]: timestamp,
+          [HEADERS.signature]: WebhookDispatcher.sign(subscription.secret, timestamp, body)
+        },
+        body,
+        timeout: this.timeout
+      });
+      ({ status } = response);
+      if (!response.ok) error = `Webhook responded with ${response.status}`;
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const attempts = [...delivery.attempts, {
+      at: now.toISOString(), status, error, durationMs: Date.now() - started
+    }].slice(-ATTEMPT_LOG_LIMIT);
+
+    if (!error) {
+      return this.set(this.deliveries, delivery._id, {
+        status: 'delivered', deliveredAt: now.toISOString(), lastError: null, attempts
+      });
+    }
+
+    const failures = delivery.failures + 1;
+    if (failures >= this.maxAttempts) {
+      return this.set(this.deliveries, delivery._id, { status: 'dead', failures, lastError: error, attempts });
+    }
+    return this.set(this.deliveries, delivery._id, {
+      status: 'retrying',
+      failures,
+      lastError: error,
+      attempts,
+      nextAttemptAt: new Date(now.getTime() + WebhookDispatcher.retryDelay(failures, this.baseDelay)).toISOString()
+    });
+  }
+
+  // Newest first; filters: { subscriptionId, status ('dead' is the dead-letter list), event, limit }
+  async listDeliveries(filters = {}) {
+    if (filters.status && !STATUSES.includes(filters.status)) {
+      throw new Error(`Invalid status "${filters.status}"; expected ${STATUSES.join(', ')}`);
+    }
+
+    const query = {};
+    if (filters.subscriptionId) query.subscriptionId = filters.subscriptionId;
+    if (filters.status) query.status = filters.status;
+    if (filters.event) query.event = filters.event;
+
+    const deliveries = (await this.call(this.deliveries, 'find', query))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return deliveries.slice(0, filters.limit || deliveries.length);
+  }
+
+  getDelivery(id) {
+    return this.call(this.deliveries, 'findOne', { _id: id });
+  }
+
+  // Puts a delivery (usually a dead letter) back in the queue with a fresh set of attempts
+  async redeliver(id, now = new Date()) {
+    const delivery = await this.getDelivery(id);
+    if (!delivery) return null;
+
+    const requeued = await this.set(this.deliveries, id, {
+      status: 'pending', failures: 0, nextAttemptAt: now.toISOString(), deliveredAt: null
+    });
+    this.kick();
+    return requeued;
+  }
+
+  // Delivered events leave the log after a while; dead letters stay until redelivered
+  prune(now = new Date(), days = DELIVERED_RETENTION_DAYS) {
+    const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+    return this.removeWhere(this.deliveries, { status: 'delivered', deliveredAt: { $lt: cutoff } }, true);
+  }
+}
+
+WebhookDispatcher.EVENTS = EVENTS;
+WebhookDispatcher.PING_EVENT = PING_EVENT;
+WebhookDispatcher.STATUSES = STATUSES;
+WebhookDispatcher.HEADERS = HEADERS;
+
+module.exports = WebhookDispatcher;
@@ -0,0 +1,219 @@
+// src/main/xlsx-writer.js - Minimal Office Open XML (XLSX) workbook writer
+// Writes typed cells (strings, numbers, dates) with a frozen, bold header row
+// per sheet; the package itself is zipped with archiver.
+const archiver = require('archiver');
+
+// Cell styles, indexes into cellXfs in styles.xml
+const STYLES = {
+  string: 0,
+  header: 1,
+  date: 2,
+  decimal: 3,
+  currency: 4,
+  integer: 5
+};
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="2">
+<numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/>
+<numFmt numFmtId="165" formatCode="&quot;$&quot;#,##0.00"/>
+</numFmts>
+<fonts count="2">
+<font><sz val="11"/><name val="Calibri"/></font>
+<font><b/><sz val="11"/><name val="Calibri"/></font>
+</fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="6">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+// An XML part from its pieces, after the declaration
+const xmlPart = (...pieces) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${pieces.join('')}`;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab/newline are not allowed in XML 1.0
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// Column letters for a zero-based index: 0 -> A, 26 -> AA
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// Excel stores dates as days since 1899-12-30, in local wall-clock time
+function toSerialDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  const time = date.getTime();
+  if (!Number.isFinite(time)) return null;
+  return (time - date.getTimezoneOffset() * 60000) / 86400000 + 25569;
+}
+
+function sheetName(name, existing) {
+  const base = String(name).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet';
+  let candidate = base;
+  for (let i = 2; existing.includes(candidate.toLowerCase()); i++) {
+    candidate = `${base.slice(0, 31 - String(i).length - 1)} ${i}`;
+  }
+  return candidate;
+}
+
+class XlsxWriter {
+  constructor() {
+    this.sheets = [];
+  }
+
+  // columns: [{ header, key, type: 'string'|'integer'|'decimal'|'currency'|'date', width }]
+  // rows: objects read by column key
+  addSheet(name, columns, rows = []) {
+    const existing = this.sheets.map(sheet => sheet.name.toLowerCase());
+    this.sheets.push({ name: sheetName(name, existing), columns, rows });
+    return this;
+  }
+
+  renderCell(column, value, ref) {
+    const type = column.type || 'string';
+    if (value === undefined || value === null || value === '') return '';
+
+    if (type === 'date') {
+      const serial = toSerialDate(value);
+      return serial === null ? '' : `<c r="${ref}" s="${STYLES.date}"><v>${serial}</v></c>`;
+    }
+
+    if (type !== 'string') {
+      const number = Number(value);
+      return Number.isFinite(number) ? `<c r="${ref}" s="${STYLES[type]}"><v>${number}</v></c>` : '';
+    }
+
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+  }
+
+  renderSheet(sheet) {
+    const { columns, rows } = sheet;
+    const lastColumn = columnName(Math.max(columns.length - 1, 0));
+
+    const header = columns.map((column, index) => (
+      `<c r="${columnName(index)}1" s="${STYLES.header}" t="inlineStr"><is><t>${escapeXml(column.header)}</t></is></c>`
+    )).join('');
+
+    const body = rows.map((row, rowIndex) => {
+      const number = rowIndex + 2;
+      const cells = columns
+        .map((column, index) => this.renderCell(column, row[column.key], `${columnName(index)}${number}`))
+        .join('');
+      return `<row r="${number}">${cells}</row>`;
+    }).join('');
+
+    const cols = columns.map((column, index) => (
+      `<col min="${index + 1}" max="${index + 1}" width="${column.width || 15}" customWidth="1"/>`
+    )).join('');
+
+    return xmlPart(
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+      `<dimension ref="A1:${lastColumn}${rows.length + 1}"/>`,
+      '<sheetViews><sheetView workbookViewId="0">',
+      '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>',
+      '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/>',
+      '</sheetView></sheetViews>',
+      cols ? `<cols>${cols}</cols>` : '',
+      `<sheetData><row r="1">${header}</row>${body}</sheetData>`,
+      cols ? `<autoFilter ref="A1:${lastColumn}${rows.length + 1}"/>` : '',
+      '</worksheet>'
+    );
+  }
+
+  getParts() {
+    const sheets = this.sheets.length > 0 ? this.sheets : [{ name: 'Sheet1', columns: [], rows: [] }];
+
+    const parts = {
+      '[Content_Types].xml': xmlPart(
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+        '<Default Extension="xml" ContentType="application/xml"/>',
+        '<Override PartName="/xl/workbook.xml" ',
+        'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+        '<Override PartName="/xl/styles.xml" ',
+        'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>',
+        ...sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" `
+          + 'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'),
+        '</Types>'
+      ),
+      '_rels/.rels': xmlPart(
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+        '<Relationship Id="rId1" ',
+        'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" ',
+        'Target="xl/workbook.xml"/>',
+        '</Relationships>'
+      ),
+      'xl/workbook.xml': xmlPart(
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ',
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+        '<sheets>',
+        ...sheets.map((sheet, index) => (
+          `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+        )),
+        '</sheets>',
+        '</workbook>'
+      ),
+      'xl/_rels/workbook.xml.rels': xmlPart(
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+        ...sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" `
+          + 'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" '
+          + `Target="worksheets/sheet${index + 1}.xml"/>`),
+        `<Relationship Id="rId${sheets.length + 1}" `,
+        'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" ',
+        'Target="styles.xml"/>',
+        '</Relationships>'
+      ),
+      'xl/styles.xml': STYLES_XML
+    };
+
+    sheets.forEach((sheet, index) => {
+      parts[`xl/worksheets/sheet${index + 1}.xml`] = this.renderSheet(sheet);
+    });
+
+    return parts;
+  }
+
+  // Resolve with the zipped workbook
+  toBuffer() {
+    return new Promise((resolve, reject) => {
+      const archive = archiver('zip', { zlib: { level: 6 } });
+      const chunks = [];
+
+      archive.on('data', chunk => chunks.push(chunk));
+      archive.on('end', () => resolve(Buffer.concat(chunks)));
+      archive.on('warning', reject);
+      archive.on('error', reject);
+
+      Object.entries(this.getParts()).forEach(([name, content]) => {
+        archive.append(content, { name });
+      });
+
+      archive.finalize();
+    });
+  }
+}
+
+XlsxWriter.toSerialDate = toSerialDate;
+
+module.exports = XlsxWriter;
@@ -6,9 +6,15 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
   // Data operations
   getUsageData: () => ipcRenderer.invoke('get-usage-data'),
+  queryUsage: (options) => ipcRenderer.invoke('query-usage', options),
   exportData: (format) => ipcRenderer.invoke('export-data', format),
   resetData: () => ipcRenderer.invoke('reset-data'),
   
+  // Scheduled reports
+  getReportSchedule: () => ipcRenderer.invoke('get-report-schedule'),
+  getReportHistory: (limit) => ipcRenderer.invoke('get-report-history', limit),
+  runReportNow: (options) => ipcRenderer.invoke('run-report-now', options),
+  
   // Monitoring controls
   startMonitoring: () => ipcRenderer.invoke('start-monitoring'),
   stopMonitoring: () => ipcRenderer.invoke('stop-monitoring'),
@@ -24,10 +30,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
   
   // Cost management
   updateCost: (type, name, vendor, cost) => ipcRenderer.invoke('update-cost', type, name, vendor, cost),
+  getLicenses: () => ipcRenderer.invoke('get-licenses'),
+  saveLicense: (entitlement) => ipcRenderer.invoke('save-license', entitlement),
+  deleteLicense: (id) => ipcRenderer.invoke('delete-license', id),
+  getTrueUpReport: (options) => ipcRenderer.invoke('get-true-up-report', options),
+  getAuditLog: (filters) => ipcRenderer.invoke('get-audit-log', filters),
+  verifyAuditLog: () => ipcRenderer.invoke('verify-audit-log'),
+  exportAuditLog: (format) => ipcRenderer.invoke('export-audit-log', format),
+  getRenewals: (options) => ipcRenderer.invoke('get-renewals', options),
+  updateRenewal: (type, name, vendor, renewal) => ipcRenderer.invoke('update-renewal', type, name, vendor, renewal),
   
   // Enterprise sync
   getSyncStatus: () => ipcRenderer.invoke('get-sync-status'),
   syncNow: () => ipcRenderer.invoke('sync-now'),
+  getEnterpriseApiKey: () => ipcRenderer.invoke('get-enterprise-api-key'),
   
   // Process monitoring
   getAllProcesses: () => ipcRenderer.invoke('get-all-processes'),
@@ -51,6 +67,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('export-complete', (event, result) => callback(result));
   },
   
+  onReportComplete: (callback) => {
+    ipcRenderer.on('report-complete', (event, entry) => callback(entry));
+  },
+  
+  onRenewalAlert: (callback) => {
+    ipcRenderer.on('renewal-alert', (event, alert) => callback(alert));
+  },
+  
   // Remove listeners
   removeAllListeners: (channel) => {
     ipcRenderer.removeAllListeners(channel);
@@ -12,7 +12,10 @@ const state = {
     currentUser: null,
     realtimeProcesses: new Map(),
     historicalData: [],
-    enterpriseClients: [] // Add this for enterprise functionality
+    analyticsDays: 30, // period selected in the analytics view
+    enterpriseClients: [], // Add this for enterprise functionality
+    agentCommands: [], // commands listed in the open client details
+    agentCommandPoll: null
 };
 
 // Initialize application
@@ -60,6 +63,13 @@ async function init() {
             }
         });
         
+        window.electronAPI.onRenewalAlert((alert) => {
+            showToast(`Renewal alert: ${alert.message}`, 'warning');
+            if (state.currentView === 'renewals') {
+                showRenewalCalendar();
+            }
+        });
+        
         // Check monitoring status
         const isMonitoring = await window.electronAPI.getMonitoringStatus();
         state.isMonitoring = isMonitoring;
@@ -272,6 +282,12 @@ function loadView(view) {
             case 'savings':
                 showSavingsTracker();
                 break;
+            case 'renewals':
+                showRenewalCalendar();
+                break;
+            case 'audit':
+                showAuditLog();
+                break;
             case 'realtime':
                 showRealtimeMonitor();
                 break;
@@ -546,11 +562,17 @@ function updateProcessTimeline() {
 }
 
 // View: Trends (Fixed with real data)
-function showTrends() {
+async function showTrends() {
     if (!state.usageData) return;
     
     const contentArea = document.getElementById('contentArea');
-    const trendData = calculateRealTrendData();
+    let fortnightUsage = null;
+    try {
+        fortnightUsage = await queryUsageForPeriod(14);
+    } catch (error) {
+        console.error('Error querying usage trends:', error);
+    }
+    const trendData = calculateRealTrendData(fortnightUsage);
     
     contentArea.innerHTML = `
         <div class="dashboard-header">
@@ -676,12 +698,12 @@ function showTrends() {
 // Fixed Trends Functions for renderer.js
 // Replace the existing trend-related functions in renderer.js with these:
 
-function calculateRealTrendData() {
+function calculateRealTrendData(fortnightUsage) {
     const apps = state.usageData?.applications || {};
     const plugins = state.usageData?.plugins || {};
     
     // Calculate real metrics with proper null checks
-    const weeklyUsage = calculateWeeklyUsage(apps);
+    const weeklyUsage = calculateWeeklyUsage(fortnightUsage);
     const mostUsed = findMostUsedApp(apps);
     const hourlyPattern = analyzeHourlyPattern(apps);
     const appTrends = calculateAppTrends(apps);
@@ -700,43 +722,13 @@ function calculateRealTrendData() {
     };
 }
 
-function calculateWeeklyUsage(apps) {
-    let thisWeek = 0;
-    let lastWeek = 0;
+// This week vs last week, from a 14-day query-usage result grouped by day
+function calculateWeeklyUsage(fortnightUsage) {
+    const points = fortnightUsage?.totals?.points || [];
+    const splitAt = Math.max(points.length - 7, 0);
     
-    // Calculate from sessions data with null checks
-    Object.values(apps).forEach(app => {
-        if (app.sessions && Array.isArray(app.sessions)) {
-            app.sessions.forEach(session => {
-                if (session && session.startTime) {
-                    const sessionDate = new Date(session.startTime);
-                    const daysAgo = Math.floor((Date.now() - sessionDate) / (1000 * 60 * 60 * 24));
-                    
-                    const duration = session.duration || 0;
-                    if (daysAgo <= 7) {
-                        thisWeek += duration;
-                    } else if (daysAgo <= 14) {
-                        lastWeek += duration;
-                    }
-                }
-            });
-        }
-    });
-    
-    // If no session data, estimate from totalUsage
-    if (thisWeek === 0 && lastWeek === 0) {
-        Object.values(apps).forEach(app => {
-            if (app.totalUsage > 0) {
-                // Estimate based on last used date
-                const daysInactive = getDaysInactive(app.lastUsed);
-                if (daysInactive <= 7) {
-                    thisWeek += app.totalUsage * 0.3; // Assume 30% was this week
-                } else if (daysInactive <= 14) {
-                    lastWeek += app.totalUsage * 0.2; // Assume 20% was last week
-                }
-            }
-        });
-    }
+    const lastWeek = points.slice(0, splitAt).reduce((sum, point) => sum + point.minutes, 0);
+    const thisWeek = points.slice(splitAt).reduce((sum, point) => sum + point.minutes, 0);
     
     const average = thisWeek / 7 / 60; // Convert to hours
     const trend = lastWeek > 0 ? ((thisWeek - lastWeek) / lastWeek * 100) : 0;
@@ -2257,9 +2249,10 @@ async function showAnalytics() {
     try {
         // Get analytics data
         const analytics = await window.electronAPI.generateAnalytics();
+        const usageQuery = await queryUsageForPeriod(state.analyticsDays);
         
         // Calculate additional metrics
-        const usageMetrics = calculateDetailedUsageMetrics();
+        const usageMetrics = calculateDetailedUsageMetrics(usageQuery);
         const costBreakdown = calculateCostBreakdown();
         const productivityMetrics = calculateProductivityMetrics();
         
@@ -2273,10 +2266,9 @@ async function showAnalytics() {
                     <div class="date-range-selector">
                         <label>Period:</label>
                         <select id="analyticsRange" onchange="updateAnalyticsPeriod(this.value)">
-                            <option value="7">Last 7 days</option>
-                            <option value="30" selected>Last 30 days</option>
-                            <option value="90">Last 90 days</option>
-                            <option value="365">Last year</option>
+                            ${[[7, 'Last 7 days'], [30, 'Last 30 days'], [90, 'Last 90 days'], [365, 'Last year']].map(([days, label]) => `
+                                <option value="${days}" ${days === state.analyticsDays ? 'selected' : ''}>${label}</option>
+                            `).join('')}
                         </select>
                     </div>
                     <button class="btn btn-secondary" onclick="exportAnalyticsReport()">
@@ -2431,16 +2423,44 @@ async function showAnalytics() {
     }
 }
 
+// Fetch pre-aggregated application usage for the last `days` days
+async function queryUsageForPeriod(days) {
+    const to = new Date();
+    const from = new Date(to);
+    from.setDate(from.getDate() - days + 1);
+    from.setHours(0, 0, 0, 0);
+    
+    let groupBy = 'day';
+    if (days > 180) groupBy = 'month';
+    else if (days > 31) groupBy = 'week';
+    
+    const result = await window.electronAPI.queryUsage({
+        from: from.toISOString(),
+        to: to.toISOString(),
+        groupBy,
+        type: 'application'
+    });
+    
+    if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to query usage data');
+    }
+    
+    return result;
+}
+
 // Calculate detailed usage metrics
-function calculateDetailedUsageMetrics() {
+function calculateDetailedUsageMetrics(usageQuery) {
     const apps = state.usageData?.applications || {};
-    const plugins = state.usageData?.plugins || {};
     
-    // Daily usage for the last 30 days
-    const dailyUsage = calculateDailyUsage(apps, 30);
+    // Usage over the selected period
+    const dailyUsage = calculateDailyUsage(usageQuery);
     
-    // Application distribution
-    const appDistribution = calculateAppDistribution(apps);
+    // Application distribution within the selected period
+    const periodApps = {};
+    usageQuery.series.forEach(series => {
+        periodApps[series.name] = { totalUsage: series.totalMinutes };
+    });
+    const appDistribution = calculateAppDistribution(periodApps);
     
     // Session data
     const sessionData = calculateSessionMetrics(apps);
@@ -2460,37 +2480,24 @@ function calculateDetailedUsageMetrics() {
     };
 }
 
-// Calculate daily usage pattern
-function calculateDailyUsage(apps, days) {
-    const usage = [];
-    const today = new Date();
+// Convert a query-usage result into chart points (hours per bucket)
+function calculateDailyUsage(usageQuery) {
+    const monthly = usageQuery.groupBy === 'month';
     
-    for (let i = days - 1; i >= 0; i--) {
-        const date = new Date(today);
-        date.setDate(date.getDate() - i);
-        date.setHours(0, 0, 0, 0);
-        
-        let dayUsage = 0;
+    return usageQuery.totals.points.map(point => {
+        const date = new Date(point.bucket);
         
-        Object.values(apps).forEach(app => {
-            if (app.sessions && Array.isArray(app.sessions)) {
-                app.sessions.forEach(session => {
-                    const sessionDate = new Date(session.startTime);
-                    if (sessionDate.toDateString() === date.toDateString()) {
-                        dayUsage += session.duration || 0;
-                    }
-                });
-            }
-        });
-        
-        usage.push({
-            date: date,
-            usage: Math.round(dayUsage / 60), // Convert to hours
-            label: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
-        });
-    }
-    
-    return usage;
+        return {
+            date,
+            usage: Math.round(point.minutes / 60), // Convert to hours
+            label: monthly
+                ? date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
+                : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+            shortLabel: monthly
+                ? date.toLocaleDateString('en-US', { month: 'short' })
+                : String(date.getDate())
+        };
+    });
 }
 
 // Calculate application distribution
@@ -2588,7 +2595,7 @@ function generateUsageTrendsChart(dailyUsage) {
             ${points.map(point => `
                 <circle cx="${point.x}" cy="${point.y}" r="4" fill="var(--primary)" />
                 <text x="${point.x}" y="${chartHeight - 10}" text-anchor="middle" class="chart-label">
-                    ${point.label.split(' ')[1]}
+                    ${point.shortLabel}
                 </text>
             `).join('')}
             
@@ -3389,9 +3396,9 @@ async function exportAnalyticsReport() {
 
 // Update analytics period
 function updateAnalyticsPeriod(days) {
-    showToast(`Updating analytics for ${days} days...`);
-    // Recalculate analytics for the selected period
-    setTimeout(() => showAnalytics(), 500);
+    state.analyticsDays = parseInt(days, 10) || 30;
+    showToast(`Updating analytics for ${state.analyticsDays} days...`);
+    showAnalytics();
 }
 
 // Implement recommendation
@@ -3704,6 +3711,273 @@ async function showSavingsTracker() {
     `;
 }
 
+// View: Audit Log
+async function showAuditLog(action = '') {
+    const [entries, verification] = await Promise.all([
+        window.electronAPI.getAuditLog(action ? { action } : {}),
+        window.electronAPI.verifyAuditLog()
+    ]);
+    const actions = ['update-cost', 'save-license', 'delete-license', 'update-renewal',
+        'confirm-savings', 'mark-for-removal', 'save-settings', 'reset-data'];
+    
+    const contentArea = document.getElementById('contentArea');
+    contentArea.innerHTML = `
+        <div class="section-header">
+            <div>
+                <h2>Audit Log</h2>
+                <p>Who changed costs, licenses, savings and settings, and what they changed</p>
+            </div>
+            <div class="audit-actions">
+                <button class="btn btn-secondary" onclick="exportAuditLog('csv')">Export CSV</button>
+                <button class="btn btn-secondary" onclick="exportAuditLog('json')">Export JSON</button>
+            </div>
+        </div>
+        
+        <div class="audit-verification ${verification.valid ? 'status-active' : 'status-inactive'}">
+            ${verification.valid
+                ? `Chain verified: ${verification.count} entries, no tampering detected`
+                : `Chain broken at entry ${verification.brokenAt || '?'}: ${verification.reason || verification.error}`}
+        </div>
+        
+        <div class="filter-section">
+            <label>Action:</label>
+            <select onchange="showAuditLog(this.value)">
+                <option value="">All actions</option>
+                ${actions.map(name => `<option value="${name}" ${name === action ? 'selected' : ''}>${name}</option>`).join('')}
+            </select>
+        </div>
+        
+        <div class="data-section">
+            ${entries.length === 0 ? `
+                <div class="empty-state">
+                    <h3>No audit entries</h3>
+                    <p>Administrative changes will be recorded here</p>
+                </div>
+            ` : `
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Time</th>
+                            <th>Actor</th>
+                            <th>Action</th>
+                            <th>Target</th>
+                            <th>Before</th>
+                            <th>After</th>
+                            <th>Hash</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map(entry => `
+                            <tr>
+                                <td>${entry.sequence}</td>
+                                <td>${formatDate(entry.timestamp)}</td>
+                                <td>${formatAuditValue(entry.actor)}</td>
+                                <td>${entry.action}</td>
+                                <td>${formatAuditValue(entry.target)}</td>
+                                <td class="audit-value">${formatAuditValue(entry.before)}</td>
+                                <td class="audit-value">${formatAuditValue(entry.after)}</td>
+                                <td class="audit-hash" title="${entry.hash}">${String(entry.hash).slice(0, 12)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        </div>
+    `;
+}
+
+// Entries hold user-entered names, so escape before rendering
+function formatAuditValue(value) {
+    if (value === null || value === undefined) return '<span class="text-muted">-</span>';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+async function exportAuditLog(format) {
+    const result = await window.electronAPI.exportAuditLog(format);
+    if (result.success) {
+        showToast(result.message, 'success');
+    } else {
+        showToast('Failed to export audit log: ' + result.error, 'error');
+    }
+}
+
+// View: Renewal Calendar
+async function showRenewalCalendar() {
+    const result = await window.electronAPI.getRenewals({ days: 365 });
+    const renewals = result.success ? result.renewals : [];
+    const alertDays = state.settings?.renewalAlerts?.daysBefore || 30;
+    const dueSoon = renewals.filter(item => item.daysUntil <= alertDays);
+    const quarterSpend = renewals
+        .filter(item => item.daysUntil <= 90)
+        .reduce((total, item) => total + item.amount, 0);
+    const contentArea = document.getElementById('contentArea');
+    
+    contentArea.innerHTML = `
+        <div class="dashboard-header">
+            <h2>Renewal Calendar</h2>
+            <p>Upcoming subscription and license renewals for the next 12 months</p>
+        </div>
+        
+        <div class="stats-grid">
+            <div class="stat-card">
+                <div class="stat-value">${dueSoon.length}</div>
+                <div class="stat-label">Renewing in ${alertDays} Days</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value">${dueSoon.filter(item => item.underused).length}</div>
+                <div class="stat-label">Under-used Renewals</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value">$${quarterSpend.toFixed(2)}</div>
+                <div class="stat-label">Renewing in 90 Days</div>
+            </div>
+        </div>
+        
+        ${result.success ? '' : `<div class="empty-state-small">Failed to load renewals: ${result.error}</div>`}
+        ${getRenewalMonthSections(renewals)}
+        
+        <div class="data-section mt-3">
+            <div class="section-header">
+                <h3>Set Renewal Date</h3>
+            </div>
+            <div class="renewal-form">
+                <select id="renewalItem" class="form-control">
+                    ${getRenewalItemOptions()}
+                </select>
+                <input type="date" id="renewalDate" class="form-control">
+                <select id="renewalCycle" class="form-control">
+                    <option value="annual">Annual</option>
+                    <option value="monthly">Monthly</option>
+                    <option value="none">One-time</option>
+                </select>
+                <label><input type="checkbox" id="renewalAutoRenew" checked> Auto-renews</label>
+                <button class="btn btn-primary" onclick="saveRenewal()">Save</button>
+            </div>
+        </div>
+    `;
+}
+
+function getRenewalMonthSections(renewals) {
+    if (renewals.length === 0) {
+        return `
+            <div class="empty-state">
+                <h3>No upcoming renewals</h3>
+                <p>Add renewal dates below or set term dates on license entitlements</p>
+            </div>
+        `;
+    }
+    
+    const months = {};
+    renewals.forEach(item => {
+        const month = new Date(`${item.nextRenewal}T00:00:00`).toLocaleDateString(undefined, { year: 'numeric', month: 'long' });
+        (months[month] = months[month] || []).push(item);
+    });
+    
+    return Object.entries(months).map(([month, items]) => `
+        <div class="data-section mt-3">
+            <div class="section-header">
+                <h3>${month}</h3>
+                <span class="text-muted">$${items.reduce((total, item) => total + item.amount, 0).toFixed(2)}</span>
+            </div>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Software</th>
+                        <th>Vendor</th>
+                        <th>Billing</th>
+                        <th>Amount</th>
+                        <th>Utilization</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${items.map(item => `
+                        <tr>
+                            <td>${new Date(`${item.nextRenewal}T00:00:00`).toLocaleDateString()} (${item.daysUntil} days)</td>
+                            <td>${item.name}${item.type === 'license' ? ' <span class="text-muted">license</span>' : ''}</td>
+                            <td>${item.vendor || '-'}</td>
+                            <td>${item.billingCycle === 'none' ? 'Term end' : item.billingCycle}${item.autoRenew ? ', auto-renews' : ''}</td>
+                            <td>$${item.amount.toFixed(2)}</td>
+                            <td>
+                                <span class="status-badge ${item.underused ? 'status-warning' : 'status-active'}">
+                                    ${item.utilization}%
+                                </span>
+                            </td>
+                            <td>
+                                ${item.type === 'license' ? '' : `
+                                    <button class="btn btn-small" onclick="removeRenewal('${item.type}', '${item.name}', '${item.vendor}')">Remove</button>
+                                `}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `).join('');
+}
+
+function getRenewalItemOptions() {
+    const options = [];
+    const applications = new Set([
+        ...Object.keys(state.usageData?.applications || {}),
+        ...Object.keys(state.usageData?.costs?.applications || {})
+    ]);
+    
+    [...applications].sort().forEach(name => {
+        options.push(`<option value="application||${name}">${name}</option>`);
+    });
+    
+    Object.entries(state.usageData?.plugins || {}).forEach(([vendor, products]) => {
+        Object.entries(products).forEach(([product, data]) => {
+            if (data.cost !== undefined) {
+                options.push(`<option value="plugin|${vendor}|${product}">${vendor} ${product}</option>`);
+            } else if (typeof data === 'object') {
+                Object.keys(data).forEach(subProduct => {
+                    options.push(`<option value="plugin|${vendor}|${subProduct}">${vendor} ${product} - ${subProduct}</option>`);
+                });
+            }
+        });
+    });
+    
+    return options.join('');
+}
+
+async function saveRenewal() {
+    const [type, vendor, name] = document.getElementById('renewalItem').value.split('|');
+    const renewalDate = document.getElementById('renewalDate').value;
+    
+    if (!renewalDate) {
+        showToast('Choose a renewal date', 'warning');
+        return;
+    }
+    
+    const result = await window.electronAPI.updateRenewal(type, name, vendor, {
+        renewalDate,
+        billingCycle: document.getElementById('renewalCycle').value,
+        autoRenew: document.getElementById('renewalAutoRenew').checked
+    });
+    
+    if (result.success) {
+        showToast(`Renewal date saved for ${name}`, 'success');
+        showRenewalCalendar();
+    } else {
+        showToast(`Failed to save renewal: ${result.error}`, 'error');
+    }
+}
+
+async function removeRenewal(type, name, vendor) {
+    const result = await window.electronAPI.updateRenewal(type, name, vendor, { renewalDate: null });
+    if (result.success) {
+        showToast(`Renewal date removed for ${name}`, 'success');
+        showRenewalCalendar();
+    } else {
+        showToast(`Failed to remove renewal: ${result.error}`, 'error');
+    }
+}
+
 // System Info Modal
 async function showSystemInfo() {
     const modal = document.getElementById('systemInfoModal');
@@ -4531,6 +4805,14 @@ function showToast(message, type = 'success') {
 // ===== COMPLETE ENTERPRISE DASHBOARD IMPLEMENTATION =====
 // Add this to your src/renderer/renderer.js file
 
+// The dashboard's API key, fetched once the enterprise server has it
+async function getEnterpriseApiKey() {
+    if (!state.enterpriseApiKey) {
+        state.enterpriseApiKey = await window.electronAPI.getEnterpriseApiKey();
+    }
+    return state.enterpriseApiKey;
+}
+
 // View: Enterprise Dashboard with Real Client Data
 async function showEnterpriseDashboard() {
     const contentArea = document.getElementById('contentArea');
@@ -4548,7 +4830,7 @@ async function showEnterpriseDashboard() {
         const serverUrl = state.usageData?.metadata?.enterpriseServer || 
                          state.enterpriseConfig?.serverUrl || 
                          'http://localhost:3443';
-        const apiKey = state.usageData?.metadata?.enterpriseApiKey || 
+        const apiKey = await getEnterpriseApiKey() || 
                       state.enterpriseConfig?.apiKey || 
                       'your-api-key';
         
@@ -4562,26 +4844,27 @@ async function showEnterpriseDashboard() {
         if (!statsResponse.ok) throw new Error(`Server returned ${statsResponse.status}`);
         const stats = await statsResponse.json();
         
-        // Get all clients
-        const clientsResponse = await fetch(`${serverUrl}/api/clients`, { headers });
+        // Get all registered clients, including decommissioned ones for the status filter
+        const clientsResponse = await fetch(`${serverUrl}/api/clients?status=all`, { headers });
         if (!clientsResponse.ok) throw new Error(`Server returned ${clientsResponse.status}`);
-        const clients = await clientsResponse.json();
+        const allClients = await clientsResponse.json();
+        const clients = allClients.filter(c => c.status !== 'decommissioned');
         
-        console.log(`Loaded ${clients.length} clients from enterprise server`);
+        console.log(`Loaded ${allClients.length} clients from enterprise server`);
         
         // Calculate real statistics
         const totalUsers = new Set(clients.map(c => c.latest_usage?.system_info?.user?.username).filter(Boolean)).size;
         const totalApps = countTotalUniqueApplications(clients);
         const totalPlugins = countTotalUniquePlugins(clients);
         const totalMonthlyCost = calculateTotalEnterpriseCost(clients);
-        const onlineClients = clients.filter(c => isClientOnline(c.last_seen)).length;
+        const onlineClients = clients.filter(c => c.is_online).length;
         
         contentArea.innerHTML = `
             <div class="enterprise-header">
                 <h2>Enterprise Client Monitor</h2>
                 <p>Real-time monitoring of all connected client machines</p>
                 <div class="sync-status">
-                    <span class="sync-indicator active"></span>
+                    <span class="sync-indicator" id="enterpriseLiveIndicator" title="Connecting to live updates"></span>
                     <span>Connected to: ${serverUrl}</span>
                     <button class="btn btn-secondary" onclick="refreshEnterpriseDashboard()">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -4590,6 +4873,7 @@ async function showEnterpriseDashboard() {
                         </svg>
                         Refresh
                     </button>
+                    <button class="btn btn-secondary" onclick="showEnterpriseWebhooks()">Webhooks</button>
                 </div>
             </div>
             
@@ -4600,7 +4884,7 @@ async function showEnterpriseDashboard() {
                     <div class="card-content">
                         <div class="card-value">${clients.length}</div>
                         <div class="card-label">Total Clients</div>
-                        <div class="card-sub">${onlineClients} online</div>
+                        <div class="card-sub" id="enterpriseOnlineCount">${onlineClients} online</div>
                     </div>
                 </div>
                 <div class="summary-card">
@@ -4658,12 +4942,16 @@ async function showEnterpriseDashboard() {
                 <label>Filter by Status:</label>
                 <select id="statusFilter" onchange="filterClientsByStatus(this.value)">
                     <option value="">All Status</option>
-                    <option value="online">Online Only</option>
-                    <option value="offline">Offline Only</option>
+                    <option value="online">Online</option>
+                    <option value="degraded">Degraded</option>
+                    <option value="discovered">Discovered</option>
+                    <option value="stale">Stale</option>
+                    <option value="offline">Offline</option>
+                    <option value="decommissioned">Decommissioned</option>
                 </select>
                 
                 <label>Search:</label>
-                <input type="text" id="clientSearch" placeholder="Search by user, hostname, or software..." 
+                <input type="text" id="clientSearch" placeholder="Search by user, hostname, tag, or software..." 
                        onkeyup="searchEnterpriseClients(this.value)" class="search-input">
                 
                 <div class="view-toggle">
@@ -4689,12 +4977,14 @@ async function showEnterpriseDashboard() {
             
             <!-- Client Display Area -->
             <div id="clientDisplayArea" class="client-grid">
-                ${generateClientCards(clients)}
+                ${generateClientCards(allClients)}
             </div>
         `;
         
         // Store clients in state for filtering
-        state.enterpriseClients = clients;
+        state.enterpriseClients = allClients;
+        
+        connectEnterpriseLiveFeed(serverUrl, apiKey);
         
     } catch (error) {
         console.error('Error loading enterprise data:', error);
@@ -4729,6 +5019,148 @@ async function showEnterpriseDashboard() {
     }
 }
 
+// Live updates from the enterprise server's event stream (GET /api/live). Uses fetch
+// rather than EventSource so the API key can travel in a header; reconnects with
+// Last-Event-ID so nothing is missed, and stops once the dashboard is closed.
+async function connectEnterpriseLiveFeed(serverUrl, apiKey) {
+    state.enterpriseLiveFeed?.abort();
+    const controller = new AbortController();
+    state.enterpriseLiveFeed = controller;
+    let lastEventId = '';
+    
+    while (!controller.signal.aborted && document.getElementById('clientDisplayArea')) {
+        try {
+            const headers = { 'X-API-Key': apiKey, Accept: 'text/event-stream' };
+            if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+            
+            const response = await fetch(`${serverUrl}/api/live`, { headers, signal: controller.signal });
+            if (!response.ok) throw new Error(`Server returned ${response.status}`);
+            setEnterpriseLiveStatus(true);
+            
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                
+                buffer += decoder.decode(value, { stream: true });
+                let end = buffer.indexOf('\n\n');
+                while (end !== -1) {
+                    const message = parseEnterpriseLiveMessage(buffer.slice(0, end));
+                    buffer = buffer.slice(end + 2);
+                    end = buffer.indexOf('\n\n');
+                    
+                    if (message.id) lastEventId = message.id;
+                    if (message.event && message.data) {
+                        applyEnterpriseLiveEvent(message.event, JSON.parse(message.data));
+                    }
+                }
+                
+                // Dashboard closed: heartbeats reach here at least every 25 seconds
+                if (!document.getElementById('clientDisplayArea')) controller.abort();
+            }
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.warn('Enterprise live feed disconnected:', error.message);
+        }
+        
+        setEnterpriseLiveStatus(false);
+        await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+}
+
+// One SSE message as { id, event, data }; comment lines (heartbeats) are skipped
+function parseEnterpriseLiveMessage(text) {
+    const message = {};
+    text.split('\n').forEach(line => {
+        const match = line.match(/^(id|event|data): ?(.*)$/);
+        if (match) {
+            message[match[1]] = match[1] === 'data' && message.data ? `${message.data}\n${match[2]}` : match[2];
+        }
+    });
+    return message;
+}
+
+function setEnterpriseLiveStatus(connected) {
+    const indicator = document.getElementById('enterpriseLiveIndicator');
+    if (!indicator) return;
+    indicator.classList.toggle('active', connected);
+    indicator.title = connected ? 'Live updates on' : 'Live updates disconnected, reconnecting...';
+}
+
+// Update the one client's card or row, the department breakdown and the online count in place
+function applyEnterpriseLiveEvent(event, data) {
+    if (event.startsWith('alert.')) {
+        if (event === 'alert.raised') {
+            showToast(`Alert: ${data.message}`, data.severity === 'info' ? 'info' : 'warning');
+        }
+        return;
+    }
+    
+    const clients = state.enterpriseClients || [];
+    const index = clients.findIndex(client => client.client_id === data.client_id);
+    if (index === -1) {
+        clients.push(data);
+    } else {
+        clients[index] = data;
+    }
+    state.enterpriseClients = clients;
+    
+    renderEnterpriseClient(data);
+    
+    const activeClients = clients.filter(client => client.status !== 'decommissioned');
+    const departmentGrid = document.querySelector('.department-grid');
+    if (departmentGrid) departmentGrid.innerHTML = generateDepartmentBreakdown(activeClients);
+    
+    const onlineCount = document.getElementById('enterpriseOnlineCount');
+    if (onlineCount) {
+        onlineCount.textContent = `${activeClients.filter(client => client.is_online).length} online`;
+    }
+    
+    if (event === 'client.offline') {
+        showToast(`${data.display_name || data.hostname} went offline`, 'warning');
+    } else if (event === 'client.state' && data.state === 'degraded') {
+        showToast(`${data.display_name || data.hostname} is degraded: ${data.health.reasons.join(', ')}`, 'warning');
+    }
+}
+
+function renderEnterpriseClient(client) {
+    const displayArea = document.getElementById('clientDisplayArea');
+    if (!displayArea) return;
+    
+    if (displayArea.classList.contains('client-table-view')) {
+        displayArea.innerHTML = generateClientTable(state.enterpriseClients);
+        displayArea.querySelectorAll('.client-row').forEach(row => {
+            row.style.display = matchesEnterpriseFilters(row) ? '' : 'none';
+        });
+        return;
+    }
+    
+    const template = document.createElement('div');
+    template.innerHTML = generateClientCards([client]).trim();
+    const card = template.firstElementChild;
+    const existing = displayArea.querySelector(`.client-card[data-client-id="${client.client_id}"]`);
+    if (existing) {
+        existing.replaceWith(card);
+    } else {
+        displayArea.querySelector('.empty-state')?.remove();
+        displayArea.appendChild(card);
+    }
+    card.style.display = matchesEnterpriseFilters(card) ? '' : 'none';
+}
+
+// Whether a card or row passes the dashboard's department, status and search filters
+function matchesEnterpriseFilters(element) {
+    const dept = document.getElementById('deptFilter')?.value;
+    const status = document.getElementById('statusFilter')?.value;
+    const query = (document.getElementById('clientSearch')?.value || '').toLowerCase();
+    
+    if (dept && element.dataset.department !== dept) return false;
+    if (status ? element.dataset.status !== status : element.dataset.status === 'decommissioned') return false;
+    return !query || element.textContent.toLowerCase().includes(query);
+}
+
 // Generate client cards for grid view
 function generateClientCards(clients) {
     if (!clients || clients.length === 0) {
@@ -4743,7 +5175,6 @@ function generateClientCards(clients) {
         const latestUsage = client.latest_usage || {};
         const systemInfo = latestUsage.system_info || {};
         const userInfo = systemInfo.user || {};
-        const isOnline = isClientOnline(client.last_seen);
         const apps = latestUsage.applications || {};
         const plugins = latestUsage.plugins || {};
         
@@ -4768,17 +5199,21 @@ function generateClientCards(clients) {
         
         // Calculate monthly cost
         const monthlyCost = calculateClientMonthlyCost(client);
+        const status = getEnterpriseClientStatus(client);
         
         return `
-            <div class="client-card ${isOnline ? 'online' : 'offline'}" 
+            <div class="client-card ${status}" 
+                 data-client-id="${client.client_id}"
                  data-department="${client.department || 'Unknown'}" 
                  data-user="${userInfo.username || 'Unknown'}"
-                 data-status="${isOnline ? 'online' : 'offline'}">
+                 data-status="${status}"
+                 ${status === 'decommissioned' ? 'style="display: none"' : ''}>
                 <div class="client-card-header">
-                    <div class="client-status ${isOnline ? 'online' : 'offline'}"></div>
-                    <h3>${client.hostname}</h3>
+                    <div class="client-status ${status}" title="${formatClientHealth(client)}"></div>
+                    <h3>${client.display_name || client.hostname}</h3>
                     <span class="client-id">${client.client_id}</span>
                 </div>
+                ${generateClientTagList(client)}
                 
                 <div class="client-info-section">
                     <div class="info-row">
@@ -4796,6 +5231,11 @@ function generateClientCards(clients) {
                         <span class="info-label">Last Seen:</span>
                         <span class="info-value">${formatTimeAgo(new Date(client.last_seen))}</span>
                     </div>
+                    <div class="info-row">
+                        <span class="info-icon">❤</span>
+                        <span class="info-label">Health:</span>
+                        <span class="info-value" title="${client.health.reasons.join(', ')}">${client.health.score}/100</span>
+                    </div>
                     ${systemInfo.ipAddresses && systemInfo.ipAddresses.length > 0 ? `
                     <div class="info-row">
                         <span class="info-icon">🌐</span>
@@ -4894,7 +5334,7 @@ async function showEnterpriseClientDetails(clientId) {
         const serverUrl = state.usageData?.metadata?.enterpriseServer || 
                          state.enterpriseConfig?.serverUrl || 
                          'http://localhost:3443';
-        const apiKey = state.usageData?.metadata?.enterpriseApiKey || 
+        const apiKey = await getEnterpriseApiKey() || 
                       state.enterpriseConfig?.apiKey || 
                       'your-api-key';
         
@@ -4907,6 +5347,7 @@ async function showEnterpriseClientDetails(clientId) {
         
         const modalBody = modal.querySelector('.modal-body');
         modalBody.innerHTML = generateClientDetailsContent(data);
+        loadAgentCommands(clientId);
         
     } catch (error) {
         modal.querySelector('.modal-body').innerHTML = `
@@ -4934,6 +5375,8 @@ function generateClientDetailsContent(data) {
             <button class="tab-btn" onclick="switchClientTab(this, 'hardware')">Hardware</button>
             <button class="tab-btn" onclick="switchClientTab(this, 'software')">Software</button>
             <button class="tab-btn" onclick="switchClientTab(this, 'history')">History</button>
+            <button class="tab-btn" onclick="switchClientTab(this, 'manage')">Manage</button>
+            <button class="tab-btn" onclick="switchClientTab(this, 'agent')">Agent</button>
         </div>
         
         <div class="tab-content active" id="overview-tab">
@@ -4944,6 +5387,12 @@ function generateClientDetailsContent(data) {
                         <span class="detail-label">Hostname</span>
                         <span class="detail-value highlight">${client.hostname}</span>
                     </div>
+                    ${client.display_name ? `
+                    <div class="detail-item">
+                        <span class="detail-label">Display Name</span>
+                        <span class="detail-value">${client.display_name}</span>
+                    </div>
+                    ` : ''}
                     <div class="detail-item">
                         <span class="detail-label">Client ID</span>
                         <span class="detail-value">${client.client_id}</span>
@@ -5023,9 +5472,281 @@ function generateClientDetailsContent(data) {
         <div class="tab-content" id="history-tab">
             ${generateClientHistory(history)}
         </div>
+        
+        <div class="tab-content" id="manage-tab">
+            ${generateClientManageForm(client)}
+        </div>
+        
+        <div class="tab-content" id="agent-tab">
+            ${generateAgentCommandPanel(client)}
+        </div>
+    `;
+}
+
+// Commands for the client's agent; they run once the scanner reaches the client
+function generateAgentCommandPanel(client) {
+    const clientId = client.client_id;
+    const pushMode = client.connection_mode === 'push';
+    
+    return `
+        <div class="detail-card agent-command-panel">
+            <h4>Agent Commands</h4>
+            <p class="text-small text-muted">
+                ${pushMode
+                    ? 'This client pushes its usage and cannot be reached by the scanner, so it cannot receive commands.'
+                    : 'Commands are sent the next time the scanner reaches the client, and expire after an hour.'}
+            </p>
+            ${pushMode ? '' : `
+                <div class="client-manage-actions">
+                    <button class="btn btn-secondary" onclick="queueAgentCommand('${clientId}', 'start-monitoring')">Start Monitoring</button>
+                    <button class="btn btn-secondary" onclick="queueAgentCommand('${clientId}', 'stop-monitoring')">Stop Monitoring</button>
+                    <button class="btn btn-secondary" onclick="queueAgentCommand('${clientId}', 'force-upload')">Upload Now</button>
+                    <button class="btn btn-secondary" onclick="queueAgentCommand('${clientId}', 'update-signatures')">Update Signatures</button>
+                    <button class="btn btn-secondary" onclick="queueAgentCommand('${clientId}', 'collect-diagnostics')">Collect Diagnostics</button>
+                </div>
+                <div class="agent-command-interval">
+                    <label>Monitoring interval (seconds)</label>
+                    <input type="number" id="agentCommandInterval" class="form-control" min="10" max="3600" value="60">
+                    <button class="btn btn-secondary" onclick="queueAgentIntervalCommand('${clientId}')">Apply</button>
+                </div>
+            `}
+            <div id="agentCommandList">
+                <div class="loading"><div class="loading-spinner"></div></div>
+            </div>
+        </div>
+    `;
+}
+
+function generateAgentCommandList(commands) {
+    if (commands.length === 0) {
+        return '<p class="text-muted">No commands sent to this client yet</p>';
+    }
+    
+    const badges = {
+        queued: 'status-warning',
+        sending: 'status-warning',
+        succeeded: 'status-active',
+        failed: 'status-inactive',
+        expired: 'status-inactive',
+        cancelled: 'status-inactive'
+    };
+    return `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Queued</th>
+                    <th>Command</th>
+                    <th>Status</th>
+                    <th>Result</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${commands.map(command => `
+                    <tr>
+                        <td>${formatTimeAgo(new Date(command.createdAt))}</td>
+                        <td>${command.command}</td>
+                        <td><span class="status-badge ${badges[command.status]}">${command.status}</span></td>
+                        <td class="audit-value">${formatAgentCommandResult(command)}</td>
+                        <td>
+                            ${command.status === 'queued' ? `
+                                <button class="btn btn-secondary btn-small" onclick="cancelAgentCommand('${command.clientId}', '${command._id}')">Cancel</button>
+                            ` : ''}
+                            ${command.command === 'collect-diagnostics' && command.status === 'succeeded' ? `
+                                <button class="btn btn-secondary btn-small" onclick="downloadAgentDiagnostics('${command._id}')">Download</button>
+                            ` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// One line per command: the client's error, why it is still waiting, or what it reported
+function formatAgentCommandResult(command) {
+    if (command.error) return formatAuditValue(command.error);
+    if (command.status === 'queued') return formatAuditValue(command.lastError || 'Waiting for the client');
+    
+    const result = command.result || {};
+    switch (command.command) {
+        case 'start-monitoring':
+        case 'stop-monitoring':
+        case 'set-interval':
+            return `Monitoring ${result.isMonitoring ? 'running' : 'stopped'}, every ${Math.round(result.monitoringInterval / 1000)}s`;
+        case 'force-upload':
+            return result.pushed === null ? 'Snapshot recorded' : `Snapshot recorded, ${result.pushed} records pushed`;
+        case 'update-signatures':
+            return `Catalog ${formatAuditValue(result.version)} (${result.applications} applications)`;
+        case 'collect-diagnostics':
+            return `Agent ${formatAuditValue(result.agent?.version)}, ${result.database?.unsyncedRecords ?? 0} unsynced records`;
+        default:
+            return '';
+    }
+}
+
+// Lists the client's recent commands, polling while any of them is still waiting
+async function loadAgentCommands(clientId) {
+    clearTimeout(state.agentCommandPoll);
+    const list = document.getElementById('agentCommandList');
+    if (!list) return;
+    
+    const serverUrl = state.usageData?.metadata?.enterpriseServer || 
+                     state.enterpriseConfig?.serverUrl || 
+                     'http://localhost:3443';
+    const apiKey = await getEnterpriseApiKey() || 
+                  state.enterpriseConfig?.apiKey || 
+                  'your-api-key';
+    
+    try {
+        const response = await fetch(`${serverUrl}/api/clients/${encodeURIComponent(clientId)}/commands?limit=20`, {
+            headers: { 'X-API-Key': apiKey }
+        });
+        if (!response.ok) throw new Error(`Server returned ${response.status}`);
+        state.agentCommands = await response.json();
+        list.innerHTML = generateAgentCommandList(state.agentCommands);
+        
+        if (state.agentCommands.some(command => command.status === 'queued' || command.status === 'sending')) {
+            state.agentCommandPoll = setTimeout(() => loadAgentCommands(clientId), 5000);
+        }
+    } catch (error) {
+        list.innerHTML = `<p class="text-small text-muted">Failed to load commands: ${error.message}</p>`;
+    }
+}
+
+async function sendAgentCommandRequest(clientId, path, body, message) {
+    const serverUrl = state.usageData?.metadata?.enterpriseServer || 
+                     state.enterpriseConfig?.serverUrl || 
+                     'http://localhost:3443';
+    const apiKey = await getEnterpriseApiKey() || 
+                  state.enterpriseConfig?.apiKey || 
+                  'your-api-key';
+    
+    try {
+        const response = await fetch(`${serverUrl}/api/clients/${encodeURIComponent(clientId)}/commands${path}`, {
+            method: 'POST',
+            headers: { 'X-API-Key': apiKey, 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `Server returned ${response.status}`);
+        
+        showToast(message, 'success');
+        await loadAgentCommands(clientId);
+    } catch (error) {
+        showToast('Command failed: ' + error.message, 'error');
+    }
+}
+
+function queueAgentCommand(clientId, command, params) {
+    return sendAgentCommandRequest(clientId, '', { command, params }, 'Command queued');
+}
+
+function queueAgentIntervalCommand(clientId) {
+    const seconds = Number(document.getElementById('agentCommandInterval').value);
+    return queueAgentCommand(clientId, 'set-interval', { monitoringInterval: Math.round(seconds * 1000) });
+}
+
+function cancelAgentCommand(clientId, commandId) {
+    return sendAgentCommandRequest(clientId, `/${commandId}/cancel`, null, 'Command cancelled');
+}
+
+// Saves a diagnostics bundle as JSON for support
+function downloadAgentDiagnostics(commandId) {
+    const command = state.agentCommands.find(item => item._id === commandId);
+    if (!command) return;
+    
+    const blob = new Blob([JSON.stringify(command.result, null, 2)], { type: 'application/json' });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `diagnostics-${command.clientId}-${command.finishedAt.slice(0, 10)}.json`;
+    link.click();
+    window.URL.revokeObjectURL(url);
+}
+
+// Registry fields the admin controls: name, department, tags and lifecycle
+function generateClientManageForm(client) {
+    const decommissioned = client.status === 'decommissioned';
+    
+    return `
+        <div class="detail-card client-manage-form">
+            <h4>Inventory</h4>
+            <label>Display Name</label>
+            <input type="text" id="clientDisplayName" class="form-control" value="${client.display_name || ''}" placeholder="${client.hostname}">
+            <label>Department</label>
+            <input type="text" id="clientDepartment" class="form-control" value="${client.department || ''}">
+            <label>Tags (comma separated)</label>
+            <input type="text" id="clientTags" class="form-control" value="${(client.tags || []).join(', ')}">
+            <div class="client-manage-actions">
+                <button class="btn btn-primary" onclick="saveEnterpriseClient('${client.client_id}')">Save</button>
+                ${decommissioned
+                    ? `<button class="btn btn-secondary" onclick="reactivateEnterpriseClient('${client.client_id}')">Reactivate</button>`
+                    : `<button class="btn btn-secondary" onclick="decommissionEnterpriseClient('${client.client_id}')">Decommission</button>`}
+                <button class="btn btn-danger" onclick="deleteEnterpriseClient('${client.client_id}')">Delete</button>
+            </div>
+        </div>
     `;
 }
 
+// Send a registry change to the enterprise server, then reload the dashboard
+async function updateEnterpriseClient(path, options, message) {
+    try {
+        const serverUrl = state.usageData?.metadata?.enterpriseServer || 
+                         state.enterpriseConfig?.serverUrl || 
+                         'http://localhost:3443';
+        const apiKey = await getEnterpriseApiKey() || 
+                      state.enterpriseConfig?.apiKey || 
+                      'your-api-key';
+        
+        const response = await fetch(`${serverUrl}${path}`, {
+            ...options,
+            headers: { 'X-API-Key': apiKey, 'Content-Type': 'application/json' }
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `Server returned ${response.status}`);
+        
+        document.querySelector('.modal.show')?.remove();
+        showToast(message, 'success');
+        await showEnterpriseDashboard();
+    } catch (error) {
+        showToast('Failed to update client: ' + error.message, 'error');
+    }
+}
+
+async function saveEnterpriseClient(clientId) {
+    const changes = {
+        displayName: document.getElementById('clientDisplayName').value,
+        department: document.getElementById('clientDepartment').value,
+        tags: document.getElementById('clientTags').value.split(',').map(tag => tag.trim()).filter(Boolean)
+    };
+    await updateEnterpriseClient(`/api/clients/${encodeURIComponent(clientId)}`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes)
+    }, 'Client updated');
+}
+
+async function decommissionEnterpriseClient(clientId) {
+    if (!confirm(`Decommission ${clientId}? It stays in the inventory but no longer counts towards totals.`)) return;
+    await updateEnterpriseClient(`/api/clients/${encodeURIComponent(clientId)}/decommission`, {
+        method: 'POST'
+    }, 'Client decommissioned');
+}
+
+async function reactivateEnterpriseClient(clientId) {
+    await updateEnterpriseClient('/api/clients', {
+        method: 'POST',
+        body: JSON.stringify({ clientId })
+    }, 'Client reactivated');
+}
+
+async function deleteEnterpriseClient(clientId) {
+    if (!confirm(`Delete ${clientId} and its stored usage? This cannot be undone.`)) return;
+    await updateEnterpriseClient(`/api/clients/${encodeURIComponent(clientId)}`, {
+        method: 'DELETE'
+    }, 'Client deleted');
+}
+
 // Generate hardware details section
 function generateHardwareDetails(systemInfo) {
     if (!systemInfo) {
@@ -5291,7 +6012,7 @@ function generateDepartmentBreakdown(clients) {
         }
         
         departments[dept].count++;
-        if (isClientOnline(client.last_seen)) {
+        if (client.is_online) {
             departments[dept].online++;
         }
         
@@ -5329,9 +6050,24 @@ function generateDepartmentBreakdown(clients) {
 }
 
 // Helper functions for enterprise dashboard
-function isClientOnline(lastSeen) {
-    const tenMinutesAgo = Date.now() - (10 * 60 * 1000);
-    return new Date(lastSeen).getTime() > tenMinutesAgo;
+// discovered, online, degraded, stale, offline or decommissioned, as the server decided
+function getEnterpriseClientStatus(client) {
+    return client.state;
+}
+
+function formatClientHealth(client) {
+    const state = client.state.charAt(0).toUpperCase() + client.state.slice(1);
+    const reasons = client.health.reasons.length > 0 ? ` - ${client.health.reasons.join(', ')}` : '';
+    return `${state}, health ${client.health.score}/100${reasons}`;
+}
+
+function generateClientTagList(client) {
+    const tags = client.tags || [];
+    const chips = tags.map(tag => `<span class="client-tag">${tag}</span>`);
+    if (client.status === 'decommissioned') {
+        chips.unshift('<span class="client-tag decommissioned">Decommissioned</span>');
+    }
+    return chips.length > 0 ? `<div class="client-tags">${chips.join('')}</div>` : '';
 }
 
 function countTotalUniqueApplications(clients) {
@@ -5415,7 +6151,7 @@ function countClientPlugins(plugins) {
 
 // Filter functions
 function filterClientsByDepartment(dept) {
-    const cards = document.querySelectorAll('.client-card');
+    const cards = document.querySelectorAll('.client-card, .client-row');
     cards.forEach(card => {
         if (!dept || card.dataset.department === dept) {
             card.style.display = '';
@@ -5426,9 +6162,10 @@ function filterClientsByDepartment(dept) {
 }
 
 function filterClientsByStatus(status) {
-    const cards = document.querySelectorAll('.client-card');
+    const cards = document.querySelectorAll('.client-card, .client-row');
     cards.forEach(card => {
-        if (!status || card.dataset.status === status) {
+        // Decommissioned clients are only shown when asked for
+        if (status ? card.dataset.status === status : card.dataset.status !== 'decommissioned') {
             card.style.display = '';
         } else {
             card.style.display = 'none';
@@ -5437,12 +6174,13 @@ function filterClientsByStatus(status) {
 }
 
 function searchEnterpriseClients(query) {
-    const cards = document.querySelectorAll('.client-card');
+    const cards = document.querySelectorAll('.client-card, .client-row');
     const lowerQuery = query.toLowerCase();
     
     cards.forEach(card => {
         const text = card.textContent.toLowerCase();
-        if (text.includes(lowerQuery)) {
+        const hidden = !lowerQuery && card.dataset.status === 'decommissioned';
+        if (text.includes(lowerQuery) && !hidden) {
             card.style.display = '';
         } else {
             card.style.display = 'none';
@@ -5492,19 +6230,23 @@ function generateClientTable(clients) {
                     const latestUsage = client.latest_usage || {};
                     const systemInfo = latestUsage.system_info || {};
                     const userInfo = systemInfo.user || {};
-                    const isOnline = isClientOnline(client.last_seen);
                     const apps = Object.keys(latestUsage.applications || {}).length;
                     const plugins = countClientPlugins(latestUsage.plugins || {});
                     const cost = calculateClientMonthlyCost(client);
+                    const status = getEnterpriseClientStatus(client);
                     
                     return `
-                        <tr>
+                        <tr class="client-row" data-client-id="${client.client_id}" data-department="${client.department || 'Unknown'}" data-status="${status}"
+                            ${status === 'decommissioned' ? 'style="display: none"' : ''}>
                             <td>
-                                <span class="status-badge ${isOnline ? 'status-active' : 'status-inactive'}">
-                                    ${isOnline ? '● Online' : '● Offline'}
+                                <span class="status-badge ${{ online: 'status-active', offline: 'status-inactive' }[status] || 'status-warning'}" title="${formatClientHealth(client)}">
+                                    ● ${status.charAt(0).toUpperCase() + status.slice(1)}
                                 </span>
                             </td>
-                            <td><strong>${client.hostname}</strong></td>
+                            <td>
+                                <strong>${client.display_name || client.hostname}</strong>
+                                ${generateClientTagList(client)}
+                            </td>
                             <td>${userInfo.username || 'Unknown'}</td>
                             <td>${client.department || 'Unknown'}</td>
                             <td>${systemInfo.ipAddresses?.[0]?.address || 'N/A'}</td>
@@ -5536,6 +6278,156 @@ function switchClientTab(button, tabName) {
     document.getElementById(`${tabName}-tab`).classList.add('active');
 }
 
+// Webhook subscriptions and their delivery log; status 'dead' shows the dead-letter list
+async function showEnterpriseWebhooks(status = '') {
+    const serverUrl = state.usageData?.metadata?.enterpriseServer || 
+                     state.enterpriseConfig?.serverUrl || 
+                     'http://localhost:3443';
+    const apiKey = await getEnterpriseApiKey() || 
+                  state.enterpriseConfig?.apiKey || 
+                  'your-api-key';
+    
+    try {
+        const headers = { 'X-API-Key': apiKey };
+        const [subscriptionsResponse, deliveriesResponse] = await Promise.all([
+            fetch(`${serverUrl}/api/webhooks`, { headers }),
+            fetch(`${serverUrl}/api/webhooks/deliveries?limit=200${status ? `&status=${status}` : ''}`, { headers })
+        ]);
+        if (!subscriptionsResponse.ok || !deliveriesResponse.ok) {
+            throw new Error(`Server returned ${subscriptionsResponse.ok ? deliveriesResponse.status : subscriptionsResponse.status}`);
+        }
+        const subscriptions = await subscriptionsResponse.json();
+        const deliveries = await deliveriesResponse.json();
+        const badges = { delivered: 'status-active', dead: 'status-inactive', pending: 'status-warning', retrying: 'status-warning' };
+        
+        document.querySelector('.modal.show')?.remove();
+        const modal = document.createElement('div');
+        modal.className = 'modal show';
+        modal.innerHTML = `
+            <div class="modal-content modal-extra-large">
+                <div class="modal-header">
+                    <h2>Webhooks</h2>
+                    <button class="modal-close" onclick="this.closest('.modal').remove()">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <h3>Subscriptions</h3>
+                    ${subscriptions.length === 0 ? `
+                        <p class="text-muted">No webhooks yet. Add one with POST /api/webhooks.</p>
+                    ` : `
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Name</th>
+                                    <th>URL</th>
+                                    <th>Events</th>
+                                    <th>Status</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${subscriptions.map(subscription => `
+                                    <tr>
+                                        <td>${formatAuditValue(subscription.name)}</td>
+                                        <td class="audit-value">${formatAuditValue(subscription.url)}</td>
+                                        <td>${subscription.events.join(', ')}</td>
+                                        <td>
+                                            <span class="status-badge ${subscription.enabled ? 'status-active' : 'status-inactive'}">
+                                                ${subscription.enabled ? 'Enabled' : 'Disabled'}
+                                            </span>
+                                        </td>
+                                        <td>
+                                            <button class="btn btn-secondary btn-small" onclick="testEnterpriseWebhook('${subscription._id}')">Send test</button>
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    `}
+                    
+                    <div class="webhook-log-header">
+                        <h3>Delivery Log</h3>
+                        <select onchange="showEnterpriseWebhooks(this.value)">
+                            <option value="">All deliveries</option>
+                            <option value="dead" ${status === 'dead' ? 'selected' : ''}>Dead letters</option>
+                            <option value="retrying" ${status === 'retrying' ? 'selected' : ''}>Retrying</option>
+                            <option value="delivered" ${status === 'delivered' ? 'selected' : ''}>Delivered</option>
+                        </select>
+                    </div>
+                    ${deliveries.length === 0 ? `
+                        <p class="text-muted">No deliveries</p>
+                    ` : `
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Time</th>
+                                    <th>Webhook</th>
+                                    <th>Event</th>
+                                    <th>Status</th>
+                                    <th>Attempts</th>
+                                    <th>Last error</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${deliveries.map(delivery => `
+                                    <tr>
+                                        <td>${formatDate(delivery.createdAt)}</td>
+                                        <td>${formatAuditValue(delivery.subscriptionName)}</td>
+                                        <td>${delivery.event}</td>
+                                        <td><span class="status-badge ${badges[delivery.status]}">${delivery.status}</span></td>
+                                        <td>${delivery.attempts.length}</td>
+                                        <td class="audit-value">${formatAuditValue(delivery.lastError)}</td>
+                                        <td>
+                                            ${delivery.status === 'dead' || delivery.status === 'delivered' ? `
+                                                <button class="btn btn-secondary btn-small" onclick="redeliverEnterpriseWebhook('${delivery._id}')">Redeliver</button>
+                                            ` : ''}
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    `}
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+    } catch (error) {
+        showToast('Failed to load webhooks: ' + error.message, 'error');
+    }
+}
+
+async function sendEnterpriseWebhookRequest(path, message) {
+    const serverUrl = state.usageData?.metadata?.enterpriseServer || 
+                     state.enterpriseConfig?.serverUrl || 
+                     'http://localhost:3443';
+    const apiKey = await getEnterpriseApiKey() || 
+                  state.enterpriseConfig?.apiKey || 
+                  'your-api-key';
+    
+    try {
+        const response = await fetch(`${serverUrl}${path}`, {
+            method: 'POST',
+            headers: { 'X-API-Key': apiKey }
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `Server returned ${response.status}`);
+        
+        showToast(message, 'success');
+        const filter = document.querySelector('.webhook-log-header select');
+        await showEnterpriseWebhooks(filter ? filter.value : '');
+    } catch (error) {
+        showToast('Webhook request failed: ' + error.message, 'error');
+    }
+}
+
+function testEnterpriseWebhook(id) {
+    return sendEnterpriseWebhookRequest(`/api/webhooks/${id}/test`, 'Test event queued');
+}
+
+function redeliverEnterpriseWebhook(id) {
+    return sendEnterpriseWebhookRequest(`/api/webhooks/deliveries/${id}/redeliver`, 'Delivery queued again');
+}
+
 // Refresh enterprise dashboard
 async function refreshEnterpriseDashboard() {
     showToast('Refreshing enterprise data...', 'info');
@@ -5548,7 +6440,7 @@ async function exportEnterpriseReport() {
         const serverUrl = state.usageData?.metadata?.enterpriseServer || 
                          state.enterpriseConfig?.serverUrl || 
                          'http://localhost:3443';
-        const apiKey = state.usageData?.metadata?.enterpriseApiKey || 
+        const apiKey = await getEnterpriseApiKey() || 
                       state.enterpriseConfig?.apiKey || 
                       'your-api-key';
         
@@ -5592,12 +6484,14 @@ async function showClientDetails(clientId) {
     
     try {
         const serverUrl = state.usageData?.metadata?.enterpriseServer || 'http://localhost:3443';
-        const apiKey = state.usageData?.metadata?.enterpriseApiKey || 'your-secure-api-key';
+        const apiKey = await getEnterpriseApiKey() || 'your-secure-api-key';
         
-        const response = await fetch(`${serverUrl}/api/clients/${clientId}`, {
-            headers: { 'X-API-Key': apiKey }
-        });
+        const [response, healthResponse] = await Promise.all([
+            fetch(`${serverUrl}/api/clients/${clientId}`, { headers: { 'X-API-Key': apiKey } }),
+            fetch(`${serverUrl}/api/clients/${clientId}/health?limit=10`, { headers: { 'X-API-Key': apiKey } })
+        ]);
         const data = await response.json();
+        const health = healthResponse.ok ? await healthResponse.json() : null;
         
         const modalBody = modal.querySelector('.modal-body');
         modalBody.innerHTML = `
@@ -5622,6 +6516,8 @@ async function showClientDetails(clientId) {
                     </div>
                 </div>
                 
+                ${health ? generateClientHealthCard(health) : ''}
+                
                 ${data.latestUsage?.system_info ? `
                 <div class="client-info-card">
                     <h4>Hardware Details</h4>
@@ -5732,10 +6628,9 @@ function generateClientRows(clients) {
     }
     
     return clients.map(client => {
-        const lastSeen = new Date(client.last_seen);
-        const isOnline = (Date.now() - lastSeen) < 600000; // 10 minutes
-        const statusClass = isOnline ? 'status-active' : 'status-warning';
-        const statusText = isOnline ? 'Online' : 'Offline';
+        const status = getEnterpriseClientStatus(client);
+        const statusClass = { online: 'status-active', offline: 'status-inactive' }[status] || 'status-warning';
+        const statusText = status.charAt(0).toUpperCase() + status.slice(1);
         
         return `
             <tr>
@@ -5760,6 +6655,35 @@ function generateClientRows(clients) {
     }).join('');
 }
 
+// State, score and recent state changes from GET /api/clients/:id/health
+function generateClientHealthCard(health) {
+    return `
+        <div class="client-info-card">
+            <h4>Health</h4>
+            <div class="info-item">
+                <span class="info-label">State</span>
+                <span class="info-value highlight">${health.state}${health.since ? ` since ${formatDate(health.since)}` : ''}</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">Score</span>
+                <span class="info-value">${health.score}/100</span>
+            </div>
+            ${health.reasons.map(reason => `
+            <div class="info-item">
+                <span class="info-label">Issue</span>
+                <span class="info-value">${reason}</span>
+            </div>
+            `).join('')}
+            ${health.history.map(change => `
+            <div class="info-item">
+                <span class="info-label">${formatDate(change.at)}</span>
+                <span class="info-value">${change.from || 'new'} → ${change.to}</span>
+            </div>
+            `).join('')}
+        </div>
+    `;
+}
+
 function generateClientApplications(applications) {
     const apps = Object.entries(applications);
     if (apps.length === 0) {
@@ -0,0 +1,13 @@
+// tests/fixtures/free-udp-port.js
+// A loopback UDP port nothing is bound to, for mDNS tests to share in place of 5353
+const dgram = require('dgram');
+
+module.exports = function freeUdpPort() {
+  const socket = dgram.createSocket('udp4');
+  return new Promise(resolve => {
+    socket.bind(0, '127.0.0.1', () => {
+      const { port } = socket.address();
+      socket.close(() => resolve(port));
+    });
+  });
+};
@@ -0,0 +1,98 @@
+// tests/fixtures/memory-datastore.js
+// In-memory stand-in for a NeDB collection, covering the calls the main-process
+// stores and the enterprise server make: equality queries (an array field matches
+// any of its elements), $gt/$gte/$lt/$lte/$in comparisons, $set/$inc or whole-document
+// updates with upsert, and find().sort().exec() cursors. Dates are stored as ISO strings.
+const crypto = require('crypto');
+
+const OPERATORS = {
+  $gt: (actual, operand) => actual > operand,
+  $gte: (actual, operand) => actual >= operand,
+  $lt: (actual, operand) => actual < operand,
+  $lte: (actual, operand) => actual <= operand,
+  $in: (actual, operand) => operand.includes(actual)
+};
+
+const stored = value => (value instanceof Date ? value.toISOString() : value);
+
+function matchesValue(actual, expected) {
+  if (expected && typeof expected === 'object' && !Array.isArray(expected) && !(expected instanceof Date)) {
+    return Object.entries(expected).every(([operator, operand]) => (
+      actual !== undefined && OPERATORS[operator](actual, stored(operand))
+    ));
+  }
+  return Array.isArray(actual) ? actual.includes(expected) : (actual ?? null) === stored(expected);
+}
+
+function matches(doc, query) {
+  return Object.entries(query).every(([key, value]) => matchesValue(doc[key], value));
+}
+
+const copy = doc => JSON.parse(JSON.stringify(doc));
+
+// sort({ field: 1 | -1 }) over plain values
+function sortBy(docs, order) {
+  return docs.sort((a, b) => Object.entries(order).reduce((result, [field, direction]) => {
+    if (result !== 0 || a[field] === b[field]) return result;
+    return (a[field] > b[field] ? 1 : -1) * direction;
+  }, 0));
+}
+
+function createDatastore() {
+  const docs = new Map();
+  const findAll = query => [...docs.values()].filter(doc => matches(doc, query));
+
+  return {
+    docs,
+    ensureIndex: (options, callback) => callback && callback(null),
+    // Without a callback, a cursor as NeDB returns
+    find: (query, callback) => {
+      if (callback) return callback(null, findAll(query).map(copy));
+      let order = {};
+      return {
+        sort(fields) {
+          order = fields;
+          return this;
+        },
+        exec: done => done(null, sortBy(findAll(query), order).map(copy))
+      };
+    },
+    findOne: (query, callback) => {
+      const [doc] = findAll(query);
+      callback(null, doc ? copy(doc) : null);
+    },
+    count: (query, callback) => callback(null, findAll(query).length),
+    insert: (doc, callback) => {
+      const inserted = copy({ _id: crypto.randomUUID(), ...doc });
+      docs.set(inserted._id, inserted);
+      callback(null, copy(inserted));
+    },
+    // Upserts start from the (equality) query, as NeDB's do
+    update: (query, changes, options, callback) => {
+      const { $set, $inc } = changes;
+      let [doc] = findAll(query);
+      if (!doc && !options.upsert) return callback(null, 0, null);
+      if (!doc) {
+        doc = copy({ _id: crypto.randomUUID(), ...query });
+        docs.set(doc._id, doc);
+      }
+      // Without modifiers the update replaces the document
+      if (!$set && !$inc) {
+        Object.keys(doc).filter(key => key !== '_id').forEach(key => delete doc[key]);
+        Object.assign(doc, copy(changes));
+      }
+      Object.assign(doc, copy($set || {}));
+      Object.entries($inc || {}).forEach(([key, amount]) => {
+        doc[key] = (doc[key] || 0) + amount;
+      });
+      return callback(null, 1, copy(doc));
+    },
+    remove: (query, options, callback) => {
+      const removed = findAll(query);
+      removed.forEach(doc => docs.delete(doc._id));
+      callback(null, removed.length);
+    }
+  };
+}
+
+module.exports = { createDatastore };
@@ -0,0 +1,60 @@
+// tests/unit/agent-commands.test.js
+const AgentCommands = require('../../src/main/agent-commands');
+
+describe('AgentCommands', () => {
+  test('should validate commands and their params', () => {
+    expect(AgentCommands.validate({ command: 'set-interval', params: { monitoringInterval: 30000, extra: 1 } }))
+      .toEqual({ command: 'set-interval', params: { monitoringInterval: 30000 } });
+    expect(AgentCommands.validate({ command: 'force-upload' })).toEqual({ command: 'force-upload', params: {} });
+
+    expect(() => AgentCommands.validate({ command: 'reboot' })).toThrow('Unknown command "reboot"');
+    expect(() => AgentCommands.validate({ command: 'stop-monitoring', params: [] }))
+      .toThrow('params must be an object');
+    expect(() => AgentCommands.validate({ command: 'set-interval', params: { monitoringInterval: 5000 } }))
+      .toThrow('monitoringInterval must be a whole number of milliseconds from 10000 to 3600000');
+    expect(() => AgentCommands.validate({ command: 'update-signatures', params: { catalog: 'nope' } }))
+      .toThrow('Invalid signature catalog');
+    expect(AgentCommands.validate({ command: 'update-signatures', params: {} }).params).toEqual({});
+  });
+
+  test('should report handler results and errors as outcomes', async () => {
+    const commands = new AgentCommands({
+      'stop-monitoring': async () => ({ isMonitoring: false }),
+      'force-upload': async () => {
+        throw new Error('Enterprise server is unreachable');
+      }
+    });
+
+    expect(await commands.run({ id: 'c1', command: 'stop-monitoring' })).toEqual({
+      id: 'c1',
+      command: 'stop-monitoring',
+      status: 'succeeded',
+      result: { isMonitoring: false },
+      error: null,
+      finishedAt: expect.any(String)
+    });
+    expect(await commands.run({ id: 'c2', command: 'force-upload' }))
+      .toMatchObject({ status: 'failed', result: null, error: 'Enterprise server is unreachable' });
+    expect(await commands.run({ id: 'c3', command: 'collect-diagnostics' }))
+      .toMatchObject({ status: 'failed', error: 'This client does not support collect-diagnostics' });
+
+    await expect(commands.run({ command: 'stop-monitoring' })).rejects.toThrow('Commands need an id');
+    await expect(commands.run({ id: 'c4', command: 'reboot' })).rejects.toThrow('Unknown command');
+  });
+
+  test('should run a re-sent command only once', async () => {
+    let finish;
+    const handler = jest.fn(() => new Promise(resolve => {
+      finish = resolve;
+    }));
+    const commands = new AgentCommands({ 'collect-diagnostics': handler });
+
+    // Re-sent while running, then after it finished
+    const first = commands.run({ id: 'c1', command: 'collect-diagnostics' });
+    const again = commands.run({ id: 'c1', command: 'collect-diagnostics' });
+    finish({ pid: 42 });
+    expect(await again).toBe(await first);
+    expect(await commands.run({ id: 'c1', command: 'collect-diagnostics' })).toBe(await first);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,141 @@
+// tests/unit/alert-notifier.test.js
+// Sends to local SMTP/HTTP stand-ins, so nothing leaves the machine
+const net = require('net');
+const http = require('http');
+const AlertNotifier = require('../../src/main/alert-notifier');
+
+const ALERT = {
+  _id: 'alert-1',
+  client_id: 'ws-101',
+  alert_type: 'high_memory',
+  severity: 'critical',
+  message: 'Client ws-101 is using 97% memory',
+  timestamp: '2026-10-19T09:00:00.000Z'
+};
+
+// Accepts every command and records the message body
+function startSmtpServer() {
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+
+    socket.write('220 localhost test SMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+
+      while (buffer.length > 0) {
+        const end = buffer.indexOf(inData ? '\r\n.\r\n' : '\r\n');
+        if (end === -1) return;
+
+        if (inData) {
+          server.messages.push(buffer.slice(0, end));
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          socket.write('250 Ok: queued\r\n');
+        } else {
+          const verb = buffer.slice(0, end).split(/[ :]/)[0].toUpperCase();
+          buffer = buffer.slice(end + 2);
+          if (verb === 'EHLO') socket.write('250-localhost\r\n250 8BITMIME\r\n');
+          else if (verb === 'DATA') {
+            inData = true;
+            socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+          } else if (verb === 'QUIT') socket.end('221 Bye\r\n');
+          else socket.write('250 Ok\r\n');
+        }
+      }
+    });
+  });
+
+  server.messages = [];
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function startWebhookServer(status) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      server.requests.push({ headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(status);
+      res.end();
+    });
+  });
+
+  server.requests = [];
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+describe('AlertNotifier', () => {
+  const servers = [];
+  const url = server => `http://127.0.0.1:${server.address().port}/alerts`;
+
+  afterEach(async () => {
+    await Promise.all(servers.splice(0).map(server => new Promise(resolve => {
+      server.close(resolve);
+    })));
+  });
+
+  test('should send an alert to every configured channel a rule names', async () => {
+    const smtp = await startSmtpServer();
+    const webhook = await startWebhookServer(200);
+    servers.push(smtp, webhook);
+    const showDesktop = jest.fn();
+
+    const notifier = new AlertNotifier({ showDesktop });
+    notifier.configure({
+      webhook: { url: url(webhook), headers: { 'X-Team': 'noc' } },
+      email: {
+        from: 'monitor@example.com', to: 'it@example.com', smtp: { host: '127.0.0.1', port: smtp.address().port }
+      },
+      desktop: { enabled: true }
+    });
+
+    const results = await notifier.notify(ALERT, ['webhook', 'email', 'desktop']);
+
+    expect(results.map(result => [result.channel, result.ok])).toEqual([
+      ['webhook', true], ['email', true], ['desktop', true]
+    ]);
+    expect(webhook.requests[0].headers['x-team']).toBe('noc');
+    expect(webhook.requests[0].body).toMatchObject({ event: 'alert.raised', alert: { _id: 'alert-1' } });
+    expect(smtp.messages[0]).toContain('Subject: [CRITICAL] Client ws-101 is using 97% memory');
+    expect(showDesktop).toHaveBeenCalledWith('Software monitor alert (critical)', ALERT.message);
+  });
+
+  test('should report a failing channel without stopping the others', async () => {
+    const webhook = await startWebhookServer(500);
+    servers.push(webhook);
+    const showDesktop = jest.fn();
+
+    const notifier = new AlertNotifier({ showDesktop });
+    notifier.configure({ webhook: { url: url(webhook) }, desktop: { enabled: true } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const results = await notifier.notify(ALERT, ['webhook', 'email', 'desktop']);
+
+    expect(results).toEqual([
+      { channel: 'webhook', ok: false, error: 'Webhook responded with 500' },
+      { channel: 'desktop', ok: true, error: null }
+    ]);
+    console.error.mockRestore();
+  });
+
+  test('should validate channels and keep the SMTP password out of read-backs', () => {
+    expect(() => AlertNotifier.validateChannels({ sms: {} })).toThrow('Unknown notifier sms');
+    expect(() => AlertNotifier.validateChannels({ webhook: { url: 'ftp://x' } })).toThrow('must be http(s)');
+    expect(() => AlertNotifier.validateChannels({ email: { to: 'it@example.com' } }))
+      .toThrow('Email notifier needs from, to and smtp.host');
+
+    const channels = AlertNotifier.validateChannels({
+      email: { from: 'a@example.com', to: 'b@example.com', smtp: { host: 'mail', user: 'a', pass: 'secret' } }
+    });
+    const masked = AlertNotifier.maskChannels(channels);
+    expect(masked.email.smtp.pass).toBe(AlertNotifier.MASKED);
+    expect(AlertNotifier.unmaskChannels(masked, channels).email.smtp.pass).toBe('secret');
+  });
+});
@@ -0,0 +1,120 @@
+// tests/unit/alert-rules.test.js
+const AlertRules = require('../../src/main/alert-rules');
+const { createDatastore } = require('../fixtures/memory-datastore');
+
+const NOW = new Date('2026-10-19T09:00:00.000Z');
+const minutesLater = minutes => new Date(NOW.getTime() + minutes * 60 * 1000);
+
+const client = (id, fields = {}) => ({
+  client_id: id,
+  hostname: id,
+  department: 'VFX',
+  tags: [],
+  last_seen: NOW.toISOString(),
+  latest_usage: { system_info: { memory: { usagePercent: 40 } }, applications: {} },
+  ...fields
+});
+
+describe('AlertRules', () => {
+  let rules;
+
+  beforeEach(() => {
+    rules = new AlertRules(createDatastore());
+  });
+
+  test('should seed the built-in checks once', async () => {
+    await rules.bootstrap(NOW);
+    expect((await rules.list()).map(rule => rule._id)).toEqual(['high_memory', 'offline', 'unused_software']);
+    expect(await rules.get('unused_software')).toMatchObject({ threshold: 100, inactiveDays: 30, enabled: true });
+
+    await rules.remove('offline');
+    expect(await rules.bootstrap(NOW)).toEqual([]);
+    expect(await rules.list()).toHaveLength(2);
+  });
+
+  test('should validate rule definitions', () => {
+    const rule = { name: 'Memory', metric: 'memory_percent', comparator: '>', threshold: 80 };
+
+    expect(AlertRules.validateRule({ ...rule, scope: { tags: ['GPU'] } })).toMatchObject({
+      duration: 0, severity: 'warning', notify: [], inactiveDays: null, scope: { departments: null, tags: ['gpu'] }
+    });
+    expect(() => AlertRules.validateRule({ ...rule, metric: 'cpu' })).toThrow('Unknown metric cpu');
+    expect(() => AlertRules.validateRule({ ...rule, comparator: '=>' })).toThrow('Unknown comparator =>');
+    expect(() => AlertRules.validateRule({ ...rule, threshold: 'high' })).toThrow('threshold must be a number');
+    expect(() => AlertRules.validateRule({ ...rule, duration: -5 })).toThrow('duration must be a non-negative number');
+    expect(() => AlertRules.validateRule({ ...rule, notify: ['sms'] })).toThrow('notify must be a list of');
+    expect(() => AlertRules.validateRule({ ...rule, name: ' ' })).toThrow('Alert rules need a name');
+  });
+
+  test('should fire only once the condition has held for the duration', async () => {
+    await rules.create({
+      name: 'Memory pressure', metric: 'memory_percent', comparator: '>=', threshold: 90, duration: 10
+    }, NOW);
+    const hot = client('ws-101', { latest_usage: { system_info: { memory: { usagePercent: 95 } } } });
+
+    const [first] = await rules.evaluate([hot], NOW);
+    expect(first).toMatchObject({ breaching: [null], firing: [] });
+
+    const [second] = await rules.evaluate([hot], minutesLater(10));
+    expect(second.firing).toEqual([
+      { key: null, subject: null, value: 95, message: 'Client ws-101 is using 95% memory' }
+    ]);
+
+    // Cooling down restarts the clock
+    await rules.evaluate([client('ws-101')], minutesLater(11));
+    const [third] = await rules.evaluate([hot], minutesLater(15));
+    expect(third.firing).toEqual([]);
+  });
+
+  test('should keep the clock running for clients left out of an evaluation', async () => {
+    await rules.create({
+      name: 'Memory pressure', metric: 'memory_percent', comparator: '>=', threshold: 90, duration: 10
+    }, NOW);
+    const hot = id => client(id, { latest_usage: { system_info: { memory: { usagePercent: 95 } } } });
+
+    await rules.evaluate([hot('ws-101'), hot('ws-102')], NOW);
+    await rules.evaluate([hot('ws-101')], minutesLater(5));
+    const [check] = await rules.evaluate([hot('ws-102')], minutesLater(10));
+
+    expect(check.firing).toEqual([expect.objectContaining({ message: 'Client ws-102 is using 95% memory' })]);
+  });
+
+  test('should raise one finding per unused application', async () => {
+    await rules.bootstrap(NOW);
+    await rules.update('offline', { enabled: false });
+    await rules.update('high_memory', { enabled: false });
+
+    const applications = {
+      Nuke: { lastUsed: '2026-08-01T00:00:00.000Z' },
+      Houdini: { lastUsed: '2026-10-18T00:00:00.000Z' },
+      Blender: { lastUsed: '2026-01-01T00:00:00.000Z', cost: 0 }
+    };
+    const [check] = await rules.evaluate([client('ws-101', { latest_usage: { applications } })], NOW, {
+      appCost: app => ({ Nuke: 499, Houdini: 269 }[app])
+    });
+
+    expect(check.firing).toEqual([
+      { key: 'Nuke', subject: 'Nuke', value: 499, message: 'Nuke ($499/mo) unused for 79 days on ws-101' }
+    ]);
+  });
+
+  test('should only check clients in the rule scope', async () => {
+    await rules.create({
+      name: 'Render nodes offline',
+      metric: 'minutes_offline',
+      comparator: '>',
+      threshold: 5,
+      scope: { departments: ['VFX'], tags: ['render'] }
+    }, NOW);
+    const stale = { last_seen: '2026-10-19T08:00:00.000Z' };
+
+    const checks = await rules.evaluate([
+      client('ws-101', { ...stale, tags: ['render'] }),
+      client('ws-102', { ...stale, tags: ['render'], department: 'Edit' }),
+      client('ws-103', stale)
+    ], NOW);
+
+    expect(checks.map(check => check.client.client_id)).toEqual(['ws-101']);
+    expect(checks[0].firing[0].message).toBe('Client ws-101 has been offline for 60 minutes');
+  });
+});
@@ -0,0 +1,87 @@
+// tests/unit/alert-store.test.js
+const AlertStore = require('../../src/main/alert-store');
+const { createDatastore } = require('../fixtures/memory-datastore');
+
+const NOW = new Date('2026-10-19T09:00:00.000Z');
+const minutesLater = minutes => new Date(NOW.getTime() + minutes * 60 * 1000);
+
+describe('AlertStore', () => {
+  let store;
+
+  const raiseOffline = (now = NOW) => store.raise({
+    clientId: 'ws-101', type: 'offline', ruleId: 'offline', message: 'Client ws-101 has been offline'
+  }, now);
+
+  beforeEach(() => {
+    store = new AlertStore(createDatastore());
+  });
+
+  test('should keep one unresolved alert per client, type and key', async () => {
+    const first = await raiseOffline();
+    const again = await raiseOffline(minutesLater(1));
+
+    expect(first).toMatchObject({ notify: true, alert: { status: 'open', severity: 'warning', resolved: false } });
+    expect(again).toMatchObject({ notify: false, alert: { _id: first.alert._id } });
+
+    const renewal = details => store.raise({ clientId: 'ws-101', type: 'renewal', message: 'Renewal', details });
+    await renewal({ key: 'nuke@2026-11-01' });
+    await renewal({ key: 'houdini@2026-11-05' });
+    await renewal({ key: 'nuke@2026-11-01' });
+    expect(await store.list({ type: 'renewal' })).toHaveLength(2);
+  });
+
+  test('should acknowledge, snooze and resolve alerts', async () => {
+    const { alert } = await raiseOffline();
+
+    expect(await store.acknowledge(alert._id, { actor: 'api-key:NOC', note: 'Looking' }, NOW)).toMatchObject({
+      status: 'acknowledged', acknowledged_by: 'api-key:NOC', note: 'Looking'
+    });
+    expect(await store.snooze(alert._id, { minutes: 30 }, NOW)).toMatchObject({
+      status: 'snoozed', snoozed_until: minutesLater(30).toISOString()
+    });
+    expect((await store.list({ status: 'snoozed' }, minutesLater(5))).map(item => item._id)).toEqual([alert._id]);
+    expect(await store.list({ status: 'snoozed' }, minutesLater(31))).toEqual([]);
+
+    const resolved = await store.resolve(alert._id, { actor: 'api-key:NOC' }, NOW);
+    expect(resolved).toMatchObject({ status: 'resolved', resolved_at: NOW.toISOString() });
+    expect(await store.list()).toEqual([]);
+    await expect(store.acknowledge(alert._id)).rejects.toThrow('Resolved alerts cannot be acknowledged');
+    expect(await store.resolve('missing')).toBeNull();
+  });
+
+  test('should notify again when a snooze runs out and the condition still holds', async () => {
+    const { alert } = await raiseOffline();
+    await store.snooze(alert._id, { until: minutesLater(15).toISOString() }, NOW);
+
+    expect((await raiseOffline(minutesLater(10))).notify).toBe(false);
+    const woken = await raiseOffline(minutesLater(20));
+    expect(woken).toMatchObject({ notify: true, alert: { _id: alert._id, status: 'open', snoozed_until: null } });
+
+    await expect(store.snooze(alert._id, { minutes: 0 }, NOW)).rejects.toThrow('Snooze needs a positive number');
+    await expect(store.snooze(alert._id, { until: 'tomorrow' }, NOW)).rejects.toThrow('future until time');
+  });
+
+  test('should resolve rule alerts whose condition cleared', async () => {
+    const raise = key => store.raise({
+      clientId: 'ws-101', type: 'unused_software', message: key, details: { key }
+    }, NOW);
+    await raise('Nuke');
+    await raise('Houdini');
+
+    const resolved = await store.resolveCleared('unused_software', 'ws-101', ['Nuke'], minutesLater(15));
+    expect(resolved).toEqual([expect.objectContaining({ message: 'Houdini', resolved_by: 'rule' })]);
+    expect((await store.list()).map(alert => alert.message)).toEqual(['Nuke']);
+  });
+
+  test('should filter by status and reject unknown ones', async () => {
+    const { alert } = await raiseOffline();
+    await store.raise({ clientId: 'ws-102', type: 'high_memory', message: 'Memory' }, minutesLater(1));
+    await store.acknowledge(alert._id, {}, NOW);
+
+    expect((await store.list({ status: 'open' })).map(item => item.client_id)).toEqual(['ws-102']);
+    expect((await store.list({ status: 'all' })).map(item => item.client_id)).toEqual(['ws-102', 'ws-101']);
+    await expect(store.list({ status: 'closed' })).rejects.toThrow('Invalid status "closed"');
+    expect(await store.remove(alert._id)).toBe(true);
+    expect(await store.get(alert._id)).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+// tests/unit/api-key-store.test.js
+const ApiKeyStore = require('../../src/main/api-key-store');
+const { createDatastore } = require('../fixtures/memory-datastore');
+
+const NOW = new Date('2026-10-19T09:00:00.000Z');
+
+describe('ApiKeyStore', () => {
+  let datastore;
+  let store;
+
+  beforeEach(() => {
+    datastore = createDatastore();
+    store = new ApiKeyStore(datastore);
+  });
+
+  test('should store only a hash of the key and show the key once', async () => {
+    const { key, record } = await store.create({ name: 'Finance reports', scopes: ['read-reports'] }, NOW);
+
+    expect(key).toMatch(/^esm_[\w-]{43}$/);
+    expect(record).not.toHaveProperty('hash');
+    expect(record).toMatchObject({ name: 'Finance reports', hint: key.slice(-4), departments: null });
+
+    const [stored] = [...datastore.docs.values()];
+    expect(stored.hash).toBe(ApiKeyStore.hashKey(key));
+    expect(JSON.stringify(stored)).not.toContain(key);
+    expect(await store.list()).toEqual([record]);
+  });
+
+  test('should authenticate active keys only', async () => {
+    await store.bootstrap(null, NOW);
+    const { key, record } = await store.create({ name: 'VFX head', scopes: ['read-reports'] }, NOW);
+
+    expect(await store.authenticate(key, NOW)).toMatchObject({ _id: record._id, lastUsedAt: NOW.toISOString() });
+    expect(await store.authenticate('esm_not-a-key')).toBeNull();
+    expect(await store.authenticate(undefined)).toBeNull();
+
+    await store.revoke(record._id, NOW);
+    expect(await store.authenticate(key)).toBeNull();
+  });
+
+  test('should replace the secret on rotation and keep the key id', async () => {
+    const { key, record } = await store.create({ name: 'ITSM', scopes: ['manage-clients'] }, NOW);
+    const rotated = await store.rotate(record._id, NOW);
+
+    expect(rotated.key).not.toBe(key);
+    expect(rotated.record).toMatchObject({ _id: record._id, rotatedAt: NOW.toISOString() });
+    expect(await store.authenticate(key)).toBeNull();
+    expect(await store.authenticate(rotated.key)).toMatchObject({ _id: record._id });
+
+    await store.revoke(record._id);
+    await expect(store.rotate(record._id)).rejects.toThrow('Revoked keys cannot be rotated');
+    expect(await store.rotate('missing')).toBeNull();
+  });
+
+  test('should issue a bootstrap admin key only on first start and keep one admin', async () => {
+    const bootstrapped = await store.bootstrap('configured-dashboard-key', NOW);
+    expect(bootstrapped.record.scopes).toEqual(['admin']);
+    expect(await store.authenticate('configured-dashboard-key')).toMatchObject({ name: 'Administrator' });
+    expect(await store.bootstrap(null)).toBeNull();
+
+    await expect(store.revoke(bootstrapped.record._id)).rejects.toThrow('Cannot revoke the last admin key');
+    await store.create({ name: 'Second admin', scopes: ['admin'] });
+    expect(await store.revoke(bootstrapped.record._id, NOW)).toMatchObject({ revokedAt: NOW.toISOString() });
+  });
+
+  test('should validate scopes and departments', async () => {
+    await expect(store.create({ name: 'x', scopes: [] })).rejects.toThrow('non-empty list');
+    await expect(store.create({ name: 'x', scopes: ['root'] })).rejects.toThrow('Unknown scope root');
+    await expect(store.create({ scopes: ['admin'] })).rejects.toThrow('API keys need a name');
+    await expect(store.create({ name: 'x', scopes: ['admin'], departments: ['VFX'] }))
+      .rejects.toThrow('Admin keys cannot be limited to departments');
+    await expect(store.create({ name: 'x', scopes: ['read-reports'], departments: 'VFX' }))
+      .rejects.toThrow('list of department names');
+  });
+
+  test('should grant scopes and departments', () => {
+    const admin = { scopes: ['admin'], departments: null };
+    const departmentHead = { scopes: ['read-reports'], departments: ['VFX'] };
+
+    expect(ApiKeyStore.grants(admin, 'manage-clients')).toBe(true);
+    expect(ApiKeyStore.grants(departmentHead, 'read-reports')).toBe(true);
+    expect(ApiKeyStore.grants(departmentHead, 'manage-clients')).toBe(false);
+    expect(ApiKeyStore.canSeeDepartment(admin, 'Edit')).toBe(true);
+    expect(ApiKeyStore.canSeeDepartment(departmentHead, 'VFX')).toBe(true);
+    expect(ApiKeyStore.canSeeDepartment(departmentHead, 'Edit')).toBe(false);
+    expect(ApiKeyStore.canSeeDepartment(departmentHead, undefined)).toBe(false);
+  });
+});
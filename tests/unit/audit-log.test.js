@@ -0,0 +1,197 @@
+// tests/unit/audit-log.test.js
+// Tamper checks edit the log file itself, so use the real fs
+jest.unmock('fs');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuditLog = require('../../src/main/audit-log');
+const DataManager = require('../../src/main/data-manager');
+
+const NOW = new Date('2026-10-19T09:00:00.000Z');
+
+describe('AuditLog', () => {
+  let dir;
+  let filePath;
+  let log;
+
+  const readLines = () => fs.readFileSync(filePath, 'utf8').trim().split('\n');
+  const writeLines = lines => fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+
+  const appendSample = async () => {
+    await log.append({ action: 'update-cost', target: 'application:Nuke', before: 499, after: 399 }, NOW);
+    await log.append({
+      action: 'save-settings', target: 'inactivityThreshold', before: { days: 30 }, after: { days: 45 }
+    }, NOW);
+    await log.append({ action: 'reset-data', target: 'usage-data', before: { applications: 12 } }, NOW);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+    filePath = path.join(dir, 'logs', 'audit-log.jsonl');
+    log = new AuditLog({ filePath, actor: 'admin@studio-01' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should chain each entry to the one before it', async () => {
+    await appendSample();
+    const [first, second, third] = readLines().map(line => JSON.parse(line));
+
+    expect(first).toMatchObject({
+      sequence: 1,
+      timestamp: NOW.toISOString(),
+      actor: 'admin@studio-01',
+      action: 'update-cost',
+      before: 499,
+      after: 399,
+      previousHash: AuditLog.GENESIS_HASH
+    });
+    expect(second.previousHash).toBe(first.hash);
+    expect(third).toMatchObject({ sequence: 3, previousHash: second.hash, after: null });
+    expect(await log.verify()).toEqual({ valid: true, count: 3, lastHash: third.hash });
+  });
+
+  test('should continue the chain after a restart', async () => {
+    await appendSample();
+    const restarted = new AuditLog({ filePath, actor: 'someone-else' });
+    const entry = await restarted.append({ action: 'delete-license', target: 'lic-1' }, NOW);
+
+    expect(entry).toMatchObject({ sequence: 4, actor: 'someone-else' });
+    expect((await restarted.verify()).valid).toBe(true);
+  });
+
+  test('should detect edited, removed and re-hashed entries', async () => {
+    await appendSample();
+    const lines = readLines();
+
+    const edited = JSON.parse(lines[0]);
+    edited.after = 1;
+    writeLines([JSON.stringify(edited), ...lines.slice(1)]);
+    expect(await log.verify())
+      .toMatchObject({ valid: false, brokenAt: 1, reason: 'Entry content does not match its hash' });
+
+    writeLines([lines[0], lines[2]]);
+    expect(await log.verify()).toMatchObject({ valid: false, brokenAt: 2, reason: 'Expected sequence 2, found 3' });
+
+    // Renumbering does not help: the chain still breaks
+    const renumbered = JSON.parse(lines[2]);
+    renumbered.sequence = 2;
+    renumbered.hash = AuditLog.hashEntry(renumbered);
+    writeLines([lines[0], JSON.stringify(renumbered)]);
+    expect(await log.verify())
+      .toMatchObject({ valid: false, brokenAt: 2, reason: 'Entry does not follow the previous entry' });
+
+    writeLines([lines[0], '{"sequence": 2,', lines[2]]);
+    expect(await log.verify()).toMatchObject({ valid: false, brokenAt: 2, reason: 'Entry is not valid JSON' });
+  });
+
+  test('should catch truncated and rebuilt logs with the head kept outside the file', async () => {
+    let head = null;
+    const anchor = {
+      read: async () => head,
+      write: async value => {
+        head = value;
+      }
+    };
+    log = new AuditLog({ filePath, actor: 'admin@studio-01', anchor });
+    await appendSample();
+    const lines = readLines();
+    expect(head).toEqual({ count: 3, hash: JSON.parse(lines[2]).hash });
+    expect((await log.verify()).valid).toBe(true);
+
+    // Dropping trailing entries leaves a valid chain
+    writeLines(lines.slice(0, 2));
+    expect(await log.verify())
+      .toMatchObject({ valid: false, brokenAt: 3, reason: 'Log ends early: 3 entries were written' });
+
+    // So does rewriting an entry and every hash after it
+    const rebuilt = lines.map(line => JSON.parse(line));
+    rebuilt[1].after = { days: 30 };
+    rebuilt.forEach((entry, index) => {
+      entry.previousHash = index === 0 ? AuditLog.GENESIS_HASH : rebuilt[index - 1].hash;
+      entry.hash = AuditLog.hashEntry(entry);
+    });
+    writeLines(rebuilt.map(entry => JSON.stringify(entry)));
+    expect(await log.verify())
+      .toMatchObject({ valid: false, brokenAt: 3, reason: 'Entry does not match the recorded head of the log' });
+
+    const extra = { ...JSON.parse(lines[2]), sequence: 4, previousHash: JSON.parse(lines[2]).hash };
+    extra.hash = AuditLog.hashEntry(extra);
+    writeLines([...lines, JSON.stringify(extra)]);
+    expect(await log.verify())
+      .toMatchObject({ valid: false, brokenAt: 4, reason: 'Entry was not written by this app' });
+
+    fs.unlinkSync(filePath);
+    expect((await log.verify()).valid).toBe(false);
+  });
+
+  test('should list newest first and export to CSV and JSON', async () => {
+    await appendSample();
+
+    expect((await log.list()).map(entry => entry.sequence)).toEqual([3, 2, 1]);
+    expect(await log.list({ action: 'update-cost' })).toHaveLength(1);
+
+    const csv = (await log.export('csv')).split('\n');
+    expect(csv[0]).toBe('sequence,timestamp,actor,action,target,before,after,details,previousHash,hash');
+    expect(csv[2]).toContain('"{""days"":30}","{""days"":45}"');
+    expect(JSON.parse(await log.export('json'))).toHaveLength(3);
+    await expect(log.export('xml')).rejects.toThrow('Unsupported audit export format: xml');
+  });
+
+  test('should reject entries without an action', async () => {
+    await expect(log.append({ target: 'x' })).rejects.toThrow('Audit entries need an action');
+  });
+});
+
+describe('DataManager audit trail', () => {
+  let dir;
+  let dataManager;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-data-'));
+    dataManager = new DataManager({ dataDir: dir, actor: 'admin@studio-01' });
+    jest.spyOn(dataManager, 'saveData').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should record cost changes with the previous value', async () => {
+    await dataManager.updateCost('application', 'Nuke', 'N/A', '399');
+
+    const [entry] = await dataManager.getAuditLog();
+    expect(entry).toMatchObject({
+      actor: 'admin@studio-01',
+      action: 'update-cost',
+      target: 'application:N/A:Nuke',
+      before: 499,
+      after: 399
+    });
+  });
+
+  test('should record only the settings that changed', async () => {
+    await dataManager.saveSettings({ ...dataManager.settings });
+    await dataManager.saveSettings({ inactivityThreshold: 45, autoStart: dataManager.settings.autoStart });
+
+    const entries = await dataManager.getAuditLog();
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      action: 'save-settings',
+      target: 'inactivityThreshold',
+      after: { inactivityThreshold: 45 }
+    });
+    expect((await dataManager.verifyAuditLog()).valid).toBe(true);
+  });
+
+  test('should keep the head of the log through a data reset', async () => {
+    await dataManager.updateCost('application', 'Nuke', 'N/A', '399');
+    await dataManager.resetData();
+
+    expect(dataManager.usageData.metadata.auditHead).toMatchObject({ count: 2 });
+    expect(await dataManager.verifyAuditLog()).toMatchObject({ valid: true, count: 2 });
+  });
+});
@@ -0,0 +1,96 @@
+// tests/unit/client-health.test.js
+const ClientHealth = require('../../src/main/client-health');
+const { createDatastore } = require('../fixtures/memory-datastore');
+
+const NOW = new Date('2026-10-19T09:00:00.000Z');
+const minutesAgo = minutes => new Date(NOW.getTime() - minutes * 60 * 1000).toISOString();
+
+const healthy = {
+  status: 'active', lastSeen: minutesAgo(1), reachable: true, hasData: true, isMonitoring: true, agentVersion: '1.4.0'
+};
+
+describe('ClientHealth', () => {
+  let health;
+
+  beforeEach(() => {
+    health = new ClientHealth({ minAgentVersion: '1.4.0' });
+  });
+
+  test('should move through the states as the heartbeat ages', () => {
+    const stateAt = minutes => health.evaluate({ ...healthy, lastSeen: minutesAgo(minutes) }, NOW).state;
+
+    expect(health.evaluate(healthy, NOW)).toEqual({ state: 'online', score: 100, reasons: [] });
+    expect(stateAt(9)).toBe('degraded');
+    expect(stateAt(10)).toBe('stale');
+    expect(stateAt(59)).toBe('stale');
+    expect(stateAt(60)).toBe('offline');
+    expect(health.evaluate({ ...healthy, lastSeen: null }, NOW))
+      .toMatchObject({ state: 'offline', reasons: ['Never seen'] });
+    expect(health.evaluate({ ...healthy, hasData: false }, NOW).state).toBe('discovered');
+    expect(health.evaluate({ ...healthy, status: 'decommissioned' }, NOW).state).toBe('decommissioned');
+  });
+
+  test('should score heartbeat freshness, monitoring and agent version', () => {
+    // Full heartbeat points for the first half of staleAfter
+    expect(health.evaluate({ ...healthy, lastSeen: minutesAgo(5) }, NOW).score).toBe(100);
+    expect(health.evaluate({ ...healthy, lastSeen: minutesAgo(7.5) }, NOW)).toEqual({
+      state: 'online', score: 80, reasons: ['No heartbeat for 7 minutes']
+    });
+
+    expect(health.evaluate({ ...healthy, isMonitoring: false, agentVersion: '1.3.9' }, NOW)).toEqual({
+      state: 'degraded', score: 40, reasons: ['Monitoring is stopped', 'Agent 1.3.9 is older than 1.4.0']
+    });
+    expect(health.evaluate({ ...healthy, reachable: false }, NOW)).toEqual({
+      state: 'degraded', score: 60, reasons: ['Did not answer the last scan']
+    });
+
+    // Push clients report neither reachability nor monitoring, nor always a version
+    expect(health.evaluate({ ...healthy, reachable: null, isMonitoring: null, agentVersion: null }, NOW).score)
+      .toBe(100);
+    expect(ClientHealth.compareVersions('1.10.0', '1.9.2')).toBe(1);
+    expect(ClientHealth.compareVersions('1.4.0-beta.1', '1.4')).toBe(0);
+  });
+
+  test('should validate thresholds', () => {
+    expect(ClientHealth.validateThresholds({ staleAfter: 5 }))
+      .toEqual({ ...ClientHealth.DEFAULT_THRESHOLDS, staleAfter: 5 });
+    expect(() => ClientHealth.validateThresholds({ staleAfter: 0 })).toThrow('staleAfter must be a positive number');
+    expect(() => ClientHealth.validateThresholds({ offlineAfter: 10 })).toThrow('longer than staleAfter');
+    expect(() => ClientHealth.validateThresholds({ degradedBelow: 101 })).toThrow('from 0 to 100');
+    expect(() => ClientHealth.validateThresholds({ minAgentVersion: 'latest' })).toThrow('minAgentVersion');
+    expect(() => ClientHealth.validateThresholds({ onlineAfter: 5 })).toThrow('Unknown health threshold onlineAfter');
+
+    // A rejected change keeps the previous thresholds
+    expect(() => health.configure({ staleAfter: -1 })).toThrow();
+    expect(health.thresholds.minAgentVersion).toBe('1.4.0');
+  });
+
+  test('should record state changes and pick up where it left off after a restart', async () => {
+    const datastore = createDatastore();
+    await health.setDatastore(datastore);
+    const client = (state, score = 100) => ({ client_id: 'ws-101', state, health: { score, reasons: [] } });
+
+    const [first] = await health.track([client('discovered')], NOW);
+    expect(first).toMatchObject({ from: null, to: 'discovered' });
+    expect(await health.track([client('discovered')], NOW)).toEqual([]);
+    await health.track([client('online')], new Date(NOW.getTime() + 60000));
+
+    const restarted = new ClientHealth();
+    await restarted.setDatastore(datastore);
+    expect(await restarted.track([client('online')])).toEqual([]);
+    const [change] = await restarted.track([client('degraded', 60)], new Date(NOW.getTime() + 120000));
+    expect(change).toMatchObject({ from: 'online', to: 'degraded' });
+
+    const history = await restarted.history('ws-101');
+    expect(history.map(transition => [transition.from, transition.to, transition.score])).toEqual([
+      ['online', 'degraded', 60], ['discovered', 'online', 100], [null, 'discovered', 100]
+    ]);
+    expect(await restarted.history('ws-101', 1)).toHaveLength(1);
+
+    // Older than historyDays (90)
+    expect(await restarted.prune(new Date(NOW.getTime() + 90 * 24 * 60 * 60 * 1000 + 90000))).toBe(2);
+    await restarted.forget('ws-101');
+    expect(await restarted.history('ws-101')).toEqual([]);
+    expect((await restarted.track([client('online')]))[0].from).toBeNull();
+  });
+});
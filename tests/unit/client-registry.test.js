@@ -0,0 +1,129 @@
+// tests/unit/client-registry.test.js
+const ClientRegistry = require('../../src/main/client-registry');
+const EnterprisePullClient = require('../../src/main/enterprise-pull-client');
+const DataManager = require('../../src/main/data-manager');
+const { createDatastore } = require('../fixtures/memory-datastore');
+
+const NOW = new Date('2026-10-19T09:00:00.000Z');
+const LATER = new Date('2026-10-19T09:05:00.000Z');
+
+describe('ClientRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ClientRegistry(createDatastore());
+  });
+
+  test('should normalize tags and reject unknown changes', () => {
+    expect(ClientRegistry.normalizeTags([' Render ', 'render', 'GPU', ''])).toEqual(['gpu', 'render']);
+    expect(() => ClientRegistry.normalizeTags('gpu')).toThrow('Tags must be a list');
+    expect(ClientRegistry.validateChanges({ displayName: ' ', department: '' }))
+      .toEqual({ displayName: null, department: 'Unknown' });
+    expect(() => ClientRegistry.validateChanges({ status: 'active' })).toThrow('Cannot change status');
+  });
+
+  test('should register discovered clients and only refresh liveness on heartbeat', async () => {
+    await registry.heartbeat('ws-101', { ip: '10.0.0.5', department: 'VFX', connectionMode: 'pull' }, NOW);
+    await registry.update('ws-101', { displayName: 'Comp Suite 1', department: 'Compositing', tags: ['Nuke'] });
+
+    const record = await registry.heartbeat('ws-101', {
+      ip: '10.0.0.9', hostname: 'comp-01', department: 'VFX', connectionMode: 'bogus'
+    }, LATER);
+
+    expect(record).toMatchObject({
+      clientId: 'ws-101',
+      hostname: 'comp-01',
+      ip: '10.0.0.9',
+      displayName: 'Comp Suite 1',
+      department: 'Compositing',
+      tags: ['nuke'],
+      connectionMode: 'pull',
+      registeredAt: NOW.toISOString(),
+      lastSeen: LATER.toISOString()
+    });
+  });
+
+  test('should filter by status, department and tag', async () => {
+    await registry.register({ clientId: 'ws-102', department: 'Edit', tags: ['gpu'] }, NOW);
+    await registry.register({ clientId: 'ws-101', department: 'VFX', tags: ['GPU', 'render'] }, NOW);
+    await registry.register({ clientId: 'ws-103', department: 'VFX' }, NOW);
+    await registry.decommission('ws-103', LATER);
+
+    const ids = records => records.map(record => record.clientId);
+    expect(ids(await registry.list())).toEqual(['ws-101', 'ws-102']);
+    expect(ids(await registry.list({ status: 'all', department: 'VFX' }))).toEqual(['ws-101', 'ws-103']);
+    expect(ids(await registry.list({ tag: 'GPU' }))).toEqual(['ws-101', 'ws-102']);
+    expect(ids(await registry.list({ status: 'decommissioned' }))).toEqual(['ws-103']);
+    await expect(registry.list({ status: 'retired' })).rejects.toThrow('Invalid status "retired"');
+  });
+
+  test('should reactivate a decommissioned client on registration', async () => {
+    await registry.register({ clientId: 'ws-101', displayName: 'Edit Bay' }, NOW);
+    expect(await registry.decommission('ws-101', NOW)).toMatchObject({ status: 'decommissioned' });
+
+    const { record, created } = await registry.register({ clientId: 'ws-101' }, LATER);
+    expect(created).toBe(false);
+    expect(record).toMatchObject({ status: 'active', decommissionedAt: null, displayName: 'Edit Bay' });
+    await expect(registry.register({ clientId: ' ' })).rejects.toThrow('Registration needs a clientId');
+  });
+
+  test('should report unknown clients as missing', async () => {
+    expect(await registry.update('ws-404', { displayName: 'x' })).toBeNull();
+    expect(await registry.decommission('ws-404')).toBeNull();
+    expect(await registry.remove('ws-404')).toBe(false);
+  });
+});
+
+describe('EnterprisePullClient with a client registry', () => {
+  let dataManager;
+  let pullClient;
+  let registry;
+
+  beforeEach(async () => {
+    dataManager = new DataManager({ dataDir: '/tmp/client-registry' });
+    jest.spyOn(dataManager, 'saveData').mockResolvedValue();
+    pullClient = new EnterprisePullClient(dataManager);
+    registry = new ClientRegistry(createDatastore());
+    pullClient.setRegistry(registry);
+
+    // Known from an earlier session: only the registry and stored data remain after a restart
+    await registry.heartbeat('ws-101', { ip: '10.0.0.5', department: 'VFX', connectionMode: 'pull' }, NOW);
+    await registry.update('ws-101', { displayName: 'Comp Suite 1', department: 'Compositing' });
+    dataManager.usageData.enterpriseClients = {
+      'ws-101': { ip: '10.0.0.5', lastUpdate: NOW.toISOString(), applications: [{ name: 'Nuke', total_usage: 90 }] }
+    };
+  });
+
+  test('should list registered clients that are not currently reachable', async () => {
+    const [client] = await pullClient.getAllClients();
+
+    expect(client).toMatchObject({
+      client_id: 'ws-101',
+      display_name: 'Comp Suite 1',
+      department: 'Compositing',
+      ip_address: '10.0.0.5',
+      connection_mode: 'pull',
+      status: 'active',
+      is_online: false,
+      first_seen: NOW.toISOString()
+    });
+    expect(client.latest_usage.applications).toHaveProperty('Nuke');
+  });
+
+  test('should leave decommissioned clients out unless asked for', async () => {
+    await registry.decommission('ws-101', LATER);
+
+    expect(await pullClient.getAllClients()).toEqual([]);
+    const [client] = await pullClient.getAllClients({ status: 'decommissioned' });
+    expect(client).toMatchObject({ status: 'decommissioned', decommissioned_at: LATER.toISOString() });
+    expect((await pullClient.getClientById('ws-101')).client.client_id).toBe('ws-101');
+  });
+
+  test('should forget stored data for a deleted client', async () => {
+    await registry.remove('ws-101');
+    await pullClient.forgetClient('ws-101');
+
+    expect(await pullClient.getClientById('ws-101')).toBeNull();
+    expect(dataManager.usageData.enterpriseClients).toEqual({});
+  });
+});
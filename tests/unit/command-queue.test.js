@@ -0,0 +1,82 @@
+// tests/unit/command-queue.test.js
+const CommandQueue = require('../../src/main/command-queue');
+const { createDatastore } = require('../fixtures/memory-datastore');
+
+const at = (minutes = 0) => new Date(Date.parse('2026-10-19T09:00:00.000Z') + minutes * 60 * 1000);
+
+describe('CommandQueue', () => {
+  let send;
+  let queue;
+
+  beforeEach(() => {
+    send = jest.fn();
+    queue = new CommandQueue({ datastore: createDatastore(), send });
+  });
+
+  test('should validate commands before queueing them', async () => {
+    await expect(queue.enqueue('ws-101', { command: 'reboot' }, 'api-key:Admin')).rejects.toThrow('Unknown command');
+    await expect(queue.enqueue('ws-101', { command: 'force-upload', ttlMinutes: 0 }, 'api-key:Admin'))
+      .rejects.toThrow('ttlMinutes must be a number of minutes up to 10080');
+
+    const command = await queue.enqueue('ws-101', { command: 'force-upload' }, 'api-key:Admin', at());
+    expect(command).toMatchObject({
+      clientId: 'ws-101',
+      command: 'force-upload',
+      params: {},
+      status: 'queued',
+      requestedBy: 'api-key:Admin',
+      expiresAt: at(60).toISOString()
+    });
+    expect(await queue.list('ws-101')).toEqual([command]);
+    expect(await queue.get('ws-102', command._id)).toBeNull();
+  });
+
+  test('should keep commands queued while the client is unreachable, then record its outcome', async () => {
+    const first = await queue.enqueue('ws-101', { command: 'stop-monitoring' }, 'api-key:Admin', at());
+    const second = await queue.enqueue('ws-101', {
+      command: 'set-interval', params: { monitoringInterval: 30000 }
+    }, 'api-key:Admin', at(1));
+
+    send.mockRejectedValue(new Error('Client is not reachable by the scanner'));
+    await queue.processDue(at(2));
+    const waiting = await queue.get('ws-101', first._id);
+    expect(waiting).toMatchObject({ status: 'queued', lastError: 'Client is not reachable by the scanner' });
+    expect(waiting.attempts).toHaveLength(1);
+
+    send.mockReset();
+    send.mockResolvedValueOnce({ status: 'succeeded', result: { isMonitoring: false }, error: null });
+    send.mockResolvedValueOnce({ status: 'failed', result: null, error: 'Config is read-only' });
+    const attempted = await queue.processDue(at(3));
+
+    // In the order they were queued
+    expect(send.mock.calls.map(([command]) => command._id)).toEqual([first._id, second._id]);
+    expect(attempted.map(command => command.status)).toEqual(['succeeded', 'failed']);
+    expect(await queue.get('ws-101', first._id)).toMatchObject({
+      status: 'succeeded', result: { isMonitoring: false }, lastError: null, finishedAt: at(3).toISOString()
+    });
+    expect((await queue.get('ws-101', second._id)).error).toBe('Config is read-only');
+    expect((await queue.list('ws-101', { status: 'failed' })).map(command => command._id)).toEqual([second._id]);
+    await expect(queue.list('ws-101', { status: 'lost' })).rejects.toThrow('Invalid status "lost"');
+  });
+
+  test('should expire and cancel commands that were not sent', async () => {
+    const expiring = await queue.enqueue('ws-101', { command: 'force-upload', ttlMinutes: 5 }, 'api-key:Admin', at());
+    const cancelled = await queue.enqueue('ws-101', { command: 'collect-diagnostics' }, 'api-key:Admin', at());
+
+    expect(await queue.cancel('ws-101', cancelled._id, at(1))).toMatchObject({ status: 'cancelled' });
+    await expect(queue.cancel('ws-101', cancelled._id))
+      .rejects.toThrow('Command is cancelled and can no longer be cancelled');
+    expect(await queue.cancel('ws-101', 'missing')).toBeNull();
+
+    send.mockRejectedValue(new Error('Client is not reachable by the scanner'));
+    expect(await queue.processDue(at(5))).toEqual([]);
+    expect(await queue.get('ws-101', expiring._id))
+      .toMatchObject({ status: 'expired', error: 'Client was not reachable' });
+    expect(send).not.toHaveBeenCalled();
+
+    // Finished commands leave after 30 days; forget() drops the rest
+    expect(await queue.prune(at(30 * 24 * 60 + 10))).toBe(2);
+    await queue.enqueue('ws-101', { command: 'force-upload' }, 'api-key:Admin');
+    expect(await queue.forget('ws-101')).toBe(1);
+  });
+});
@@ -0,0 +1,62 @@
+// tests/unit/command-signer.test.js
+// loadOrCreate writes real key files, so bypass the fs mock from setup.js
+jest.unmock('fs');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommandSigner = require('../../src/main/command-signer');
+
+describe('CommandSigner', () => {
+  const now = Date.parse('2026-10-19T09:00:00.000Z');
+  const command = {
+    id: 'c1',
+    clientId: 'ws-101',
+    command: 'update-signatures',
+    params: { catalog: { version: 2 } },
+    expiresAt: '2026-10-19T10:00:00.000Z'
+  };
+  let signer;
+  let client;
+
+  beforeEach(() => {
+    signer = new CommandSigner(CommandSigner.generateKeys());
+    client = new CommandSigner({ publicKey: signer.getPublicKey() });
+  });
+
+  test('should verify commands signed for this client until they expire', () => {
+    const signed = signer.sign(command);
+
+    expect(() => client.verify(signed, 'ws-101', now)).not.toThrow();
+    expect(() => client.verify(signed, 'ws-102', now)).toThrow('Command was signed for another client');
+    expect(() => client.verify(signed, 'ws-101', Date.parse(command.expiresAt))).toThrow('Command has expired');
+  });
+
+  test('should reject unsigned, altered and foreign commands', () => {
+    const signed = signer.sign(command);
+    const other = new CommandSigner(CommandSigner.generateKeys());
+
+    expect(() => client.verify(command, 'ws-101', now)).toThrow('Command signature is invalid');
+    expect(() => client.verify({ ...signed, command: 'stop-monitoring' }, 'ws-101', now))
+      .toThrow('Command signature is invalid');
+    expect(() => client.verify({ ...signed, clientId: 'ws-102' }, 'ws-102', now))
+      .toThrow('Command signature is invalid');
+    expect(() => client.verify(other.sign(command), 'ws-101', now)).toThrow('Command signature is invalid');
+    expect(() => client.sign(command)).toThrow('Only the enterprise side can sign commands');
+  });
+
+  test('should keep the key pair it creates', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'command-signer-'));
+    try {
+      const created = await CommandSigner.loadOrCreate(dir);
+      const loaded = await CommandSigner.loadOrCreate(dir);
+
+      expect(loaded.getPublicKey()).toBe(created.getPublicKey());
+      expect(fs.readFileSync(path.join(dir, CommandSigner.PUBLIC_KEY_FILE), 'utf8')).toBe(created.getPublicKey());
+      expect(() => new CommandSigner({ publicKey: created.getPublicKey() }).verify(loaded.sign(command), 'ws-101', now))
+        .not.toThrow();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,54 @@
+// tests/unit/dns-packet.test.js
+const DnsPacket = require('../../src/main/dns-packet');
+
+describe('DnsPacket', () => {
+  test('should round-trip the records DNS-SD uses', () => {
+    const instance = { name: 'pc-01._esm-client._tcp.local', ttl: 4500, flush: true };
+    const packet = {
+      id: 7,
+      response: true,
+      questions: [{ name: '_esm-client._tcp.local', type: 'PTR', unicast: true }],
+      answers: [{ name: '_esm-client._tcp.local', type: 'PTR', ttl: 4500, data: 'pc-01._esm-client._tcp.local' }],
+      additionals: [
+        { ...instance, type: 'SRV', data: { port: 9876, target: 'pc-01.local' } },
+        { ...instance, type: 'TXT', data: { clientId: 'pc.01', department: 'Design' } },
+        { name: 'pc-01.local', type: 'A', ttl: 120, flush: true, data: '10.0.0.5' }
+      ]
+    };
+
+    const decoded = DnsPacket.decode(DnsPacket.encode(packet));
+
+    expect(decoded).toMatchObject({ id: 7, response: true, questions: packet.questions, authorities: [] });
+    expect(decoded.answers).toEqual([{ ...packet.answers[0], flush: false }]);
+    expect(decoded.additionals).toEqual([
+      { ...packet.additionals[0], data: { priority: 0, weight: 0, port: 9876, target: 'pc-01.local' } },
+      packet.additionals[1],
+      packet.additionals[2]
+    ]);
+  });
+
+  test('should follow compression pointers', () => {
+    // Answer to "_esm-client._tcp.local PTR" whose name and data point back into the question
+    const question = Buffer.concat([DnsPacket.encodeName('_esm-client._tcp.local'), DnsPacket.uint16(12, 1)]);
+    const data = Buffer.concat([Buffer.from([5]), Buffer.from('pc-02'), Buffer.from([0xc0, 12])]);
+    const answer = Buffer.concat([
+      Buffer.from([0xc0, 12]), DnsPacket.uint16(12, 1), Buffer.from([0, 0, 0, 10]), DnsPacket.uint16(data.length), data
+    ]);
+    const header = DnsPacket.uint16(0, 0x8400, 1, 1, 0, 0);
+
+    const decoded = DnsPacket.decode(Buffer.concat([header, question, answer]));
+
+    expect(decoded.answers).toEqual([
+      { name: '_esm-client._tcp.local', type: 'PTR', flush: false, ttl: 10, data: 'pc-02._esm-client._tcp.local' }
+    ]);
+  });
+
+  test('should reject malformed messages', () => {
+    const header = DnsPacket.uint16(0, 0, 1, 0, 0, 0);
+
+    expect(() => DnsPacket.decode(Buffer.alloc(5))).toThrow('shorter than its header');
+    expect(() => DnsPacket.decode(Buffer.concat([header, Buffer.from([5, 97])]))).toThrow('truncated');
+    expect(() => DnsPacket.decode(Buffer.concat([header, Buffer.from([0xc0, 12])]))).toThrow('compression loop');
+    expect(() => DnsPacket.encodeName(`${'x'.repeat(64)}.local`)).toThrow('longer than 63 bytes');
+  });
+});
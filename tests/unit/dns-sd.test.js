@@ -0,0 +1,105 @@
+// tests/unit/dns-sd.test.js
+const dgram = require('dgram');
+const DnsSd = require('../../src/main/dns-sd');
+const DnsPacket = require('../../src/main/dns-packet');
+const freeUdpPort = require('../fixtures/free-udp-port');
+
+const TYPE = DnsSd.CLIENT_SERVICE_TYPE;
+const basic = { type: TYPE, port: 9876 };
+
+describe('DnsSd', () => {
+  let instances;
+  let port;
+
+  const start = async () => {
+    const instance = new DnsSd({ port, interface: '127.0.0.1' });
+    await instance.start();
+    instances.push(instance);
+    return instance;
+  };
+
+  beforeEach(async () => {
+    instances = [];
+    port = await freeUdpPort();
+  });
+
+  afterEach(async () => {
+    await Promise.all(instances.map(instance => instance.stop()));
+  });
+
+  test('should find services advertised by two responders on loopback', async () => {
+    const first = await start();
+    const second = await start();
+    const browser = await start();
+    await first.advertise({
+      name: 'design-01',
+      type: TYPE,
+      port: 9876,
+      addresses: ['127.0.0.2'],
+      txt: { clientId: 'design-01', department: 'Design', version: '1.0.0' }
+    });
+    await second.advertise({
+      name: 'eng.ws-7',
+      type: TYPE,
+      port: 9877,
+      addresses: ['127.0.0.3'],
+      txt: { clientId: 'eng.ws-7', department: 'Engineering', version: '1.1.0' }
+    });
+
+    const services = await browser.browse(TYPE, { timeout: 200 });
+
+    expect(services.sort((a, b) => a.port - b.port)).toEqual([
+      {
+        name: 'design-01',
+        fqdn: 'design-01._esm-client._tcp.local',
+        host: 'design-01.local',
+        port: 9876,
+        addresses: ['127.0.0.2'],
+        txt: { clientId: 'design-01', department: 'Design', version: '1.0.0' }
+      },
+      {
+        // Dots in the name would split the instance label
+        name: 'eng-ws-7',
+        fqdn: 'eng-ws-7._esm-client._tcp.local',
+        host: 'eng-ws-7.local',
+        port: 9877,
+        addresses: ['127.0.0.3'],
+        txt: { clientId: 'eng.ws-7', department: 'Engineering', version: '1.1.0' }
+      }
+    ]);
+    expect(await browser.browse('_other._tcp', { timeout: 50 })).toEqual([]);
+  });
+
+  test('should stop answering for a responder that said goodbye', async () => {
+    const first = await start();
+    const second = await start();
+    const browser = await start();
+    await first.advertise({ ...basic, name: 'a', addresses: ['127.0.0.2'] });
+    await second.advertise({ ...basic, name: 'b', addresses: ['127.0.0.3'] });
+    expect(await browser.browse(TYPE, { timeout: 200 })).toHaveLength(2);
+
+    await second.stop();
+
+    const services = await browser.browse(TYPE, { timeout: 200 });
+    expect(services.map(service => service.name)).toEqual(['a']);
+  });
+
+  test('should answer plain resolvers by unicast with their id and question', async () => {
+    const responder = await start();
+    await responder.advertise({ ...basic, name: 'a', addresses: ['127.0.0.2'] });
+    const resolver = dgram.createSocket('udp4');
+    await new Promise(resolve => {
+      resolver.bind(0, '127.0.0.1', resolve);
+    });
+
+    const reply = new Promise(resolve => {
+      resolver.once('message', message => resolve(DnsPacket.decode(message)));
+    });
+    resolver.send(DnsPacket.encode({ id: 42, questions: [{ name: 'a.local', type: 'A' }] }), port, '127.0.0.1');
+    const packet = await reply;
+    resolver.close();
+
+    expect(packet).toMatchObject({ id: 42, response: true, questions: [{ name: 'a.local', type: 'A' }] });
+    expect(packet.answers).toEqual([expect.objectContaining({ name: 'a.local', type: 'A', data: '127.0.0.2' })]);
+  });
+});
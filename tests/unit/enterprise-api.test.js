@@ -0,0 +1,437 @@
+// tests/unit/enterprise-api.test.js
+// Contract tests: runs the enterprise server over HTTP (and push ingest over HTTPS) on
+// in-memory datastores and checks every response against the OpenAPI document it serves
+const os = require('os');
+const https = require('https');
+const path = require('path');
+const fsSync = require('fs');
+const fetch = require('node-fetch');
+const { app: electronApp } = require('electron');
+// Required before the server, whose datastores it backs
+const mockMemoryDatastore = require('../fixtures/memory-datastore');
+const EnterpriseServer = require('../../src/main/enterprise-server');
+const EnterprisePullClient = require('../../src/main/enterprise-pull-client');
+const OpenApiValidator = require('../../src/main/openapi-validator');
+const SecureChannel = require('../../src/main/secure-channel');
+const SelfSignedCertificate = require('../../src/main/self-signed-certificate');
+const UsagePushAgent = require('../../src/main/usage-push-agent');
+const spec = require('../../src/main/openapi-spec');
+
+// The audit log and enterprise config are written to a real temporary directory
+jest.unmock('fs');
+jest.mock('nedb', () => function Datastore() {
+  return mockMemoryDatastore.createDatastore();
+}, { virtual: true });
+
+const ADMIN_KEY = process.env.ENTERPRISE_API_KEY;
+const validator = new OpenApiValidator(spec);
+// "METHOD /template" of each operation a test has called
+const exercised = new Set();
+
+describe('Enterprise API contract', () => {
+  let userData;
+  let server;
+  let baseUrl;
+  let tlsUrl;
+  let tlsAgent;
+  let channel;
+
+  // Calls the API and checks the status and body against the document
+  async function call(method, url, options = {}) {
+    const headers = { ...options.headers };
+    if (options.key !== null) headers['X-API-Key'] = options.key || ADMIN_KEY;
+    if (options.body !== undefined) headers['Content-Type'] = 'application/json';
+
+    // Event streams stay open until the request is aborted
+    const controller = new AbortController();
+    const response = await fetch(`${options.tls ? tlsUrl : baseUrl}${url}`, {
+      method,
+      headers,
+      body: options.body === undefined ? undefined : JSON.stringify(options.body),
+      signal: controller.signal,
+      agent: options.tls ? tlsAgent : undefined
+    });
+    const found = validator.match(method, new URL(url, baseUrl).pathname);
+    expect(found).not.toBeNull();
+    exercised.add(`${method} ${found.template}`);
+
+    const status = String(response.status);
+    const documented = found.operation.responses[status];
+    if (!documented) {
+      throw new Error(`${method} ${url} answered ${status}, which the spec does not document`);
+    }
+
+    const type = (response.headers.get('content-type') || '').split(';')[0];
+    expect(Object.keys(documented.content || {})).toContain(type);
+    if (type === 'text/event-stream') {
+      controller.abort();
+      return { status: response.status, headers: response.headers };
+    }
+    if (type !== 'application/json') {
+      return { status: response.status, headers: response.headers, body: await response.buffer() };
+    }
+
+    const body = await response.json();
+    expect(validator.validate(documented.content[type].schema, body, 'response')).toEqual([]);
+    return { status: response.status, headers: response.headers, body };
+  }
+
+  beforeAll(async () => {
+    userData = fsSync.mkdtempSync(path.join(os.tmpdir(), 'enterprise-api-'));
+    electronApp.getPath.mockReturnValue(userData);
+
+    const dataManager = { usageData: { metadata: {}, enterpriseClients: {} }, saveData: jest.fn(async () => {}) };
+    const pullClient = new EnterprisePullClient(dataManager);
+    pullClient.config.enrollmentToken = SecureChannel.generateToken();
+    jest.spyOn(pullClient, 'scanNow').mockResolvedValue();
+    channel = new SecureChannel({ token: pullClient.config.enrollmentToken });
+
+    server = new EnterpriseServer(pullClient, dataManager);
+    await server.ready;
+    await new Promise(resolve => {
+      server.server = server.app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+
+    server.certificate = SelfSignedCertificate.generate({ commonName: 'localhost' });
+    tlsAgent = UsagePushAgent.pinnedAgent(server.certificate.cert);
+    server.tlsServer = https.createServer({ key: server.certificate.key, cert: server.certificate.cert }, server.app);
+    await new Promise(resolve => {
+      server.tlsServer.listen(0, '127.0.0.1', resolve);
+    });
+    tlsUrl = `https://127.0.0.1:${server.tlsServer.address().port}`;
+  });
+
+  afterAll(async () => {
+    const closed = new Promise(resolve => {
+      server.server.on('close', resolve);
+    });
+    server.stop();
+    await closed;
+    fsSync.rmSync(userData, { recursive: true, force: true });
+    electronApp.getPath.mockReset();
+  });
+
+  test('should serve the document without a key, with this server as its address', async () => {
+    const { body } = await call('GET', '/api/openapi.json', { key: null });
+    expect(body.openapi).toBe('3.0.3');
+    expect(body.servers).toEqual([{ url: baseUrl }]);
+    expect(Object.keys(body.paths)).toEqual(Object.keys(spec.paths));
+
+    const { body: health } = await call('GET', '/health', { key: null });
+    expect(health.status).toBe('healthy');
+  });
+
+  test('should reject requests that do not match the document before the route runs', async () => {
+    const badScope = await call('POST', '/api/keys', { body: { name: 'Reports', scopes: ['root'] } });
+    expect(badScope.status).toBe(400);
+    expect(badScope.body.error)
+      .toBe('Invalid request: body.scopes[0] must be one of: read-reports, manage-clients, admin');
+
+    const badLimit = await call('GET', '/api/alerts?limit=0');
+    expect(badLimit.body.details).toEqual(['query.limit must be at least 1']);
+
+    const badDimension = await call('GET', '/api/history/hosts');
+    expect(badDimension.status).toBe(400);
+
+    const noKey = await call('GET', '/api/clients', { key: 'not-a-key' });
+    expect(noKey.status).toBe(403);
+  });
+
+  test('should register, change, retire and forget clients', async () => {
+    const created = await call('POST', '/api/clients', {
+      body: { clientId: 'ws-101', department: 'VFX', tags: ['gpu'], hostname: 'ws-101.local' }
+    });
+    expect(created.status).toBe(201);
+    await call('POST', '/api/clients', { body: { clientId: 'ws-102', department: 'Edit' } });
+
+    const { body: clients } = await call('GET', '/api/clients?department=VFX');
+    expect(clients.map(client => client.client_id)).toEqual(['ws-101']);
+    expect((await call('GET', '/api/clients/ws-101')).body.client.tags).toEqual(['gpu']);
+    expect((await call('GET', '/api/clients/ws-999')).status).toBe(404);
+
+    const renamed = await call('PATCH', '/api/clients/ws-101', { body: { displayName: 'Comp 1' } });
+    expect(renamed.body.displayName).toBe('Comp 1');
+    const unknownField = await call('PATCH', '/api/clients/ws-101', { body: { status: 'active' } });
+    expect(unknownField.body.error).toBe('Invalid request: body.status is not allowed');
+
+    await call('POST', '/api/clients/ws-101/heartbeat', { body: { platform: 'linux', agentVersion: '1.4.0' } });
+    expect((await call('POST', '/api/clients/ws-102/decommission')).body.status).toBe('decommissioned');
+    expect((await call('DELETE', '/api/clients/ws-102')).body).toEqual({ success: true });
+  });
+
+  test('should report client health and change its thresholds', async () => {
+    // Registered and heard from, but no usage received yet
+    await server.trackStates(await server.pullClient.getAllClients());
+    const { body: health } = await call('GET', '/api/clients/ws-101/health');
+    expect(health).toMatchObject({ client_id: 'ws-101', state: 'discovered', score: 100, reasons: [] });
+    expect(health.history).toEqual([expect.objectContaining({ from: null, to: 'discovered' })]);
+    expect(health.since).toBe(health.history[0].at);
+    expect((await call('GET', '/api/clients/ws-999/health')).status).toBe(404);
+
+    expect((await call('GET', '/api/health/thresholds')).body).toMatchObject({ staleAfter: 10, minAgentVersion: null });
+    const { body: thresholds } = await call('PUT', '/api/health/thresholds', { body: { minAgentVersion: '1.5.0' } });
+    expect(thresholds).toMatchObject({ staleAfter: 10, offlineAfter: 60, minAgentVersion: '1.5.0' });
+    const { body: [client] } = await call('GET', '/api/clients?department=VFX');
+    expect(client).toMatchObject({
+      state: 'discovered', agent_version: '1.4.0', health: { score: 75, reasons: ['Agent 1.4.0 is older than 1.5.0'] }
+    });
+
+    const invalid = await call('PUT', '/api/health/thresholds', { body: { staleAfter: 90 } });
+    expect(invalid.body.error).toBe('offlineAfter must be longer than staleAfter');
+    await call('PUT', '/api/health/thresholds', { body: {} });
+  });
+
+  test('should queue, track and cancel agent commands', async () => {
+    const queued = await call('POST', '/api/clients/ws-101/commands', {
+      body: { command: 'set-interval', params: { monitoringInterval: 30000 } }
+    });
+    expect(queued.status).toBe(202);
+    expect(queued.body).toMatchObject({ clientId: 'ws-101', status: 'queued', requestedBy: expect.any(String) });
+
+    // The scanner has never reached ws-101, so the command waits
+    await server.commands.processDue();
+    const { body: waiting } = await call('GET', `/api/clients/ws-101/commands/${queued.body._id}`);
+    expect(waiting).toMatchObject({ status: 'queued', lastError: 'Client is not reachable by the scanner' });
+
+    // Without a catalog, the server sends its own
+    const { body: signatures } = await call('POST', '/api/clients/ws-101/commands', {
+      body: { command: 'update-signatures' }
+    });
+    expect(signatures.params.catalog.applications.length).toBeGreaterThan(0);
+
+    const invalid = await call('POST', '/api/clients/ws-101/commands', {
+      body: { command: 'set-interval', params: { monitoringInterval: 1 } }
+    });
+    expect(invalid.body.error).toMatch(/^monitoringInterval must be/);
+    const unknown = await call('POST', '/api/clients/ws-999/commands', { body: { command: 'force-upload' } });
+    expect(unknown.status).toBe(404);
+
+    const cancelled = await call('POST', `/api/clients/ws-101/commands/${queued.body._id}/cancel`);
+    expect(cancelled.body.status).toBe('cancelled');
+    expect((await call('POST', `/api/clients/ws-101/commands/${queued.body._id}/cancel`)).status).toBe(409);
+    expect((await call('GET', '/api/clients/ws-101/commands/missing')).status).toBe(404);
+
+    const { body: commands } = await call('GET', '/api/clients/ws-101/commands?status=queued');
+    expect(commands.map(command => command.command)).toEqual(['update-signatures']);
+  });
+
+  test('should accept signed usage batches over HTTPS and refuse the rest', async () => {
+    const batch = JSON.stringify({
+      clientId: 'ws-101',
+      agentId: 'agent-1',
+      department: 'VFX',
+      records: [{ sequence: 1, applications: [{ name: 'Nuke', total_usage: 3600 }] }]
+    });
+    const headers = {
+      ...channel.signRequest('POST', '/api/ingest', batch),
+      'Content-Type': 'application/json',
+      'Idempotency-Key': 'agent-1:1-1'
+    };
+
+    const response = await fetch(`${tlsUrl}/api/ingest`, {
+      method: 'POST', headers, body: batch, agent: tlsAgent
+    });
+    const result = await response.json();
+    const { responses } = validator.match('POST', '/api/ingest').operation;
+    expect(response.status).toBe(200);
+    expect(validator.validate(responses[200].content['application/json'].schema, result)).toEqual([]);
+    expect(result).toMatchObject({ accepted: 1, duplicates: 0, lastSequence: 1 });
+
+    const unsigned = await call('POST', '/api/ingest', {
+      key: null,
+      tls: true,
+      body: { clientId: 'ws-101', agentId: 'agent-1', records: [] }
+    });
+    expect(unsigned.status).toBe(401);
+    const plain = await call('POST', '/api/ingest', {
+      key: null,
+      body: { clientId: 'ws-101', agentId: 'agent-1', records: [] }
+    });
+    expect(plain.body.error).toMatch(/^Push ingest is only served over HTTPS/);
+
+    // ws-101 now pushes its usage, out of the scanner's reach
+    const command = await call('POST', '/api/clients/ws-101/commands', { body: { command: 'force-upload' } });
+    expect(command.status).toBe(409);
+  });
+
+  test('should report on and export the fleet', async () => {
+    expect((await call('GET', '/api/statistics')).body.total_clients).toBe(1);
+    expect((await call('GET', '/api/departments')).body.map(department => department.department)).toEqual(['VFX']);
+    await call('GET', '/api/software-inventory');
+    await call('GET', '/api/cost-analysis');
+
+    const csv = await call('GET', '/api/export/full-report');
+    expect(csv.headers.get('content-disposition')).toMatch(/\.csv$/);
+    const xlsx = await call('GET', '/api/export/cost-analysis?format=xlsx');
+    expect(xlsx.body.slice(0, 2).toString()).toBe('PK');
+
+    expect((await call('POST', '/api/scan')).body.success).toBe(true);
+    expect(server.pullClient.scanNow).toHaveBeenCalled();
+
+    const live = await call('GET', '/api/live');
+    expect(live.status).toBe(200);
+  });
+
+  test('should configure scan targets and report the last scan per target', async () => {
+    expect((await call('GET', '/api/scan')).body).toMatchObject({ completedAt: null, targets: [] });
+
+    const { body: targets } = await call('PUT', '/api/scan/targets', {
+      body: { targets: ['10.9.0.0/30'], includeLocal: false }
+    });
+    expect(targets).toEqual({ targets: ['10.9.0.0/30'], exclude: [], includeLocal: false, maxConcurrency: 256 });
+    const tooLarge = await call('PUT', '/api/scan/targets', { body: { targets: ['10.0.0.0/8'] } });
+    expect(tooLarge.body.error).toMatch('the limit is 65536 per target');
+    expect((await call('GET', '/api/scan/targets')).body).toEqual(targets);
+
+    // Browsing for advertised clients is on by default; the real scan below only sweeps the target
+    expect((await call('GET', '/api/scan/discovery')).body).toEqual({
+      enabled: true, browseTimeout: 3000, sweepFallback: false
+    });
+    const { body: discovery } = await call('PUT', '/api/scan/discovery', { body: { enabled: false } });
+    expect(discovery).toEqual({ enabled: false, browseTimeout: 3000, sweepFallback: false });
+    const invalid = await call('PUT', '/api/scan/discovery', { body: { browseTimeout: 10 } });
+    expect(invalid.status).toBe(400);
+
+    // A real scan of the configured target, with nothing answering
+    const { scanner } = server.pullClient;
+    jest.spyOn(scanner, 'probeHost').mockResolvedValue('closed');
+    await scanner.performNetworkScan();
+    const { body: lastScan } = await call('GET', '/api/scan');
+    expect(lastScan.targets).toEqual([
+      expect.objectContaining({ target: '10.9.0.0/30', source: 'configured', hosts: 2, probed: 2, closed: 2 })
+    ]);
+  });
+
+  test('should issue, rotate and revoke API keys', async () => {
+    const { body: issued } = await call('POST', '/api/keys', {
+      body: { name: 'Reports', scopes: ['read-reports'], departments: ['VFX'] }
+    });
+    expect((await call('GET', '/api/keys')).body).toHaveLength(2);
+
+    const limited = await call('POST', '/api/scan', { key: issued.key });
+    expect(limited.status).toBe(403);
+
+    const { body: rotated } = await call('POST', `/api/keys/${issued._id}/rotate`);
+    expect(rotated.key).not.toBe(issued.key);
+    expect((await call('POST', `/api/keys/${issued._id}/revoke`)).body.revokedAt).toEqual(expect.any(String));
+    expect((await call('POST', '/api/keys/missing/revoke')).status).toBe(404);
+  });
+
+  test('should keep a verifiable audit trail of the changes', async () => {
+    // Audit entries are written once each response has gone out
+    await server.auditLog.writing;
+
+    const { body: entries } = await call('GET', '/api/audit?limit=5');
+    expect(entries).toHaveLength(5);
+    expect(entries[0].action).toBe('POST /api/keys/:id/revoke');
+    expect((await call('GET', '/api/audit/verify')).body.valid).toBe(true);
+
+    const exported = await call('GET', '/api/audit/export');
+    expect(exported.body.toString().split('\n')[0]).toMatch(/^sequence,timestamp/);
+  });
+
+  test('should manage alert rules, notifiers and alerts', async () => {
+    const { body: rule } = await call('POST', '/api/alerts/rules', {
+      body: { name: 'Offline for an hour', metric: 'minutes_offline', comparator: '>', threshold: 60 }
+    });
+    expect((await call('GET', '/api/alerts/rules')).body.map(item => item._id)).toContain(rule._id);
+    expect((await call('PATCH', `/api/alerts/rules/${rule._id}`, { body: { severity: 'critical' } })).body.severity)
+      .toBe('critical');
+    expect((await call('DELETE', `/api/alerts/rules/${rule._id}`)).body.success).toBe(true);
+
+    // Nothing listens on the discard port, so the test notification fails
+    await call('PUT', '/api/alerts/notifiers', { body: { webhook: { url: 'http://127.0.0.1:9/alerts' } } });
+    expect((await call('GET', '/api/alerts/notifiers')).body.webhook.url).toBe('http://127.0.0.1:9/alerts');
+    const notified = await call('POST', '/api/alerts/notifiers/test', { body: { channel: 'webhook' } });
+    expect(notified.body).toMatchObject({ channel: 'webhook', ok: false });
+    await call('PUT', '/api/alerts/notifiers', { body: { webhook: null } });
+
+    await call('POST', '/api/alerts/check');
+    const { alert } = await server.getAlerts().raise({
+      clientId: 'ws-101', type: 'license_expiring', message: 'Nuke license expires in 7 days'
+    });
+    expect((await call('GET', '/api/alerts?severity=warning')).body.map(item => item._id)).toEqual([alert._id]);
+    expect((await call('GET', `/api/alerts/${alert._id}`)).body.status).toBe('open');
+    expect((await call('POST', `/api/alerts/${alert._id}/acknowledge`, { body: { note: 'Renewing' } })).body.status)
+      .toBe('acknowledged');
+    expect((await call('POST', `/api/alerts/${alert._id}/snooze`, { body: { minutes: 30 } })).body.status)
+      .toBe('snoozed');
+    expect((await call('POST', `/api/alerts/${alert._id}/resolve`)).body.status).toBe('resolved');
+    expect((await call('DELETE', `/api/alerts/${alert._id}`)).body.success).toBe(true);
+    expect((await call('GET', `/api/alerts/${alert._id}`)).status).toBe(404);
+  });
+
+  test('should only check alert rules against clients the key can see', async () => {
+    const { body: rule } = await call('POST', '/api/alerts/rules', {
+      body: { name: 'Heard from', metric: 'minutes_offline', comparator: '>=', threshold: 0, severity: 'critical' }
+    });
+    const { body: editKey } = await call('POST', '/api/keys', {
+      body: { name: 'Edit desk', scopes: ['read-reports', 'manage-clients'], departments: ['Edit'] }
+    });
+
+    // ws-101 is in VFX, so the Edit key's check neither raises nor reports its alert
+    expect((await call('POST', '/api/alerts/check', { key: editKey.key })).body).toEqual({ notified: 0, resolved: 0 });
+    expect((await call('POST', '/api/alerts/check')).body).toEqual({ notified: 1, resolved: 0 });
+
+    const { body: [alert] } = await call('GET', '/api/alerts?severity=critical');
+    expect(alert).toMatchObject({ client_id: 'ws-101', rule_id: rule._id });
+    expect((await call('GET', `/api/alerts/${alert._id}`, { key: editKey.key })).status).toBe(404);
+
+    await call('DELETE', `/api/alerts/rules/${rule._id}`);
+    await call('DELETE', `/api/alerts/${alert._id}`);
+    await call('POST', `/api/keys/${editKey._id}/revoke`);
+  });
+
+  test('should show server alerts to department-limited keys', async () => {
+    const { body: editKey } = await call('POST', '/api/keys', {
+      body: { name: 'Edit renewals', scopes: ['read-reports'], departments: ['Edit'] }
+    });
+    const alert = await server.createServerAlert('renewal', 'Nuke renews in 30 days', { key: 'nuke@2026-11-18' });
+    expect(alert.client_id).toBeNull();
+
+    const { body: alerts } = await call('GET', '/api/alerts?type=renewal', { key: editKey.key });
+    expect(alerts.map(item => item._id)).toEqual([alert._id]);
+    expect((await call('GET', `/api/alerts/${alert._id}`, { key: editKey.key })).body.message)
+      .toBe('Nuke renews in 30 days');
+
+    await call('DELETE', `/api/alerts/${alert._id}`);
+    await call('POST', `/api/keys/${editKey._id}/revoke`);
+  });
+
+  test('should serve usage history and its retention', async () => {
+    const { body: history } = await call('GET', '/api/history/applications?resolution=hour&department=VFX');
+    expect(history).toMatchObject({ dimension: 'applications', resolution: 'hour' });
+
+    await call('GET', '/api/history/retention');
+    const { body: retention } = await call('PUT', '/api/history/retention', { body: { rawDays: 30 } });
+    expect(retention.rawDays).toBe(30);
+  });
+
+  test('should manage webhooks and their deliveries', async () => {
+    expect((await call('GET', '/api/webhooks/events')).body).toContain('alert.raised');
+
+    const { body: webhook } = await call('POST', '/api/webhooks', {
+      body: { name: 'SIEM', url: 'http://127.0.0.1:9/hook', events: ['alert.raised'] }
+    });
+    expect(webhook.secret).toMatch(/^whsec_/);
+    expect((await call('GET', '/api/webhooks')).body[0].secret).toBeUndefined();
+    await call('PATCH', `/api/webhooks/${webhook._id}`, { body: { headers: { 'X-Team': 'IT' } } });
+
+    const { body: delivery } = await call('POST', `/api/webhooks/${webhook._id}/test`);
+    expect(delivery.event).toBe('webhook.ping');
+    expect((await call('GET', `/api/webhooks/deliveries?subscriptionId=${webhook._id}`)).body).toHaveLength(1);
+    expect((await call('GET', `/api/webhooks/deliveries/${delivery._id}`)).body._id).toBe(delivery._id);
+    expect((await call('POST', `/api/webhooks/deliveries/${delivery._id}/redeliver`)).status).toBe(202);
+    expect((await call('GET', '/api/webhooks/deliveries/missing')).status).toBe(404);
+
+    expect((await call('DELETE', `/api/webhooks/${webhook._id}`)).body.success).toBe(true);
+  });
+
+  test('should have exercised every operation in the document', () => {
+    const documented = Object.entries(spec.paths).flatMap(([template, pathItem]) => (
+      Object.keys(pathItem).map(method => `${method.toUpperCase()} ${template}`)
+    ));
+    expect(documented.filter(operation => !exercised.has(operation))).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+// tests/unit/enterprise-pull-client.test.js
+const EnterprisePullClient = require('../../src/main/enterprise-pull-client');
+const UsageDelta = require('../../src/main/usage-delta');
+
+const app = (name, totalUsage, sessions) => ({ name, total_usage: totalUsage, sessions });
+const session = (startTime, endTime) => ({ startTime, endTime, duration: 1 });
+
+describe('EnterprisePullClient', () => {
+  let pullClient;
+  let dataManager;
+
+  beforeEach(() => {
+    dataManager = { usageData: {}, saveData: jest.fn().mockResolvedValue() };
+    pullClient = new EnterprisePullClient(dataManager);
+  });
+
+  describe('storeClientData', () => {
+    const full = {
+      version: 1,
+      cursor: 'e1.4',
+      since: null,
+      full: true,
+      clientId: 'ws-101',
+      timestamp: '2026-10-19T09:00:00.000Z',
+      applications: [app('Nuke', 4, [session('2026-10-19T08:00:00.000Z', '2026-10-19T08:30:00.000Z')])],
+      plugins: []
+    };
+    const next = {
+      ...full,
+      cursor: 'e1.6',
+      since: 'e1.4',
+      full: false,
+      timestamp: '2026-10-19T09:10:00.000Z',
+      applications: [app('Maya', 1, [session('2026-10-19T09:10:00.000Z', '2026-10-19T09:10:00.000Z')])]
+    };
+    const stored = () => dataManager.usageData.enterpriseClients['ws-101'];
+
+    test('should merge a delta that continues from the stored cursor', async () => {
+      const data = UsageDelta.merge(undefined, full);
+      await pullClient.storeClientData({ clientId: 'ws-101', ip: '10.0.0.5', data, delta: full });
+      expect(stored()).toMatchObject({ syncCursor: 'e1.4', ip: '10.0.0.5' });
+
+      // data is what the scanner holds; the stored copy is built from the delta
+      await pullClient.storeClientData({ clientId: 'ws-101', ip: '10.0.0.5', data: { applications: [] }, delta: next });
+
+      expect(stored()).toMatchObject({ syncCursor: 'e1.6', timestamp: '2026-10-19T09:10:00.000Z' });
+      expect(stored().applications.map(item => item.name)).toEqual(['Nuke', 'Maya']);
+      expect(stored()).not.toHaveProperty('cursor');
+      expect(dataManager.saveData).toHaveBeenCalledTimes(2);
+    });
+
+    test('should replace the stored copy after a gap or without a delta', async () => {
+      dataManager.usageData.enterpriseClients = {
+        'ws-101': { syncCursor: 'e1.2', applications: [app('Old', 1, [])] }
+      };
+      const scanned = { applications: [app('Nuke', 5, []), app('Maya', 1, [])] };
+
+      await pullClient.storeClientData({ clientId: 'ws-101', ip: '10.0.0.5', data: scanned, delta: next });
+      expect(stored().applications).toEqual(scanned.applications);
+      expect(stored().syncCursor).toBe('e1.6');
+
+      await pullClient.storeClientData({ clientId: 'ws-101', ip: '10.0.0.5', data: { applications: [] } });
+      expect(stored()).toMatchObject({ applications: [], ip: '10.0.0.5' });
+      expect(stored()).not.toHaveProperty('syncCursor');
+    });
+  });
+});
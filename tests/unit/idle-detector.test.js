@@ -0,0 +1,249 @@
+// tests/unit/idle-detector.test.js
+// MonitoringService loads the bundled signature catalog, so bypass the fs mock from setup.js
+jest.unmock('fs');
+
+const { exec } = require('child_process');
+const IdleDetector = require('../../src/main/idle-detector');
+const MockIdleProvider = require('../../src/main/mock-idle-provider');
+const MonitoringService = require('../../src/main/monitoring');
+const DataManager = require('../../src/main/data-manager');
+
+describe('IdleDetector', () => {
+  test('should treat input within the threshold as active', () => {
+    const provider = new MockIdleProvider(60);
+    const detector = new IdleDetector({ provider, activeThreshold: 5 });
+
+    expect(detector.getState()).toEqual({ idleSeconds: 60, userActive: true, activeThreshold: 5 });
+
+    provider.setIdleTime(301);
+    expect(detector.getState().userActive).toBe(false);
+  });
+
+  test('should not penalise use when no idle source is available', () => {
+    const detector = new IdleDetector({ provider: { getSystemIdleTime: () => { throw new Error('unavailable'); } } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(detector.getState()).toMatchObject({ idleSeconds: null, userActive: true });
+  });
+
+  test('should reject invalid thresholds', () => {
+    const detector = new IdleDetector({ provider: new MockIdleProvider() });
+
+    expect(() => detector.setActiveThreshold(0)).toThrow('Invalid active threshold');
+    expect(detector.setActiveThreshold('10')).toBe(10);
+  });
+});
+
+describe('MonitoringService.updateActivityState', () => {
+  let monitor;
+  let provider;
+
+  beforeEach(() => {
+    provider = new MockIdleProvider(0);
+    monitor = new MonitoringService({ idleDetector: new IdleDetector({ provider }) });
+    monitor.activeApplications.set('Adobe After Effects', { processName: 'AfterFX.exe', pid: 4242 });
+    monitor.activeApplications.set('Cinema 4D', { processName: 'CINEMA 4D.exe', pid: 5150 });
+  });
+
+  test('should mark only the foreground application as active', async () => {
+    jest.spyOn(monitor, 'getForegroundProcessId').mockResolvedValue(5150);
+
+    await monitor.updateActivityState();
+    const apps = monitor.prepareApplicationsData();
+
+    expect(apps.get('Cinema 4D')).toMatchObject({ foreground: true, active: true });
+    expect(apps.get('Adobe After Effects')).toMatchObject({ foreground: false, active: false });
+  });
+
+  test('should keep an idle foreground application out of active time', async () => {
+    jest.spyOn(monitor, 'getForegroundProcessId').mockResolvedValue(4242);
+    provider.setIdleTime(3600);
+
+    const activity = await monitor.updateActivityState();
+
+    expect(activity).toEqual({ foregroundPid: 4242, idleSeconds: 3600, userActive: false });
+    expect(monitor.activeApplications.get('Adobe After Effects')).toMatchObject({ foreground: true, active: false });
+  });
+
+  test('should count running applications as foreground when the foreground window is unknown', async () => {
+    jest.spyOn(monitor, 'getForegroundProcessId').mockResolvedValue(null);
+
+    await monitor.updateActivityState();
+    expect(monitor.activeApplications.get('Cinema 4D')).toMatchObject({ foreground: true, active: true });
+    expect(monitor.activeApplications.get('Adobe After Effects')).toMatchObject({ foreground: true, active: true });
+
+    provider.setIdleTime(3600);
+    await monitor.updateActivityState();
+    expect(monitor.activeApplications.get('Cinema 4D')).toMatchObject({ foreground: false, active: false });
+  });
+
+  test('should give loaded plugins the activity of their host', async () => {
+    jest.spyOn(monitor, 'getForegroundProcessId').mockResolvedValue(4242);
+    monitor.activePlugins.set('Trapcode', { hostApplication: 'Adobe After Effects', detectionMethod: 'loaded_module' });
+    monitor.activePlugins.set('Redshift Core', { hostApplication: 'Cinema 4D', detectionMethod: 'loaded_module' });
+
+    await monitor.updateActivityState();
+    const plugins = monitor.preparePluginsData();
+
+    expect(plugins.get('Trapcode').active).toBe(true);
+    expect(plugins.get('Redshift Core').active).toBe(false);
+  });
+});
+
+describe('MonitoringService.detectMacApplications', () => {
+  const platform = Object.getOwnPropertyDescriptor(process, 'platform');
+
+  beforeEach(() => {
+    Object.defineProperty(process, 'platform', { value: 'darwin' });
+    exec.mockImplementation((cmd, callback) => callback(null, { stdout: 'Finder, Cinema 4D, Blender', stderr: '' }));
+  });
+
+  afterEach(() => {
+    Object.defineProperty(process, 'platform', platform);
+    exec.mockImplementation((cmd, callback) => callback(null, { stdout: '', stderr: '' }));
+  });
+
+  test('should keep the process details of catalog matches and add pids to the rest', async () => {
+    const monitor = new MonitoringService();
+    const catalogMatch = { processName: 'Cinema 4D', pid: 5150, signatureKey: 'maxon-cinema4d' };
+    monitor.activeApplications.set('Cinema 4D', catalogMatch);
+
+    await monitor.detectMacApplications([{ name: 'Blender', pid: 6060 }]);
+
+    expect(monitor.activeApplications.get('Cinema 4D')).toBe(catalogMatch);
+    expect(monitor.activeApplications.get('Blender')).toMatchObject({ processName: 'Blender', pid: 6060 });
+  });
+});
+
+describe('DataManager usage accounting', () => {
+  let dataManager;
+  let provider;
+  let monitor;
+
+  const tick = async (timestamp, foregroundPid) => {
+    jest.spyOn(monitor, 'getForegroundProcessId').mockResolvedValue(foregroundPid);
+    await monitor.updateActivityState();
+    dataManager.updateUsageData({
+      applications: monitor.prepareApplicationsData(),
+      plugins: new Map(),
+      timestamp: timestamp.toISOString()
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dataManager = new DataManager();
+    dataManager.saveData = jest.fn();
+    provider = new MockIdleProvider(0);
+    monitor = new MonitoringService({ idleDetector: new IdleDetector({ provider }) });
+    monitor.activeApplications.set('Adobe After Effects', { processName: 'AfterFX.exe', pid: 4242 });
+  });
+
+  test('should split running, foreground and active minutes', async () => {
+    await tick(new Date('2026-10-16T10:00:00Z'), 4242);
+    await tick(new Date('2026-10-16T10:01:00Z'), 1);
+    provider.setIdleTime(900);
+    await tick(new Date('2026-10-16T10:02:00Z'), 4242);
+
+    expect(dataManager.usageData.applications['Adobe After Effects']).toMatchObject({
+      runningTime: 3,
+      foregroundTime: 2,
+      activeTime: 1,
+      totalUsage: 1,
+      lastUsed: '2026-10-16T10:02:00.000Z',
+      lastActive: '2026-10-16T10:00:00.000Z'
+    });
+  });
+
+  test('should not count a weekend left open as use', async () => {
+    dataManager.settings.monitoringInterval = 60 * 60000;
+    provider.setIdleTime(48 * 3600);
+
+    const friday = new Date('2026-10-16T18:00:00Z').getTime();
+    for (let hour = 0; hour < 60; hour++) {
+      await tick(new Date(friday + hour * 3600000), 4242);
+    }
+
+    const app = dataManager.usageData.applications['Adobe After Effects'];
+    expect(app.runningTime).toBe(3600);
+    expect(app.activeTime).toBe(0);
+    expect(dataManager.generateSummary().totalUsageHours).toBe(0);
+  });
+
+  test('should recommend applications that run but are not used', () => {
+    const now = new Date().toISOString();
+    const record = (runningTime, activeTime, lastActive) => ({
+      totalUsage: activeTime,
+      runningTime,
+      foregroundTime: activeTime,
+      activeTime,
+      lastUsed: now,
+      lastActive,
+      sessions: []
+    });
+    dataManager.usageData.applications = {
+      'Adobe After Effects': record(3600, 20, now),
+      'Cinema 4D': record(4000, 0, null),
+      Blender: record(1000, 900, now)
+    };
+    dataManager.usageData.plugins = {};
+
+    const recommendations = dataManager.getRecommendations();
+
+    expect(recommendations.map(item => item.name)).toEqual(['Cinema 4D', 'Adobe After Effects']);
+    expect(recommendations[0].daysInactive).toBe(Infinity);
+    expect(recommendations[1]).toMatchObject({
+      activeRatio: 0.006,
+      recommendation: expect.stringMatching(/Mostly idle/)
+    });
+  });
+
+  test('should carry legacy presence-based usage over as running time', () => {
+    const legacy = { totalUsage: 2880, lastUsed: '2026-10-01T12:00:00.000Z', sessions: [] };
+
+    dataManager.normalizeUsageRecord(legacy);
+
+    expect(legacy).toMatchObject({
+      runningTime: 2880,
+      activeTime: 0,
+      totalUsage: 2880,
+      lastActive: '2026-10-01T12:00:00.000Z'
+    });
+
+    // History stays in totalUsage, which later active minutes add to
+    dataManager.recordUsage(legacy, { foreground: true, active: true }, '2026-10-16T10:00:00.000Z');
+    expect(legacy).toMatchObject({ runningTime: 2881, activeTime: 1, totalUsage: 2881 });
+  });
+
+  test('should count an application left open but idle as savings', () => {
+    const now = new Date().toISOString();
+    dataManager.settings.inactivityThreshold = 30;
+    dataManager.usageData.applications = {
+      'Cinema 4D': {
+        totalUsage: 0,
+        runningTime: 4000,
+        foregroundTime: 0,
+        activeTime: 0,
+        lastUsed: now,
+        lastActive: '2026-01-01T10:00:00.000Z',
+        sessions: []
+      },
+      Blender: {
+        totalUsage: 900,
+        runningTime: 1000,
+        foregroundTime: 900,
+        activeTime: 900,
+        lastUsed: now,
+        lastActive: now,
+        sessions: []
+      }
+    };
+    dataManager.usageData.plugins = {};
+
+    const savings = dataManager.calculateDetailedSavings();
+
+    expect(savings.savingsBreakdown.map(item => item.name)).toEqual(['Cinema 4D']);
+    expect(dataManager.getRecommendations().map(item => item.name)).toEqual(['Cinema 4D']);
+    expect(dataManager.generateDetailedCSV()).toMatch(/Application,,,Cinema 4D,.*,Inactive,/);
+  });
+});
@@ -0,0 +1,165 @@
+// tests/unit/license-manager.test.js
+const DataManager = require('../../src/main/data-manager');
+
+const NOW = new Date('2026-10-15T12:00:00.000Z');
+const daysAgo = days => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+const session = (start, end) => ({ startTime: start, endTime: end, duration: 0 });
+
+const client = (hostname, username, applications, plugins = {}) => ({
+  clientId: hostname,
+  applications,
+  plugins,
+  systemInfo: { hostname, user: { username } },
+  lastUpdate: NOW.toISOString()
+});
+
+describe('LicenseManager', () => {
+  let dataManager;
+  let licenses;
+
+  beforeEach(() => {
+    dataManager = new DataManager({ dataDir: '/tmp/license-manager' });
+    ({ licenses } = dataManager);
+    jest.spyOn(licenses, 'getLocalIdentity').mockReturnValue({ host: 'ws-local', user: 'alice' });
+    jest.spyOn(dataManager, 'saveData').mockResolvedValue();
+
+    dataManager.usageData.applications = {
+      'Nuke': {
+        lastUsed: daysAgo(2),
+        sessions: [session('2026-10-13T09:00:00.000Z', '2026-10-13T12:00:00.000Z')]
+      },
+      'Houdini': { lastUsed: daysAgo(200), sessions: [] }
+    };
+    dataManager.usageData.enterpriseClients = {
+      'ws-101': client('ws-101', 'bob', [
+        {
+          name: 'Nuke',
+          last_used: daysAgo(1),
+          sessions: [
+            session('2026-10-13T10:00:00.000Z', '2026-10-13T11:00:00.000Z'),
+            // Overlaps the session above on the same host, so it holds one seat
+            session('2026-10-13T10:30:00.000Z', '2026-10-13T11:30:00.000Z')
+          ]
+        }
+      ]),
+      'ws-102': client('ws-102', 'carol', {
+        'Nuke': {
+          lastUsed: daysAgo(3),
+          sessions: [session('2026-10-13T11:00:00.000Z', '2026-10-13T13:00:00.000Z')]
+        }
+      }, {
+        'Maxon': { 'Redshift': { 'Core': { lastUsed: daysAgo(4), sessions: [] } } }
+      })
+    };
+  });
+
+  const entitlement = overrides => ({
+    vendor: 'Foundry',
+    product: 'Nuke',
+    sku: 'NUKE-STD',
+    seats: 2,
+    licenseType: 'named-user',
+    termStart: '2026-01-01',
+    termEnd: '2026-12-31',
+    renewalPrice: 1000,
+    ...overrides
+  });
+
+  test('should validate and normalise entitlement records', () => {
+    const record = licenses.validate(entitlement({ seats: '5', termEnd: '2026-12-31T00:00:00Z' }));
+
+    expect(record).toMatchObject({ seats: 5, termEnd: '2026-12-31', renewalPrice: 1000 });
+    expect(record.id).toMatch(/^[0-9a-f-]{36}$/);
+
+    expect(() => licenses.validate(entitlement({ vendor: '' }))).toThrow('needs a vendor and a product');
+    expect(() => licenses.validate(entitlement({ seats: 1.5 }))).toThrow('Seat count');
+    expect(() => licenses.validate(entitlement({ licenseType: 'site' }))).toThrow('Invalid license type "site"');
+    expect(() => licenses.validate(entitlement({ termEnd: '2025-06-30' }))).toThrow('Term end must be after');
+    expect(() => licenses.validate(entitlement({ termStart: 'soon' }))).toThrow('Invalid term start date');
+  });
+
+  test('should add, update and remove entitlements through DataManager', async () => {
+    const created = await dataManager.saveLicense(entitlement());
+    expect(created.success).toBe(true);
+
+    await dataManager.saveLicense({ ...created.entitlement, seats: 4 });
+    expect(dataManager.getLicenses()).toEqual([expect.objectContaining({ id: created.entitlement.id, seats: 4 })]);
+
+    expect(await dataManager.saveLicense(entitlement({ seats: 0 }))).toEqual({
+      success: false,
+      error: 'Seat count must be a whole number of at least 1'
+    });
+    expect(await dataManager.deleteLicense(created.entitlement.id)).toEqual({ success: true });
+    expect(await dataManager.deleteLicense('missing')).toMatchObject({ success: false });
+    expect(dataManager.getLicenses()).toEqual([]);
+  });
+
+  test('should flag named-user over-deployment with the true-up cost', async () => {
+    await dataManager.saveLicense(entitlement());
+
+    const report = licenses.reconcile({ now: NOW });
+    const [row] = report.entitlements;
+
+    expect(row).toMatchObject({
+      status: 'over-deployed',
+      inUse: 3,
+      users: ['alice', 'bob', 'carol'],
+      hosts: ['ws-101', 'ws-102', 'ws-local'],
+      excessSeats: 1,
+      trueUpCost: 500,
+      expired: false,
+      daysToRenewal: 78
+    });
+    expect(report.totals).toMatchObject({ overDeployed: 1, trueUpCost: 500 });
+  });
+
+  test('should count floating seats by peak concurrency across hosts', async () => {
+    await dataManager.saveLicense(entitlement({ licenseType: 'floating', seats: 2 }));
+
+    const [row] = licenses.reconcile({ now: NOW }).entitlements;
+
+    // 11:00 to 11:30 has ws-local, ws-101 and ws-102 running at once
+    expect(row).toMatchObject({ peakConcurrent: 3, inUse: 3, status: 'over-deployed' });
+  });
+
+  test('should flag under-deployment and ignore usage outside the window', async () => {
+    await dataManager.saveLicense(entitlement({
+      vendor: 'SideFX', product: 'Houdini', licenseType: 'node-locked', seats: 4, renewalPrice: 800
+    }));
+    await dataManager.saveLicense(entitlement({
+      vendor: 'Maxon', product: 'Redshift', licenseType: 'node-locked', seats: 1, renewalPrice: 300
+    }));
+
+    const report = licenses.reconcile({ now: NOW });
+    const [houdini, redshift] = report.entitlements;
+
+    expect(houdini).toMatchObject({ status: 'under-deployed', inUse: 0, unusedSeats: 4, unusedCost: 800 });
+    expect(redshift).toMatchObject({ status: 'compliant', inUse: 1, hosts: ['ws-102'], utilization: 100 });
+
+    // A longer window picks up the old local Houdini usage
+    const yearly = licenses.reconcile({ now: NOW, lookbackDays: 365 });
+    expect(yearly.entitlements[0]).toMatchObject({ inUse: 1, hosts: ['ws-local'] });
+  });
+
+  test('should keep entitlements when usage data is reset', async () => {
+    await dataManager.saveLicense(entitlement());
+    await dataManager.resetData();
+
+    expect(dataManager.getLicenses()).toHaveLength(1);
+    expect(dataManager.usageData.applications).toEqual({});
+  });
+
+  test('should build the true-up report as CSV and JSON', async () => {
+    await dataManager.saveLicense(entitlement());
+    jest.useFakeTimers({ now: NOW });
+
+    const csv = await dataManager.buildReport('true-up', 'csv');
+    expect(csv.fileName).toMatch(/^license-true-up-.*\.csv$/);
+    expect(csv.content).toContain('Foundry,Nuke,NUKE-STD,named-user,2,3,3,3,');
+    expect(csv.content).toContain('Total True-up Cost,500');
+
+    const json = JSON.parse((await dataManager.buildReport('true-up', 'json')).content);
+    expect(json).toMatchObject({ reportType: 'true-up', totals: { entitlements: 1, overDeployed: 1 } });
+    jest.useRealTimers();
+  });
+});
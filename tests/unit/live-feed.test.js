@@ -0,0 +1,84 @@
+// tests/unit/live-feed.test.js
+const { EventEmitter } = require('events');
+const LiveFeed = require('../../src/main/live-feed');
+
+// Stand-in request/response pair that records what the stream wrote
+function openStream(feed, headers, canSee) {
+  const req = Object.assign(new EventEmitter(), { headers: headers || {}, query: {} });
+  const res = {
+    chunks: [],
+    writeHead: jest.fn(),
+    write(chunk) {
+      this.chunks.push(chunk);
+    },
+    end: jest.fn()
+  };
+  feed.connect(req, res, canSee);
+
+  // Parsed events, skipping the retry hint and heartbeats
+  res.events = () => res.chunks
+    .filter(chunk => chunk.startsWith('id:'))
+    .map(chunk => {
+      const [, id, event, data] = chunk.match(/^id: (\d+)\nevent: (.+)\ndata: (.+)\n\n$/);
+      return { id: Number(id), event, data: JSON.parse(data) };
+    });
+  return { req, res };
+}
+
+describe('LiveFeed', () => {
+  let feed;
+
+  beforeEach(() => {
+    feed = new LiveFeed({ bufferSize: 3 });
+  });
+
+  afterEach(() => {
+    feed.stop();
+  });
+
+  test('should stream events to subscribers that may see their department', () => {
+    const all = openStream(feed);
+    const vfx = openStream(feed, {}, department => department === 'VFX');
+
+    expect(all.res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Type': 'text/event-stream'
+    }));
+    expect(all.res.chunks[0]).toBe('retry: 5000\n\n');
+
+    feed.publish('client.updated', { client_id: 'ws-101' }, 'VFX');
+    feed.publish('alert.raised', { _id: 'alert-1' }, 'Edit');
+
+    expect(all.res.events().map(event => event.event)).toEqual(['client.updated', 'alert.raised']);
+    expect(vfx.res.events()).toEqual([{ id: 1, event: 'client.updated', data: { client_id: 'ws-101' } }]);
+
+    feed.publish('alert.raised', { _id: 'renewal-1', client_id: null }, LiveFeed.EVERYONE);
+    expect(vfx.res.events().map(event => event.data._id)).toEqual([undefined, 'renewal-1']);
+  });
+
+  test('should replay buffered events after Last-Event-ID and drop closed streams', () => {
+    ['a', 'b', 'c', 'd'].forEach(name => feed.publish('client.updated', { client_id: name }, 'VFX'));
+
+    const { req, res } = openStream(feed, { 'last-event-id': '1' });
+    // Only the last three events are buffered
+    expect(res.events().map(event => event.data.client_id)).toEqual(['b', 'c', 'd']);
+    expect(feed.size).toBe(1);
+
+    req.emit('close');
+    expect(feed.size).toBe(0);
+  });
+
+  test('should send heartbeats and end every stream on stop', () => {
+    jest.useFakeTimers();
+    feed = new LiveFeed({ heartbeatInterval: 1000 });
+    const { res } = openStream(feed);
+
+    feed.start();
+    jest.advanceTimersByTime(2500);
+    expect(res.chunks.filter(chunk => chunk === ': ping\n\n')).toHaveLength(2);
+
+    feed.stop();
+    expect(res.end).toHaveBeenCalled();
+    expect(feed.size).toBe(0);
+    jest.useRealTimers();
+  });
+});
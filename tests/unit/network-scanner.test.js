@@ -1,5 +1,7 @@
 // tests/unit/network-scanner.test.js
 const NetworkScanner = require('../../src/main/network-scanner');
+const DnsSd = require('../../src/main/dns-sd');
+const freeUdpPort = require('../fixtures/free-udp-port');
 const { EventEmitter } = require('events');
 
 describe('NetworkScanner', () => {
@@ -66,6 +68,164 @@ describe('NetworkScanner', () => {
       expect(scanner.isInSubnet('192.168.2.50', network)).toBe(false);
       expect(scanner.isInSubnet('10.0.0.1', network)).toBe(false);
     });
+
+    test('should use the prefix length of the subnet', () => {
+      const network = { subnet: scanner.calculateSubnet('10.1.6.20', '255.255.252.0') };
+      
+      expect(network.subnet.cidr).toBe(22);
+      expect(scanner.isInSubnet('10.1.4.1', network)).toBe(true);
+      expect(scanner.isInSubnet('10.1.7.254', network)).toBe(true);
+      expect(scanner.isInSubnet('10.1.8.1', network)).toBe(false);
+    });
+  });
+
+  describe('scan targets', () => {
+    test('should sweep every host of the interface block, not just a /24', async () => {
+      scanner.probeHost = jest.fn().mockResolvedValue('closed');
+      
+      const stats = await scanner.performSubnetScan({ address: '10.1.6.20', netmask: '255.255.254.0' });
+      
+      expect(stats).toMatchObject({ target: '10.1.6.0/23', source: 'interface', hosts: 510, probed: 510, closed: 510 });
+      expect(scanner.probeHost).toHaveBeenCalledWith('10.1.7.254');
+      expect(scanner.probeHost).not.toHaveBeenCalledWith('10.1.7.255');
+    });
+
+    test('should grow concurrency as probes finish and halve it when sockets run out', async () => {
+      const outcomes = { '10.9.0.1': ['throttled', 'client'], '10.9.0.2': ['timeout'], '10.9.0.3': ['open'] };
+      let inFlight = 0;
+      scanner.probeHost = jest.fn(async host => {
+        inFlight += 1;
+        await new Promise(resolve => {
+          setImmediate(resolve);
+        });
+        inFlight -= 1;
+        return outcomes[host] ? outcomes[host].shift() : 'closed';
+      });
+      scanner.configureTargets({ maxConcurrency: 4 });
+      
+      const hosts = ['10.9.0.1', '10.9.0.2', '10.9.0.3', '10.9.0.4', '10.9.0.5', '10.9.0.6'];
+      const stats = await scanner.probeHosts(hosts, scanner.newTargetStats('10.9.0.0/29', 'configured', 6));
+      
+      expect(stats).toMatchObject({
+        probed: 6, clients: 1, open: 1, closed: 3, timeouts: 1, throttled: 1, peakConcurrency: 4
+      });
+      // The throttled host was probed again
+      expect(scanner.probeHost.mock.calls.filter(([host]) => host === '10.9.0.1')).toHaveLength(2);
+      expect(inFlight).toBe(0);
+    });
+
+    test('should scan configured targets and report statistics per target', async () => {
+      scanner.configureTargets({ targets: ['10.9.0.0/30', '10.9.1.7'], exclude: ['10.9.0.2'], includeLocal: false });
+      scanner.configureDiscovery({ enabled: false });
+      scanner.probeHost = jest.fn(async host => (host === '10.9.1.7' ? 'client' : 'timeout'));
+      scanner.updateClientsData = jest.fn().mockResolvedValue();
+      const completed = jest.fn();
+      scanner.on('scan-completed', completed);
+      
+      await scanner.performNetworkScan();
+      
+      expect(scanner.probeHost.mock.calls.map(([host]) => host)).toEqual(['10.9.0.1', '10.9.1.7']);
+      const { targets } = completed.mock.calls[0][0];
+      expect(targets).toEqual([
+        expect.objectContaining({ target: '10.9.0.0/30', source: 'configured', hosts: 1, probed: 1, timeouts: 1 }),
+        expect.objectContaining({ target: '10.9.1.7', hosts: 1, probed: 1, clients: 1 })
+      ]);
+      expect(scanner.lastScan.targets).toBe(targets);
+    });
+
+    test('should keep the previous targets when new ones are invalid', () => {
+      scanner.configureTargets({ targets: ['10.9.0.0/24'] });
+      
+      expect(() => scanner.configureTargets({ targets: ['10.9.0.0/8'] })).toThrow('the limit is 65536 per target');
+      expect(scanner.targets.config.targets).toEqual(['10.9.0.0/24']);
+    });
+  });
+
+  describe('DNS-SD discovery', () => {
+    const lan = { interface: 'eth0', address: '10.0.0.2', netmask: '255.255.255.0' };
+    let responders;
+
+    // Two clients on loopback, one of them on a port of its own
+    beforeEach(async () => {
+      const port = await freeUdpPort();
+      scanner = new NetworkScanner({ mdns: { port, interface: '127.0.0.1' } });
+      scanner.configureDiscovery({ browseTimeout: 200 });
+      scanner.getLocalNetworkInfo = jest.fn().mockReturnValue([
+        { ...lan, subnet: scanner.calculateSubnet(lan.address, lan.netmask) }
+      ]);
+      scanner.scanNetwork = jest.fn().mockResolvedValue(scanner.newTargetStats('10.0.0.0/24', 'interface', 254));
+      scanner.updateClientsData = jest.fn().mockResolvedValue();
+
+      responders = [new DnsSd({ port, interface: '127.0.0.1' }), new DnsSd({ port, interface: '127.0.0.1' })];
+      await Promise.all(responders.map(responder => responder.start()));
+      await responders[0].advertise({
+        name: 'design-01',
+        type: DnsSd.CLIENT_SERVICE_TYPE,
+        port: 9876,
+        addresses: ['127.0.0.2'],
+        txt: { clientId: 'design-01', department: 'Design', version: '1.0.0' }
+      });
+      await responders[1].advertise({
+        name: 'eng-07',
+        type: DnsSd.CLIENT_SERVICE_TYPE,
+        port: 9877,
+        addresses: ['192.168.56.7', '127.0.0.3'],
+        txt: { clientId: 'eng-07', department: 'Engineering', version: '1.0.0' }
+      });
+    });
+
+    afterEach(async () => {
+      await Promise.all(responders.map(responder => responder.stop()));
+    });
+
+    test('should probe advertised clients instead of sweeping the local interfaces', async () => {
+      scanner.probeHost = jest.fn().mockResolvedValue('client');
+
+      await scanner.performNetworkScan();
+
+      expect(scanner.probeHost.mock.calls.map(([host]) => host).sort()).toEqual(['127.0.0.2', '192.168.56.7']);
+      expect(scanner.portFor('192.168.56.7')).toBe(9877);
+      expect(scanner.portFor('127.0.0.2')).toBe(9876);
+      expect(scanner.scanNetwork).not.toHaveBeenCalled();
+      expect(scanner.lastScan.targets).toEqual([expect.objectContaining({
+        target: '_esm-client._tcp.local', source: 'dns-sd', method: 'mdns', hosts: 2, probed: 2, clients: 2
+      })]);
+    });
+
+    test('should prefer an advertised address on a local network', async () => {
+      scanner.getLocalNetworkInfo.mockReturnValue([{
+        interface: 'vboxnet0', address: '192.168.56.1', subnet: scanner.calculateSubnet('192.168.56.1', '255.255.255.0')
+      }]);
+
+      expect(scanner.preferredAddress(['127.0.0.3', '192.168.56.7'])).toBe('192.168.56.7');
+      expect(scanner.preferredAddress(['127.0.0.3', '10.1.1.1'])).toBe('127.0.0.3');
+    });
+
+    test('should sweep the local interfaces only as a configured fallback', async () => {
+      scanner.probeHost = jest.fn().mockResolvedValue('timeout');
+
+      await scanner.performNetworkScan();
+      expect(scanner.scanNetwork).not.toHaveBeenCalled();
+
+      scanner.configureDiscovery({ browseTimeout: 200, sweepFallback: true });
+      await scanner.performNetworkScan();
+      expect(scanner.scanNetwork).toHaveBeenCalledWith(expect.objectContaining({ address: '10.0.0.2' }));
+      expect(scanner.lastScan.targets.map(stats => stats.source)).toEqual(['dns-sd', 'interface']);
+
+      // Without discovery the local interfaces are swept as before
+      scanner.scanNetwork.mockClear();
+      scanner.configureDiscovery({ enabled: false });
+      await scanner.performNetworkScan();
+      expect(scanner.scanNetwork).toHaveBeenCalledTimes(1);
+      expect(scanner.lastScan.targets.map(stats => stats.source)).toEqual(['interface']);
+    });
+
+    test('should validate discovery settings', () => {
+      expect(NetworkScanner.validateDiscovery()).toEqual({ enabled: true, browseTimeout: 3000, sweepFallback: false });
+      expect(() => scanner.configureDiscovery({ enabled: 'no' })).toThrow('enabled must be true or false');
+      expect(() => scanner.configureDiscovery({ browseTimeout: 50 })).toThrow('browseTimeout must be a whole number');
+      expect(scanner.discovery).toEqual({ enabled: true, browseTimeout: 200, sweepFallback: false });
+    });
   });
 
   describe('client management', () => {
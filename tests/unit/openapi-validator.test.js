@@ -0,0 +1,134 @@
+// tests/unit/openapi-validator.test.js
+const OpenApiValidator = require('../../src/main/openapi-validator');
+
+const spec = {
+  components: {
+    schemas: {
+      Rule: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          threshold: { type: 'number', minimum: 0 },
+          tags: { type: 'array', items: { type: 'string' }, nullable: true }
+        },
+        required: ['name'],
+        additionalProperties: false
+      },
+      Issued: { allOf: [{ $ref: '#/components/schemas/Rule' }, { type: 'object', required: ['key'] }] }
+    }
+  },
+  paths: {
+    '/api/rules/{id}': {
+      get: {
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: { 200: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Rule' } } } } }
+      }
+    },
+    '/api/rules/check': {
+      post: {
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer', maximum: 10 } },
+          { name: 'dryRun', in: 'query', schema: { type: 'boolean' } }
+        ],
+        requestBody: {
+          required: false,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Rule' } } }
+        },
+        responses: {}
+      }
+    }
+  }
+};
+
+// Just enough of an Express request/response pair for the middleware
+function run(middleware, req) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json: jest.fn(function json(body) {
+      this.body = body;
+      return this;
+    })
+  };
+  const next = jest.fn();
+  middleware({ query: {}, body: {}, ...req }, res, next);
+  return { res, next };
+}
+
+describe('OpenApiValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new OpenApiValidator(spec);
+  });
+
+  test('should prefer literal paths over templated ones and decode path parameters', () => {
+    expect(validator.match('POST', '/api/rules/check').template).toBe('/api/rules/check');
+    expect(validator.match('GET', '/api/rules/check').params).toEqual({ id: 'check' });
+    expect(validator.match('GET', '/api/rules/a%20b').params).toEqual({ id: 'a b' });
+    expect(validator.match('DELETE', '/api/rules/1')).toBeNull();
+  });
+
+  test('should report every problem with a value', () => {
+    const rule = { $ref: '#/components/schemas/Rule' };
+
+    expect(validator.validate(rule, { name: 'Offline', threshold: 5, tags: null })).toEqual([]);
+    expect(validator.validate(rule, { name: '', threshold: -1, owner: 'it' })).toEqual([
+      'value.name must not be empty',
+      'value.threshold must be at least 0',
+      'value.owner is not allowed'
+    ]);
+    expect(validator.validate(rule, { name: 'x', tags: [1] }, 'body')).toEqual(['body.tags[0] must be string']);
+    expect(validator.validate({ $ref: '#/components/schemas/Issued' }, { name: 'x' })).toEqual([
+      'value.key is required'
+    ]);
+    expect(() => validator.validate({ $ref: '#/components/schemas/Missing' }, {})).toThrow('Unknown schema reference');
+  });
+
+  test('should read query strings as their declared types', () => {
+    expect(OpenApiValidator.coerce({ type: 'integer' }, '5')).toBe(5);
+    expect(OpenApiValidator.coerce({ type: 'integer' }, 'five')).toBe('five');
+    expect(OpenApiValidator.coerce({ type: 'boolean' }, 'false')).toBe(false);
+    expect(OpenApiValidator.coerce({ type: 'array', items: { type: 'number' } }, '2')).toEqual([2]);
+  });
+
+  test('should answer invalid requests with 400 and let valid ones through', () => {
+    const middleware = validator.middleware();
+
+    const query = { limit: '20', dryRun: 'yes' };
+    const invalid = run(middleware, { method: 'POST', path: '/api/rules/check', query });
+    expect(invalid.next).not.toHaveBeenCalled();
+    expect(invalid.res.statusCode).toBe(400);
+    expect(invalid.res.body).toEqual({
+      error: 'Invalid request: query.limit must be at most 10',
+      details: ['query.limit must be at most 10', 'query.dryRun must be boolean']
+    });
+
+    // The body is optional, and routes the spec does not know are left alone
+    expect(run(middleware, { method: 'POST', path: '/api/rules/check' }).next).toHaveBeenCalled();
+    expect(run(middleware, { method: 'GET', path: '/api/other', body: 'x' }).next).toHaveBeenCalled();
+    expect(run(middleware, { method: 'POST', path: '/api/rules/check', body: { threshold: 1 } }).res.body.error)
+      .toBe('Invalid request: body.name is required');
+  });
+
+  test('should report responses that do not match the spec when asked to', () => {
+    const onResponseError = jest.fn();
+    const middleware = new OpenApiValidator(spec, { validateResponses: true, onResponseError }).middleware();
+
+    const { res } = run(middleware, { method: 'GET', path: '/api/rules/1' });
+    res.json({ name: 'Offline', threshold: 5 });
+    expect(onResponseError).not.toHaveBeenCalled();
+
+    res.json({ threshold: 'high', createdAt: new Date(0) });
+    expect(onResponseError).toHaveBeenCalledWith({
+      method: 'GET',
+      path: '/api/rules/{id}',
+      status: 200,
+      errors: ['response.name is required', 'response.threshold must be number', 'response.createdAt is not allowed']
+    });
+    expect(res.body).toEqual({ threshold: 'high', createdAt: new Date(0) });
+  });
+});
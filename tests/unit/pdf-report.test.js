@@ -0,0 +1,184 @@
+// tests/unit/pdf-report.test.js
+// Writes real files, so bypass the fs automock from setup.js
+jest.unmock('fs');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { app } = require('electron');
+const DataManager = require('../../src/main/data-manager');
+const PdfReport = require('../../src/main/pdf-report');
+
+// Minimal PDF reader: checks the header, trailer and cross-reference table,
+// and returns each object's dictionary plus its decoded stream text
+function parsePdf(buffer) {
+  const source = buffer.toString('latin1');
+
+  expect(source.startsWith('%PDF-1.')).toBe(true);
+  expect(source.trimEnd().endsWith('%%EOF')).toBe(true);
+
+  const startxref = Number(/startxref\s+(\d+)\s+%%EOF\s*$/.exec(source)[1]);
+  expect(source.slice(startxref, startxref + 4)).toBe('xref');
+
+  const [, first, count] = /^xref\s+(\d+) (\d+)/.exec(source.slice(startxref)).map(Number);
+  const entries = source.slice(startxref).split(/\r?\n/).slice(2, 2 + count);
+  const objects = {};
+
+  entries.forEach((entry, index) => {
+    const [offset, , kind] = entry.trim().split(' ');
+    if (kind !== 'n') return;
+
+    const id = first + index;
+    const header = `${id} 0 obj`;
+    expect(source.slice(Number(offset), Number(offset) + header.length)).toBe(header);
+
+    const end = source.indexOf('endobj', Number(offset));
+    const body = source.slice(Number(offset) + header.length, end);
+    const streamStart = body.indexOf('stream');
+    const object = { dictionary: streamStart === -1 ? body : body.slice(0, streamStart), text: '' };
+
+    if (streamStart !== -1) {
+      const raw = Buffer.from(body.slice(streamStart + 7, body.lastIndexOf('endstream')), 'latin1');
+      object.text = /\/FlateDecode/.test(object.dictionary)
+        ? zlib.inflateSync(raw).toString('latin1')
+        : raw.toString('latin1');
+    }
+
+    objects[id] = object;
+  });
+
+  const trailer = source.slice(source.lastIndexOf('trailer'));
+  const info = {};
+  // pdfkit writes each Info value as its own string object
+  const infoDictionary = objects[/\/Info (\d+) 0 R/.exec(trailer)[1]].dictionary;
+  [...infoDictionary.matchAll(/\/(\w+) (\d+) 0 R/g)].forEach(([, key, id]) => {
+    info[key] = objects[id].dictionary.trim().replace(/^\((.*)\)$/, '$1');
+  });
+  const pages = Object.values(objects).filter(object => /\/Type \/Page\b/.test(object.dictionary));
+  const pageTree = Object.values(objects).find(object => /\/Type \/Pages\b/.test(object.dictionary));
+
+  // Standard-font text is written as hex strings inside TJ arrays
+  const text = Object.values(objects)
+    .map(object => object.text)
+    .join('\n')
+    .split('\n')
+    .filter(line => /TJ$/.test(line))
+    .map(line => (line.match(/<([0-9a-f]*)>/g) || [])
+      .map(hex => Buffer.from(hex.slice(1, -1), 'hex').toString('latin1'))
+      .join(''))
+    .join('\n');
+
+  return {
+    info,
+    pageCount: pages.length,
+    declaredPageCount: Number(/\/Count (\d+)/.exec(pageTree.dictionary)[1]),
+    content: Object.values(objects).map(object => object.text).join('\n'),
+    text
+  };
+}
+
+const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString();
+
+const usageData = () => ({
+  applications: {
+    'Adobe After Effects': {
+      vendor: 'Adobe',
+      totalUsage: 900,
+      runningTime: 1500,
+      foregroundTime: 1100,
+      activeTime: 900,
+      lastUsed: daysAgo(1),
+      lastActive: daysAgo(1),
+      sessions: [{ startTime: daysAgo(2), endTime: daysAgo(1.9), duration: 144 }]
+    },
+    'Cinema 4D': {
+      vendor: 'Maxon',
+      totalUsage: 0,
+      runningTime: 60,
+      foregroundTime: 0,
+      activeTime: 0,
+      lastUsed: daysAgo(120),
+      lastActive: daysAgo(120),
+      sessions: []
+    }
+  },
+  plugins: {
+    'Maxon': {
+      'Trapcode': {
+        totalUsage: 60,
+        runningTime: 60,
+        activeTime: 60,
+        lastUsed: daysAgo(3),
+        lastActive: daysAgo(3),
+        sessions: []
+      }
+    }
+  },
+  costs: { applications: {}, plugins: {} },
+  metadata: { firstRun: daysAgo(200) }
+});
+
+const systemInfo = { hostname: 'ws-042', platform: 'linux', osVersion: 'Linux 6.8' };
+
+describe('PdfReport', () => {
+  let dataManager;
+
+  beforeEach(() => {
+    dataManager = new DataManager();
+    dataManager.usageData = usageData();
+    jest.spyOn(dataManager, 'getSystemInfo').mockResolvedValue(systemInfo);
+  });
+
+  test('should produce a valid multi-page PDF with the report sections', async () => {
+    const pdf = parsePdf(await dataManager.generatePDFReport());
+
+    expect(pdf.info.Title).toBe('Software Usage Report');
+    expect(pdf.pageCount).toBeGreaterThanOrEqual(4);
+    expect(pdf.declaredPageCount).toBe(pdf.pageCount);
+
+    ['Software Usage Report', 'ws-042', 'Summary', 'Potential savings', 'Recommendations', 'Cinema 4D']
+      .forEach(expected => expect(pdf.text).toContain(expected));
+    expect(pdf.text).toContain(`Page ${pdf.pageCount} of ${pdf.pageCount}`);
+  });
+
+  test('should draw charts as vector paths', async () => {
+    const pdf = parsePdf(await dataManager.generatePDFReport());
+
+    expect(pdf.text).toContain('Daily usage (last 30 days)');
+    expect(pdf.text).toContain('Top applications by active hours');
+    // Line chart strokes (l ... S) and bar chart rectangles (re ... f)
+    expect(pdf.content).toMatch(/ l\n[\s\S]*S\n/);
+    expect(pdf.content).toMatch(/ re\n(?:.*\n){0,2}f\n/);
+  });
+
+  test('should continue long tables onto new pages', async () => {
+    const recommendations = Array.from({ length: 120 }, (_, index) => ({
+      name: `Plugin ${index}`,
+      vendor: 'Vendor',
+      lastActive: null,
+      recommendation: 'Consider removing'
+    }));
+
+    const pdf = parsePdf(await new PdfReport().generate({ systemInfo, recommendations }));
+
+    expect(pdf.pageCount).toBeGreaterThan(4);
+    expect(pdf.text).toContain('Plugin 119');
+    expect(pdf.text.match(/Recommendation\n/g).length).toBeGreaterThan(1);
+  });
+
+  test('should export a .pdf file that starts with a PDF header', async () => {
+    const downloads = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-report-'));
+    jest.spyOn(app, 'getPath').mockReturnValue(downloads);
+
+    try {
+      const result = await dataManager.exportData('pdf');
+
+      expect(result.success).toBe(true);
+      expect(result.filePath.endsWith('.pdf')).toBe(true);
+      parsePdf(fs.readFileSync(result.filePath));
+    } finally {
+      fs.rmSync(downloads, { recursive: true, force: true });
+    }
+  });
+});
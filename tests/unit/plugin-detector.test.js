@@ -0,0 +1,176 @@
+// tests/unit/plugin-detector.test.js
+// Maps fixtures are read from disk, so bypass the fs mock from setup.js
+jest.unmock('fs');
+
+const path = require('path');
+const PluginDetector = require('../../src/main/plugin-detector');
+const MonitoringService = require('../../src/main/monitoring');
+
+const procRoot = path.join(__dirname, '..', 'fixtures', 'proc');
+
+describe('PluginDetector', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new PluginDetector({ strategy: 'proc-maps', procRoot });
+  });
+
+  describe('strategies', () => {
+    test('should select the requested strategy', () => {
+      expect(detector.strategy).toBe('proc-maps');
+      expect(detector.getStrategies()).toEqual(
+        expect.arrayContaining(['proc-maps', 'lsof', 'windows-modules'])
+      );
+    });
+
+    test('should resolve auto to a platform default', () => {
+      const autoDetector = new PluginDetector();
+      expect(autoDetector.getStrategies()).toContain(autoDetector.strategy);
+    });
+
+    test('should reject unknown strategies', () => {
+      expect(() => detector.setStrategy('telepathy')).toThrow('Unknown plugin detection strategy');
+    });
+
+    test('should use registered custom strategies', async () => {
+      detector.registerStrategy('fixture', async () => [
+        '/Library/Application Support/Adobe/Common/Plug-ins/7.0/MediaCore/Neat Video.plugin/Contents/MacOS/Neat Video'
+      ]);
+      detector.setStrategy('fixture');
+
+      const detected = await detector.detectLoadedPlugins(1, ['Neat Video', 'Sapphire']);
+
+      expect(detected.map(hit => hit.plugin)).toEqual(['Neat Video']);
+    });
+
+    test('should not mistake BORIS S-Blur for Sapphire', async () => {
+      detector.registerStrategy('fixture', async () => ['/opt/plug-ins/S_Blur.aex']);
+      detector.setStrategy('fixture');
+
+      const detected = await detector.detectLoadedPlugins(1, ['Sapphire', 'BORIS S-Blur & Sharpen']);
+
+      expect(detected.map(hit => hit.plugin)).toEqual(['BORIS S-Blur & Sharpen']);
+    });
+  });
+
+  describe('binary patterns', () => {
+    const pluginsMatching = binaryName => Object.keys(detector.pluginPatterns)
+      .filter(plugin => detector.pluginPatterns[plugin].some(pattern => pattern.test(binaryName)));
+
+    test('should credit each fixture binary to exactly one plugin', async () => {
+      const modules = [...await detector.readProcMaps(4242), ...await detector.readProcMaps(5150)];
+      const credited = Object.fromEntries(detector.extractPluginBinaries(modules)
+        // A stock After Effects effect, not a monitored plugin
+        .filter(({ binaryName }) => binaryName !== 'Keylight')
+        .map(({ binaryName }) => [binaryName, pluginsMatching(binaryName)]));
+
+      expect(credited).toEqual({
+        SapphireAE: ['Sapphire'],
+        Twixtor: ['Twixtor Pro'],
+        'Trapcode Particular': ['Trapcode'],
+        c4doctane: ['Octane Render'],
+        'redshift-core': ['Redshift Core'],
+        xparticles: ['X-Particles']
+      });
+    });
+
+    test('should keep look-alike binaries apart', () => {
+      expect(pluginsMatching('Trapcode Form')).toEqual(['Trap Code Form']);
+      expect(pluginsMatching('Particular')).toEqual(['Trapcode']);
+      expect(pluginsMatching('S_Blur')).toEqual(['BORIS S-Blur & Sharpen']);
+      expect(pluginsMatching('Optical Flares')).toEqual(['Videocopilot Optical Flare']);
+      expect(pluginsMatching('NewBlue Elements')).toEqual(['NewblueFX Elements']);
+    });
+  });
+
+  describe('parseProcMaps', () => {
+    test('should return unique file-backed module paths', () => {
+      const modules = detector.parseProcMaps([
+        '7f2a14200000-7f2a14600000 r-xp 00001000 08:01 2101334   /opt/plug-ins/Trapcode Particular.aex',
+        '7f2a14600000-7f2a14700000 r--p 00401000 08:01 2101334   /opt/plug-ins/Trapcode Particular.aex',
+        '7f2a10000000-7f2a10021000 rw-p 00000000 00:00 0 ',
+        '7ffd3c1e0000-7ffd3c201000 rw-p 00000000 00:00 0          [stack]'
+      ].join('\n'));
+
+      expect(modules).toEqual(['/opt/plug-ins/Trapcode Particular.aex']);
+    });
+  });
+
+  describe('detectLoadedPlugins', () => {
+    test('should detect After Effects plugins from a maps fixture', async () => {
+      const detected = await detector.detectLoadedPlugins(4242, [
+        'Trapcode', 'Sapphire', 'Twixtor Pro', 'Magic Bullet', 'Mocha Pro'
+      ]);
+      const plugins = detected.map(hit => hit.plugin);
+
+      expect(plugins).toEqual(['Trapcode', 'Sapphire', 'Twixtor Pro']);
+      expect(detected[0].modulePath).toMatch(/Trapcode Particular\.aex$/);
+      expect(detected[2].modulePath).not.toMatch(/\(deleted\)$/);
+    });
+
+    test('should detect Cinema 4D plugins from a maps fixture', async () => {
+      const detected = await detector.detectLoadedPlugins(5150, [
+        'Redshift Core', 'Redshift Shading', 'X-Particles', 'Octane Render', 'DEM Earth'
+      ]);
+
+      expect(detected.map(hit => hit.plugin)).toEqual(['Redshift Core', 'X-Particles', 'Octane Render']);
+    });
+
+    test('should only report plugins from the host plugin list', async () => {
+      const detected = await detector.detectLoadedPlugins(4242, ['Neat Video']);
+      expect(detected).toEqual([]);
+    });
+
+    test('should return nothing for a process that cannot be inspected', async () => {
+      await expect(detector.detectLoadedPlugins(999999, ['Trapcode'])).resolves.toEqual([]);
+      await expect(detector.detectLoadedPlugins(undefined, ['Trapcode'])).resolves.toEqual([]);
+    });
+  });
+});
+
+describe('MonitoringService.checkPluginActivity', () => {
+  let monitor;
+
+  beforeEach(() => {
+    monitor = new MonitoringService();
+    monitor.pluginDetector = new PluginDetector({ strategy: 'proc-maps', procRoot });
+  });
+
+  test('should only report plugins loaded into the host process', async () => {
+    const pluginList = monitor.pluginApplicationMap['Adobe After Effects'];
+
+    const first = await monitor.checkPluginActivity('Adobe After Effects', pluginList, { pid: 4242 });
+    const second = await monitor.checkPluginActivity('Adobe After Effects', pluginList, { pid: 4242 });
+
+    expect(first.map(hit => hit.plugin)).toEqual(['Trapcode', 'Sapphire', 'Twixtor Pro']);
+    expect(second).toEqual(first);
+  });
+
+  test('should feed only confirmed hits into activePlugins', async () => {
+    monitor.activeApplications.set('Cinema 4D', { processName: 'CINEMA 4D', pid: 5150 });
+    // A running vendor service says nothing about which plugins are in use
+    monitor.allProcesses.set('Maxon App', { pid: 7070 });
+
+    await monitor.detectActivePlugins();
+
+    expect(monitor.activePlugins.has('Maxon App')).toBe(false);
+    Array.from(monitor.activePlugins.values()).forEach(plugin => {
+      expect(plugin.detectionMethod).toBe('loaded_module');
+    });
+
+    expect(Array.from(monitor.activePlugins.keys())).toEqual(
+      expect.arrayContaining(['Redshift Core', 'X-Particles', 'Octane Render'])
+    );
+    expect(monitor.activePlugins.has('Redshift Shading')).toBe(false);
+    expect(monitor.activePlugins.get('X-Particles')).toMatchObject({
+      hostApplication: 'Cinema 4D',
+      detectionMethod: 'loaded_module',
+      detectionStrategy: 'proc-maps'
+    });
+  });
+
+  test('should skip applications without a pid', async () => {
+    const detected = await monitor.checkPluginActivity('Cinema 4D', ['Redshift Core'], {});
+    expect(detected).toEqual([]);
+  });
+});
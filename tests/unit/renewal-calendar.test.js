@@ -0,0 +1,124 @@
+// tests/unit/renewal-calendar.test.js
+const DataManager = require('../../src/main/data-manager');
+const RenewalCalendar = require('../../src/main/renewal-calendar');
+
+// Local time, like the calendar's day arithmetic
+const NOW = new Date(2026, 9, 15, 12).getTime();
+const day = (month, date, hour = 10) => new Date(2026, month - 1, date, hour).toISOString();
+const session = (month, date) => ({ startTime: day(month, date), endTime: day(month, date, 11), duration: 60 });
+
+describe('RenewalCalendar', () => {
+  let dataManager;
+  let calendar;
+
+  beforeEach(() => {
+    dataManager = new DataManager({ dataDir: '/tmp/renewal-calendar' });
+    jest.spyOn(dataManager, 'saveData').mockResolvedValue();
+    dataManager.usageData.costs = { applications: { 'Twixtor Pro': 40, 'Enscape': 60 } };
+    dataManager.usageData.applications = {
+      // Used on 2 of the last 30 days
+      'Twixtor Pro': { lastUsed: day(10, 2), sessions: [session(9, 1), session(10, 1), session(10, 2)] },
+      // Used every day for the last 15 days
+      'Enscape': {
+        lastUsed: day(10, 15),
+        sessions: [{ startTime: day(10, 1), endTime: day(10, 15), duration: 20160 }]
+      }
+    };
+    calendar = new RenewalCalendar(dataManager);
+  });
+
+  afterEach(() => {
+    calendar.stop();
+  });
+
+  test('should store, validate and clear renewal dates on cost records', async () => {
+    const record = await calendar.setRenewal('application', 'Twixtor Pro', '', { renewalDate: '2026-11-01' });
+
+    expect(record).toEqual({
+      type: 'application',
+      name: 'Twixtor Pro',
+      vendor: '',
+      renewalDate: '2026-11-01',
+      billingCycle: 'annual',
+      autoRenew: true
+    });
+    expect(dataManager.usageData.costs.renewals['application:Twixtor Pro']).toEqual(record);
+
+    await expect(calendar.setRenewal('application', 'Enscape', '', { renewalDate: '01/11/2026' }))
+      .rejects.toThrow('Invalid renewal date');
+    await expect(calendar.setRenewal('application', 'Enscape', '', {
+      renewalDate: '2026-11-01',
+      billingCycle: 'weekly'
+    })).rejects.toThrow('Invalid billing cycle "weekly"');
+
+    await calendar.setRenewal('application', 'Twixtor Pro', '', { renewalDate: '' });
+    expect(dataManager.usageData.costs.renewals).toEqual({});
+  });
+
+  test('should roll recurring renewals forward to the next occurrence', () => {
+    const date = time => new Date(time).toDateString();
+
+    expect(date(calendar.nextRenewal('2026-01-31', 'monthly', NOW))).toBe(new Date(2026, 9, 31).toDateString());
+    expect(date(calendar.nextRenewal('2025-10-20', 'annual', NOW))).toBe(new Date(2026, 9, 20).toDateString());
+    expect(date(calendar.nextRenewal('2026-10-15', 'annual', NOW))).toBe(new Date(2026, 9, 15).toDateString());
+    expect(date(calendar.nextRenewal('2024-02-29', 'annual', new Date(2025, 0, 1))))
+      .toBe(new Date(2025, 1, 28).toDateString());
+  });
+
+  test('should list renewals and license term ends with cost and utilization', async () => {
+    await calendar.setRenewal('application', 'Twixtor Pro', '', { renewalDate: '2025-11-01' });
+    await calendar.setRenewal('application', 'Enscape', '', { renewalDate: '2026-08-10', billingCycle: 'monthly' });
+    await dataManager.saveLicense({
+      vendor: 'Chaos',
+      product: 'Enscape',
+      seats: 4,
+      licenseType: 'named-user',
+      termEnd: '2027-03-31',
+      renewalPrice: 2400
+    });
+    await dataManager.saveLicense({
+      vendor: 'Chaos', product: 'V-Ray', seats: 1, licenseType: 'named-user', termEnd: '2030-01-01'
+    });
+
+    const renewals = calendar.getRenewals({ now: NOW });
+
+    expect(renewals.map(item => [item.name, item.type, item.nextRenewal, item.daysUntil])).toEqual([
+      ['Twixtor Pro', 'application', '2026-11-01', 17],
+      ['Enscape', 'application', '2026-11-10', 26],
+      ['Enscape', 'license', '2027-03-31', 167]
+    ]);
+    expect(renewals[0]).toMatchObject({ amount: 480, utilization: 7, underused: true });
+    expect(renewals[1]).toMatchObject({ amount: 60, utilization: 50, underused: false });
+    expect(renewals[2]).toMatchObject({ key: expect.stringMatching(/^license:/), amount: 2400 });
+  });
+
+  test('should alert once per renewal for under-used items inside the window', async () => {
+    await calendar.setRenewal('application', 'Twixtor Pro', '', { renewalDate: '2026-11-01' });
+    await calendar.setRenewal('application', 'Enscape', '', { renewalDate: '2026-10-20' });
+    const alerts = [];
+    calendar.on('renewal-alert', alert => alerts.push(alert));
+
+    await calendar.checkAlerts(NOW);
+    await calendar.checkAlerts(NOW);
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ key: 'application:Twixtor Pro', nextRenewal: '2026-11-01' });
+    expect(alerts[0].message).toBe('Twixtor Pro renews in 17 days (2026-11-01, $480.00) at 7% utilization');
+    expect(dataManager.usageData.renewalAlerts).toEqual({ 'application:Twixtor Pro': '2026-11-01' });
+
+    // A year on, nothing has been used and next year's renewals alert again
+    await calendar.checkAlerts(new Date(2027, 9, 15, 12).getTime());
+    expect(alerts.map(alert => `${alert.key}@${alert.nextRenewal}`)).toEqual([
+      'application:Twixtor Pro@2026-11-01',
+      'application:Enscape@2027-10-20',
+      'application:Twixtor Pro@2027-11-01'
+    ]);
+  });
+
+  test('should not alert when renewal alerts are disabled', async () => {
+    await calendar.setRenewal('application', 'Twixtor Pro', '', { renewalDate: '2026-11-01' });
+    dataManager.settings.renewalAlerts = { enabled: false };
+
+    expect(await calendar.checkAlerts(NOW)).toEqual([]);
+  });
+});
@@ -0,0 +1,279 @@
+// tests/unit/report-scheduler.test.js
+// Delivers to a temp folder and to local SMTP/HTTP servers, so use the real fs
+jest.unmock('fs');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const http = require('http');
+const DataManager = require('../../src/main/data-manager');
+const ReportScheduler = require('../../src/main/report-scheduler');
+const SmtpTransport = require('../../src/main/smtp-transport');
+
+// Just enough SMTP to accept one message per connection
+function startSmtpServer() {
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    const session = { commands: [], data: '' };
+
+    socket.write('220 localhost test SMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+
+      while (buffer.length > 0) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          session.data = buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          server.messages.push(session);
+          socket.write('250 2.0.0 Ok: queued\r\n');
+        } else {
+          const end = buffer.indexOf('\r\n');
+          if (end === -1) return;
+          const line = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          session.commands.push(line);
+
+          const verb = line.split(/[ :]/)[0].toUpperCase();
+          if (verb === 'EHLO') socket.write('250-localhost\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n');
+          else if (verb === 'AUTH') socket.write('235 2.7.0 Authentication successful\r\n');
+          else if (verb === 'DATA') {
+            inData = true;
+            socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+          } else if (verb === 'QUIT') socket.end('221 Bye\r\n');
+          else if (line === 'RCPT TO:<blocked@example.com>') socket.write('550 Mailbox unavailable\r\n');
+          else socket.write('250 Ok\r\n');
+        }
+      }
+    });
+  });
+
+  server.messages = [];
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function startWebhookServer(status = 200) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      server.requests.push({ headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(status);
+      res.end();
+    });
+  });
+
+  server.requests = [];
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+// Attachment content from a multipart message
+function decodeAttachment(message, filename) {
+  const part = message.split(/------=_Part_\w+/).find(section => section.includes(`filename="${filename}"`));
+  return Buffer.from(part.split('\r\n\r\n')[1].replace(/\r\n/g, ''), 'base64').toString();
+}
+
+describe('ReportScheduler', () => {
+  let dataDir;
+  let dataManager;
+  let scheduler;
+  const servers = [];
+
+  const configure = reportSchedule => {
+    dataManager.settings.reportSchedule = { ...dataManager.settings.reportSchedule, ...reportSchedule };
+  };
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-scheduler-'));
+    dataManager = new DataManager({ dataDir });
+    dataManager.usageData.applications.Nuke = {
+      totalUsage: 0,
+      runningTime: 30,
+      lastUsed: '2026-01-01T10:00:00.000Z',
+      sessions: []
+    };
+    scheduler = new ReportScheduler(dataManager);
+  });
+
+  afterEach(async () => {
+    scheduler.stop();
+    await Promise.all(servers.splice(0).map(server => new Promise(resolve => {
+      server.close(resolve);
+    })));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should write the report to a folder and record the run in history', async () => {
+    const folder = path.join(dataDir, 'reports');
+    configure({ reportType: 'savings', format: 'csv', destinations: [{ type: 'folder', path: folder }] });
+
+    const entry = await scheduler.run();
+
+    expect(entry).toMatchObject({ trigger: 'manual', status: 'success', reportType: 'savings', format: 'csv' });
+    expect(entry.fileName).toMatch(/^savings-report-.*\.csv$/);
+    expect(fs.readFileSync(path.join(folder, entry.fileName), 'utf8')).toContain('Nuke,application');
+
+    // History survives a restart
+    const restarted = new ReportScheduler(dataManager);
+    await restarted.loadHistory();
+    expect(restarted.getHistory()).toEqual([entry]);
+  });
+
+  test('should leave credentials out of an exported summary', async () => {
+    const folder = path.join(dataDir, 'reports');
+    dataManager.usageData.metadata.enterpriseApiKey = 'lic_adminsecret';
+    configure({ reportType: 'summary', format: 'json', destinations: [{ type: 'folder', path: folder }] });
+
+    const entry = await scheduler.run();
+    const exported = fs.readFileSync(path.join(folder, entry.fileName), 'utf8');
+
+    expect(JSON.parse(exported).usageData.applications).toHaveProperty('Nuke');
+    expect(exported).not.toContain('lic_adminsecret');
+    expect(dataManager.usageData.metadata.enterpriseApiKey).toBe('lic_adminsecret');
+  });
+
+  test('should email the report through the configured SMTP server', async () => {
+    const smtp = await startSmtpServer();
+    servers.push(smtp);
+    configure({
+      reportType: 'unused',
+      format: 'json',
+      destinations: [{
+        type: 'email',
+        from: 'Reports <reports@example.com>',
+        to: 'finance@example.com, it@example.com',
+        // The test server has no STARTTLS
+        smtp: {
+          host: '127.0.0.1', port: smtp.address().port, user: 'reports', pass: 'secret', allowInsecureAuth: true
+        }
+      }]
+    });
+
+    const entry = await scheduler.run();
+
+    expect(entry.status).toBe('success');
+    expect(smtp.messages).toHaveLength(1);
+    const [message] = smtp.messages;
+    expect(message.commands).toEqual(expect.arrayContaining([
+      `AUTH PLAIN ${Buffer.from('\0reports\0secret').toString('base64')}`,
+      'MAIL FROM:<reports@example.com>',
+      'RCPT TO:<finance@example.com>',
+      'RCPT TO:<it@example.com>'
+    ]));
+    expect(message.data).toContain('Subject: Unused software report');
+
+    const report = JSON.parse(decodeAttachment(message.data, entry.fileName));
+    expect(report.reportType).toBe('unused');
+    expect(report.recommendations.map(item => item.name)).toContain('Nuke');
+  });
+
+  test('should post the report to a webhook and mark partial failures', async () => {
+    const webhook = await startWebhookServer();
+    const failing = await startWebhookServer(500);
+    servers.push(webhook, failing);
+    configure({
+      format: 'pdf',
+      destinations: [
+        { type: 'webhook', url: `http://127.0.0.1:${webhook.address().port}/hooks/reports?token=abc` },
+        { type: 'webhook', url: `http://127.0.0.1:${failing.address().port}/hooks/reports` }
+      ]
+    });
+    jest.spyOn(dataManager, 'getSystemInfo').mockResolvedValue({ hostname: 'ws-042' });
+
+    const entry = await scheduler.run();
+
+    expect(entry.status).toBe('partial');
+    expect(entry.destinations).toEqual([
+      expect.objectContaining({ success: true, target: `http://127.0.0.1:${webhook.address().port}/hooks/reports` }),
+      expect.objectContaining({ success: false, error: 'Webhook responded with 500' })
+    ]);
+
+    const [request] = webhook.requests;
+    expect(request.body).toMatchObject({ event: 'report.generated', reportType: 'summary', format: 'pdf' });
+    expect(Buffer.from(request.body.content, 'base64').toString('latin1')).toMatch(/^%PDF-/);
+  });
+
+  test('should fail a run without destinations', async () => {
+    const entry = await scheduler.run('manual');
+
+    expect(entry).toMatchObject({ status: 'failed', error: 'No report destinations configured' });
+  });
+
+  test('should schedule runs from the cron expression', async () => {
+    const folder = path.join(dataDir, 'scheduled');
+    configure({ enabled: true, cron: '0 8 * * 1', destinations: [{ type: 'folder', path: folder }], format: 'json' });
+    jest.spyOn(dataManager, 'getSystemInfo').mockResolvedValue({ hostname: 'ws-042' });
+
+    const status = scheduler.configure(scheduler.getConfig());
+    const nextRun = new Date(status.nextRun);
+    expect(status.enabled).toBe(true);
+    expect([nextRun.getDay(), nextRun.getHours(), nextRun.getMinutes()]).toEqual([1, 8, 0]);
+
+    const completed = new Promise(resolve => {
+      scheduler.once('report-complete', resolve);
+    });
+    scheduler.job.invoke();
+    expect(await completed).toMatchObject({ trigger: 'schedule', status: 'success' });
+  });
+
+  test('should reject invalid schedule settings', () => {
+    const config = scheduler.getConfig();
+
+    expect(() => scheduler.validate({ ...config, enabled: true, cron: 'every monday' })).toThrow('Invalid cron');
+    expect(() => scheduler.validate({ ...config, reportType: 'weekly' })).toThrow('Invalid report type');
+    expect(() => scheduler.validate({ ...config, format: 'docx' })).toThrow('Invalid report format');
+    expect(() => scheduler.validate({ ...config, destinations: [{ type: 'webhook', url: 'ftp://x' }] }))
+      .toThrow('webhook url must be http(s)');
+    expect(() => scheduler.validate({ ...config, destinations: [{ type: 'email', to: 'a@example.com' }] }))
+      .toThrow('email needs from, to and smtp.host');
+  });
+});
+
+describe('SmtpTransport', () => {
+  test('should not send credentials over a connection without TLS', async () => {
+    const smtp = await startSmtpServer();
+    const message = { from: 'a@example.com', to: 'b@example.com', text: 'hi' };
+
+    try {
+      const transport = new SmtpTransport({
+        host: '127.0.0.1', port: smtp.address().port, user: 'reports', pass: 'secret'
+      });
+      await expect(transport.sendMail(message))
+        .rejects.toThrow('SMTP server did not offer STARTTLS; refusing to send credentials unencrypted');
+      expect(smtp.messages).toEqual([]);
+
+      const insecure = new SmtpTransport({
+        host: '127.0.0.1', port: smtp.address().port, user: 'reports', pass: 'secret', ignoreTLS: true
+      });
+      expect((await insecure.sendMail(message)).accepted).toEqual(['b@example.com']);
+    } finally {
+      await new Promise(resolve => {
+        smtp.close(resolve);
+      });
+    }
+  });
+
+  test('should surface SMTP errors', async () => {
+    const smtp = await startSmtpServer();
+    const transport = new SmtpTransport({ host: '127.0.0.1', port: smtp.address().port });
+
+    try {
+      await expect(transport.sendMail({ from: 'a@example.com', to: 'blocked@example.com', text: 'hi' }))
+        .rejects.toThrow('SMTP RCPT failed: 550 Mailbox unavailable');
+    } finally {
+      await new Promise(resolve => {
+        smtp.close(resolve);
+      });
+    }
+  });
+});
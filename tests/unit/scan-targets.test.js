@@ -0,0 +1,73 @@
+// tests/unit/scan-targets.test.js
+const ScanTargets = require('../../src/main/scan-targets');
+
+const range = target => [ScanTargets.toIp(target.start), ScanTargets.toIp(target.end)];
+
+describe('ScanTargets', () => {
+  test('should convert between dotted quads and integers', () => {
+    expect(ScanTargets.toInt('0.0.0.0')).toBe(0);
+    expect(ScanTargets.toInt('255.255.255.255')).toBe(2 ** 32 - 1);
+    expect(ScanTargets.toIp(ScanTargets.toInt('10.20.30.40'))).toBe('10.20.30.40');
+    expect(() => ScanTargets.toInt('10.20.30')).toThrow('Invalid IPv4 address "10.20.30"');
+    expect(() => ScanTargets.toInt('10.20.30.256')).toThrow('Invalid IPv4 address');
+  });
+
+  test('should enumerate CIDR blocks of any prefix length', () => {
+    const block = ScanTargets.parse('10.20.3.77/22');
+    expect(block).toMatchObject({ network: '10.20.0.0', prefix: 22 });
+    expect(range(block)).toEqual(['10.20.0.1', '10.20.3.254']);
+
+    expect(range(ScanTargets.parse('192.168.1.8/29'))).toEqual(['192.168.1.9', '192.168.1.14']);
+    expect(range(ScanTargets.parse('192.168.1.8/30'))).toEqual(['192.168.1.9', '192.168.1.10']);
+    // Point-to-point links have no network or broadcast address
+    expect(range(ScanTargets.parse('192.168.1.8/31'))).toEqual(['192.168.1.8', '192.168.1.9']);
+    expect(range(ScanTargets.parse('192.168.1.8/32'))).toEqual(['192.168.1.8', '192.168.1.8']);
+    expect(range(ScanTargets.parse('172.16.0.0/16'))).toEqual(['172.16.0.1', '172.16.255.254']);
+  });
+
+  test('should parse ranges and single addresses', () => {
+    expect(range(ScanTargets.parse('10.0.0.250-10.0.1.5'))).toEqual(['10.0.0.250', '10.0.1.5']);
+    expect(range(ScanTargets.parse('10.0.4.10 - 60'))).toEqual(['10.0.4.10', '10.0.4.60']);
+    expect(range(ScanTargets.parse('10.0.9.5'))).toEqual(['10.0.9.5', '10.0.9.5']);
+
+    expect(() => ScanTargets.parse('10.0.4.60-10')).toThrow('ends before it starts');
+    expect(() => ScanTargets.parse('10.0.0.0/33')).toThrow('Invalid prefix length');
+    expect(() => ScanTargets.parse('10.0.0.0/15')).toThrow('has 131070 hosts; the limit is 65536 per target');
+  });
+
+  test('should read prefix lengths from netmasks', () => {
+    expect(ScanTargets.prefixFromNetmask('255.255.252.0')).toBe(22);
+    expect(ScanTargets.prefixFromNetmask('255.255.255.255')).toBe(32);
+    expect(ScanTargets.prefixFromNetmask('0.0.0.0')).toBe(0);
+    expect(() => ScanTargets.prefixFromNetmask('255.0.255.0')).toThrow('not contiguous');
+    expect(ScanTargets.fromInterface('10.1.6.20', '255.255.254.0')).toMatchObject({ network: '10.1.6.0', prefix: 23 });
+  });
+
+  test('should leave exclusions out of the hosts and their count', () => {
+    const targets = new ScanTargets({
+      targets: ['10.0.0.0/28', '10.0.1.1-10.0.1.3'],
+      // Exclusions cover their whole block, whatever its size
+      exclude: ['10.0.0.4-10.0.0.6', '10.0.0.6-8', '10.0.1.0/30', '192.168.0.0/8']
+    });
+    const [block, listed] = targets.targets;
+
+    expect([...targets.hosts(block)]).toEqual([
+      '10.0.0.1', '10.0.0.2', '10.0.0.3', '10.0.0.9', '10.0.0.10',
+      '10.0.0.11', '10.0.0.12', '10.0.0.13', '10.0.0.14'
+    ]);
+    expect(targets.count(block)).toBe(9);
+    expect([...targets.hosts(listed)]).toEqual([]);
+    expect(targets.count(ScanTargets.parse('10.2.0.0/24'))).toBe(254);
+  });
+
+  test('should validate and normalize a scan targets config', () => {
+    expect(ScanTargets.validate()).toEqual({ targets: [], exclude: [], includeLocal: true, maxConcurrency: 256 });
+    expect(ScanTargets.validate({ targets: [' 10.0.0.0/24 '], includeLocal: false, maxConcurrency: 64 })).toEqual({
+      targets: ['10.0.0.0/24'], exclude: [], includeLocal: false, maxConcurrency: 64
+    });
+
+    expect(() => new ScanTargets({ targets: '10.0.0.0/24' })).toThrow('targets must be a list');
+    expect(() => new ScanTargets({ exclude: ['10.0.0.x'] })).toThrow('Invalid IPv4 address "10.0.0.x"');
+    expect(() => new ScanTargets({ maxConcurrency: 2 })).toThrow('maxConcurrency must be a whole number of at least 4');
+  });
+});
@@ -0,0 +1,341 @@
+// tests/unit/secure-channel.test.js
+// Runs a real HTTPS client API with locally generated certificates, so use the real fs
+jest.unmock('fs');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const crypto = require('crypto');
+const express = require('express');
+const SecureChannel = require('../../src/main/secure-channel');
+const SelfSignedCertificate = require('../../src/main/self-signed-certificate');
+const NetworkScanner = require('../../src/main/network-scanner');
+const UsageDelta = require('../../src/main/usage-delta');
+const AgentCommands = require('../../src/main/agent-commands');
+const CommandSigner = require('../../src/main/command-signer');
+
+const TOKEN = 'deployment-token-0123456789abcdef';
+
+// The client side of EnterpriseClientMonitor.setupLocalServer; routes adds more endpoints
+function startClient(certificate, token = TOKEN, clientId = 'ws-101', routes = () => {}) {
+  const channel = new SecureChannel({ token });
+  const app = express();
+  app.set('etag', false);
+  app.use(express.json({
+    verify: (req, res, buffer) => {
+      req.rawBody = buffer.toString('utf8');
+    }
+  }));
+  app.use(channel.middleware(certificate.fingerprint));
+  app.get('/api/status', (req, res) => res.json({ clientId, department: 'VFX', isMonitoring: true }));
+  app.get('/api/latest', (req, res) => res.json({ applications: [{ name: 'Nuke' }] }));
+  routes(app);
+
+  const server = https.createServer({ key: certificate.key, cert: certificate.cert }, app);
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function rawRequest(port, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = https.request({
+      hostname: '127.0.0.1', port, path: '/api/status', headers, rejectUnauthorized: false, agent: false
+    }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe('SelfSignedCertificate', () => {
+  test('should generate a self-signed certificate with a matching key', () => {
+    const generated = SelfSignedCertificate.generate({ commonName: 'ws-101', days: 30 });
+    const certificate = new crypto.X509Certificate(generated.cert);
+
+    expect(certificate.subject).toBe('CN=ws-101');
+    expect(certificate.issuer).toBe('CN=ws-101');
+    expect(certificate.ca).toBe(true);
+    expect(certificate.subjectAltName).toBe('DNS:ws-101');
+    expect(certificate.checkPrivateKey(crypto.createPrivateKey(generated.key))).toBe(true);
+    expect(certificate.verify(certificate.publicKey)).toBe(true);
+    expect(generated.fingerprint).toBe(certificate.fingerprint256);
+  });
+
+  test('should create the certificate once and reuse it afterwards', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-tls-'));
+    try {
+      const created = await SelfSignedCertificate.loadOrCreate(dir, { commonName: 'ws-101' });
+      const loaded = await SelfSignedCertificate.loadOrCreate(dir);
+
+      expect(created.created).toBe(true);
+      expect(loaded).toMatchObject({ created: false, fingerprint: created.fingerprint });
+      expect(fs.statSync(path.join(dir, 'client-tls.key')).mode % 0o100).toBe(0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('SecureChannel', () => {
+  const NOW = 1790000000000;
+  let channel;
+
+  beforeEach(() => {
+    channel = new SecureChannel({ token: TOKEN });
+  });
+
+  const signed = (overrides = {}) => ({
+    method: 'GET',
+    path: '/api/latest',
+    body: '',
+    headers: channel.signRequest('GET', '/api/latest', '', NOW),
+    ...overrides
+  });
+
+  test('should require a usable enrollment token', () => {
+    expect(() => new SecureChannel({ token: 'short' })).toThrow('enrollment token');
+    expect(SecureChannel.generateToken()).toMatch(/^[\w-]{43}$/);
+  });
+
+  test('should accept a signed request once and reject replays', () => {
+    const request = signed();
+
+    expect(() => channel.verifyRequest(request, NOW + 1000)).not.toThrow();
+    expect(() => channel.verifyRequest(request, NOW + 2000)).toThrow('Replayed request nonce');
+  });
+
+  test('should reject tampered, stale, unsigned and foreign requests', () => {
+    expect(() => channel.verifyRequest(signed({ path: '/api/usage/365' }), NOW)).toThrow('Invalid request signature');
+    expect(() => channel.verifyRequest(signed({ body: '{"x":1}' }), NOW)).toThrow('Invalid request signature');
+    expect(() => channel.verifyRequest(signed(), NOW + 6 * 60 * 1000)).toThrow('outside the allowed window');
+    expect(() => channel.verifyRequest(signed({ headers: {} }), NOW)).toThrow('Missing request signature');
+
+    const other = new SecureChannel({ token: 'another-deployment-token' });
+    const foreign = signed({ headers: other.signRequest('GET', '/api/latest', '', NOW) });
+    expect(() => channel.verifyRequest(foreign, NOW)).toThrow('Invalid request signature');
+  });
+
+  test('should forget nonces once they fall outside the window', () => {
+    channel.verifyRequest(signed(), NOW);
+    channel.verifyRequest(signed({ headers: channel.signRequest('GET', '/api/latest', '', NOW + 10 * 60 * 1000) }),
+      NOW + 10 * 60 * 1000);
+
+    expect(channel.seenNonces.size).toBe(1);
+  });
+});
+
+describe('NetworkScanner secure channel', () => {
+  const certificate = SelfSignedCertificate.generate({ commonName: 'ws-101' });
+  const servers = [];
+  let scanner;
+
+  const listen = async (...args) => {
+    const server = await startClient(...args);
+    servers.push(server);
+    scanner.clientPort = server.address().port;
+    return server;
+  };
+
+  beforeEach(() => {
+    scanner = new NetworkScanner({ enrollmentToken: TOKEN });
+  });
+
+  afterEach(async () => {
+    await Promise.all(servers.splice(0).map(server => new Promise(resolve => {
+      server.close(resolve);
+    })));
+  });
+
+  test('should pin the client certificate on first signed contact', async () => {
+    await listen(certificate);
+    const pinned = jest.fn();
+    scanner.on('client-pinned', pinned);
+
+    expect(await scanner.verifyClient('127.0.0.1')).toBe(true);
+    expect(pinned).toHaveBeenCalledWith({ clientId: 'ws-101', fingerprint: certificate.fingerprint });
+    expect(scanner.pins['ws-101']).toMatchObject({ fingerprint: certificate.fingerprint });
+    expect(scanner.getPin('127.0.0.1').pem).toBe(certificate.cert);
+
+    // Later requests go through the pinned certificate
+    expect(await scanner.makeHttpRequest('127.0.0.1', '/api/latest')).toEqual({ applications: [{ name: 'Nuke' }] });
+  });
+
+  test('should refuse a client whose certificate changed after pinning', async () => {
+    await listen(certificate);
+    await scanner.verifyClient('127.0.0.1');
+    await new Promise(resolve => {
+      servers.pop().close(resolve);
+    });
+
+    // Same client ID and token, different certificate
+    await listen(SelfSignedCertificate.generate({ commonName: 'ws-101' }));
+    const mismatch = jest.fn();
+    scanner.on('pin-mismatch', mismatch);
+
+    await expect(scanner.makeHttpRequest('127.0.0.1', '/api/latest')).rejects.toThrow();
+    scanner.discoveredClients.clear();
+    expect(await scanner.verifyClient('127.0.0.1')).toBe(false);
+    expect(mismatch).toHaveBeenCalledWith(expect.objectContaining({ clientId: 'ws-101' }));
+
+    await scanner.removePin('ws-101');
+    expect(await scanner.verifyClient('127.0.0.1')).toBe(true);
+  });
+
+  test('should not trust a responder that does not hold the enrollment token', async () => {
+    await listen(certificate, 'attacker-token-0123456789abcdef');
+
+    await expect(scanner.makeHttpRequest('127.0.0.1', '/api/status')).rejects.toThrow('Client responded with 401');
+    expect(scanner.pins).toEqual({});
+  });
+
+  test('should reject unsigned requests and refuse to send without a token', async () => {
+    const server = await listen(certificate);
+
+    expect(await rawRequest(server.address().port)).toBe(401);
+    expect(await rawRequest(server.address().port, { 'X-API-Key': 'internal-scanner' })).toBe(401);
+
+    const unconfigured = new NetworkScanner();
+    await expect(unconfigured.makeHttpRequest('127.0.0.1', '/api/status'))
+      .rejects.toThrow('No enrollment token configured');
+  });
+
+  test('should sync usage deltas with ETags, gzip and signed 304s', async () => {
+    // Enough applications that the full sync is compressed
+    const state = { epoch: 'e1', sequence: 1, clientId: 'ws-101', department: 'VFX' };
+    const applications = Array.from({ length: 40 }, (_, index) => ({
+      name: `Application ${index}`,
+      total_usage: 100 - index,
+      sequence: 1,
+      sessions: [{ startTime: '2026-10-19T08:00:00.000Z', endTime: '2026-10-19T08:00:00.000Z', sequence: 1 }]
+    }));
+    const served = [];
+    await listen(certificate, TOKEN, 'ws-101', app => {
+      app.get(UsageDelta.SYNC_PATH, (req, res) => {
+        const etag = UsageDelta.etag(state);
+        res.set('ETag', etag);
+        res.on('finish', () => served.push({ status: res.statusCode, encoding: res.get('Content-Encoding') }));
+        if (UsageDelta.matchesEtag(req.get('If-None-Match'), etag)) {
+          res.notModified();
+          return;
+        }
+        const since = UsageDelta.parseCursor(req.query.since);
+        res.json({
+          version: 1,
+          cursor: UsageDelta.formatCursor(state.epoch, state.sequence),
+          since: since ? req.query.since : null,
+          full: !since,
+          clientId: state.clientId,
+          department: state.department,
+          timestamp: '2026-10-19T09:00:00.000Z',
+          applications: applications.filter(item => !since || item.sequence > since.sequence),
+          plugins: [],
+          systemInfo: { hostname: 'ws-101' }
+        });
+      });
+    });
+    const updated = jest.fn();
+    scanner.on('client-updated', updated);
+    await scanner.verifyClient('127.0.0.1');
+    const client = scanner.getClientByIp('127.0.0.1');
+
+    await scanner.updateClientData('127.0.0.1', client);
+    expect(served).toEqual([{ status: 200, encoding: 'gzip' }]);
+    expect(updated.mock.calls[0][0]).toMatchObject({ clientId: 'ws-101', delta: { full: true, cursor: 'e1.1' } });
+    expect(client.latestData.applications).toHaveLength(40);
+
+    // Nothing stored since: 304, and no update event
+    await scanner.updateClientData('127.0.0.1', client);
+    expect(served[1]).toEqual({ status: 304, encoding: undefined });
+    expect(updated).toHaveBeenCalledTimes(1);
+
+    // One application used again: only it comes back, merged into the rest
+    state.sequence = 2;
+    Object.assign(applications[5], { total_usage: 500, sequence: 2 });
+    applications[5].sessions = [{ ...applications[5].sessions[0], endTime: '2026-10-19T09:00:00.000Z', sequence: 2 }];
+    await scanner.verifyClient('127.0.0.1');
+    await scanner.updateClientData('127.0.0.1', scanner.getClientByIp('127.0.0.1'));
+
+    expect(served[2]).toEqual({ status: 200, encoding: undefined });
+    const { data, delta } = updated.mock.calls[1][0];
+    expect(delta).toMatchObject({ full: false, since: 'e1.1', cursor: 'e1.2' });
+    expect(delta.applications.map(item => item.name)).toEqual(['Application 5']);
+    expect(data.applications).toHaveLength(40);
+    expect(data.applications[0]).toMatchObject({ name: 'Application 5', total_usage: 500 });
+    expect(data.applications[0].sessions).toEqual([expect.objectContaining({ endTime: '2026-10-19T09:00:00.000Z' })]);
+  });
+
+  test('should fetch the full latest usage from clients without the sync endpoint', async () => {
+    await listen(certificate);
+    const updated = jest.fn();
+    scanner.on('client-updated', updated);
+    await scanner.verifyClient('127.0.0.1');
+    const client = scanner.getClientByIp('127.0.0.1');
+
+    await scanner.updateClientData('127.0.0.1', client);
+
+    expect(updated).toHaveBeenCalledWith({
+      ip: '127.0.0.1', clientId: 'ws-101', data: { applications: [{ name: 'Nuke' }] }
+    });
+    expect(client.sync.unsupportedAt).toEqual(expect.any(Number));
+    expect(client.isOnline).toBe(true);
+  });
+
+  test('should send signed commands and fail them on agents without the command endpoint', async () => {
+    const signer = new CommandSigner(CommandSigner.generateKeys());
+    const verifier = new CommandSigner({ publicKey: signer.getPublicKey() });
+    const commands = new AgentCommands({ 'stop-monitoring': async () => ({ isMonitoring: false }) });
+    await listen(certificate, TOKEN, 'ws-101', app => {
+      app.post(AgentCommands.PATH, (req, res) => {
+        try {
+          verifier.verify(req.body, 'ws-101');
+        } catch (error) {
+          res.status(403).json({ error: error.message });
+          return;
+        }
+        commands.run(req.body)
+          .then(outcome => res.json(outcome), error => res.status(400).json({ error: error.message }));
+      });
+    });
+    await scanner.verifyClient('127.0.0.1');
+
+    const expiresAt = new Date(Date.now() + 60 * 1000).toISOString();
+    const stop = signer.sign({
+      id: 'c1', clientId: 'ws-101', command: 'stop-monitoring', params: {}, expiresAt
+    });
+    expect(await scanner.sendCommand('127.0.0.1', stop))
+      .toEqual({ status: 'succeeded', result: { isMonitoring: false }, error: null });
+    expect(scanner.getClientByIp('127.0.0.1').isMonitoring).toBe(false);
+    expect(await scanner.sendCommand('127.0.0.1', signer.sign({
+      id: 'c2', clientId: 'ws-101', command: 'reboot', params: {}, expiresAt
+    }))).toMatchObject({ status: 'failed', error: expect.stringContaining('Unknown command "reboot"') });
+    expect(await scanner.sendCommand('127.0.0.1', { ...stop, id: 'c3' }))
+      .toMatchObject({ status: 'failed', error: 'Command signature is invalid' });
+
+    await new Promise(resolve => {
+      servers.pop().close(resolve);
+    });
+    await listen(certificate);
+    expect(await scanner.sendCommand('127.0.0.1', stop))
+      .toMatchObject({ status: 'failed', error: 'The client agent is too old for remote commands' });
+  });
+
+  test('should persist pins to the pin store', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-pins-'));
+    const pinStorePath = path.join(dir, 'client-pins.json');
+    try {
+      await scanner.configureChannel({ enrollmentToken: TOKEN, pinStorePath });
+      await listen(certificate);
+      await scanner.verifyClient('127.0.0.1');
+
+      const restarted = new NetworkScanner();
+      await restarted.configureChannel({ enrollmentToken: TOKEN, pinStorePath });
+      expect(restarted.pins['ws-101'].fingerprint).toBe(certificate.fingerprint);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,211 @@
+// tests/unit/signature-catalog.test.js
+// Catalog files are written to a temp directory, so bypass the fs mock from setup.js
+jest.unmock('fs');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SignatureCatalog = require('../../src/main/signature-catalog');
+
+const baseCatalog = () => ({
+  version: '1.0.0',
+  applications: [
+    {
+      key: '3ds-max',
+      name: '3ds Max',
+      vendor: 'Autodesk',
+      processNames: ['3dsmax.exe'],
+      version: { from: 'path', pattern: '3ds Max (\\d{4})' }
+    },
+    {
+      key: 'nuke',
+      name: 'Nuke',
+      vendor: 'Foundry',
+      processNames: ['Nuke.exe'],
+      patterns: ['^Nuke\\d+\\.\\d+(\\.exe)?$'],
+      version: { from: 'name', pattern: 'Nuke(\\d+\\.\\d+)' }
+    },
+    {
+      key: 'houdini',
+      name: 'Houdini',
+      vendor: 'SideFX',
+      processNames: ['Houdini.exe']
+    },
+    {
+      key: 'houdini-fx',
+      name: 'Houdini FX',
+      vendor: 'SideFX',
+      processNames: ['houdinifx.exe']
+    },
+    {
+      key: 'fl-studio',
+      name: 'FL Studio',
+      vendor: 'Image-Line',
+      processNames: ['FL64.exe', 'FL.exe']
+    },
+    {
+      key: 'unity-editor',
+      name: 'Unity Editor',
+      processNames: ['Unity.exe'],
+      pathHints: ['Unity/Hub/Editor']
+    }
+  ]
+});
+
+describe('SignatureCatalog', () => {
+  describe('validate', () => {
+    test('should accept the bundled catalog', () => {
+      const result = SignatureCatalog.validateFile(SignatureCatalog.DEFAULT_CATALOG_PATH);
+
+      expect(result.errors).toEqual([]);
+      expect(result.valid).toBe(true);
+    });
+
+    test('should report process names claimed by two applications', () => {
+      const catalog = baseCatalog();
+      catalog.applications.push({
+        key: 'autodesk-3ds-max',
+        name: 'Autodesk 3ds Max',
+        processNames: ['3dsmax.exe']
+      });
+
+      const result = SignatureCatalog.validate(catalog);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toMatch(/"3dsmax\.exe" conflicts with 3ds-max/);
+    });
+
+    test('should report duplicate keys and warn on repeated process names', () => {
+      const catalog = baseCatalog();
+      catalog.applications.push({ key: 'nuke', name: 'Nuke Studio', processNames: ['NukeStudio.exe'] });
+      catalog.applications[2].processNames.push('houdini.exe');
+
+      const result = SignatureCatalog.validate(catalog);
+
+      expect(result.errors).toEqual([expect.stringMatching(/^nuke: duplicate key/)]);
+      expect(result.warnings).toEqual([expect.stringMatching(/houdini: duplicate process name "houdini\.exe"/)]);
+    });
+
+    test('should reject invalid patterns and version extractors', () => {
+      const catalog = baseCatalog();
+      catalog.applications[1].patterns = ['^Nuke(\\d+'];
+      catalog.applications[0].version = { from: 'registry', pattern: '3ds Max \\d{4}' };
+
+      const result = SignatureCatalog.validate(catalog);
+
+      expect(result.errors).toEqual(expect.arrayContaining([
+        expect.stringMatching(/nuke: invalid pattern/),
+        expect.stringMatching(/3ds-max: version.from/),
+        expect.stringMatching(/3ds-max: version.pattern needs a capture group/)
+      ]));
+    });
+
+    test('should report duplicate mapping keys in catalog files', () => {
+      const content = '{"version": "1", "version": "2", "applications": []}';
+      expect(() => SignatureCatalog.parse(content)).toThrow(/duplicated mapping key/);
+    });
+  });
+
+  describe('match', () => {
+    let catalog;
+
+    beforeEach(() => {
+      catalog = new SignatureCatalog();
+      catalog.loadCatalog(baseCatalog());
+    });
+
+    test('should match process names case-insensitively across platforms', () => {
+      expect(catalog.match({ name: '3DSMAX.EXE' }).name).toBe('3ds Max');
+      expect(catalog.match({ name: 'houdinifx' }).name).toBe('Houdini FX');
+      expect(catalog.match({ name: 'houdini -foreground' }).name).toBe('Houdini');
+    });
+
+    test('should not match short names inside unrelated processes', () => {
+      expect(catalog.match({ name: 'flatpak-session-helper' })).toBeNull();
+      expect(catalog.match({ name: 'FL64.exe' }).name).toBe('FL Studio');
+    });
+
+    test('should match regex patterns and extract versions', () => {
+      expect(catalog.match({ name: 'Nuke14.0.exe' })).toEqual({
+        key: 'nuke',
+        name: 'Nuke',
+        vendor: 'Foundry',
+        version: '14.0'
+      });
+      expect(catalog.match({
+        name: '3dsmax.exe',
+        path: 'C:\\Program Files\\Autodesk\\3ds Max 2024\\3dsmax.exe'
+      }).version).toBe('2024');
+    });
+
+    test('should fall back to executable path hints', () => {
+      const match = catalog.match({
+        name: 'Editor',
+        path: '/opt/Unity/Hub/Editor/2022.3.10f1/Editor/Editor'
+      });
+
+      expect(match.name).toBe('Unity Editor');
+      expect(match.vendor).toBe('Unknown');
+    });
+  });
+
+  describe('reload', () => {
+    let tmpDir;
+    let catalogPath;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signature-catalog-'));
+      catalogPath = path.join(tmpDir, 'catalog.yaml');
+      fs.writeFileSync(catalogPath, JSON.stringify(baseCatalog()));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should load YAML catalogs', () => {
+      fs.writeFileSync(catalogPath, [
+        'version: 2.0.0',
+        'applications:',
+        '  - key: blender',
+        '    name: Blender',
+        '    processNames: [Blender.exe]'
+      ].join('\n'));
+
+      const catalog = new SignatureCatalog({ catalogPath }).load();
+
+      expect(catalog.version).toBe('2.0.0');
+      expect(catalog.getApplicationNames()).toEqual(['Blender']);
+    });
+
+    test('should keep the previous signatures when an edit is invalid', () => {
+      const catalog = new SignatureCatalog({ catalogPath }).load();
+      const failed = jest.fn();
+      catalog.on('reload-failed', failed);
+
+      fs.writeFileSync(catalogPath, 'version: 1.0.1\napplications: nope\n');
+
+      expect(catalog.reload()).toBe(false);
+      expect(failed).toHaveBeenCalled();
+      expect(catalog.version).toBe('1.0.0');
+      expect(catalog.match({ name: '3dsmax.exe' }).name).toBe('3ds Max');
+    });
+
+    test('should hot-reload when the catalog file changes', async () => {
+      const catalog = new SignatureCatalog({ catalogPath, reloadDelay: 10 }).load();
+      const reloaded = new Promise(resolve => { catalog.once('reloaded', resolve); });
+
+      catalog.watch();
+      const updated = baseCatalog();
+      updated.version = '1.1.0';
+      updated.applications.push({ key: 'zbrush', name: 'ZBrush', processNames: ['ZBrush.exe'] });
+      fs.writeFileSync(catalogPath, JSON.stringify(updated));
+
+      const info = await reloaded;
+      catalog.unwatch();
+
+      expect(info).toEqual({ version: '1.1.0', previousVersion: '1.0.0' });
+      expect(catalog.match({ name: 'ZBrush.exe' }).name).toBe('ZBrush');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+// tests/unit/usage-delta.test.js
+const UsageDelta = require('../../src/main/usage-delta');
+
+const at = time => `2026-10-19T${time}:00.000Z`;
+const session = (start, end, sequence) => ({ startTime: at(start), endTime: at(end), duration: 1, sequence });
+
+describe('UsageDelta', () => {
+  test('should format and parse cursors', () => {
+    const cursor = UsageDelta.formatCursor('0b6c1e52-7f1a-4a57-9a0e-3c2d1f0e9b8a', 42);
+
+    expect(UsageDelta.parseCursor(cursor)).toEqual({ epoch: '0b6c1e52-7f1a-4a57-9a0e-3c2d1f0e9b8a', sequence: 42 });
+    expect(UsageDelta.parseCursor('')).toBeNull();
+    expect(UsageDelta.parseCursor('epoch.-1')).toBeNull();
+    expect(UsageDelta.parseCursor(undefined)).toBeNull();
+  });
+
+  test('should change the ETag with the sync state and match If-None-Match lists', () => {
+    const state = { epoch: 'e1', sequence: 7, clientId: 'ws-101', department: 'VFX' };
+    const etag = UsageDelta.etag(state);
+
+    expect(etag).toMatch(/^"[\w-]{27}"$/);
+    expect(UsageDelta.etag({ ...state })).toBe(etag);
+    expect(UsageDelta.etag({ ...state, sequence: 8 })).not.toBe(etag);
+    expect(UsageDelta.etag({ ...state, department: 'Lighting' })).not.toBe(etag);
+
+    expect(UsageDelta.matchesEtag(`"other", W/${etag}`, etag)).toBe(true);
+    expect(UsageDelta.matchesEtag('*', etag)).toBe(true);
+    expect(UsageDelta.matchesEtag('"other"', etag)).toBe(false);
+    expect(UsageDelta.matchesEtag(undefined, etag)).toBe(false);
+  });
+
+  test('should merge changed items and sessions into the previous usage', () => {
+    const base = {
+      clientId: 'ws-101',
+      department: 'VFX',
+      timestamp: '2026-10-19T09:00:00.000Z',
+      lastUpdate: '2026-10-19T09:01:00.000Z',
+      systemInfo: { hostname: 'ws-101' },
+      applications: [
+        { name: 'Nuke', total_usage: 10, sessions: [session('08:00', '08:30', 1), session('09:00', '09:00', 5)] },
+        { name: 'Maya', total_usage: 4, sessions: [session('08:00', '08:20', 2)] }
+      ],
+      plugins: [{ vendor: 'Unknown', name: 'Redshift', total_usage: 3, sessions: [session('08:00', '08:10', 2)] }]
+    };
+    const delta = {
+      version: 1,
+      cursor: 'e1.9',
+      since: 'e1.5',
+      full: false,
+      clientId: 'ws-101',
+      department: 'VFX',
+      timestamp: '2026-10-19T09:10:00.000Z',
+      systemInfo: null,
+      // Nuke's last session was extended, Houdini is new; Maya and the plugin did not change
+      applications: [
+        { name: 'Maya', total_usage: 12, sessions: [session('09:05', '09:10', 9)] },
+        { name: 'Nuke', total_usage: 11, sessions: [session('09:00', '09:10', 9)] },
+        { name: 'Houdini', total_usage: 1, sessions: [session('09:10', '09:10', 9)] }
+      ],
+      plugins: []
+    };
+
+    const merged = UsageDelta.merge(base, delta);
+
+    expect(merged).toMatchObject({
+      timestamp: '2026-10-19T09:10:00.000Z',
+      lastUpdate: '2026-10-19T09:01:00.000Z',
+      systemInfo: { hostname: 'ws-101' },
+      plugins: base.plugins
+    });
+    expect(merged).not.toHaveProperty('cursor');
+    expect(merged.applications.map(app => [app.name, app.total_usage])).toEqual([
+      ['Maya', 12], ['Nuke', 11], ['Houdini', 1]
+    ]);
+    expect(merged.applications[0].sessions).toEqual([session('08:00', '08:20', 2), session('09:05', '09:10', 9)]);
+    expect(merged.applications[1].sessions).toEqual([session('08:00', '08:30', 1), session('09:00', '09:10', 9)]);
+  });
+
+  test('should replace the previous usage with a full sync', () => {
+    const base = { lastUpdate: 'x', applications: [{ name: 'Nuke', sessions: [] }], plugins: [] };
+    const full = {
+      version: 1, cursor: 'e2.3', since: null, full: true, applications: [{ name: 'Maya', sessions: [] }]
+    };
+
+    expect(UsageDelta.merge(base, full)).toEqual({
+      lastUpdate: 'x', applications: [{ name: 'Maya', sessions: [] }], plugins: []
+    });
+    expect(UsageDelta.merge(undefined, { ...full, full: false }).applications).toEqual(full.applications);
+    expect(UsageDelta.changedSessions([session('08:00', '08:05', 3), { startTime: at('07:00') }], 2))
+      .toEqual([session('08:00', '08:05', 3)]);
+  });
+});
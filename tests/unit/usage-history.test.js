@@ -0,0 +1,117 @@
+// tests/unit/usage-history.test.js
+const UsageHistory = require('../../src/main/usage-history');
+const { createDatastore } = require('../fixtures/memory-datastore');
+
+// Pulled snapshots carry running totals per application and plugin
+const pulled = (timestamp, nuke, houdini, redshift = 0) => ({
+  timestamp,
+  applications: { Nuke: { totalUsage: nuke }, Houdini: { totalUsage: houdini } },
+  plugins: { Maxon: { Redshift: { totalUsage: redshift } } }
+});
+
+// Pushed records list what was running at one monitoring tick
+const pushed = (sequence, timestamp, applications) => ({
+  sequence,
+  timestamp,
+  type: 'monitoring_snapshot',
+  data: { applications: Object.fromEntries(applications.map(name => [name, { detected: true }])), plugins: {} }
+});
+
+describe('UsageHistory', () => {
+  let datastore;
+  let history;
+
+  beforeEach(() => {
+    datastore = createDatastore();
+    history = new UsageHistory(datastore);
+  });
+
+  test('should roll up the growth of running totals between snapshots', async () => {
+    expect(await history.record('ws-101', 'VFX', pulled('2026-10-19T09:00:00.000Z', 100, 50))).toEqual([]);
+    await history.record('ws-101', 'VFX', pulled('2026-10-19T09:15:00.000Z', 115, 50, 10));
+    await history.record('ws-101', 'VFX', pulled('2026-10-19T10:15:00.000Z', 130, 60, 10));
+    // The client's counters restarted
+    await history.record('ws-101', 'VFX', pulled('2026-10-19T11:15:00.000Z', 5, 60, 10));
+
+    const result = await history.query('applications', {
+      from: '2026-10-19T09:00:00.000Z', to: '2026-10-19T11:59:59.000Z', resolution: 'hour'
+    });
+
+    expect(result.buckets).toHaveLength(3);
+    expect(result.series.map(item => [item.name, item.totalMinutes])).toEqual([['Nuke', 35], ['Houdini', 10]]);
+    expect(result.series[0].points.map(point => point.minutes)).toEqual([15, 15, 5]);
+    expect(result.totals.minutes).toBe(45);
+
+    const plugins = await history.query('plugins', { from: '2026-10-19T00:00:00.000Z', to: '2026-10-19T23:00:00Z' });
+    expect(plugins.series).toEqual([
+      expect.objectContaining({ vendor: 'Maxon', name: 'Redshift', totalMinutes: 10, clients: 1 })
+    ]);
+  });
+
+  test('should count each pushed tick as a minute, at the time it was recorded', async () => {
+    await history.record('ws-201', 'Edit', pushed(1, '2026-10-18T23:59:00.000Z', ['DaVinci Resolve']));
+    await history.record('ws-201', 'Edit', pushed(2, '2026-10-19T00:00:00.000Z', ['DaVinci Resolve', 'Nuke']));
+    await history.record('ws-101', 'VFX', pushed(1, '2026-10-19T00:01:00.000Z', ['Nuke']));
+
+    const result = await history.query('departments', {
+      from: '2026-10-18T00:00:00.000Z', to: '2026-10-19T12:00:00.000Z', resolution: 'day'
+    });
+
+    expect(result.series.map(item => [item.department, item.points.map(point => point.minutes)])).toEqual([
+      ['Edit', [1, 2]], ['VFX', [0, 1]]
+    ]);
+
+    const visible = await history.query('applications', {
+      from: '2026-10-18T00:00:00.000Z', to: '2026-10-19T12:00:00.000Z', visibleDepartments: ['VFX']
+    });
+    expect(visible.series.map(item => [item.name, item.totalMinutes, item.clients])).toEqual([['Nuke', 1, 1]]);
+  });
+
+  test('should serve weekly and monthly resolutions from coarser rollups', async () => {
+    await history.record('ws-201', 'Edit', pushed(1, '2026-09-30T10:00:00.000Z', ['Nuke']));
+    await history.record('ws-201', 'Edit', pushed(2, '2026-10-01T10:00:00.000Z', ['Nuke']));
+    await history.record('ws-201', 'Edit', pushed(3, '2026-10-05T10:00:00.000Z', ['Nuke']));
+
+    const weekly = await history.query('applications', {
+      from: '2026-09-28T00:00:00.000Z', to: '2026-10-11T00:00:00.000Z', resolution: 'week'
+    });
+    expect(weekly.series[0].points).toEqual([
+      { bucket: '2026-09-28T00:00:00.000Z', minutes: 2 },
+      { bucket: '2026-10-05T00:00:00.000Z', minutes: 1 }
+    ]);
+
+    const monthly = await history.query('applications', {
+      from: '2026-09-01T00:00:00.000Z', to: '2026-10-31T00:00:00.000Z', resolution: 'month'
+    });
+    expect(monthly.series[0].points.map(point => point.minutes)).toEqual([1, 2]);
+  });
+
+  test('should downsample by dropping fine-grained rollups as they age', async () => {
+    await history.record('ws-201', 'Edit', pushed(1, '2026-06-01T10:00:00.000Z', ['Nuke']));
+    await history.record('ws-201', 'Edit', pushed(2, '2026-10-19T08:00:00.000Z', ['Nuke']));
+
+    const policy = UsageHistory.validateRetention({ hourlyDays: 30, dailyDays: 90 });
+    expect(policy).toEqual({ rawDays: 7, hourlyDays: 30, dailyDays: 90, monthlyDays: null });
+
+    const removed = await history.applyRetention(policy, new Date('2026-10-19T09:00:00.000Z'));
+    expect(removed).toEqual({ hour: 1, day: 1, month: 0 });
+
+    const summer = { from: '2026-06-01T00:00:00.000Z', to: '2026-06-30T00:00:00.000Z' };
+    expect((await history.query('applications', { ...summer, resolution: 'day' })).series).toEqual([]);
+    expect((await history.query('applications', { ...summer, resolution: 'month' })).totals.minutes).toBe(1);
+  });
+
+  test('should validate queries and retention settings', async () => {
+    await expect(history.query('vendors')).rejects.toThrow('Invalid dimension "vendors"');
+    await expect(history.query('applications', { resolution: 'minute' })).rejects.toThrow('Invalid resolution');
+    await expect(history.query('applications', { from: 'soon' })).rejects.toThrow('Invalid date range');
+    await expect(history.query('applications', { from: '2026-10-19', to: '2026-10-01' }))
+      .rejects.toThrow('Range start must be before range end');
+    await expect(history.query('applications', { from: '2020-01-01', resolution: 'hour' }))
+      .rejects.toThrow('Range too large for hour resolution');
+
+    expect(() => UsageHistory.validateRetention({ hourlyDays: 0 })).toThrow('hourlyDays must be a positive number');
+    expect(() => UsageHistory.validateRetention({ weeklyDays: 10 })).toThrow('Unknown retention setting weeklyDays');
+    expect(UsageHistory.validateRetention({ dailyDays: null }).dailyDays).toBeNull();
+  });
+});
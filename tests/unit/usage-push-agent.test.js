@@ -0,0 +1,215 @@
+// tests/unit/usage-push-agent.test.js
+const https = require('https');
+const express = require('express');
+const DataManager = require('../../src/main/data-manager');
+const SecureChannel = require('../../src/main/secure-channel');
+const SelfSignedCertificate = require('../../src/main/self-signed-certificate');
+const UsageIngest = require('../../src/main/usage-ingest');
+const UsagePushAgent = require('../../src/main/usage-push-agent');
+
+const TOKEN = 'deployment-token-0123456789abcdef';
+const CERTIFICATE = SelfSignedCertificate.generate({ commonName: 'enterprise-server' });
+
+// The /api/ingest route of EnterpriseServer over HTTPS, without the NeDB history store
+function startServer(ingest) {
+  const channel = new SecureChannel({ token: TOKEN });
+  const app = express();
+  const server = { down: false, requests: [] };
+
+  app.use(express.json({
+    verify: (req, res, buffer) => {
+      req.rawBody = buffer.toString('utf8');
+    }
+  }));
+  app.post('/api/ingest', (req, res, next) => {
+    if (server.down) {
+      res.status(503).end();
+      return;
+    }
+    channel.middleware('')(req, res, next);
+  }, async (req, res) => {
+    server.requests.push({ key: req.get('Idempotency-Key'), sequences: req.body.records.map(r => r.sequence) });
+    try {
+      const result = await ingest.ingest(req.body, req.get('Idempotency-Key'));
+      res.json({ accepted: result.accepted, duplicates: result.duplicates, lastSequence: result.lastSequence });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  return new Promise(resolve => {
+    server.http = https.createServer({ key: CERTIFICATE.key, cert: CERTIFICATE.cert }, app);
+    server.http.listen(0, '127.0.0.1', () => {
+      server.url = `https://127.0.0.1:${server.http.address().port}`;
+      resolve(server);
+    });
+  });
+}
+
+// In-memory stand-in for the client's usage_data table
+function createQueue(count) {
+  const rows = Array.from({ length: count }, (item, index) => ({
+    sequence: index + 1,
+    timestamp: `2026-10-15T10:0${index}:00.000Z`,
+    type: 'monitoring_snapshot',
+    data: { applications: { Nuke: {} } },
+    synced: false
+  }));
+
+  return {
+    rows,
+    pending: async limit => rows.filter(row => !row.synced).slice(0, limit)
+      .map(({ synced, ...record }) => record),
+    acknowledge: async lastSequence => {
+      rows.forEach(row => {
+        if (row.sequence <= lastSequence) row.synced = true;
+      });
+    }
+  };
+}
+
+describe('UsagePushAgent', () => {
+  let dataManager;
+  let ingest;
+  let server;
+
+  const createAgent = (queue, overrides = {}) => new UsagePushAgent({
+    serverUrl: server.url,
+    serverCertificate: CERTIFICATE.cert,
+    enrollmentToken: TOKEN,
+    clientId: 'ws-201',
+    agentId: 'agent-1',
+    department: 'Remote',
+    batchSize: 2,
+    queue,
+    getLatest: async () => ({ applications: [{ name: 'Nuke', total_usage: 90 }] }),
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    dataManager = new DataManager({ dataDir: '/tmp/usage-push-agent' });
+    jest.spyOn(dataManager, 'saveData').mockResolvedValue();
+    ingest = new UsageIngest(dataManager);
+    server = await startServer(ingest);
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => {
+      server.http.close(resolve);
+    });
+  });
+
+  test('should keep usage queued while offline and replay it in order', async () => {
+    const queue = createQueue(5);
+    const events = [];
+    const agent = createAgent(queue);
+    agent.on('offline', () => events.push('offline'));
+    agent.on('online', () => events.push('online'));
+
+    server.down = true;
+    expect(await agent.flush()).toEqual({ sent: 0, error: 'Enterprise server responded with 503' });
+    const unreachable = createAgent(queue, { serverUrl: 'https://127.0.0.1:1' });
+    expect((await unreachable.flush()).error).toMatch(/ECONNREFUSED/);
+    expect(queue.rows.every(row => !row.synced)).toBe(true);
+
+    server.down = false;
+    expect(await agent.flush()).toEqual({ sent: 5 });
+
+    expect(events).toEqual(['offline', 'online']);
+    expect(server.requests).toEqual([
+      { key: 'agent-1:1-2', sequences: [1, 2] },
+      { key: 'agent-1:3-4', sequences: [3, 4] },
+      { key: 'agent-1:5-5', sequences: [5] }
+    ]);
+    expect(queue.rows.every(row => row.synced)).toBe(true);
+    expect(dataManager.usageData.enterpriseClients['ws-201']).toMatchObject({
+      source: 'push',
+      department: 'Remote',
+      applications: [{ name: 'Nuke', total_usage: 90 }],
+      push: { agentId: 'agent-1', lastSequence: 5, records: 5 }
+    });
+  });
+
+  test('should not double count a batch resent after a lost acknowledgement', async () => {
+    const queue = createQueue(2);
+    const { acknowledge } = queue;
+    queue.acknowledge = jest.fn()
+      .mockRejectedValueOnce(new Error('database is locked'))
+      .mockImplementation(acknowledge);
+    const agent = createAgent(queue);
+
+    expect((await agent.flush()).error).toBe('database is locked');
+    expect(await agent.flush()).toEqual({ sent: 2 });
+
+    expect(server.requests.map(request => request.key)).toEqual(['agent-1:1-2', 'agent-1:1-2']);
+    expect(dataManager.usageData.enterpriseClients['ws-201'].push.records).toBe(2);
+    expect(dataManager.usageData.metadata.syncQueue).toEqual([
+      expect.objectContaining({
+        idempotencyKey: 'agent-1:1-2',
+        result: { accepted: 2, duplicates: 0, lastSequence: 2 }
+      })
+    ]);
+  });
+
+  test('should not let an unenrolled agent push usage', async () => {
+    const queue = createQueue(1);
+    const agent = createAgent(queue, { enrollmentToken: 'some-other-deployment-token' });
+
+    expect((await agent.flush()).error).toBe('Enterprise server responded with 401');
+    expect(queue.rows[0].synced).toBe(false);
+    expect(dataManager.usageData.enterpriseClients).toBeUndefined();
+  });
+
+  test('should only send usage to an https server holding the pinned certificate', async () => {
+    const queue = createQueue(1);
+    expect(() => createAgent(queue, { serverUrl: 'http://enterprise-server:3443' }))
+      .toThrow('Push mode needs an https:// server URL');
+    expect(() => createAgent(queue, { serverUrl: 'http://enterprise-server:3443', allowInsecureServer: true }))
+      .not.toThrow();
+
+    const other = SelfSignedCertificate.generate({ commonName: 'enterprise-server' });
+    const impostor = createAgent(queue, { serverCertificate: other.cert });
+    expect((await impostor.flush()).error).toMatch(/self-signed certificate/);
+    const unpinned = createAgent(queue, { serverCertificate: undefined });
+    expect((await unpinned.flush()).error).toMatch(/self-signed certificate/);
+    expect(server.requests).toEqual([]);
+
+    expect(await createAgent(queue).flush()).toEqual({ sent: 1 });
+  });
+});
+
+describe('UsageIngest', () => {
+  let dataManager;
+  let ingest;
+
+  const batch = (sequences, agentId = 'agent-1') => ({
+    clientId: 'ws-201',
+    agentId,
+    records: sequences.map(sequence => ({ sequence, data: {} }))
+  });
+
+  beforeEach(() => {
+    dataManager = new DataManager({ dataDir: '/tmp/usage-ingest' });
+    jest.spyOn(dataManager, 'saveData').mockResolvedValue();
+    ingest = new UsageIngest(dataManager);
+  });
+
+  test('should drop records at or below the agent high-water mark', async () => {
+    await ingest.ingest(batch([1, 2, 3]), 'agent-1:1-3');
+    const overlapping = await ingest.ingest(batch([2, 3, 4]), 'agent-1:2-4');
+
+    expect(overlapping).toMatchObject({ accepted: 1, duplicates: 2, lastSequence: 4, replayed: false });
+    expect(overlapping.records.map(record => record.sequence)).toEqual([4]);
+
+    // A reinstalled client numbers its records from 1 again under a new agent id
+    const reinstalled = await ingest.ingest(batch([1], 'agent-2'), 'agent-2:1-1');
+    expect(reinstalled).toMatchObject({ accepted: 1, lastSequence: 1 });
+  });
+
+  test('should reject malformed batches', async () => {
+    await expect(ingest.ingest(batch([1]))).rejects.toThrow('Missing idempotency key');
+    await expect(ingest.ingest({ records: [] }, 'x')).rejects.toThrow('clientId and an agentId');
+    await expect(ingest.ingest({ ...batch([]), records: [{ sequence: '1' }] }, 'x'))
+      .rejects.toThrow('integer sequence numbers');
+  });
+});
@@ -0,0 +1,122 @@
+// tests/unit/usage-query.test.js
+const UsageQuery = require('../../src/main/usage-query');
+const DataManager = require('../../src/main/data-manager');
+
+// Local-time dates, since buckets follow the user's calendar
+const at = (day, hour, minute = 0) => new Date(2026, 9, day, hour, minute).toISOString();
+const session = (day, startHour, endHour) => ({
+  startTime: at(day, startHour),
+  endTime: at(day, endHour),
+  duration: (endHour - startHour) * 60
+});
+
+const usageData = () => ({
+  applications: {
+    'Adobe After Effects': {
+      vendor: 'Adobe',
+      totalUsage: 600,
+      sessions: [session(5, 9, 12), session(6, 23, 24), session(12, 14, 16)]
+    },
+    'Cinema 4D': {
+      vendor: 'Maxon',
+      totalUsage: 120,
+      sessions: [session(6, 10, 12)]
+    },
+    'Blender': {
+      totalUsage: 0,
+      sessions: []
+    }
+  },
+  plugins: {
+    'Maxon': {
+      'Trapcode': { totalUsage: 60, sessions: [session(5, 10, 11)], cost: 89 },
+      'Redshift': {
+        'Core': { totalUsage: 120, sessions: [session(6, 10, 12)], cost: 45 }
+      }
+    },
+    'Boris FX': {
+      'Sapphire': { totalUsage: 30, sessions: [{ startTime: at(12, 15), endTime: at(12, 15), duration: 1 }], cost: 195 }
+    }
+  }
+});
+
+describe('UsageQuery', () => {
+  let query;
+
+  beforeEach(() => {
+    query = new UsageQuery(usageData());
+  });
+
+  test('should group session minutes by day', () => {
+    const result = query.run({ from: at(5, 0), to: at(7, 0), groupBy: 'day', type: 'application' });
+
+    expect(result.buckets).toEqual([at(5, 0), at(6, 0), at(7, 0)]);
+    expect(result.series.map(series => [series.name, series.totalMinutes])).toEqual([
+      ['Adobe After Effects', 240],
+      ['Cinema 4D', 120]
+    ]);
+    expect(result.totals.points.map(point => point.minutes)).toEqual([180, 180, 0]);
+  });
+
+  test('should split sessions that cross bucket boundaries and clip to the range', () => {
+    const result = query.run({
+      from: at(5, 10),
+      to: at(5, 11, 30),
+      groupBy: 'hour',
+      type: 'application',
+      applications: 'Adobe After Effects'
+    });
+
+    expect(result.series).toHaveLength(1);
+    expect(result.series[0].points).toEqual([
+      { bucket: at(5, 10), minutes: 60 },
+      { bucket: at(5, 11), minutes: 30 }
+    ]);
+  });
+
+  test('should group by week starting on Monday and by month', () => {
+    const weekly = query.run({ from: at(1, 0), to: at(14, 0), groupBy: 'week', type: 'application' });
+    expect(weekly.buckets[0]).toBe(new Date(2026, 8, 28).toISOString());
+    expect(weekly.totals.points.map(point => point.minutes)).toEqual([0, 360, 120]);
+
+    const monthly = query.run({ from: at(1, 0), to: at(31, 0), groupBy: 'month' });
+    expect(monthly.buckets).toEqual([new Date(2026, 9, 1).toISOString()]);
+    expect(monthly.totals.minutes).toBe(661);
+  });
+
+  test('should filter by vendor and plugin', () => {
+    const maxon = query.run({ from: at(1, 0), to: at(31, 0), vendors: ['Maxon'] });
+    expect(maxon.series.map(series => series.name).sort()).toEqual(['Cinema 4D', 'Redshift - Core', 'Trapcode']);
+
+    const redshift = query.run({ from: at(1, 0), to: at(31, 0), plugins: ['Redshift'], type: 'plugin' });
+    expect(redshift.series).toEqual([
+      expect.objectContaining({ name: 'Redshift - Core', vendor: 'Maxon', totalMinutes: 120 })
+    ]);
+  });
+
+  test('should count single-check sessions at their start time', () => {
+    const result = query.run({ from: at(12, 0), to: at(12, 23), groupBy: 'day', type: 'plugin' });
+
+    expect(result.series).toEqual([expect.objectContaining({ name: 'Sapphire', totalMinutes: 1, sessions: 1 })]);
+  });
+
+  test('should reject invalid queries', () => {
+    expect(() => query.run({ groupBy: 'fortnight' })).toThrow('Invalid groupBy');
+    expect(() => query.run({ from: at(10, 0), to: at(5, 0) })).toThrow('Range start must be before range end');
+    expect(() => query.run({ from: 'yesterday' })).toThrow('Invalid date range');
+    expect(() => query.run({ from: '2000-01-01', groupBy: 'hour' })).toThrow('Range too large');
+  });
+});
+
+describe('DataManager.queryUsage', () => {
+  test('should wrap results and errors for IPC', () => {
+    const dataManager = new DataManager();
+    dataManager.usageData = usageData();
+
+    expect(dataManager.queryUsage({ from: at(5, 0), to: at(6, 0) })).toMatchObject({ success: true, groupBy: 'day' });
+    expect(dataManager.queryUsage({ groupBy: 'minute' })).toEqual({
+      success: false,
+      error: expect.stringContaining('Invalid groupBy')
+    });
+  });
+});
@@ -0,0 +1,198 @@
+// tests/unit/usage-store.test.js
+// Uses a real SQLite database in a temp directory instead of the setup.js mocks
+jest.unmock('fs');
+jest.unmock('sqlite3');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataManager = require('../../src/main/data-manager');
+const UsageStore = require('../../src/main/usage-store');
+
+const legacyUsageData = () => ({
+  applications: {
+    'Adobe After Effects': {
+      totalUsage: 2880,
+      lastUsed: '2026-10-01T12:00:00.000Z',
+      sessions: [
+        { startTime: '2026-09-30T09:00:00.000Z', endTime: '2026-09-30T17:00:00.000Z', duration: 480 },
+        { startTime: '2026-10-01T09:00:00.000Z', endTime: '2026-10-01T12:00:00.000Z', duration: 180 }
+      ]
+    }
+  },
+  plugins: {
+    Maxon: {
+      Trapcode: { totalUsage: 120, lastUsed: '2026-10-01T11:00:00.000Z', sessions: [], cost: 89 },
+      Redshift: {
+        Core: { totalUsage: 60, lastUsed: '2026-09-15T10:00:00.000Z', sessions: [], cost: 45 }
+      }
+    }
+  },
+  costs: { applications: { 'Adobe After Effects': 55 } },
+  metadata: { firstRun: '2026-01-05T08:00:00.000Z', lastSaved: '2026-10-01T12:00:00.000Z', version: '2.0.0' },
+  enterpriseClients: { 'ws-042': { department: 'Motion', lastUpdate: '2026-10-01T12:00:00.000Z' } }
+});
+
+describe('DataManager with the SQLite usage store', () => {
+  let dataDir;
+  let dataManager;
+
+  const createDataManager = async () => {
+    const manager = new DataManager({ dataDir });
+    await manager.loadData();
+    return manager;
+  };
+
+  const tick = async (manager, appData = { foreground: true, active: true }) => {
+    manager.updateUsageData({
+      applications: new Map([['Adobe After Effects', { cpu: 12.5, memory: 2048, ...appData }]]),
+      plugins: new Map([['Trapcode', { hostApplication: 'Adobe After Effects', ...appData }]]),
+      timestamp: new Date().toISOString()
+    });
+    await manager.saveData();
+  };
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-store-'));
+  });
+
+  afterEach(async () => {
+    if (dataManager) await dataManager.closeStore();
+    dataManager = null;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should migrate an existing usage-data.json once', async () => {
+    fs.writeFileSync(path.join(dataDir, 'usage-data.json'), JSON.stringify(legacyUsageData()));
+
+    dataManager = await createDataManager();
+    const usageData = dataManager.getUsageData();
+
+    expect(fs.existsSync(path.join(dataDir, 'usage-data.db'))).toBe(true);
+    expect(fs.existsSync(path.join(dataDir, 'usage-data.json'))).toBe(false);
+    expect(fs.existsSync(path.join(dataDir, 'usage-data.json.migrated'))).toBe(true);
+
+    expect(usageData.applications['Adobe After Effects']).toMatchObject({
+      runningTime: 2880,
+      totalUsage: 2880,
+      lastUsed: '2026-10-01T12:00:00.000Z',
+      lastActive: '2026-10-01T12:00:00.000Z'
+    });
+    expect(usageData.applications['Adobe After Effects'].sessions).toHaveLength(2);
+    expect(usageData.plugins.Maxon.Trapcode).toMatchObject({ runningTime: 120, cost: 89 });
+    expect(usageData.plugins.Maxon.Redshift.Core).toMatchObject({ runningTime: 60, cost: 45 });
+    expect(usageData.costs.applications['Adobe After Effects']).toBe(55);
+    expect(usageData.enterpriseClients['ws-042'].department).toBe('Motion');
+    expect(usageData.metadata.migratedFromJson).toEqual(expect.any(String));
+
+    // A second start reads the database and does not migrate again
+    await dataManager.closeStore();
+    fs.writeFileSync(path.join(dataDir, 'usage-data.json'), JSON.stringify({ applications: {}, plugins: {} }));
+    dataManager = await createDataManager();
+
+    expect(Object.keys(dataManager.getUsageData().applications)).toEqual(['Adobe After Effects']);
+  });
+
+  test('should return the same usage data shape after a restart', async () => {
+    dataManager = await createDataManager();
+    await tick(dataManager);
+    await tick(dataManager, { foreground: true, active: false });
+    const before = JSON.parse(JSON.stringify(dataManager.getUsageData()));
+
+    await dataManager.closeStore();
+    dataManager = await createDataManager();
+
+    expect(dataManager.getUsageData()).toEqual(before);
+    expect(before.applications['Adobe After Effects']).toMatchObject({
+      runningTime: 2,
+      foregroundTime: 2,
+      activeTime: 1
+    });
+  });
+
+  test('should extend the open session instead of rewriting session history', async () => {
+    dataManager = await createDataManager();
+    await tick(dataManager);
+    await tick(dataManager);
+    await tick(dataManager);
+
+    const rows = await dataManager.store.all("SELECT * FROM sessions WHERE item_type = 'application'");
+
+    expect(rows).toHaveLength(1);
+    expect(dataManager.getUsageData().applications['Adobe After Effects'].sessions).toHaveLength(1);
+  });
+
+  test('should record raw samples for each tick', async () => {
+    dataManager = await createDataManager();
+    await tick(dataManager);
+    await tick(dataManager, { foreground: false, active: false });
+    await dataManager.store.queue;
+
+    const samples = await dataManager.store.getSamples({ itemType: 'application' });
+
+    expect(samples).toHaveLength(2);
+    expect(samples.map(sample => sample.active)).toEqual([1, 0]);
+    expect(samples[0]).toMatchObject({ name: 'Adobe After Effects', cpu: 12.5, memory: 2048 });
+
+    const plugins = await dataManager.store.getSamples({ itemType: 'plugin', name: 'Trapcode' });
+    expect(plugins[0].host_application).toBe('Adobe After Effects');
+  });
+
+  test('should clear the database on reset', async () => {
+    dataManager = await createDataManager();
+    await tick(dataManager);
+
+    await dataManager.resetData();
+    await dataManager.closeStore();
+    dataManager = await createDataManager();
+
+    expect(dataManager.getUsageData().applications).toEqual({});
+  });
+});
+
+describe('UsageStore', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = new UsageStore(':memory:');
+    await store.open();
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  test('should skip rows that have not changed since the last save', async () => {
+    const usageData = legacyUsageData();
+    await store.save(usageData);
+
+    const runSpy = jest.spyOn(store, 'run');
+    await store.save(usageData);
+    const writes = runSpy.mock.calls.filter(([sql]) => /^\s*(INSERT|UPDATE)/.test(sql));
+
+    // Only the open (latest) session of each item is rewritten
+    expect(writes.every(([sql]) => /UPDATE sessions/.test(sql))).toBe(true);
+  });
+
+  test('should roll back a failed save', async () => {
+    await store.save({ applications: {}, plugins: {}, metadata: { version: '2.0.0' } });
+
+    const broken = { applications: { Nuke: { totalUsage: 1, sessions: [] } }, plugins: {}, metadata: {} };
+    jest.spyOn(store, 'writeMeta').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(store.save(broken)).rejects.toThrow('disk full');
+    expect((await store.load()).applications).toEqual({});
+  });
+
+  test('should prune samples older than the retention period', async () => {
+    const now = Date.now();
+    await store.recordSamples(new Date(now - 100 * 86400000), new Map([['Nuke', {}]]), new Map());
+    await store.recordSamples(new Date(now), new Map([['Nuke', { active: true }]]), new Map());
+
+    await store.pruneSamples(90);
+
+    const samples = await store.getSamples();
+    expect(samples).toHaveLength(1);
+    expect(samples[0].active).toBe(1);
+  });
+});
@@ -0,0 +1,178 @@
+// tests/unit/usage-workbook.test.js
+// Writes real files, so bypass the fs automock from setup.js
+jest.unmock('fs');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { app } = require('electron');
+const DataManager = require('../../src/main/data-manager');
+const UsageWorkbook = require('../../src/main/usage-workbook');
+const XlsxWriter = require('../../src/main/xlsx-writer');
+
+// Read every entry of a zip archive via its central directory
+function unzip(buffer) {
+  const endOfDirectory = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  expect(endOfDirectory).toBeGreaterThan(0);
+
+  const count = buffer.readUInt16LE(endOfDirectory + 10);
+  let offset = buffer.readUInt32LE(endOfDirectory + 16);
+  const files = {};
+
+  for (let i = 0; i < count; i++) {
+    expect(buffer.readUInt32LE(offset)).toBe(0x02014b50);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localHeader = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localHeader + 30 + buffer.readUInt16LE(localHeader + 26) + buffer.readUInt16LE(localHeader + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    files[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+}
+
+// Rows of a worksheet keyed by column letter (blank cells are not written),
+// each cell as { style, type, value }
+function readSheet(xml) {
+  return [...xml.matchAll(/<row r="\d+">(.*?)<\/row>/g)].map(([, cells]) => {
+    const row = {};
+    [...cells.matchAll(/<c r="([A-Z]+)\d+"(?: s="(\d+)")?(?: t="(\w+)")?>(.*?)<\/c>/g)]
+      .forEach(([, column, style, type, body]) => {
+        row[column] = {
+          style: Number(style || 0),
+          type: type || 'n',
+          value: type === 'inlineStr' ? /<t[^>]*>(.*)<\/t>/.exec(body)[1] : Number(/<v>(.*)<\/v>/.exec(body)[1])
+        };
+      });
+    return row;
+  });
+}
+
+const values = (row, columns) => columns.split('').map(column => row[column]?.value);
+
+const usageData = () => ({
+  applications: {
+    'Adobe After Effects': {
+      vendor: 'Adobe',
+      totalUsage: 90,
+      runningTime: 180,
+      foregroundTime: 120,
+      activeTime: 90,
+      lastUsed: '2026-10-01T12:00:00.000Z',
+      lastActive: '2026-10-01T11:00:00.000Z',
+      sessions: [{ startTime: '2026-10-01T09:00:00.000Z', endTime: '2026-10-01T12:00:00.000Z', duration: 180 }]
+    },
+    'Cinema 4D': { vendor: 'Maxon', totalUsage: 0, runningTime: 0, lastUsed: null, sessions: [] }
+  },
+  plugins: {
+    'Maxon': {
+      'Trapcode': { totalUsage: 60, lastUsed: '2026-10-01T10:00:00.000Z', sessions: [], cost: 89 },
+      'Redshift': {
+        'Core': { totalUsage: 30, lastUsed: '2026-10-01T10:00:00.000Z', sessions: [], cost: 45 }
+      }
+    }
+  },
+  costs: { applications: { 'Adobe After Effects': 55 }, plugins: {} },
+  metadata: {}
+});
+
+describe('UsageWorkbook', () => {
+  test('should write one sheet per dataset with frozen header rows', async () => {
+    const workbook = new UsageWorkbook().addUsage(usageData(), {
+      getCost: (name, type, data) => (type === 'application' ? 55 : data.cost),
+      savings: [
+        { name: 'Cinema 4D', type: 'application', vendor: 'Maxon', monthlyCost: '94.00', daysInactive: Infinity }
+      ]
+    });
+    const files = unzip(await workbook.toBuffer());
+
+    expect(Object.keys(files)).toEqual(expect.arrayContaining([
+      '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/styles.xml', 'xl/worksheets/sheet5.xml'
+    ]));
+    expect([...files['xl/workbook.xml'].matchAll(/<sheet name="([^"]+)"/g)].map(match => match[1]))
+      .toEqual(['Applications', 'Plugins', 'Sessions', 'Costs', 'Savings']);
+
+    for (let i = 1; i <= 5; i++) {
+      const sheet = files[`xl/worksheets/sheet${i}.xml`];
+      expect(sheet).toContain('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>');
+      const header = Object.values(readSheet(sheet)[0]);
+      expect(header.every(cell => cell.style === 1 && cell.type === 'inlineStr')).toBe(true);
+    }
+  });
+
+  test('should write typed number and date cells', async () => {
+    const files = unzip(await new UsageWorkbook().addUsage(usageData()).toBuffer());
+    const [header, afterEffects] = readSheet(files['xl/worksheets/sheet1.xml']);
+    const cell = name => afterEffects[Object.keys(header).find(column => header[column].value === name)];
+
+    expect(cell('Application')).toMatchObject({ type: 'inlineStr', value: 'Adobe After Effects' });
+    expect(cell('Running Hours')).toMatchObject({ type: 'n', style: 3, value: 3 });
+    expect(cell('Active Hours')).toMatchObject({ type: 'n', value: 1.5 });
+    expect(cell('Sessions')).toMatchObject({ type: 'n', style: 5, value: 1 });
+    expect(cell('Last Used')).toMatchObject({
+      type: 'n',
+      style: 2,
+      value: XlsxWriter.toSerialDate('2026-10-01T12:00:00.000Z')
+    });
+    expect(files['xl/styles.xml']).toContain('formatCode="yyyy-mm-dd hh:mm"');
+  });
+
+  test('should flatten the plugin hierarchy and include client columns', async () => {
+    const workbook = new UsageWorkbook({ includeClient: true, sheets: ['plugins'] })
+      .addUsage(usageData(), { client: 'ws-042', department: 'Motion' });
+    const files = unzip(await workbook.toBuffer());
+    const rows = readSheet(files['xl/worksheets/sheet1.xml']).map(row => values(row, 'ABCDE'));
+
+    expect(rows).toEqual([
+      ['Client', 'Department', 'Vendor', 'Product', 'Sub-product'],
+      ['ws-042', 'Motion', 'Maxon', 'Trapcode', undefined],
+      ['ws-042', 'Motion', 'Maxon', 'Redshift', 'Core']
+    ]);
+  });
+
+  test('should escape XML in cell text and sanitise sheet names', async () => {
+    const writer = new XlsxWriter()
+      .addSheet('Costs / Savings', [{ header: 'Name', key: 'name' }], [{ name: 'R&D <beta> "plugin"' }])
+      .addSheet('costs   savings', [{ header: 'Name', key: 'name' }]);
+    const files = unzip(await writer.toBuffer());
+
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Costs   Savings"');
+    expect(files['xl/workbook.xml']).toContain('<sheet name="costs   savings 2"');
+    expect(files['xl/worksheets/sheet1.xml']).toContain('R&amp;D &lt;beta&gt; &quot;plugin&quot;');
+  });
+});
+
+describe('DataManager XLSX export', () => {
+  test('should export an .xlsx workbook with the savings breakdown', async () => {
+    const downloads = fs.mkdtempSync(path.join(os.tmpdir(), 'xlsx-export-'));
+    jest.spyOn(app, 'getPath').mockReturnValue(downloads);
+
+    const dataManager = new DataManager();
+    dataManager.usageData = usageData();
+    dataManager.settings.inactivityThreshold = 7;
+
+    try {
+      const result = await dataManager.exportData('xlsx');
+      expect(result.success).toBe(true);
+      expect(result.filePath.endsWith('.xlsx')).toBe(true);
+
+      const files = unzip(fs.readFileSync(result.filePath));
+      const savings = readSheet(files['xl/worksheets/sheet5.xml']).slice(1).map(row => row.B.value);
+      const costs = readSheet(files['xl/worksheets/sheet4.xml']);
+
+      expect(savings).toEqual(expect.arrayContaining(['Adobe After Effects', 'Cinema 4D', 'Redshift - Core']));
+      expect(values(costs[1], 'BCDF')).toEqual(['Adobe After Effects', 'Adobe', 55, 'Unused']);
+    } finally {
+      fs.rmSync(downloads, { recursive: true, force: true });
+    }
+  });
+});
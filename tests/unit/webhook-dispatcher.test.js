@@ -0,0 +1,163 @@
+// tests/unit/webhook-dispatcher.test.js
+// Delivers to a local HTTP stand-in, so nothing leaves the machine
+const http = require('http');
+const WebhookDispatcher = require('../../src/main/webhook-dispatcher');
+const { createDatastore } = require('../fixtures/memory-datastore');
+
+// Answers with the next status in the list (the last one repeats)
+function startReceiver(statuses) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      server.requests.push({ headers: req.headers, body });
+      res.writeHead(statuses[Math.min(server.requests.length, statuses.length) - 1]);
+      res.end();
+    });
+  });
+
+  server.requests = [];
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+const at = (minutes = 0) => new Date(Date.parse('2026-10-19T09:00:00.000Z') + minutes * 60 * 1000);
+
+describe('WebhookDispatcher', () => {
+  let servers;
+  let dispatcher;
+
+  const subscribe = async (server, events = ['*']) => dispatcher.create({
+    name: 'SIEM', url: `http://127.0.0.1:${server.address().port}/hook`, events
+  }, at());
+
+  beforeEach(() => {
+    servers = [];
+    dispatcher = new WebhookDispatcher({
+      subscriptions: createDatastore(),
+      deliveries: createDatastore(),
+      baseDelay: 60 * 1000,
+      maxAttempts: 3
+    });
+  });
+
+  afterEach(async () => {
+    await Promise.all(servers.map(server => new Promise(resolve => {
+      server.close(resolve);
+    })));
+  });
+
+  test('should sign each delivery so receivers can verify it', async () => {
+    const receiver = await startReceiver([204]);
+    servers.push(receiver);
+    const { secret, record } = await subscribe(receiver);
+
+    expect(secret).toMatch(/^whsec_/);
+    expect(record.secret).toBeUndefined();
+    expect(record.secretHint).toBe(secret.slice(-4));
+
+    const [queued] = await dispatcher.publish('scan.completed', { clientsFound: 4 }, at());
+    const [delivery] = await dispatcher.processDue(at());
+
+    expect(delivery).toMatchObject({ _id: queued._id, status: 'delivered', lastError: null });
+    expect(delivery.attempts).toEqual([expect.objectContaining({ status: 204, error: null })]);
+
+    const { headers, body } = receiver.requests[0];
+    expect(headers['x-esm-event']).toBe('scan.completed');
+    expect(headers['x-esm-delivery']).toBe(queued._id);
+    expect(headers['x-esm-signature']).toBe(WebhookDispatcher.sign(secret, headers['x-esm-timestamp'], body));
+    expect(JSON.parse(body)).toMatchObject({ event: 'scan.completed', data: { clientsFound: 4 } });
+  });
+
+  test('should only queue events a subscription asked for', async () => {
+    const receiver = await startReceiver([200]);
+    servers.push(receiver);
+    const { record } = await subscribe(receiver, ['alert.raised', 'alert.resolved']);
+
+    expect(await dispatcher.publish('client.updated', {}, at())).toEqual([]);
+    expect(await dispatcher.publish('alert.raised', {}, at())).toHaveLength(1);
+
+    await dispatcher.update(record._id, { enabled: false });
+    expect(await dispatcher.publish('alert.resolved', {}, at())).toEqual([]);
+  });
+
+  test('should retry with exponential backoff and dead-letter after the last attempt', async () => {
+    const receiver = await startReceiver([500]);
+    servers.push(receiver);
+    await subscribe(receiver);
+    const [queued] = await dispatcher.publish('alert.raised', { _id: 'alert-1' }, at());
+
+    const [first] = await dispatcher.processDue(at());
+    expect(first).toMatchObject({ status: 'retrying', failures: 1, lastError: 'Webhook responded with 500' });
+    expect(first.nextAttemptAt).toBe(at(1).toISOString());
+
+    // Not due yet
+    expect(await dispatcher.processDue(at(0.5))).toEqual([]);
+
+    const [second] = await dispatcher.processDue(at(1));
+    expect(second.nextAttemptAt).toBe(at(3).toISOString());
+
+    const [third] = await dispatcher.processDue(at(3));
+    expect(third).toMatchObject({ status: 'dead', failures: 3 });
+    expect(third.attempts).toHaveLength(3);
+    expect(receiver.requests).toHaveLength(3);
+
+    const deadLetters = await dispatcher.listDeliveries({ status: 'dead' });
+    expect(deadLetters.map(delivery => delivery._id)).toEqual([queued._id]);
+  });
+
+  test('should redeliver a dead letter with a fresh set of attempts', async () => {
+    const receiver = await startReceiver([500, 500, 500, 200]);
+    servers.push(receiver);
+    await subscribe(receiver);
+    const [queued] = await dispatcher.publish('scan.error', { message: 'timeout' }, at());
+    await dispatcher.processDue(at());
+    await dispatcher.processDue(at(1));
+    await dispatcher.processDue(at(3));
+
+    const requeued = await dispatcher.redeliver(queued._id, at(10));
+    expect(requeued).toMatchObject({ status: 'pending', failures: 0 });
+
+    const [delivery] = await dispatcher.processDue(at(10));
+    expect(delivery).toMatchObject({ status: 'delivered', deliveredAt: at(10).toISOString() });
+    expect(delivery.attempts).toHaveLength(4);
+    expect(await dispatcher.redeliver('missing')).toBeNull();
+  });
+
+  test('should dead-letter deliveries whose subscription is gone and prune old deliveries', async () => {
+    const receiver = await startReceiver([200]);
+    servers.push(receiver);
+    const { record } = await subscribe(receiver);
+    const other = await subscribe(receiver);
+
+    await dispatcher.publish('client.discovered', { clientId: 'ws-101' }, at());
+    await dispatcher.processDue(at());
+    await dispatcher.publish('client.discovered', { clientId: 'ws-102' }, at(1));
+
+    // Queued deliveries of a removed subscription go with it
+    expect(await dispatcher.remove(record._id)).toBe(true);
+    await dispatcher.update(other.record._id, { enabled: false });
+    const [orphan] = await dispatcher.processDue(at(1));
+    expect(orphan).toMatchObject({ status: 'dead', lastError: 'Webhook is disabled' });
+
+    expect(await dispatcher.prune(at(60 * 24 * 15))).toBe(2);
+    expect((await dispatcher.listDeliveries()).map(delivery => delivery.status)).toEqual(['dead']);
+  });
+
+  test('should validate subscriptions and delivery filters', async () => {
+    const valid = { name: 'SIEM', url: 'https://siem.example.com/hook', events: ['alert.raised'] };
+
+    expect(() => WebhookDispatcher.validateSubscription({ ...valid, name: ' ' })).toThrow('Webhooks need a name');
+    expect(() => WebhookDispatcher.validateSubscription({ ...valid, url: 'ftp://x' })).toThrow('must be http(s)');
+    expect(() => WebhookDispatcher.validateSubscription({ ...valid, events: [] })).toThrow('non-empty list');
+    expect(() => WebhookDispatcher.validateSubscription({ ...valid, events: ['alert.deleted'] }))
+      .toThrow('Unknown event alert.deleted');
+    expect(WebhookDispatcher.validateSubscription({ ...valid, events: ['scan.error', '*'] }).events).toEqual(['*']);
+
+    expect(WebhookDispatcher.retryDelay(20)).toBe(60 * 60 * 1000);
+    await expect(dispatcher.listDeliveries({ status: 'lost' })).rejects.toThrow('Invalid status "lost"');
+  });
+});